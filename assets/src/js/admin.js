@@ -6,17 +6,24 @@
     'use strict';
 
     var AdminSettings = {
+        // R2 endpoint host: account ID, optional jurisdiction
+        endpointHost: /^([^.]+)(?:\.(eu|fedramp))?\.r2\.cloudflarestorage\.com$/,
+
+        // JSON of the previewed import, sent again when it is applied
+        importDocument: null,
+
         init: function() {
             this.bindEvents();
             this.toggleCustomDomainField();
             this.toggleCredentialFields();
+            this.renderEndpointBuilder();
         },
 
         bindEvents: function() {
             var self = this;
 
-            // Test connection button
-            $(document).on('click', '#cfr2wc-test-connection', this.testConnection.bind(this));
+            // Connection diagnostics
+            $(document).on('click', '#cfr2wc-run-diagnostics', this.runDiagnostics.bind(this));
 
             // Toggle password visibility (if implemented)
             $(document).on('click', '.cfr2wc-toggle-password', this.togglePassword);
@@ -30,6 +37,248 @@
             $(document).on('change', 'input[name="cfr2wc_credential_storage_mode"]', function() {
                 self.toggleCredentialFields();
             });
+
+            // Live validation; stored values are encrypted, so only fields the user edited are checked
+            $(document).on('input', '[data-cfr2wc-validate]', function() {
+                $(this).attr('data-cfr2wc-edited', 'true');
+                self.validateField($(this));
+            });
+
+            $(document).on('change', '[data-cfr2wc-validate="endpoint"]', function() {
+                self.autofillEndpoint($(this));
+                self.validateField($(this));
+            });
+
+            $(document).on('submit', '#mainform', function(e) {
+                if (!self.validateForm()) {
+                    e.preventDefault();
+                }
+            });
+
+            // Endpoint builder
+            $(document).on('input change', '.cfr2wc-builder-account, .cfr2wc-builder-jurisdiction', function() {
+                self.updateEndpointPreview();
+            });
+            $(document).on('click', '.cfr2wc-use-endpoint', this.useBuiltEndpoint.bind(this));
+
+            // Bucket profile rows
+            // Settings import/export
+            $(document).on('click', '#cfr2wc-export-settings', this.exportSettings.bind(this));
+            $(document).on('change', '#cfr2wc-import-file', this.readImportFile.bind(this));
+            $(document).on('click', '#cfr2wc-apply-import', this.applyImport.bind(this));
+
+            $(document).on('click', '.cfr2wc-add-bucket-profile', this.addBucketProfile.bind(this));
+            $(document).on('click', '.cfr2wc-remove-bucket-profile', function(e) {
+                e.preventDefault();
+                $(this).closest('tr').remove();
+            });
+        },
+
+        addBucketProfile: function(e) {
+            e.preventDefault();
+
+            // Rows only need distinct indexes, the saved list is renumbered on the server
+            var index = new Date().getTime();
+            var html = $('#cfr2wc-bucket-profile-template').html().replace(/__index__/g, index);
+
+            $('.cfr2wc-bucket-profiles tbody').append(html);
+            $('.cfr2wc-bucket-profiles tbody tr').last().find('input').first().trigger('focus');
+        },
+
+        validators: {
+            endpoint: function(value, strings) {
+                var match = value.match(/^([a-z]+):\/\/([^\/?#]+)(.*)$/i);
+                var host;
+
+                if (!match) {
+                    return { message: strings.endpoint_url, blocking: true };
+                }
+
+                if (match[1].toLowerCase() !== 'https') {
+                    return { message: strings.endpoint_http, blocking: true };
+                }
+
+                if (match[3] && match[3] !== '/') {
+                    return { message: strings.endpoint_path, blocking: true };
+                }
+
+                host = match[2].toLowerCase().match(AdminSettings.endpointHost);
+
+                // Other hosts may be S3-compatible proxies, so only warn
+                if (!host) {
+                    return { message: strings.endpoint_url, blocking: false };
+                }
+
+                if (!/^[a-f0-9]{32}$/.test(host[1])) {
+                    return { message: strings.account_id, blocking: true };
+                }
+
+                return null;
+            },
+
+            access_key: function(value, strings) {
+                return /^[a-f0-9]{32}$/i.test(value) ? null : { message: strings.access_key, blocking: true };
+            },
+
+            secret_key: function(value, strings) {
+                return /^[a-f0-9]{64}$/i.test(value) ? null : { message: strings.secret_key, blocking: true };
+            },
+
+            bucket: function(value, strings) {
+                return /^[a-z0-9][a-z0-9-]{1,61}[a-z0-9]$/.test(value) ? null : { message: strings.bucket, blocking: true };
+            }
+        },
+
+        validateField: function($input) {
+            var value = $.trim($input.val());
+            var validator = this.validators[$input.attr('data-cfr2wc-validate')];
+            var $message = $input.siblings('.cfr2wc-field-error');
+            var error = null;
+
+            // Empty fields are left to the required attribute, and mean "unchanged" for profile keys
+            if (validator && value !== '' && $input.attr('data-cfr2wc-edited')) {
+                error = validator(value, cfr2wcAdmin.strings);
+            }
+
+            if (!error) {
+                $input.removeClass('cfr2wc-invalid').removeAttr('aria-invalid');
+                $message.remove();
+                return true;
+            }
+
+            if ($message.length === 0) {
+                $message = $('<span class="cfr2wc-field-error" role="alert"></span>').insertAfter($input);
+            }
+
+            $message.text(error.message).toggleClass('is-warning', !error.blocking);
+            $input.toggleClass('cfr2wc-invalid', error.blocking).attr('aria-invalid', error.blocking ? 'true' : 'false');
+
+            return !error.blocking;
+        },
+
+        validateForm: function() {
+            var self = this;
+            var $first = null;
+
+            $('[data-cfr2wc-validate][data-cfr2wc-edited]').filter(':visible').each(function() {
+                if (!self.validateField($(this)) && !$first) {
+                    $first = $(this);
+                }
+            });
+
+            if ($first) {
+                alert(cfr2wcAdmin.strings.form_invalid);
+                $first.trigger('focus');
+                return false;
+            }
+
+            return true;
+        },
+
+        getBucketField: function($endpoint) {
+            var $profile = $endpoint.closest('.cfr2wc-bucket-profiles tr');
+
+            return $profile.length ? $profile.find('[data-cfr2wc-validate="bucket"]') : $('#cfr2wc_bucket_name');
+        },
+
+        autofillEndpoint: function($input) {
+            var value = $.trim($input.val());
+            var $bucket = this.getBucketField($input);
+
+            $input.siblings('.cfr2wc-field-note').remove();
+
+            // A bare account ID: hand it to the endpoint builder
+            if (/^[a-f0-9]{32}$/i.test(value) && $('.cfr2wc-endpoint-builder').length && $input.is('#cfr2wc_endpoint')) {
+                $('.cfr2wc-builder-account').val(value.toLowerCase());
+                $('.cfr2wc-endpoint-builder').prop('open', true);
+                this.updateEndpointPreview();
+                return;
+            }
+
+            // The dashboard shows the endpoint with the bucket appended; split it into both fields
+            var match = value.match(/^(https:\/\/[^\/?#]+)\/([a-z0-9][a-z0-9-]{1,61}[a-z0-9])\/?$/);
+            var bucket = $.trim($bucket.val());
+
+            if (!match || (bucket !== '' && bucket !== match[2])) {
+                return;
+            }
+
+            $input.val(match[1]);
+            $bucket.val(match[2]).attr('data-cfr2wc-edited', 'true');
+            this.validateField($bucket);
+
+            $('<span class="cfr2wc-field-note"></span>')
+                .text(cfr2wcAdmin.strings.endpoint_split.replace('%s', match[2]))
+                .insertAfter($input);
+        },
+
+        renderEndpointBuilder: function() {
+            var strings = cfr2wcAdmin.strings;
+            var $endpoint = $('#cfr2wc_endpoint');
+            var $jurisdiction = $('<select class="cfr2wc-builder-jurisdiction"></select>').attr('aria-label', strings.jurisdiction);
+
+            if ($endpoint.length === 0) {
+                return;
+            }
+
+            ['global', 'eu', 'fedramp'].forEach(function(jurisdiction) {
+                $jurisdiction.append($('<option></option>').val(jurisdiction).text(strings[jurisdiction]));
+            });
+
+            $('<details class="cfr2wc-endpoint-builder"></details>')
+                .append($('<summary></summary>').text(strings.build_endpoint))
+                .append(
+                    $('<div class="cfr2wc-endpoint-builder-fields"></div>')
+                        .append(
+                            $('<input type="text" class="cfr2wc-builder-account code" maxlength="32" autocomplete="off">')
+                                .attr('placeholder', strings.account_label)
+                                .attr('aria-label', strings.account_label)
+                        )
+                        .append($jurisdiction)
+                        .append($('<button type="button" class="button cfr2wc-use-endpoint" disabled></button>').text(strings.use_endpoint))
+                )
+                .append('<code class="cfr2wc-builder-preview"></code>')
+                .appendTo($endpoint.closest('td'));
+
+            // Start from the saved endpoint so switching jurisdiction is one click
+            var match = $.trim($endpoint.val()).replace(/^https:\/\//i, '').replace(/\/$/, '').toLowerCase().match(this.endpointHost);
+            if (match) {
+                $('.cfr2wc-builder-account').val(match[1]);
+                $jurisdiction.val(match[2] || 'global');
+            }
+
+            this.updateEndpointPreview();
+        },
+
+        buildEndpoint: function() {
+            var account = $.trim($('.cfr2wc-builder-account').val()).toLowerCase();
+            var jurisdiction = $('.cfr2wc-builder-jurisdiction').val();
+
+            if (!/^[a-f0-9]{32}$/.test(account)) {
+                return '';
+            }
+
+            return 'https://' + account + (jurisdiction === 'global' ? '' : '.' + jurisdiction) + '.r2.cloudflarestorage.com';
+        },
+
+        updateEndpointPreview: function() {
+            var endpoint = this.buildEndpoint();
+            var account = $.trim($('.cfr2wc-builder-account').val());
+
+            $('.cfr2wc-builder-preview')
+                .text(endpoint || (account ? cfr2wcAdmin.strings.account_id : ''))
+                .toggleClass('is-error', !endpoint && account !== '');
+            $('.cfr2wc-use-endpoint').prop('disabled', !endpoint);
+        },
+
+        useBuiltEndpoint: function(e) {
+            e.preventDefault();
+
+            var endpoint = this.buildEndpoint();
+
+            if (endpoint) {
+                $('#cfr2wc_endpoint').val(endpoint).attr('data-cfr2wc-edited', 'true').trigger('input');
+            }
         },
 
         toggleCustomDomainField: function() {
@@ -64,75 +313,247 @@
             }
         },
 
-        testConnection: function(e) {
+        runDiagnostics: function(e) {
             e.preventDefault();
 
+            var self = this;
             var $button = $(e.currentTarget);
-            var $status = $('.cfr2wc-connection-status');
+            var $steps = $('#cfr2wc-diagnostics').show().find('.cfr2wc-diagnostic-step');
+            var index = 0;
 
-            // Get form values
+            // Diagnose what is in the form, saved or not
             var data = {
-                action: 'cfr2wc_test_connection',
+                action: 'cfr2wc_run_diagnostic',
                 nonce: cfr2wcAdmin.nonce,
                 endpoint: $('#cfr2wc_endpoint').val(),
                 access_key_id: $('#cfr2wc_access_key_id').val(),
                 secret_access_key: $('#cfr2wc_secret_access_key').val(),
-                bucket_name: $('#cfr2wc_bucket_name').val()
+                bucket_name: $('#cfr2wc_bucket_name').val(),
+                credential_storage_mode: $('input[name="cfr2wc_credential_storage_mode"]:checked').val()
             };
 
-            // Client-side validation
-            if (!data.endpoint || !data.access_key_id || !data.secret_access_key || !data.bucket_name) {
-                var missingFields = [];
-                if (!data.endpoint) missingFields.push('Endpoint');
-                if (!data.access_key_id) missingFields.push('Access Key ID');
-                if (!data.secret_access_key) missingFields.push('Secret Access Key');
-                if (!data.bucket_name) missingFields.push('Bucket Name');
-
-                $status.removeClass('testing success')
-                       .addClass('error')
-                       .html('<span class="dashicons dashicons-warning"></span> Missing fields: ' + missingFields.join(', '))
-                       .show();
-                setTimeout(function() {
-                    $status.fadeOut();
-                }, 5000);
-                return;
+            $steps.each(function() {
+                self.setDiagnosticResult($(this), 'pending', '', '');
+            });
+            $button.prop('disabled', true);
+
+            // Later steps depend on earlier ones, so stop at the first failure
+            function stop() {
+                $steps.slice(index).each(function() {
+                    self.setDiagnosticResult($(this), 'skip', cfr2wcAdmin.strings.skipped, '');
+                });
+                $button.prop('disabled', false);
+            }
+
+            function next() {
+                if (index >= $steps.length) {
+                    $button.prop('disabled', false);
+                    return;
+                }
+
+                var $step = $steps.eq(index++);
+                self.setDiagnosticResult($step, 'running', cfr2wcAdmin.strings.running, '');
+
+                $.post(cfr2wcAdmin.ajax_url, $.extend({ step: $step.attr('data-step') }, data))
+                    .done(function(response) {
+                        if (!response.success) {
+                            self.setDiagnosticResult($step, 'fail', response.data.message, '');
+                            stop();
+                            return;
+                        }
+
+                        self.setDiagnosticResult($step, response.data.status, response.data.message, response.data.fix);
+
+                        if (response.data.status === 'fail') {
+                            stop();
+                        } else {
+                            next();
+                        }
+                    })
+                    .fail(function() {
+                        self.setDiagnosticResult($step, 'fail', cfr2wcAdmin.strings.request_failed, '');
+                        stop();
+                    });
             }
 
-            // Update UI
-            $button.prop('disabled', true).text('Testing...');
-            $status.removeClass('success error')
-                   .addClass('testing')
-                   .html('<span class="dashicons dashicons-update-alt"></span> Testing connection...')
-                   .show();
+            next();
+        },
+
+        setDiagnosticResult: function($step, status, message, fix) {
+            var icons = {
+                pending: 'dashicons-marker',
+                running: 'dashicons-update-alt',
+                pass: 'dashicons-yes-alt',
+                warning: 'dashicons-warning',
+                fail: 'dashicons-dismiss',
+                skip: 'dashicons-minus'
+            };
+
+            $step.removeClass('is-pending is-running is-pass is-warning is-fail is-skip').addClass('is-' + status);
+            $step.find('.cfr2wc-diagnostic-icon')
+                .removeClass(Object.keys(icons).map(function(key) { return icons[key]; }).join(' '))
+                .addClass(icons[status] || icons.pending);
+            $step.find('.cfr2wc-diagnostic-message').text(message);
+            $step.find('.cfr2wc-diagnostic-fix').text(fix ? cfr2wcAdmin.strings.fix + ' ' + fix : '').toggle(!!fix);
+        },
 
-            // Make AJAX request
-            $.post(cfr2wcAdmin.ajax_url, data)
+        exportSettings: function(e) {
+            e.preventDefault();
+
+            var $button = $(e.currentTarget).prop('disabled', true);
+
+            $.post(cfr2wcAdmin.ajax_url, {
+                action: 'cfr2wc_export_settings',
+                nonce: cfr2wcAdmin.nonce,
+                secrets: $('input[name="cfr2wc_export_secrets"]:checked').val()
+            })
                 .done(function(response) {
-                    if (response.success) {
-                        $status.removeClass('testing')
-                               .addClass('success')
-                               .html('<span class="dashicons dashicons-yes-alt"></span> ' + response.data.message);
-                    } else {
-                        $status.removeClass('testing')
-                               .addClass('error')
-                               .html('<span class="dashicons dashicons-warning"></span> ' + response.data.message);
+                    if (!response.success) {
+                        window.alert(response.data.message);
+                        return;
                     }
+
+                    var blob = new Blob([JSON.stringify(response.data.document, null, 2)], { type: 'application/json' });
+                    var url = URL.createObjectURL(blob);
+                    var $link = $('<a>').attr({ href: url, download: response.data.filename }).appendTo('body');
+
+                    $link[0].click();
+                    $link.remove();
+                    URL.revokeObjectURL(url);
                 })
                 .fail(function() {
-                    $status.removeClass('testing')
-                           .addClass('error')
-                           .html('<span class="dashicons dashicons-warning"></span> Connection test failed');
+                    window.alert(cfr2wcAdmin.strings.export_failed);
                 })
                 .always(function() {
-                    $button.prop('disabled', false).text('Test Connection');
+                    $button.prop('disabled', false);
+                });
+        },
+
+        readImportFile: function(e) {
+            var self = this;
+            var file = e.currentTarget.files[0];
+            var reader = new FileReader();
+
+            this.importDocument = null;
+            $('#cfr2wc-import-preview').hide();
+
+            if (!file) {
+                return;
+            }
+
+            // Exports are a few kilobytes
+            if (file.size > 1024 * 1024) {
+                this.renderImportPreview([{ type: 'error', text: cfr2wcAdmin.strings.file_too_large }], []);
+                return;
+            }
+
+            reader.onload = function() {
+                try {
+                    JSON.parse(reader.result);
+                } catch (error) {
+                    self.renderImportPreview([{ type: 'error', text: cfr2wcAdmin.strings.file_invalid }], []);
+                    return;
+                }
+
+                self.previewImport(reader.result);
+            };
+            reader.readAsText(file);
+        },
+
+        previewImport: function(json) {
+            var self = this;
+
+            this.renderImportPreview([{ type: 'info', text: cfr2wcAdmin.strings.reading }], []);
+
+            $.post(cfr2wcAdmin.ajax_url, {
+                action: 'cfr2wc_preview_import',
+                nonce: cfr2wcAdmin.nonce,
+                document: json
+            })
+                .done(function(response) {
+                    if (!response.success) {
+                        self.renderImportPreview(self.getImportErrors(response.data), []);
+                        return;
+                    }
+
+                    var messages = response.data.warnings.map(function(warning) {
+                        return { type: 'warning', text: warning };
+                    });
+
+                    if (!response.data.changes.length) {
+                        messages.push({ type: 'info', text: cfr2wcAdmin.strings.no_changes });
+                    }
+
+                    self.importDocument = json;
+                    self.renderImportPreview(messages, response.data.changes);
+                })
+                .fail(function() {
+                    self.renderImportPreview([{ type: 'error', text: cfr2wcAdmin.strings.import_failed }], []);
+                });
+        },
+
+        applyImport: function(e) {
+            e.preventDefault();
+
+            var self = this;
+            var $button = $(e.currentTarget);
+
+            if (!this.importDocument || !window.confirm(cfr2wcAdmin.strings.confirm_import)) {
+                return;
+            }
 
-                    // Hide status after 5 seconds
-                    setTimeout(function() {
-                        $status.fadeOut();
-                    }, 5000);
+            $button.prop('disabled', true);
+
+            $.post(cfr2wcAdmin.ajax_url, {
+                action: 'cfr2wc_import_settings',
+                nonce: cfr2wcAdmin.nonce,
+                document: this.importDocument
+            })
+                .done(function(response) {
+                    if (!response.success) {
+                        self.renderImportPreview(self.getImportErrors(response.data), []);
+                        return;
+                    }
+
+                    self.importDocument = null;
+                    $('#cfr2wc-import-file').val('');
+                    self.renderImportPreview([{ type: 'success', text: response.data.message }], []);
+                })
+                .fail(function() {
+                    self.renderImportPreview([{ type: 'error', text: cfr2wcAdmin.strings.import_failed }], []);
+                })
+                .always(function() {
+                    $button.prop('disabled', false);
                 });
         },
 
+        getImportErrors: function(data) {
+            return [{ type: 'error', text: data.message }].concat((data.errors || []).map(function(error) {
+                return { type: 'error', text: error };
+            }));
+        },
+
+        renderImportPreview: function(messages, changes) {
+            var $preview = $('#cfr2wc-import-preview').show();
+            var $messages = $preview.find('.cfr2wc-import-messages').empty();
+            var $rows = $preview.find('.cfr2wc-import-changes tbody').empty();
+
+            $.each(messages, function(i, message) {
+                $('<li>').addClass('is-' + message.type).text(message.text).appendTo($messages);
+            });
+
+            $.each(changes, function(i, change) {
+                $('<tr>').append(
+                    $('<th scope="row">').text(change.label),
+                    $('<td>').text(change.current),
+                    $('<td>').text(change.imported)
+                ).appendTo($rows);
+            });
+
+            $preview.find('.cfr2wc-import-changes').toggle(changes.length > 0);
+            $('#cfr2wc-apply-import').toggle(changes.length > 0);
+        },
+
         togglePassword: function(e) {
             e.preventDefault();
 
@@ -149,9 +570,247 @@
         }
     };
 
+    var MigrationTool = {
+        job: null,
+        running: false,
+        pauseRequested: false,
+
+        init: function() {
+            this.bindEvents();
+
+            if (cfr2wcMigration.job) {
+                this.renderJob(cfr2wcMigration.job);
+            }
+        },
+
+        bindEvents: function() {
+            $(document).on('click', '#cfr2wc-migration-scan', this.scan.bind(this));
+            $(document).on('click', '#cfr2wc-migration-start', this.start.bind(this));
+            $(document).on('click', '#cfr2wc-migration-pause', this.pause.bind(this));
+            $(document).on('click', '#cfr2wc-migration-discard', this.discard.bind(this));
+            $(document).on('click', '#cfr2wc-migration-rollback', this.rollback.bind(this));
+        },
+
+        post: function(action, data) {
+            return $.post(cfr2wcMigration.ajax_url, $.extend({
+                action: action,
+                nonce: cfr2wcMigration.nonce
+            }, data));
+        },
+
+        scan: function(e) {
+            e.preventDefault();
+
+            var self = this;
+            var $button = $(e.currentTarget).prop('disabled', true);
+
+            $('#cfr2wc-migration-job').hide();
+            $button.after($('<span class="cfr2wc-migration-scanning"></span>').text(' ' + cfr2wcMigration.strings.scanning));
+
+            this.post('cfr2wc_migration_scan', {
+                prefix: $('#cfr2wc-migration-prefix').val(),
+                bucket: $('#cfr2wc-migration-bucket').val() || '',
+                dry_run: $('#cfr2wc-migration-dry-run').is(':checked')
+            })
+                .done(function(response) {
+                    if (!response.success) {
+                        window.alert(response.data.message);
+                        return;
+                    }
+
+                    self.renderJob(response.data);
+                })
+                .fail(function() {
+                    window.alert(cfr2wcMigration.strings.request_failed);
+                })
+                .always(function() {
+                    $button.prop('disabled', false);
+                    $('.cfr2wc-migration-scanning').remove();
+                });
+        },
+
+        renderJob: function(job) {
+            var $rows = $('.cfr2wc-migration-items tbody').empty();
+
+            this.job = job;
+
+            job.items.forEach(function(item, index) {
+                var $product = item.edit_link ? $('<a></a>').attr('href', item.edit_link).text(item.product_name) : $('<span></span>').text(item.product_name);
+
+                $('<tr></tr>').attr('data-index', index).append(
+                    $('<td></td>').append($product),
+                    $('<td></td>').text(item.download_name),
+                    $('<td></td>').append($('<code></code>').text(item.file)),
+                    $('<td></td>').append(item.target_key ? $('<code></code>').text(item.target_key) : '—'),
+                    $('<td class="cfr2wc-migration-status"></td>')
+                ).appendTo($rows);
+            });
+
+            $('#cfr2wc-migration-job').show();
+            this.updateJob(job);
+        },
+
+        updateJob: function(job) {
+            var strings = cfr2wcMigration.strings;
+            var done = job.position >= job.total;
+            var processed = job.total - job.counts.pending;
+            var counts = (job.dry_run ? strings.dry_run_counts : strings.counts)
+                .replace('%1$d', job.dry_run ? job.counts.ready : job.counts.migrated)
+                .replace('%2$d', job.counts.skipped)
+                .replace('%3$d', job.counts.failed);
+
+            this.job = job;
+
+            job.items.forEach(function(item, index) {
+                var $status = $('.cfr2wc-migration-items tr[data-index="' + index + '"] .cfr2wc-migration-status');
+
+                $status.attr('class', 'cfr2wc-migration-status is-' + item.status).empty()
+                    .append($('<strong></strong>').text(strings.status[item.status] || item.status));
+
+                if (item.message) {
+                    $status.append($('<br>'), $('<span class="description"></span>').text(item.message));
+                }
+            });
+
+            $('.cfr2wc-migration-progress progress').val(job.total ? Math.round(processed / job.total * 100) : 100);
+            $('.cfr2wc-migration-summary').text(
+                strings.progress.replace('%1$d', processed).replace('%2$d', job.total) + ' — ' + counts
+            );
+
+            $('#cfr2wc-migration-start')
+                .text(job.position > 0 ? strings.resume : (job.dry_run ? strings.start_dry_run : strings.start))
+                .toggle(!done && !this.running)
+                .prop('disabled', false);
+            $('#cfr2wc-migration-pause').toggle(this.running).prop('disabled', this.pauseRequested);
+            $('#cfr2wc-migration-discard').toggle(!this.running);
+
+            if (!job.total) {
+                this.setNotice(strings.nothing_found);
+            } else if (done) {
+                this.setNotice(strings.complete);
+            }
+        },
+
+        setNotice: function(message) {
+            $('.cfr2wc-migration-notice').text(message || '');
+        },
+
+        start: function(e) {
+            e.preventDefault();
+
+            this.running = true;
+            this.pauseRequested = false;
+            this.setNotice('');
+            this.updateJob(this.job);
+            this.nextBatch();
+        },
+
+        pause: function(e) {
+            e.preventDefault();
+
+            this.pauseRequested = true;
+            this.setNotice(cfr2wcMigration.strings.pausing);
+            $('#cfr2wc-migration-pause').prop('disabled', true);
+        },
+
+        stop: function(message) {
+            this.running = false;
+            this.pauseRequested = false;
+            this.updateJob(this.job);
+
+            if (message) {
+                this.setNotice(message);
+            }
+        },
+
+        nextBatch: function() {
+            var self = this;
+
+            this.post('cfr2wc_migration_batch', {})
+                .done(function(response) {
+                    if (!response.success) {
+                        self.stop(response.data.message);
+                        return;
+                    }
+
+                    self.job = response.data;
+
+                    if (self.job.position >= self.job.total) {
+                        self.stop('');
+                    } else if (self.pauseRequested) {
+                        self.stop(cfr2wcMigration.strings.paused);
+                    } else {
+                        self.updateJob(self.job);
+                        self.nextBatch();
+                    }
+                })
+                .fail(function() {
+                    // The server saves after every download, resuming picks up where this batch stopped
+                    self.stop(cfr2wcMigration.strings.request_failed);
+                });
+        },
+
+        discard: function(e) {
+            e.preventDefault();
+
+            if (!window.confirm(cfr2wcMigration.strings.confirm_discard)) {
+                return;
+            }
+
+            this.post('cfr2wc_migration_discard', {}).done(function() {
+                $('#cfr2wc-migration-job').hide();
+            });
+        },
+
+        rollback: function(e) {
+            e.preventDefault();
+
+            var $button = $(e.currentTarget);
+            var $status = $('.cfr2wc-migration-rollback-status');
+            var self = this;
+
+            if (!window.confirm(cfr2wcMigration.strings.confirm_rollback)) {
+                return;
+            }
+
+            $button.prop('disabled', true);
+
+            function next() {
+                self.post('cfr2wc_migration_rollback', {})
+                    .done(function(response) {
+                        if (!response.success) {
+                            $status.text(response.data.message);
+                            $button.prop('disabled', false);
+                            return;
+                        }
+
+                        if (response.data.remaining > 0) {
+                            $status.text(cfr2wcMigration.strings.rolling_back.replace('%d', response.data.remaining));
+                            next();
+                        } else {
+                            window.location.reload();
+                        }
+                    })
+                    .fail(function() {
+                        $status.text(cfr2wcMigration.strings.rollback_failed);
+                        $button.prop('disabled', false);
+                    });
+            }
+
+            next();
+        }
+    };
+
     // Initialize on document ready
     $(document).ready(function() {
-        AdminSettings.init();
+        // The migration page loads this script without the settings data
+        if (typeof cfr2wcAdmin !== 'undefined') {
+            AdminSettings.init();
+        }
+
+        if (typeof cfr2wcMigration !== 'undefined') {
+            MigrationTool.init();
+        }
     });
 
 })(jQuery);
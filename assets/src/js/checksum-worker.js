@@ -0,0 +1,267 @@
+/**
+ * Checksum Worker
+ *
+ * Hashes an upload off the main thread while it is being sent. Reports the SHA-256 of the file and
+ * the ETag R2 gives the object: the MD5 of the file, or for multipart uploads the MD5 of the
+ * concatenated part MD5s followed by "-<number of parts>".
+ *
+ * Message in: { file: File, partSize: bytes per multipart part, 0 for single uploads }
+ * Messages out: { type: 'progress', loaded }, { type: 'done', sha256, etag }, { type: 'error', message }
+ */
+
+(function() {
+    'use strict';
+
+    var CHUNK_SIZE = 4 * 1024 * 1024;
+
+    var SHA256_K = [
+        0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+        0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+        0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+        0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+        0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+        0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+        0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+        0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+    ];
+
+    var MD5_S = [
+        7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
+        5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20,
+        4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
+        6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21
+    ];
+
+    var MD5_T = [];
+    for (var t = 0; t < 64; t++) {
+        MD5_T[t] = Math.floor(Math.abs(Math.sin(t + 1)) * 0x100000000) | 0;
+    }
+
+    /**
+     * Incremental hash over 64-byte blocks, shared by SHA-256 and MD5
+     */
+    function BlockHash(state, compress, bigEndian) {
+        this.state = state;
+        this.compress = compress;
+        this.bigEndian = bigEndian;
+        this.words = new Int32Array(64);
+        this.buffer = new Uint8Array(64);
+        this.buffered = 0;
+        this.length = 0;
+    }
+
+    BlockHash.prototype.update = function(bytes) {
+        var offset = 0;
+
+        this.length += bytes.length;
+
+        // Complete the block left over from the previous chunk first
+        if (this.buffered > 0) {
+            offset = Math.min(64 - this.buffered, bytes.length);
+            this.buffer.set(bytes.subarray(0, offset), this.buffered);
+            this.buffered += offset;
+
+            if (this.buffered < 64) {
+                return;
+            }
+
+            this.compress(this.buffer, 0);
+            this.buffered = 0;
+        }
+
+        for (; offset + 64 <= bytes.length; offset += 64) {
+            this.compress(bytes, offset);
+        }
+
+        if (offset < bytes.length) {
+            this.buffer.set(bytes.subarray(offset), 0);
+            this.buffered = bytes.length - offset;
+        }
+    };
+
+    BlockHash.prototype.digest = function() {
+        var bits = this.length * 8;
+        var padding = new Uint8Array((this.buffered < 56 ? 64 : 128) - this.buffered);
+        var end = padding.length;
+        var high = Math.floor(bits / 0x100000000);
+        var low = bits >>> 0;
+        var output = new Uint8Array(this.state.length * 4);
+        var i;
+
+        padding[0] = 0x80;
+
+        for (i = 0; i < 4; i++) {
+            if (this.bigEndian) {
+                padding[end - 8 + i] = (high >>> (24 - i * 8)) & 0xff;
+                padding[end - 4 + i] = (low >>> (24 - i * 8)) & 0xff;
+            } else {
+                padding[end - 8 + i] = (low >>> (i * 8)) & 0xff;
+                padding[end - 4 + i] = (high >>> (i * 8)) & 0xff;
+            }
+        }
+
+        this.update(padding);
+
+        for (i = 0; i < output.length; i++) {
+            var word = this.state[i >> 2];
+            output[i] = this.bigEndian ? (word >>> (24 - (i & 3) * 8)) & 0xff : (word >>> ((i & 3) * 8)) & 0xff;
+        }
+
+        return output;
+    };
+
+    function sha256() {
+        var hash = new BlockHash([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19], function(data, offset) {
+            var w = hash.words;
+            var s = hash.state;
+            var i, j, x, y;
+
+            for (i = 0; i < 16; i++) {
+                j = offset + i * 4;
+                w[i] = (data[j] << 24) | (data[j + 1] << 16) | (data[j + 2] << 8) | data[j + 3];
+            }
+
+            for (i = 16; i < 64; i++) {
+                x = w[i - 15];
+                y = w[i - 2];
+                w[i] = (w[i - 16] + w[i - 7] +
+                    (((x >>> 7) | (x << 25)) ^ ((x >>> 18) | (x << 14)) ^ (x >>> 3)) +
+                    (((y >>> 17) | (y << 15)) ^ ((y >>> 19) | (y << 13)) ^ (y >>> 10))) | 0;
+            }
+
+            var a = s[0], b = s[1], c = s[2], d = s[3], e = s[4], f = s[5], g = s[6], h = s[7];
+
+            for (i = 0; i < 64; i++) {
+                var t1 = (h + (((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7))) +
+                    ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]) | 0;
+                var t2 = ((((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10))) +
+                    ((a & b) ^ (a & c) ^ (b & c))) | 0;
+
+                h = g;
+                g = f;
+                f = e;
+                e = (d + t1) | 0;
+                d = c;
+                c = b;
+                b = a;
+                a = (t1 + t2) | 0;
+            }
+
+            s[0] = (s[0] + a) | 0;
+            s[1] = (s[1] + b) | 0;
+            s[2] = (s[2] + c) | 0;
+            s[3] = (s[3] + d) | 0;
+            s[4] = (s[4] + e) | 0;
+            s[5] = (s[5] + f) | 0;
+            s[6] = (s[6] + g) | 0;
+            s[7] = (s[7] + h) | 0;
+        }, true);
+
+        return hash;
+    }
+
+    function md5() {
+        var hash = new BlockHash([0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476], function(data, offset) {
+            var x = hash.words;
+            var s = hash.state;
+            var a = s[0], b = s[1], c = s[2], d = s[3];
+            var i, j, f, g, sum, previous;
+
+            for (i = 0; i < 16; i++) {
+                j = offset + i * 4;
+                x[i] = data[j] | (data[j + 1] << 8) | (data[j + 2] << 16) | (data[j + 3] << 24);
+            }
+
+            for (i = 0; i < 64; i++) {
+                if (i < 16) {
+                    f = (b & c) | (~b & d);
+                    g = i;
+                } else if (i < 32) {
+                    f = (d & b) | (~d & c);
+                    g = (5 * i + 1) & 15;
+                } else if (i < 48) {
+                    f = b ^ c ^ d;
+                    g = (3 * i + 5) & 15;
+                } else {
+                    f = c ^ (b | ~d);
+                    g = (7 * i) & 15;
+                }
+
+                sum = (a + f + MD5_T[i] + x[g]) | 0;
+                previous = d;
+                d = c;
+                c = b;
+                b = (b + ((sum << MD5_S[i]) | (sum >>> (32 - MD5_S[i])))) | 0;
+                a = previous;
+            }
+
+            s[0] = (s[0] + a) | 0;
+            s[1] = (s[1] + b) | 0;
+            s[2] = (s[2] + c) | 0;
+            s[3] = (s[3] + d) | 0;
+        }, false);
+
+        return hash;
+    }
+
+    function toHex(bytes) {
+        var hex = '';
+
+        for (var i = 0; i < bytes.length; i++) {
+            hex += (bytes[i] < 16 ? '0' : '') + bytes[i].toString(16);
+        }
+
+        return hex;
+    }
+
+    function hashFile(file, partSize) {
+        var reader = new FileReaderSync();
+        var multipart = partSize > 0 && file.size > partSize;
+        var fileHash = sha256();
+        var partHash = md5();
+        var partDigests = [];
+        var offset = 0;
+
+        while (offset < file.size) {
+            var end = Math.min(offset + CHUNK_SIZE, file.size);
+
+            // Chunks never span two parts, so each part's MD5 ends on a chunk boundary
+            if (multipart) {
+                end = Math.min(end, (Math.floor(offset / partSize) + 1) * partSize);
+            }
+
+            var bytes = new Uint8Array(reader.readAsArrayBuffer(file.slice(offset, end)));
+
+            fileHash.update(bytes);
+            partHash.update(bytes);
+            offset = end;
+
+            if (multipart && (offset % partSize === 0 || offset === file.size)) {
+                partDigests.push(partHash.digest());
+                partHash = md5();
+            }
+
+            self.postMessage({ type: 'progress', loaded: offset });
+        }
+
+        if (multipart) {
+            partDigests.forEach(function(digest) {
+                partHash.update(digest);
+            });
+        }
+
+        return {
+            type: 'done',
+            sha256: toHex(fileHash.digest()),
+            etag: toHex(partHash.digest()) + (multipart ? '-' + partDigests.length : '')
+        };
+    }
+
+    self.addEventListener('message', function(e) {
+        try {
+            self.postMessage(hashFile(e.data.file, e.data.partSize || 0));
+        } catch (error) {
+            self.postMessage({ type: 'error', message: error.message });
+        }
+    });
+})();
@@ -8,18 +8,45 @@
     'use strict';
 
     var ProductR2Selector = {
+        currentBucket: '', // Bucket browsed and uploaded to in both modals
         currentFolderPath: '',
         uploadFolderPath: '',
-        selectedFile: null,
+        selectedFiles: [], // Files picked in the Choose modal, in selection order
+        fileSort: { orderby: 'file_name', order: 'asc' },
+        fileCursor: null, // Server cursor for the next page of the file table
+        fileTotal: 0,
+        fileLastGroup: null, // Folder of the last row rendered while searching everywhere
+        searchEverywhere: false,
+        previewRequest: null,
+        fileRequest: null,
+        fileSearchTimer: null,
         currentRow: null, // Track which row we're working with
+        uploadQueue: [], // Files queued in the upload modal
+        uploadQueueId: 0,
+        uploadTargetRow: null, // Row the upload modal was opened from
+        uploadUsedRows: [], // Rows already filled by this upload batch
+        conflictChoice: null, // Overwrite, rename or skip picked with "apply to all" for this upload batch
+        resumeRecord: null, // Stored upload waiting for its file to be picked again
         folderStructure: {}, // Cache of folder structure
+        folderTree: {}, // Nested folder tree as returned by the server
+        folderCounts: {}, // Number of files directly inside each folder
         autocompleteSelectedIndex: -1,
+        objectStatus: {}, // Existence checks for objects used by download rows, keyed by bucket and object key
+        validateTimer: null,
+        optionsRow: null, // Row whose shortcode is open in the options modal
+        release: null, // Download open in the release modal: row, product and download IDs, history
+        releaseItem: null, // Upload of a new version, kept out of the upload modal's queue
+        syncTimer: null, // Next poll of the background sync status
 
         init: function() {
+            this.currentBucket = cfr2wcProduct.default_bucket;
             this.injectButtons();
             this.bindEvents();
             this.observeNewRows();
-            this.loadFolderStructure();
+            this.loadFolderTree();
+            this.restoreFolderPanel();
+            this.showResumeNotices();
+            this.renderDefaultMetadata();
         },
 
         injectButtons: function() {
@@ -55,6 +82,8 @@
                     $rows.each(function() {
                         self.injectButtonsIntoRow($(this));
                     });
+
+                    self.validateDownloadRows();
                 } else {
                     attempts++;
                     if (attempts < maxAttempts) {
@@ -99,7 +128,7 @@
                         cfr2wcProduct.strings.upload_r2 +
                         '</button>');
 
-                    $r2Buttons.append($chooseBtn).append(' ').append($uploadBtn);
+                    $r2Buttons.append($chooseBtn).append(' ').append($uploadBtn).append(' ').append(this.renderOptionsButton()).append(' ').append(this.renderReleaseButton());
                     $cell.append($r2Buttons);
                 }
                 return;
@@ -120,12 +149,26 @@
                 cfr2wcProduct.strings.upload_r2 +
                 '</button>');
 
-            $r2Buttons.append($chooseBtn).append(' ').append($uploadBtn);
+            $r2Buttons.append($chooseBtn).append(' ').append($uploadBtn).append(' ').append(this.renderOptionsButton()).append(' ').append(this.renderReleaseButton());
 
             // Insert after the hidden Choose file button
             $chooseFileBtn.after($r2Buttons);
         },
 
+        renderOptionsButton: function() {
+            return $('<button type="button" class="button cfr2wc-edit-r2-options"></button>')
+                .attr('title', cfr2wcProduct.strings.edit_options)
+                .attr('aria-label', cfr2wcProduct.strings.edit_options)
+                .append('<span class="dashicons dashicons-admin-generic"></span>');
+        },
+
+        renderReleaseButton: function() {
+            return $('<button type="button" class="button cfr2wc-release-r2-file"></button>')
+                .attr('title', cfr2wcProduct.strings.new_version)
+                .attr('aria-label', cfr2wcProduct.strings.new_version)
+                .append('<span class="dashicons dashicons-backup"></span>');
+        },
+
         observeNewRows: function() {
             var self = this;
 
@@ -173,6 +216,52 @@
                 self.openUploadModal();
             });
 
+            // Re-check download rows as their file URLs change
+            $(document).on('change input', '.downloadable_files tbody input', function() {
+                self.scheduleValidation();
+            });
+
+            // Shortcode options for a row
+            $(document).on('click', '.cfr2wc-edit-r2-options', function(e) {
+                e.preventDefault();
+                self.openOptionsModal($(this).closest('tr'));
+            });
+
+            $('.cfr2wc-options-modal-close').on('click', function() {
+                self.closeOptionsModal();
+            });
+
+            $('#cfr2wc-options-form').on('input change', function() {
+                self.updateOptionsPreview();
+            }).on('submit', function(e) {
+                e.preventDefault();
+                self.applyOptions();
+            });
+
+            // New versions of a row's file
+            $(document).on('click', '.cfr2wc-release-r2-file', function(e) {
+                e.preventDefault();
+                self.openReleaseModal($(this).closest('tr'));
+            });
+
+            $('.cfr2wc-release-modal-close').on('click', function() {
+                self.closeReleaseModal();
+            });
+
+            $('#cfr2wc-release-version, #cfr2wc-release-file').on('input change', function() {
+                self.updateReleaseKey();
+            });
+
+            $('#cfr2wc-release-form').on('submit', function(e) {
+                e.preventDefault();
+                self.startRelease();
+            });
+
+            $(document).on('click', '.cfr2wc-release-rollback', function(e) {
+                e.preventDefault();
+                self.rollbackRelease($(this).data('index'));
+            });
+
             // Modal close buttons
             $('.cfr2wc-modal-close, .cfr2wc-modal-cancel').on('click', function() {
                 self.closeModal();
@@ -184,12 +273,12 @@
 
             // Breadcrumb navigation - clicking items navigates to that level
             $(document).on('click', '#cfr2wc-breadcrumb .cfr2wc-breadcrumb-item', function() {
-                var path = $(this).data('path');
+                var path = $(this).attr('data-path');
                 self.navigateToFolder(path, 'choose');
             });
 
             $(document).on('click', '#cfr2wc-upload-breadcrumb .cfr2wc-breadcrumb-item', function() {
-                var path = $(this).data('path');
+                var path = $(this).attr('data-path');
                 self.navigateToFolder(path, 'upload');
             });
 
@@ -226,16 +315,102 @@
                 self.selectAutocompleteFolder(folder, modalType);
             });
 
+            // Folder tree sidebar
+            $(document).on('click', '#cfr2wc-folder-tree .cfr2wc-folder-toggle', function(e) {
+                e.stopPropagation();
+                self.toggleFolder($(this).closest('.cfr2wc-folder-item'));
+            });
+
+            $(document).on('click', '#cfr2wc-folder-tree .cfr2wc-folder-label', function() {
+                self.selectFolder($(this).closest('.cfr2wc-folder-item').attr('data-folder-path'));
+            });
+
+            $(document).on('keydown', '#cfr2wc-folder-tree .cfr2wc-folder-label', function(e) {
+                self.handleFolderTreeKeydown(e);
+            });
+
+            // Switch bucket (the dropdowns only exist when more than one bucket is configured)
+            $('#cfr2wc-bucket-select, #cfr2wc-upload-bucket-select').on('change', function() {
+                self.switchBucket($(this).val());
+            });
+
+            $('.cfr2wc-refresh-tree').on('click', function(e) {
+                e.preventDefault();
+                self.syncR2Files();
+            });
+
+            $('.cfr2wc-toggle-folder-panel').on('click', function() {
+                self.toggleFolderPanel();
+            });
+
+            $('.cfr2wc-create-folder').on('click', function() {
+                self.createFolder();
+            });
+
             // Add file button
             $('.cfr2wc-add-file-btn').on('click', function() {
                 self.addFileToProduct();
             });
 
+            // File table: search, sorting, infinite scroll and click-to-select
+            $('#cfr2wc-file-search-input').on('input', function() {
+                clearTimeout(self.fileSearchTimer);
+                self.fileSearchTimer = setTimeout(function() {
+                    self.loadFileTable(true);
+                }, 250);
+            });
+
+            $('#cfr2wc-search-everywhere').on('change', function() {
+                self.setSearchEverywhere(this.checked);
+            });
+
+            $('#cfr2wc-file-table thead').on('click', '.cfr2wc-sortable .button-link', function() {
+                self.setFileSort($(this).closest('th').attr('data-sort'));
+            });
+
+            $('#cfr2wc-file-table tbody').on('click', 'tr[data-object-key]', function() {
+                self.toggleFileSelection($(this));
+            }).on('click', 'tr.cfr2wc-file-group .button-link', function() {
+                self.jumpToFolderGroup($(this).closest('tr').attr('data-folder-path'));
+            }).on('click', '.cfr2wc-file-action', function(e) {
+                // Row actions shouldn't toggle the selection
+                e.stopPropagation();
+
+                var file = $(this).closest('tr').data('file');
+
+                if ($(this).attr('data-action') === 'delete') {
+                    self.deleteObject(file);
+                } else {
+                    self.moveObject(file);
+                }
+            }).on('keydown', 'tr[data-object-key]', function(e) {
+                if (e.target !== this) {
+                    return;
+                }
+
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    self.toggleFileSelection($(this));
+                }
+            });
+
+            $('#cfr2wc-file-table-wrapper').on('scroll', function() {
+                self.maybeLoadMoreFiles();
+            });
+
+            // Select every file in the current folder
+            $('.cfr2wc-select-all-files').on('click', function(e) {
+                e.preventDefault();
+                self.selectAllInFolder();
+            });
+
             // Upload: file input
             $('#cfr2wc-file-input').on('change', function() {
                 if (this.files.length > 0) {
-                    self.uploadFile(this.files[0]);
+                    self.queueFiles(this.files);
                 }
+                // Allow picking the same file again
+                $(this).val('');
             });
 
             // Upload: drop zone
@@ -252,7 +427,83 @@
                 $(this).removeClass('drag-over');
                 var files = e.originalEvent.dataTransfer.files;
                 if (files.length > 0) {
-                    self.uploadFile(files[0]);
+                    self.queueFiles(files);
+                }
+            });
+
+            // Upload: go back to the path built from the object key template
+            $('#cfr2wc-key-template-reset').on('click', function(e) {
+                e.preventDefault();
+                self.applyKeyTemplate();
+                self.renderBreadcrumb('upload');
+            });
+
+            // Upload: metadata rows in the Advanced section
+            $('#cfr2wc-upload-metadata-add').on('click', function(e) {
+                e.preventDefault();
+                $('#cfr2wc-upload-metadata-rows').append(self.renderMetadataRow('', ''));
+                $('#cfr2wc-upload-metadata-rows .cfr2wc-metadata-key').last().focus();
+            });
+
+            $('#cfr2wc-upload-metadata-rows').on('click', '.cfr2wc-metadata-remove', function(e) {
+                e.preventDefault();
+                $(this).closest('.cfr2wc-metadata-row').remove();
+            });
+
+            // Upload queue: per-file actions
+            $(document).on('click', '.cfr2wc-upload-cancel', function(e) {
+                e.preventDefault();
+                self.cancelUpload($(this).closest('.cfr2wc-upload-item').data('id'));
+            });
+
+            $(document).on('click', '.cfr2wc-upload-retry', function(e) {
+                e.preventDefault();
+                self.retryUpload($(this).closest('.cfr2wc-upload-item').data('id'));
+            });
+
+            $(document).on('click', '.cfr2wc-conflict-choice', function(e) {
+                e.preventDefault();
+                var applyToAll = $(this).closest('.cfr2wc-upload-conflict').find('.cfr2wc-conflict-all').is(':checked');
+                self.chooseConflict($(this).closest('.cfr2wc-upload-item').data('id'), $(this).data('choice'), applyToAll);
+            });
+
+            // Resumable uploads
+            $(window).on('online', function() {
+                self.resumeOfflineUploads();
+            });
+
+            $(document).on('click', '.cfr2wc-resume-upload', function(e) {
+                e.preventDefault();
+                self.resumeRecord = self.getStoredUpload($(this).closest('.cfr2wc-resume-notice').attr('data-object-key'));
+                if (self.resumeRecord) {
+                    $('#cfr2wc-resume-file-input').val('').click();
+                }
+            });
+
+            $(document).on('click', '.cfr2wc-discard-upload', function(e) {
+                e.preventDefault();
+                var record = self.getStoredUpload($(this).closest('.cfr2wc-resume-notice').attr('data-object-key'));
+                if (record && confirm(cfr2wcProduct.strings.confirm_abort)) {
+                    self.abortMultipartUpload(record.object_key, record.upload_id);
+                }
+            });
+
+            $('#cfr2wc-resume-file-input').on('change', function() {
+                if (this.files.length > 0 && self.resumeRecord) {
+                    self.resumeStoredUpload(self.resumeRecord, this.files[0]);
+                }
+            });
+
+            $('#cfr2wc-unfinished-uploads').on('toggle', function() {
+                if (this.open) {
+                    self.loadUnfinishedUploads();
+                }
+            });
+
+            $(document).on('click', '.cfr2wc-abort-unfinished', function(e) {
+                e.preventDefault();
+                if (confirm(cfr2wcProduct.strings.confirm_abort)) {
+                    self.abortMultipartUpload($(this).attr('data-object-key'), $(this).attr('data-upload-id'));
                 }
             });
         },
@@ -262,30 +513,45 @@
 
             // Reload folder structure to ensure it's fresh
             if (Object.keys(this.folderStructure).length === 0) {
-                this.loadFolderStructure();
+                this.loadFolderTree();
             }
 
             this.renderBreadcrumb('choose');
-            this.initFileSelect2();
+            this.highlightFolder(this.currentFolderPath);
+            this.loadFileTable(true);
         },
 
         closeModal: function() {
             $('#cfr2wc-modal').fadeOut(200);
-            $('#cfr2wc-file-select').val(null).trigger('change');
-            this.selectedFile = null;
-            $('#cfr2wc-file-preview').hide();
-            $('.cfr2wc-add-file-btn').prop('disabled', true);
+            this.clearSelection();
+        },
+
+        clearSelection: function() {
+            this.selectedFiles = [];
+            this.hideFilePreview();
+            this.updateSelectionState();
         },
 
         openUploadModal: function() {
             $('#cfr2wc-upload-modal').fadeIn(200);
             $('#cfr2wc-file-input').val('');
-            $('#cfr2wc-upload-progress').hide();
-            $('#cfr2wc-drop-zone').show();
+
+            // Start a fresh batch unless uploads from the previous one are still running
+            if (!this.isUploadQueueBusy()) {
+                this.uploadQueue = [];
+                this.uploadUsedRows = [];
+                this.uploadTargetRow = this.currentRow;
+                this.conflictChoice = null;
+                $('#cfr2wc-upload-queue').hide().find('.cfr2wc-upload-items').empty();
+                this.applyKeyTemplate();
+            }
+
+            // Unfinished multipart uploads only exist in direct mode
+            $('#cfr2wc-unfinished-uploads').toggle(cfr2wcProduct.upload_mode === 'direct').prop('open', false);
 
             // Reload folder structure to ensure it's fresh
             if (Object.keys(this.folderStructure).length === 0) {
-                this.loadFolderStructure();
+                this.loadFolderTree();
             }
 
             this.renderBreadcrumb('upload');
@@ -295,357 +561,2820 @@
             $('#cfr2wc-upload-modal').fadeOut(200);
         },
 
+        switchBucket: function(bucket) {
+            if (bucket === this.currentBucket) {
+                return;
+            }
+
+            this.currentBucket = bucket;
+            $('#cfr2wc-bucket-select, #cfr2wc-upload-bucket-select').val(bucket);
+
+            // Folders and selections belong to the previous bucket
+            this.currentFolderPath = '';
+            this.uploadFolderPath = '';
+            this.applyKeyTemplate();
+            this.folderStructure = {};
+            this.folderTree = {};
+            this.folderCounts = {};
+            this.clearSelection();
+            $('#cfr2wc-unfinished-uploads').prop('open', false);
+
+            this.loadFolderTree();
+            this.renderBreadcrumb('choose');
+            this.renderBreadcrumb('upload');
+
+            if ($('#cfr2wc-modal').is(':visible')) {
+                this.loadFileTable(true);
+            }
+        },
+
         loadFolderTree: function() {
             var self = this;
 
             $.post(cfr2wcProduct.ajax_url, {
                 action: 'cfr2wc_get_folder_tree',
-                nonce: cfr2wcProduct.nonce
+                nonce: cfr2wcProduct.nonce,
+                bucket: self.currentBucket
             }, function(response) {
-                if (response.success) {
+                if (response.success && response.data && response.data.tree) {
+                    self.folderTree = response.data.tree;
+                    self.folderCounts = response.data.counts || {};
+                    self.folderStructure = self.buildFolderMap(self.folderTree);
+
                     // Clear existing tree content first (except root)
-                    $('#cfr2wc-folder-tree').find('.cfr2wc-folder-item').not('.cfr2wc-folder-root').remove();
-                    $('#cfr2wc-folder-tree').find('.cfr2wc-folder-children').remove();
+                    var $root = $('#cfr2wc-folder-tree .cfr2wc-folder-root');
+                    $root.children('.cfr2wc-folder-children').remove();
+                    $root.data('children', self.folderTree).attr('aria-expanded', 'false');
+                    $root.find('.cfr2wc-folder-count').first().text(self.getFolderCount(''));
+
+                    self.toggleFolder($root, true);
+                    self.highlightFolder(self.currentFolderPath);
 
-                    self.renderFolderTree(response.data.tree);
+                    // The tree stays empty until the first sync of a bucket has listed some files
+                    self.watchSync(response.data.sync);
+                } else {
+                    console.error('CFR2WC: Failed to load folder tree:', response);
                 }
+            }).fail(function(xhr, status, error) {
+                console.error('CFR2WC: AJAX error loading folder tree:', error);
             });
         },
 
-        renderFolderTree: function(tree, parentPath, parentElement) {
+        renderFolderTree: function(tree, parentPath, parentElement, level) {
             var self = this;
-            parentPath = parentPath || '';
-
-            // Set parent element default, but ensure we don't re-add to root when recursing
-            if (!parentElement) {
-                parentElement = $('#cfr2wc-folder-tree');
-            }
+            var $group = $('<div class="cfr2wc-folder-children" role="group"></div>');
 
+            // Only one level is rendered here, deeper levels are rendered when their parent is expanded
             $.each(tree, function(folderName, children) {
                 var folderPath = parentPath ? parentPath + '/' + folderName : folderName;
                 var hasChildren = Object.keys(children).length > 0;
 
-                var $folder = $('<div>')
-                    .addClass('cfr2wc-folder-item')
+                var $label = $('<div class="cfr2wc-folder-label" tabindex="-1"></div>')
+                    .append($('<span class="cfr2wc-folder-toggle"></span>').toggleClass('dashicons dashicons-arrow-right-alt2', hasChildren))
+                    .append('<span class="dashicons dashicons-category"></span>')
+                    .append($('<span class="cfr2wc-folder-name"></span>').text(folderName))
+                    .append($('<span class="cfr2wc-folder-count"></span>').text(self.getFolderCount(folderPath)));
+
+                var $folder = $('<div class="cfr2wc-folder-item" role="treeitem" aria-selected="false"></div>')
                     .attr('data-folder-path', folderPath)
-                    .html(
-                        '<span class="dashicons dashicons-category"></span>' +
-                        '<span class="cfr2wc-folder-name">' + folderName + '</span>' +
-                        (hasChildren ? '<span class="dashicons dashicons-arrow-right-alt2 cfr2wc-folder-toggle"></span>' : '')
-                    );
+                    .attr('aria-level', level)
+                    .data('children', children)
+                    .append($label);
 
                 if (hasChildren) {
-                    var $children = $('<div>').addClass('cfr2wc-folder-children').hide();
-                    self.renderFolderTree(children, folderPath, $children);
-                    $folder.append($children);
-
-                    // Toggle children
-                    $folder.find('.cfr2wc-folder-toggle').on('click', function(e) {
-                        e.stopPropagation();
-                        $children.slideToggle(200);
-                        $(this).toggleClass('expanded');
-                    });
+                    $folder.attr('aria-expanded', 'false');
                 }
 
-                parentElement.append($folder);
+                $group.append($folder);
             });
-        },
 
-        selectFolder: function(folderPath) {
-            this.currentFolderPath = folderPath;
-
-            // Update UI
-            $('.cfr2wc-folder-item').removeClass('active');
-            $('.cfr2wc-folder-item[data-folder-path="' + folderPath + '"]').addClass('active');
-            $('#cfr2wc-current-folder').text('/' + folderPath || '/');
-
-            // Reload file selector
-            $('#cfr2wc-file-select').val(null).trigger('change');
-            this.selectedFile = null;
-            $('#cfr2wc-file-preview').hide();
-            $('.cfr2wc-add-file-btn').prop('disabled', true);
-        },
-
-        initFileSelect2: function() {
-            var self = this;
-
-            $('#cfr2wc-file-select').select2({
-                ajax: {
-                    url: cfr2wcProduct.ajax_url,
-                    dataType: 'json',
-                    delay: 250,
-                    data: function(params) {
-                        return {
-                            action: 'cfr2wc_search_files',
-                            nonce: cfr2wcProduct.nonce,
-                            search: params.term || '',
-                            folder_path: self.currentFolderPath
-                        };
-                    },
-                    processResults: function(data) {
-                        if (!data.success) {
-                            return { results: [] };
-                        }
+            parentElement.append($group);
+        },
 
-                        return {
-                            results: data.data.files.map(function(file) {
-                                return {
-                                    id: file.object_key,
-                                    text: file.file_name + ' (' + file.file_size_formatted + ')',
-                                    file: file
-                                };
-                            })
-                        };
-                    },
-                    cache: true
-                },
-                placeholder: cfr2wcProduct.strings.select_file,
-                minimumInputLength: 0,
-                width: '100%'
-            });
+        getFolderCount: function(folderPath) {
+            return String(this.folderCounts[folderPath] || 0);
+        },
 
-            $('#cfr2wc-file-select').on('select2:select', function(e) {
-                self.selectedFile = e.params.data.file;
-                self.showFilePreview(self.selectedFile);
-                $('.cfr2wc-add-file-btn').prop('disabled', false);
+        findFolderItem: function(folderPath) {
+            // Compare attributes directly, folder names may contain selector characters
+            return $('#cfr2wc-folder-tree .cfr2wc-folder-item').filter(function() {
+                return $(this).attr('data-folder-path') === folderPath;
             });
         },
 
-        showFilePreview: function(file) {
-            $('#cfr2wc-preview-name').text(file.file_name);
-            $('#cfr2wc-preview-size').text(file.file_size_formatted);
-            $('#cfr2wc-preview-path').text(file.object_key);
-            $('#cfr2wc-file-preview').fadeIn(200);
-        },
+        toggleFolder: function($item, expand) {
+            var children = $item.data('children');
 
-        addFileToProduct: function() {
-            if (!this.selectedFile) {
-                alert(cfr2wcProduct.strings.select_file);
+            if (!children || Object.keys(children).length === 0) {
                 return;
             }
 
-            if (!this.currentRow) {
-                alert('Could not find file row');
-                return;
+            if (typeof expand === 'undefined') {
+                expand = $item.attr('aria-expanded') !== 'true';
             }
 
-            // Build shortcode
-            var shortcode = '[cloudflare_r2 object="' + this.selectedFile.object_key + '"]';
-
+            var $children = $item.children('.cfr2wc-folder-children');
 
-            // Try multiple selectors for the file NAME input (first field)
-            var $fileNameInput = this.currentRow.find('input.file_name');
-
-            if ($fileNameInput.length === 0) {
-                $fileNameInput = this.currentRow.find('input[name*="[name]"]');
+            if (expand && $children.length === 0) {
+                this.renderFolderTree(children, $item.attr('data-folder-path'), $item, parseInt($item.attr('aria-level'), 10) + 1);
+                $children = $item.children('.cfr2wc-folder-children');
             }
 
-            if ($fileNameInput.length === 0) {
-                $fileNameInput = this.currentRow.find('input[type="text"]').first();
-            }
+            $children.toggle(expand);
+            $item.attr('aria-expanded', expand ? 'true' : 'false');
+            $item.children('.cfr2wc-folder-label').find('.cfr2wc-folder-toggle').toggleClass('expanded', expand);
+        },
 
-            // Try multiple selectors for the file URL input (second field)
-            var $fileUrlInput = this.currentRow.find('input.file_url');
+        highlightFolder: function(folderPath) {
+            var $item = $('#cfr2wc-folder-tree .cfr2wc-folder-root');
 
-            if ($fileUrlInput.length === 0) {
-                $fileUrlInput = this.currentRow.find('input[name*="[file]"]');
-            }
+            // Expand every ancestor so the folder is visible
+            if (folderPath) {
+                var segments = folderPath.split('/').filter(function(s) { return s.length > 0; });
+                var builtPath = '';
 
-            if ($fileUrlInput.length === 0) {
-                $fileUrlInput = this.currentRow.find('input[type="text"]').eq(1);
+                for (var i = 0; i < segments.length && $item.length; i++) {
+                    builtPath += (builtPath ? '/' : '') + segments[i];
+                    this.toggleFolder($item, true);
+                    $item = this.findFolderItem(builtPath);
+                }
             }
 
+            $('#cfr2wc-folder-tree .cfr2wc-folder-item').removeClass('active').attr('aria-selected', 'false');
 
-            // Determine file name to use
-            var fileName;
-            if (cfr2wcProduct.use_generic_download_name) {
-                // Use generic "Download" name if setting is enabled
-                fileName = 'Download';
-            } else {
-                // Trim extension from filename
-                fileName = this.selectedFile.file_name;
-                var lastDotIndex = fileName.lastIndexOf('.');
-                if (lastDotIndex > 0) {
-                    fileName = fileName.substring(0, lastDotIndex);
-                }
+            if ($item.length === 0) {
+                return;
             }
 
-            if ($fileNameInput.length > 0) {
-                $fileNameInput.val(fileName);
+            $item.addClass('active').attr('aria-selected', 'true');
+            this.focusFolderLabel($item.children('.cfr2wc-folder-label'), false);
+        },
+
+        focusFolderLabel: function($label, moveFocus) {
+            if ($label.length === 0) {
+                return;
             }
 
-            if ($fileUrlInput.length > 0) {
-                $fileUrlInput.val(shortcode);
+            // Roving tabindex: only one label in the tree is reachable with Tab
+            $('#cfr2wc-folder-tree .cfr2wc-folder-label').attr('tabindex', '-1');
+            $label.attr('tabindex', '0');
+
+            if (moveFocus !== false) {
+                $label.focus();
             }
+        },
 
-            // Trigger change event so WooCommerce knows the fields changed
-            $fileUrlInput.trigger('change');
-            $fileNameInput.trigger('change');
+        handleFolderTreeKeydown: function(e) {
+            var $label = $(e.currentTarget);
+            var $item = $label.closest('.cfr2wc-folder-item');
+            var $visible = $('#cfr2wc-folder-tree .cfr2wc-folder-label:visible');
+            var index = $visible.index($label);
 
-            // Close modal
-            this.closeModal();
+            switch (e.key) {
+                case 'ArrowDown':
+                    this.focusFolderLabel($visible.eq(index + 1));
+                    break;
 
-            // Reset current row
-            this.currentRow = null;
-        },
+                case 'ArrowUp':
+                    if (index > 0) {
+                        this.focusFolderLabel($visible.eq(index - 1));
+                    }
+                    break;
 
-        uploadFile: function(file) {
-            var self = this;
+                case 'ArrowRight':
+                    if ($item.attr('aria-expanded') === 'false') {
+                        this.toggleFolder($item, true);
+                    } else if ($item.attr('aria-expanded') === 'true') {
+                        this.focusFolderLabel($item.children('.cfr2wc-folder-children').find('.cfr2wc-folder-label').first());
+                    }
+                    break;
 
-            // Show progress
-            $('#cfr2wc-drop-zone').hide();
-            $('#cfr2wc-upload-progress').show();
-            $('.cfr2wc-upload-status').text(cfr2wcProduct.strings.uploading);
+                case 'ArrowLeft':
+                    if ($item.attr('aria-expanded') === 'true') {
+                        this.toggleFolder($item, false);
+                    } else {
+                        this.focusFolderLabel($item.parent().closest('.cfr2wc-folder-item').children('.cfr2wc-folder-label'));
+                    }
+                    break;
 
-            // Get folder path from breadcrumb navigation
-            var folderPath = self.uploadFolderPath || '';
+                case 'Home':
+                    this.focusFolderLabel($visible.first());
+                    break;
 
-            var formData = new FormData();
-            formData.append('action', 'cfr2wc_upload_to_r2');
-            formData.append('nonce', cfr2wcProduct.nonce);
-            formData.append('file', file);
-            formData.append('folder_path', folderPath);
+                case 'End':
+                    this.focusFolderLabel($visible.last());
+                    break;
 
-            $.ajax({
-                url: cfr2wcProduct.ajax_url,
-                type: 'POST',
-                data: formData,
-                processData: false,
-                contentType: false,
-                xhr: function() {
-                    var xhr = new window.XMLHttpRequest();
-                    xhr.upload.addEventListener('progress', function(e) {
-                        if (e.lengthComputable) {
-                            var percent = (e.loaded / e.total) * 100;
-                            $('.cfr2wc-progress-fill').css('width', percent + '%');
-                        }
-                    }, false);
-                    return xhr;
-                },
-                success: function(response) {
-                    if (response.success) {
-                        $('.cfr2wc-upload-status').text(cfr2wcProduct.strings.upload_success);
+                case 'Enter':
+                case ' ':
+                    this.selectFolder($item.attr('data-folder-path'));
+                    break;
 
-                        // Build shortcode
-                        var shortcode = '[cloudflare_r2 object="' + response.data.object_key + '"]';
+                default:
+                    return;
+            }
 
-                        // Insert into the current row's fields
-                        if (self.currentRow) {
-                            // Try multiple selectors for the file NAME input (first field)
-                            var $fileNameInput = self.currentRow.find('input.file_name');
-                            if ($fileNameInput.length === 0) {
-                                $fileNameInput = self.currentRow.find('input[name*="[name]"]');
-                            }
-                            if ($fileNameInput.length === 0) {
-                                $fileNameInput = self.currentRow.find('input[type="text"]').first();
-                            }
+            e.preventDefault();
+        },
 
-                            // Try multiple selectors for the file URL input (second field)
-                            var $fileUrlInput = self.currentRow.find('input.file_url');
-                            if ($fileUrlInput.length === 0) {
-                                $fileUrlInput = self.currentRow.find('input[name*="[file]"]');
-                            }
-                            if ($fileUrlInput.length === 0) {
-                                $fileUrlInput = self.currentRow.find('input[type="text"]').eq(1);
-                            }
+        selectFolder: function(folderPath) {
+            // The breadcrumb owns the current folder, the tree just follows it
+            this.navigateToFolder(folderPath, 'choose');
+        },
 
-                            // Determine file name to use
-                            var fileName;
-                            if (cfr2wcProduct.use_generic_download_name) {
-                                // Use generic "Download" name if setting is enabled
-                                fileName = 'Download';
-                            } else {
-                                // Trim extension from filename
-                                fileName = response.data.file_name;
-                                var lastDotIndex = fileName.lastIndexOf('.');
-                                if (lastDotIndex > 0) {
-                                    fileName = fileName.substring(0, lastDotIndex);
-                                }
-                            }
+        toggleFolderPanel: function(collapsed) {
+            var $layout = $('#cfr2wc-layout');
 
-                            if ($fileNameInput.length > 0) {
-                                $fileNameInput.val(fileName);
-                            }
-                            if ($fileUrlInput.length > 0) {
-                                $fileUrlInput.val(shortcode);
-                            }
+            if (typeof collapsed === 'undefined') {
+                collapsed = !$layout.hasClass('cfr2wc-folder-panel-collapsed');
+            }
 
-                            // Trigger change events
-                            $fileUrlInput.trigger('change');
-                            $fileNameInput.trigger('change');
-                        }
+            $layout.toggleClass('cfr2wc-folder-panel-collapsed', collapsed);
+            $('.cfr2wc-toggle-folder-panel').attr('aria-expanded', collapsed ? 'false' : 'true');
 
-                        // Close modal after delay
-                        setTimeout(function() {
-                            self.closeUploadModal();
-                            self.currentRow = null;
-                        }, 1000);
-                    } else {
-                        $('.cfr2wc-upload-status').text(response.data.message || cfr2wcProduct.strings.upload_error);
-                        setTimeout(function() {
-                            $('#cfr2wc-upload-progress').hide();
-                            $('#cfr2wc-drop-zone').show();
-                        }, 2000);
-                    }
-                },
-                error: function() {
-                    $('.cfr2wc-upload-status').text(cfr2wcProduct.strings.upload_error);
-                    setTimeout(function() {
-                        $('#cfr2wc-upload-progress').hide();
-                        $('#cfr2wc-drop-zone').show();
-                    }, 2000);
+            try {
+                window.localStorage.setItem('cfr2wc_folder_panel_collapsed', collapsed ? '1' : '0');
+            } catch (e) {
+                // Storage disabled: the panel simply opens expanded next time
+            }
+        },
+
+        restoreFolderPanel: function() {
+            try {
+                if (window.localStorage.getItem('cfr2wc_folder_panel_collapsed') === '1') {
+                    this.toggleFolderPanel(true);
                 }
-            });
+            } catch (e) {
+                // Storage disabled
+            }
         },
 
-        syncR2Files: function() {
+        loadFileTable: function(reset) {
             var self = this;
-            var $btn = $('.cfr2wc-refresh-tree');
-            var originalHtml = $btn.html();
+            var $tbody = $('#cfr2wc-file-table tbody');
+            var $status = $('#cfr2wc-file-table-status');
 
-            $btn.prop('disabled', true).html('<span class="dashicons dashicons-update" style="animation: rotation 1s infinite linear;"></span>');
+            if (reset) {
+                if (this.fileRequest) {
+                    this.fileRequest.abort();
+                }
 
-            $.post(cfr2wcProduct.ajax_url, {
-                action: 'cfr2wc_sync_r2_files',
-                nonce: cfr2wcProduct.nonce
+                this.fileCursor = null;
+                this.fileTotal = 0;
+                this.fileLastGroup = null;
+                $tbody.empty();
+                $('#cfr2wc-file-table-wrapper').scrollTop(0);
+            } else if (this.fileRequest || !this.fileCursor) {
+                return;
+            }
+
+            $status.text(cfr2wcProduct.strings.loading).show();
+
+            var request = $.get(cfr2wcProduct.ajax_url, {
+                action: 'cfr2wc_search_files',
+                nonce: cfr2wcProduct.nonce,
+                bucket: this.currentBucket,
+                search: $.trim($('#cfr2wc-file-search-input').val()),
+                folder_path: this.currentFolderPath,
+                everywhere: this.searchEverywhere ? 1 : '',
+                orderby: this.fileSort.orderby,
+                order: this.fileSort.order,
+                cursor: this.fileCursor || ''
             }, function(response) {
-                if (response.success) {
-                    // Reload folder tree instead of entire page
-                    self.loadFolderTree();
-
-                    // Clear file selector and reset selection
-                    $('#cfr2wc-file-select').val(null).trigger('change');
-                    self.selectedFile = null;
-                    $('#cfr2wc-file-preview').hide();
-                    $('.cfr2wc-add-file-btn').prop('disabled', true);
-                } else {
-                    alert(response.data.message || 'Sync failed');
+                if (!response.success) {
+                    $status.text((response.data && response.data.message) || cfr2wcProduct.strings.error);
+                    return;
                 }
-            }).always(function() {
-                $btn.prop('disabled', false).html(originalHtml);
-            });
-        },
 
-        // ========== Breadcrumb Navigation System ==========
+                response.data.files.forEach(function(file) {
+                    if (response.data.grouped && file.folder_path !== self.fileLastGroup) {
+                        $tbody.append(self.renderFileGroupRow(file.folder_path));
+                        self.fileLastGroup = file.folder_path;
+                    }
 
-        loadFolderStructure: function() {
-            var self = this;
+                    $tbody.append(self.renderFileRow(file));
+                });
 
+                self.fileCursor = response.data.next_cursor;
+                self.fileTotal = response.data.total;
+                self.updateFileTableStatus();
+            }).fail(function(xhr, status) {
+                if (status !== 'abort') {
+                    $status.text(cfr2wcProduct.strings.error).show();
+                }
+            }).always(function() {
+                if (self.fileRequest === request) {
+                    self.fileRequest = null;
 
-            $.post(cfr2wcProduct.ajax_url, {
-                action: 'cfr2wc_get_folder_tree',
-                nonce: cfr2wcProduct.nonce
-            }, function(response) {
-                if (response.success && response.data && response.data.tree) {
-                    self.folderStructure = self.buildFolderMap(response.data.tree);
-                } else {
-                    console.error('CFR2WC: Failed to load folder tree:', response);
+                    // Keep loading while the table doesn't fill the scroll area yet
+                    self.maybeLoadMoreFiles();
                 }
-            }).fail(function(xhr, status, error) {
-                console.error('CFR2WC: AJAX error loading folder tree:', error);
             });
+
+            this.fileRequest = request;
         },
 
+        updateFileTableStatus: function() {
+            var loaded = $('#cfr2wc-file-table tbody').children('[data-object-key]').length;
+            var $status = $('#cfr2wc-file-table-status');
+
+            if (loaded === 0) {
+                $status.text(cfr2wcProduct.strings.no_results);
+            } else {
+                $status.text(cfr2wcProduct.strings.files_loaded.replace('%1$d', loaded).replace('%2$d', this.fileTotal));
+            }
+        },
+
+        maybeLoadMoreFiles: function() {
+            var wrapper = document.getElementById('cfr2wc-file-table-wrapper');
+
+            if (wrapper && $(wrapper).is(':visible') && wrapper.scrollTop + wrapper.clientHeight >= wrapper.scrollHeight - 40) {
+                this.loadFileTable(false);
+            }
+        },
+
+        renderFileRow: function(file) {
+            var selected = this.isFileSelected(file.object_key);
+            var $actions = $('<td class="cfr2wc-col-actions"></td>');
+
+            if (cfr2wcProduct.can_manage_objects) {
+                $actions
+                    .append(this.renderFileAction('move', 'dashicons-edit', cfr2wcProduct.strings.action_move))
+                    .append(this.renderFileAction('delete', 'dashicons-trash', cfr2wcProduct.strings.action_delete));
+            }
+
+            return $('<tr tabindex="0"></tr>')
+                .attr('data-object-key', file.object_key)
+                .attr('aria-selected', selected ? 'true' : 'false')
+                .toggleClass('is-selected', selected)
+                .data('file', file)
+                .append($('<td class="cfr2wc-col-check"></td>').append($('<input type="checkbox" tabindex="-1">').prop('checked', selected)))
+                .append(this.highlightMatch(file.file_name, $.trim($('#cfr2wc-file-search-input').val())).attr('title', file.object_key))
+                .append($('<td></td>').text(file.file_size_formatted))
+                .append($('<td></td>').text(file.last_modified_formatted || '—'))
+                .append($('<td></td>').text(file.mime_type || '—'))
+                .append($actions);
+        },
+
+        renderFileAction: function(action, icon, label) {
+            return $('<button type="button" class="button-link cfr2wc-file-action"></button>')
+                .attr('data-action', action)
+                .attr('title', label)
+                .attr('aria-label', label)
+                .append($('<span class="dashicons"></span>').addClass(icon));
+        },
+
+        renderFileGroupRow: function(folderPath) {
+            var $button = $('<button type="button" class="button-link"></button>')
+                .append('<span class="dashicons dashicons-category"></span> ')
+                .append(document.createTextNode(folderPath ? '/' + folderPath : cfr2wcProduct.strings.root_folder));
+
+            return $('<tr class="cfr2wc-file-group"></tr>')
+                .attr('data-folder-path', folderPath)
+                .append($('<td colspan="6"></td>').append($button));
+        },
+
+        highlightMatch: function(text, term) {
+            var $cell = $('<td></td>');
+            var lowerText = text.toLowerCase();
+            var ranges = [];
+
+            // Only the literal parts of a pattern can show up in a file name
+            term.split(/[*?\/]+/).forEach(function(part) {
+                var index = part ? lowerText.indexOf(part.toLowerCase()) : -1;
+                if (index !== -1) {
+                    ranges.push([index, index + part.length]);
+                }
+            });
+
+            ranges.sort(function(a, b) {
+                return a[0] - b[0];
+            });
+
+            var position = 0;
+            ranges.forEach(function(range) {
+                if (range[0] < position) {
+                    return; // Overlaps the previous match
+                }
+
+                $cell.append(document.createTextNode(text.substring(position, range[0])));
+                $cell.append($('<mark></mark>').text(text.substring(range[0], range[1])));
+                position = range[1];
+            });
+
+            return $cell.append(document.createTextNode(text.substring(position)));
+        },
+
+        setSearchEverywhere: function(enabled, skipReload) {
+            this.searchEverywhere = enabled;
+
+            $('#cfr2wc-search-everywhere').prop('checked', enabled);
+            $('#cfr2wc-file-search-input').attr('placeholder', enabled ? cfr2wcProduct.strings.search_all : cfr2wcProduct.strings.search_folder);
+
+            if (!skipReload) {
+                this.loadFileTable(true);
+            }
+        },
+
+        jumpToFolderGroup: function(folderPath) {
+            // Keep the search term so the folder opens filtered to the same matches
+            this.setSearchEverywhere(false, true);
+            this.navigateToFolder(folderPath, 'choose');
+        },
+
+        setFileSort: function(orderby) {
+            if (this.fileSort.orderby === orderby) {
+                this.fileSort.order = this.fileSort.order === 'asc' ? 'desc' : 'asc';
+            } else {
+                this.fileSort = { orderby: orderby, order: 'asc' };
+            }
+
+            $('#cfr2wc-file-table th.cfr2wc-sortable').attr('aria-sort', 'none')
+                .filter('[data-sort="' + orderby + '"]')
+                .attr('aria-sort', this.fileSort.order === 'asc' ? 'ascending' : 'descending');
+
+            this.loadFileTable(true);
+        },
+
+        isFileSelected: function(objectKey) {
+            return this.selectedFiles.some(function(file) {
+                return file.object_key === objectKey;
+            });
+        },
+
+        toggleFileSelection: function($row) {
+            var file = $row.data('file');
+
+            if (this.isFileSelected(file.object_key)) {
+                this.removeFromSelection(file.object_key);
+            } else {
+                this.addToSelection(file);
+                this.showFilePreview(file);
+            }
+        },
+
+        addToSelection: function(file) {
+            if (!this.isFileSelected(file.object_key)) {
+                this.selectedFiles.push(file);
+            }
+
+            this.updateSelectionState();
+        },
+
+        removeFromSelection: function(objectKey) {
+            this.selectedFiles = this.selectedFiles.filter(function(file) {
+                return file.object_key !== objectKey;
+            });
+
+            if (this.selectedFiles.length > 0) {
+                this.showFilePreview(this.selectedFiles[this.selectedFiles.length - 1]);
+            } else {
+                this.hideFilePreview();
+            }
+
+            this.updateSelectionState();
+        },
+
+        updateSelectionState: function() {
+            var self = this;
+            var count = this.selectedFiles.length;
+            var $count = $('#cfr2wc-selected-count');
+
+            $('#cfr2wc-file-table tbody tr[data-object-key]').each(function() {
+                var selected = self.isFileSelected($(this).attr('data-object-key'));
+
+                $(this).toggleClass('is-selected', selected)
+                    .attr('aria-selected', selected ? 'true' : 'false')
+                    .find('input[type="checkbox"]').prop('checked', selected);
+            });
+
+            if (count > 1) {
+                $count.text(cfr2wcProduct.strings.files_selected.replace('%d', count)).show();
+            } else {
+                $count.hide();
+            }
+
+            $('.cfr2wc-add-file-btn').prop('disabled', count === 0);
+        },
+
+        selectAllInFolder: function() {
+            var self = this;
+            var $link = $('.cfr2wc-select-all-files');
+
+            $link.prop('disabled', true);
+
+            $.get(cfr2wcProduct.ajax_url, {
+                action: 'cfr2wc_get_folder_files',
+                nonce: cfr2wcProduct.nonce,
+                bucket: self.currentBucket,
+                folder_path: self.currentFolderPath
+            }, function(response) {
+                if (!response.success) {
+                    alert(response.data.message || cfr2wcProduct.strings.error);
+                    return;
+                }
+
+                if (response.data.files.length === 0) {
+                    alert(cfr2wcProduct.strings.no_results);
+                    return;
+                }
+
+                response.data.files.forEach(function(file) {
+                    self.addToSelection(file);
+                });
+
+                self.showFilePreview(self.selectedFiles[self.selectedFiles.length - 1]);
+            }).always(function() {
+                $link.prop('disabled', false);
+            });
+        },
+
+        showFilePreview: function(file) {
+            var self = this;
+            var $status = $('#cfr2wc-preview-status');
+
+            // Show what the cache knows right away, HEAD details follow
+            $('#cfr2wc-preview-name').text(file.file_name);
+            $('#cfr2wc-preview-size').text(file.file_size_formatted);
+            $('#cfr2wc-preview-path').text(file.object_key);
+            $('#cfr2wc-preview-type').text(file.mime_type || '—');
+            $('#cfr2wc-preview-etag').text('—');
+            $('#cfr2wc-preview-sha256').text(file.sha256 || '—');
+            $('#cfr2wc-preview-modified').text(file.last_modified_formatted || '—');
+            $('#cfr2wc-preview-media').hide().empty();
+            $('#cfr2wc-preview-metadata').hide().find('tbody').empty();
+            $status.removeClass('is-error').text(cfr2wcProduct.strings.loading).show();
+            $('#cfr2wc-file-preview').fadeIn(200);
+
+            if (this.previewRequest) {
+                this.previewRequest.abort();
+            }
+
+            var request = $.post(cfr2wcProduct.ajax_url, {
+                action: 'cfr2wc_get_file_details',
+                nonce: cfr2wcProduct.nonce,
+                bucket: this.currentBucket,
+                object_key: file.object_key
+            }, function(response) {
+                if (!response.success) {
+                    $status.addClass('is-error').text((response.data && response.data.message) || cfr2wcProduct.strings.error);
+                    return;
+                }
+
+                self.renderFileDetails(response.data);
+                $status.hide();
+            }).fail(function(xhr, status) {
+                if (status !== 'abort') {
+                    $status.addClass('is-error').text(cfr2wcProduct.strings.error);
+                }
+            }).always(function() {
+                if (self.previewRequest === request) {
+                    self.previewRequest = null;
+                }
+            });
+
+            this.previewRequest = request;
+        },
+
+        hideFilePreview: function() {
+            if (this.previewRequest) {
+                this.previewRequest.abort();
+            }
+
+            // Emptying the media stops audio and video playback
+            $('#cfr2wc-preview-media').empty();
+            $('#cfr2wc-file-preview').hide();
+        },
+
+        renderFileDetails: function(details) {
+            var self = this;
+            var $metadata = $('#cfr2wc-preview-metadata tbody').empty();
+
+            $('#cfr2wc-preview-type').text(details.content_type || '—');
+            $('#cfr2wc-preview-etag').text(details.etag ? details.etag + (details.etag_is_md5 ? '' : ' ' + cfr2wcProduct.strings.etag_multipart) : '—');
+            $('#cfr2wc-preview-sha256').text(details.sha256 || '—');
+            $('#cfr2wc-preview-modified').text(details.last_modified || '—');
+
+            $.each(details.checksums, function(algorithm, value) {
+                $metadata.append(self.renderDetailRow(algorithm + ':', value));
+            });
+
+            if (details.cache_control) {
+                $metadata.append(this.renderDetailRow('Cache-Control:', details.cache_control));
+            }
+
+            if (details.content_disposition) {
+                $metadata.append(this.renderDetailRow('Content-Disposition:', details.content_disposition));
+            }
+
+            $.each(details.metadata, function(name, value) {
+                // Verified uploads store their checksum here, it has its own row
+                if (name === 'sha256') {
+                    return;
+                }
+
+                $metadata.append(self.renderDetailRow(name + ':', value));
+            });
+
+            $('#cfr2wc-preview-metadata').toggle($metadata.children().length > 0);
+
+            this.renderPreviewMedia(details);
+        },
+
+        renderDetailRow: function(label, value) {
+            return $('<tr></tr>')
+                .append($('<th></th>').text(label))
+                .append($('<td></td>').text(value));
+        },
+
+        renderPreviewMedia: function(details) {
+            var $media = $('#cfr2wc-preview-media').empty();
+
+            if (!details.preview_url) {
+                $media.hide();
+                return;
+            }
+
+            if (details.preview_type === 'image') {
+                $media.append($('<img alt="">').attr('src', details.preview_url));
+            } else if (details.preview_type === 'audio' || details.preview_type === 'video') {
+                $media.append($('<' + details.preview_type + ' controls preload="metadata"></' + details.preview_type + '>').attr('src', details.preview_url));
+            }
+
+            var minutes = Math.max(1, Math.round(details.preview_expires / 60));
+
+            $media.append($('<p class="cfr2wc-preview-link"></p>')
+                .append($('<a target="_blank" rel="noopener noreferrer"></a>').attr('href', details.preview_url).text(cfr2wcProduct.strings.open_preview))
+                .append(' ')
+                .append($('<span class="description"></span>').text(cfr2wcProduct.strings.preview_expiry.replace('%d', minutes))))
+                .show();
+        },
+
+        addFileToProduct: function() {
+            var self = this;
+
+            if (this.selectedFiles.length === 0) {
+                alert(cfr2wcProduct.strings.select_file);
+                return;
+            }
+
+            if (!this.currentRow) {
+                alert(cfr2wcProduct.strings.row_not_found);
+                return;
+            }
+
+            // First file goes into the row the modal was opened from, the rest into empty or new rows
+            var usedRows = [];
+            var $row = this.currentRow;
+
+            this.selectedFiles.forEach(function(file, index) {
+                if (index > 0) {
+                    $row = self.getNextEmptyRow(self.currentRow, usedRows);
+                }
+
+                if ($row && $row.length) {
+                    self.fillRow($row, file.object_key, file.file_name, self.currentBucket);
+                    usedRows.push($row[0]);
+                }
+            });
+
+            // Close modal
+            this.closeModal();
+
+            // Reset current row
+            this.currentRow = null;
+        },
+
+        buildShortcode: function(objectKey, atts, tag) {
+            var shortcode = '[' + (tag || 'cloudflare_r2') + ' object="' + objectKey + '"';
+
+            // Known attributes first in a fixed order, then anything else the row already had
+            var order = ['filename', 'expires', 'bucket', 'public'];
+            var names = order.concat(Object.keys(atts || {}).filter(function(name) {
+                return name !== 'object' && order.indexOf(name) === -1;
+            }));
+
+            names.forEach(function(name) {
+                if (atts && atts[name] !== undefined && atts[name] !== '') {
+                    shortcode += ' ' + name + '="' + atts[name] + '"';
+                }
+            });
+
+            return shortcode + ']';
+        },
+
+        parseShortcode: function(value) {
+            var match = (value || '').match(/\[(cloudflare_r2|amazon_s3)\s+([^\]]+)\]/);
+
+            if (!match) {
+                return null;
+            }
+
+            var atts = {};
+            var attrPattern = /(\w+)="([^"]*)"/g;
+            var attr;
+
+            while ((attr = attrPattern.exec(match[2])) !== null) {
+                atts[attr[1]] = $('<textarea></textarea>').html(attr[2]).val();
+            }
+
+            return { tag: match[1], atts: atts };
+        },
+
+        getDownloadName: function(fileName) {
+            if (cfr2wcProduct.use_generic_download_name) {
+                // Use generic "Download" name if setting is enabled
+                return 'Download';
+            }
+
+            // Trim extension from filename
+            var lastDotIndex = fileName.lastIndexOf('.');
+            if (lastDotIndex > 0) {
+                return fileName.substring(0, lastDotIndex);
+            }
+
+            return fileName;
+        },
+
+        findFileNameInput: function($row) {
+            // Try multiple selectors for the file NAME input (first field)
+            var $fileNameInput = $row.find('input.file_name');
+
+            if ($fileNameInput.length === 0) {
+                $fileNameInput = $row.find('input[name*="[name]"]');
+            }
+
+            if ($fileNameInput.length === 0) {
+                $fileNameInput = $row.find('input[type="text"]').first();
+            }
+
+            return $fileNameInput;
+        },
+
+        findFileUrlInput: function($row) {
+            // Try multiple selectors for the file URL input (second field)
+            var $fileUrlInput = $row.find('input.file_url');
+
+            if ($fileUrlInput.length === 0) {
+                $fileUrlInput = $row.find('input[name*="[file]"]');
+            }
+
+            if ($fileUrlInput.length === 0) {
+                $fileUrlInput = $row.find('input[type="text"]').eq(1);
+            }
+
+            return $fileUrlInput;
+        },
+
+        fillRow: function($row, objectKey, fileName, bucket) {
+            var $fileNameInput = this.findFileNameInput($row);
+            var $fileUrlInput = this.findFileUrlInput($row);
+
+            if ($fileNameInput.length > 0) {
+                $fileNameInput.val(this.getDownloadName(fileName));
+            }
+
+            if ($fileUrlInput.length > 0) {
+                $fileUrlInput.val(this.buildShortcode(objectKey, { bucket: this.getBucketAttribute(bucket) }));
+            }
+
+            // Trigger change event so WooCommerce knows the fields changed
+            $fileUrlInput.trigger('change');
+            $fileNameInput.trigger('change');
+        },
+
+        getRowObjectKey: function($row) {
+            var shortcode = this.parseShortcode(this.findFileUrlInput($row).val());
+
+            return shortcode && shortcode.atts.object ? shortcode.atts.object : '';
+        },
+
+        getRowBucket: function($row) {
+            var shortcode = this.parseShortcode(this.findFileUrlInput($row).val());
+
+            return shortcode && shortcode.atts.bucket ? shortcode.atts.bucket : cfr2wcProduct.default_bucket;
+        },
+
+        getBucketAttribute: function(bucket) {
+            // Shortcodes without a bucket attribute use the default bucket
+            return bucket && bucket !== cfr2wcProduct.default_bucket ? bucket : '';
+        },
+
+        getStatusKey: function(bucket, objectKey) {
+            return bucket + '/' + objectKey;
+        },
+
+        openOptionsModal: function($row) {
+            var shortcode = this.parseShortcode(this.findFileUrlInput($row).val());
+            var atts = shortcode ? shortcode.atts : {};
+
+            this.optionsRow = $row;
+
+            $('#cfr2wc-option-object').val(atts.object || '');
+            $('#cfr2wc-option-filename').val(atts.filename || '');
+            $('#cfr2wc-option-expires').val(atts.expires || '').attr('placeholder', cfr2wcProduct.default_expiration);
+            this.setOptionsBucket(atts.bucket || cfr2wcProduct.default_bucket);
+            $('#cfr2wc-option-public').prop('checked', atts['public'] === 'true');
+            $('#cfr2wc-options-errors').hide().empty();
+
+            this.updateOptionsPreview();
+            $('#cfr2wc-options-modal').fadeIn(200);
+            $('#cfr2wc-option-object').trigger('focus');
+        },
+
+        setOptionsBucket: function(bucket) {
+            var $select = $('#cfr2wc-option-bucket');
+
+            $select.find('.cfr2wc-bucket-unknown').remove();
+
+            // Keep buckets without a profile selectable so opening the modal doesn't change them
+            if (!cfr2wcProduct.buckets.hasOwnProperty(bucket)) {
+                $('<option class="cfr2wc-bucket-unknown"></option>')
+                    .val(bucket)
+                    .text(cfr2wcProduct.strings.bucket_unknown.replace('%s', bucket))
+                    .appendTo($select);
+            }
+
+            $select.val(bucket);
+        },
+
+        closeOptionsModal: function() {
+            $('#cfr2wc-options-modal').fadeOut(200);
+            this.optionsRow = null;
+        },
+
+        readOptionsForm: function() {
+            var shortcode = this.optionsRow ? this.parseShortcode(this.findFileUrlInput(this.optionsRow).val()) : null;
+            var atts = $.extend({}, shortcode ? shortcode.atts : {});
+
+            atts.object = $.trim($('#cfr2wc-option-object').val()).replace(/^\/+/, '');
+            atts.filename = $.trim($('#cfr2wc-option-filename').val());
+            atts.expires = $.trim($('#cfr2wc-option-expires').val());
+            atts.bucket = this.getBucketAttribute($('#cfr2wc-option-bucket').val());
+            atts['public'] = $('#cfr2wc-option-public').is(':checked') ? 'true' : '';
+
+            return { tag: shortcode ? shortcode.tag : 'cloudflare_r2', atts: atts };
+        },
+
+        validateOptions: function(atts) {
+            var errors = [];
+
+            // Quotes and brackets would end the attribute or the shortcode early
+            if (!atts.object || /["\[\]]/.test(atts.object)) {
+                errors.push(cfr2wcProduct.strings.object_invalid);
+            }
+
+            if (/["\[\]]/.test(atts.filename)) {
+                errors.push(cfr2wcProduct.strings.name_invalid);
+            }
+
+            if (atts.expires !== '' && (!/^\d+$/.test(atts.expires) || +atts.expires < 1 || +atts.expires > 604800)) {
+                errors.push(cfr2wcProduct.strings.expiry_invalid);
+            }
+
+            return errors;
+        },
+
+        updateOptionsPreview: function() {
+            var options = this.readOptionsForm();
+
+            $('#cfr2wc-options-preview').text(options.atts.object ? this.buildShortcode(options.atts.object, options.atts, options.tag) : '');
+        },
+
+        applyOptions: function() {
+            var options = this.readOptionsForm();
+            var errors = this.validateOptions(options.atts);
+            var $errors = $('#cfr2wc-options-errors').empty();
+
+            if (errors.length > 0) {
+                errors.forEach(function(error) {
+                    $errors.append($('<li></li>').text(error));
+                });
+                $errors.show();
+                return;
+            }
+
+            if (this.optionsRow) {
+                this.findFileUrlInput(this.optionsRow)
+                    .val(this.buildShortcode(options.atts.object, options.atts, options.tag))
+                    .trigger('change');
+            }
+
+            this.closeOptionsModal();
+        },
+
+        scheduleValidation: function() {
+            var self = this;
+
+            clearTimeout(this.validateTimer);
+            this.validateTimer = setTimeout(function() {
+                self.validateDownloadRows();
+            }, 500);
+        },
+
+        validateDownloadRows: function() {
+            var self = this;
+            var $rows = $('.downloadable_files tbody tr');
+            var pending = {}; // Object keys to check, grouped by bucket
+
+            $rows.each(function() {
+                var $row = $(this);
+                var objectKey = self.getRowObjectKey($row);
+
+                if (!objectKey) {
+                    $row.find('.cfr2wc-object-status').remove();
+                    return;
+                }
+
+                var bucket = self.getRowBucket($row);
+                var statusKey = self.getStatusKey(bucket, objectKey);
+
+                pending[bucket] = pending[bucket] || [];
+                if (!self.objectStatus[statusKey] && pending[bucket].indexOf(objectKey) === -1) {
+                    pending[bucket].push(objectKey);
+                }
+
+                self.renderObjectStatus($row, self.objectStatus[statusKey]);
+            });
+
+            Object.keys(pending).forEach(function(bucket) {
+                if (pending[bucket].length === 0) {
+                    return;
+                }
+
+                $.post(cfr2wcProduct.ajax_url, {
+                    action: 'cfr2wc_validate_objects',
+                    nonce: cfr2wcProduct.nonce,
+                    bucket: bucket,
+                    object_keys: pending[bucket]
+                }, function(response) {
+                    if (!response.success) {
+                        return;
+                    }
+
+                    $.each(response.data.objects, function(objectKey, result) {
+                        self.objectStatus[self.getStatusKey(bucket, objectKey)] = result;
+                    });
+
+                    $rows.each(function() {
+                        var statusKey = self.getStatusKey(self.getRowBucket($(this)), self.getRowObjectKey($(this)));
+
+                        if (self.objectStatus[statusKey]) {
+                            self.renderObjectStatus($(this), self.objectStatus[statusKey]);
+                        }
+                    });
+                });
+            });
+        },
+
+        renderObjectStatus: function($row, result) {
+            var $status = $row.find('.cfr2wc-object-status');
+
+            if ($status.length === 0) {
+                $status = $('<span class="cfr2wc-object-status"></span>');
+                this.findFileUrlInput($row).closest('td').append($status);
+            }
+
+            $status.removeClass('is-ok is-missing is-checking').empty();
+
+            if (!result) {
+                $status.addClass('is-checking').text(cfr2wcProduct.strings.object_check);
+            } else if (result.exists) {
+                $status.addClass('is-ok')
+                    .append('<span class="dashicons dashicons-yes"></span>')
+                    .append(document.createTextNode(cfr2wcProduct.strings.object_ok + ' · ' + result.file_size_formatted));
+
+                // Selected as a whole on click, for copying into release notes
+                if (result.sha256) {
+                    $status.append(document.createTextNode(' · ' + cfr2wcProduct.strings.sha256 + ' '))
+                        .append($('<code class="cfr2wc-checksum"></code>').attr('title', cfr2wcProduct.strings.copy_checksum).text(result.sha256));
+                }
+            } else {
+                $status.addClass('is-missing')
+                    .append('<span class="dashicons dashicons-warning"></span>')
+                    .append(document.createTextNode(cfr2wcProduct.strings.object_missing));
+            }
+        },
+
+        forgetObjectStatus: function(objectKey) {
+            delete this.objectStatus[this.getStatusKey(this.currentBucket, objectKey)];
+            this.validateDownloadRows();
+        },
+
+        getNextEmptyRow: function($referenceRow, usedRows) {
+            var self = this;
+            var $tbody = $referenceRow.closest('tbody');
+
+            // Reuse a row whose file URL is still empty
+            var $empty = $tbody.children('tr').filter(function() {
+                return usedRows.indexOf(this) === -1 && !$.trim(self.findFileUrlInput($(this)).val());
+            }).first();
+
+            if ($empty.length) {
+                return $empty;
+            }
+
+            // Let WooCommerce build the row so it gets its own markup and hash field
+            var $insert = $referenceRow.closest('.downloadable_files').find('a.insert');
+            if ($insert.length === 0) {
+                $insert = $referenceRow.closest('table').find('a.insert');
+            }
+
+            if ($insert.length) {
+                $insert.first().trigger('click');
+            } else {
+                // Fallback: clone the reference row without its values
+                var $clone = $referenceRow.clone();
+                $clone.find('.cfr2wc-row-buttons').remove();
+                $clone.find('input').val('');
+                $tbody.append($clone);
+                this.injectButtonsIntoRow($clone);
+            }
+
+            return $tbody.children('tr').last();
+        },
+
+        // ========== Upload Queue ==========
+
+        queueFiles: function(files) {
+            var self = this;
+            var unfilled = this.getUnfilledPlaceholders();
+
+            if (unfilled.length > 0) {
+                alert(cfr2wcProduct.strings.key_unfilled.replace('%s', unfilled.join(', ')));
+                return;
+            }
+
+            if (!this.uploadTargetRow) {
+                this.uploadTargetRow = this.currentRow;
+            }
+
+            $.each(files, function(index, file) {
+                var item = self.createUploadItem(file);
+
+                item.uploadName = self.getUploadName(file.name);
+                item.headers = self.getUploadHeaders(file);
+                self.enqueueUpload(item);
+            });
+
+            this.processUploadQueue();
+        },
+
+        createUploadItem: function(file) {
+            return {
+                id: ++this.uploadQueueId,
+                file: file,
+                uploadName: file.name, // File name part of the object key
+                headers: null, // Content headers and metadata from the Advanced section, null for the defaults from the settings
+                status: 'queued',
+                bucket: this.currentBucket,
+                folderPath: this.uploadFolderPath || '',
+                conflict: '', // Handling of an existing object with the same key: '' (ask), 'overwrite' or 'rename'
+                conflictChecked: false,
+                requests: [], // In-flight requests, aborted on cancel
+                direct: null, // Direct upload state (upload ID, signed part URLs, finished parts)
+                checksum: null, // Deferred resolved with the SHA-256 and expected ETag once the worker hashed the file
+                checksumPartSize: 0,
+                worker: null,
+                verified: false,
+                resumeWhenOnline: false,
+                $el: null
+            };
+        },
+
+        enqueueUpload: function(item) {
+            this.uploadQueue.push(item);
+            this.renderUploadItem(item);
+
+            $('#cfr2wc-upload-queue').show();
+            this.updateUploadSummary();
+        },
+
+        processUploadQueue: function() {
+            var limit = parseInt(cfr2wcProduct.upload_concurrency, 10) || 1;
+            var active = this.uploadQueue.filter(function(item) {
+                return item.status === 'uploading';
+            }).length;
+
+            for (var i = 0; i < this.uploadQueue.length && active < limit; i++) {
+                if (this.uploadQueue[i].status === 'queued') {
+                    this.uploadFile(this.uploadQueue[i]);
+                    active++;
+                }
+            }
+
+            if (active === 0) {
+                this.onUploadQueueDrained();
+            }
+        },
+
+        isUploadQueueBusy: function() {
+            return this.uploadQueue.some(function(item) {
+                return item.status === 'queued' || item.status === 'uploading' || item.status === 'conflict';
+            });
+        },
+
+        getUploadItem: function(id) {
+            for (var i = 0; i < this.uploadQueue.length; i++) {
+                if (this.uploadQueue[i].id === id) {
+                    return this.uploadQueue[i];
+                }
+            }
+
+            if (this.releaseItem && this.releaseItem.id === id) {
+                return this.releaseItem;
+            }
+
+            return null;
+        },
+
+        renderUploadItem: function(item) {
+            var $item = $('<div class="cfr2wc-upload-item"></div>').attr('data-id', item.id);
+            var $header = $('<div class="cfr2wc-upload-item-header"></div>');
+
+            $header.append($('<span class="cfr2wc-upload-item-name"></span>').text(item.uploadName));
+            $header.append(
+                $('<span class="cfr2wc-upload-item-actions"></span>')
+                    .append($('<button type="button" class="button-link cfr2wc-upload-retry"></button>').text(cfr2wcProduct.strings.upload_retry))
+                    .append($('<button type="button" class="button-link cfr2wc-upload-cancel"></button>').text(cfr2wcProduct.strings.upload_cancel))
+            );
+
+            $item.append($header)
+                .append('<div class="cfr2wc-progress-bar"><div class="cfr2wc-progress-fill"></div></div>')
+                .append('<p class="cfr2wc-upload-status"></p>');
+
+            item.$el = $item;
+            $(item.release ? '#cfr2wc-release-upload' : '#cfr2wc-upload-queue .cfr2wc-upload-items').append($item);
+            this.updateUploadItem(item, cfr2wcProduct.strings.upload_queued);
+        },
+
+        updateUploadItem: function(item, message, percent) {
+            var $item = item.$el;
+
+            $item.removeClass('is-queued is-uploading is-done is-error is-cancelled is-conflict is-skipped')
+                .addClass('is-' + item.status);
+
+            if (typeof percent === 'number') {
+                $item.find('.cfr2wc-progress-fill').css('width', percent + '%');
+            }
+
+            if (message) {
+                $item.find('.cfr2wc-upload-status').text(message);
+            }
+
+            $item.find('.cfr2wc-upload-retry').toggle(item.status === 'error' || item.status === 'cancelled');
+            $item.find('.cfr2wc-upload-cancel').toggle(item.status === 'queued' || item.status === 'uploading');
+        },
+
+        updateUploadSummary: function() {
+            var done = this.uploadQueue.filter(function(item) {
+                return item.status === 'done';
+            }).length;
+
+            $('#cfr2wc-upload-queue .cfr2wc-upload-summary').text(
+                cfr2wcProduct.strings.upload_summary
+                    .replace('%1$d', done)
+                    .replace('%2$d', this.uploadQueue.length)
+            );
+        },
+
+        cancelUpload: function(id) {
+            var item = this.getUploadItem(id);
+            if (!item || (item.status !== 'queued' && item.status !== 'uploading')) {
+                return;
+            }
+
+            item.status = 'cancelled';
+            this.abortRequests(item);
+            this.stopChecksum(item);
+
+            // Discard parts already stored in R2; a retry starts from scratch
+            if (item.direct) {
+                this.removeStoredUpload(item.direct.object_key);
+                $.post(cfr2wcProduct.ajax_url, {
+                    action: 'cfr2wc_direct_upload_abort',
+                    nonce: cfr2wcProduct.nonce,
+                    bucket: item.bucket,
+                    object_key: item.direct.object_key,
+                    upload_id: item.direct.upload_id || ''
+                });
+                item.direct = null;
+            }
+
+            this.updateUploadItem(item, cfr2wcProduct.strings.upload_aborted, 0);
+            this.processUploadQueue();
+
+            if (item.release) {
+                this.onReleaseFinished(item);
+            }
+        },
+
+        abortRequests: function(item) {
+            var requests = item.requests.slice();
+            item.requests = [];
+
+            requests.forEach(function(request) {
+                request.abort();
+            });
+        },
+
+        retryUpload: function(id) {
+            var item = this.getUploadItem(id);
+            if (!item || (item.status !== 'error' && item.status !== 'cancelled')) {
+                return;
+            }
+
+            item.status = 'queued';
+            item.resumeWhenOnline = false;
+            this.updateUploadItem(item, cfr2wcProduct.strings.upload_queued, 0);
+
+            // Release uploads are not part of the queue
+            if (item.release) {
+                $('#cfr2wc-release-fields, #cfr2wc-release-publish').prop('disabled', true);
+                this.uploadFile(item);
+                return;
+            }
+
+            this.processUploadQueue();
+        },
+
+        uploadFile: function(item) {
+            var self = this;
+
+            item.status = 'uploading';
+
+            // Retrying a release whose file is already in R2 only needs the product updated
+            if (item.release && item.release.objectKey) {
+                this.publishRelease(item);
+                return;
+            }
+
+            this.updateUploadItem(item, cfr2wcProduct.strings.uploading, 0);
+            item.verified = false;
+
+            // Resumed multipart uploads always continue directly, whatever the current mode
+            if (cfr2wcProduct.upload_mode === 'direct' || item.direct) {
+                this.uploadFileDirect(item);
+                return;
+            }
+
+            // Ask about existing files before sending the whole file to the server
+            if (!item.conflictChecked) {
+                this.checkUploadConflict(item);
+                return;
+            }
+
+            this.startChecksum(item, 0);
+
+            var formData = new FormData();
+            formData.append('action', 'cfr2wc_upload_to_r2');
+            formData.append('nonce', cfr2wcProduct.nonce);
+            formData.append('bucket', item.bucket);
+            formData.append('file', item.file, item.uploadName);
+            formData.append('folder_path', item.folderPath);
+            formData.append('conflict', item.conflict);
+            this.appendUploadHeaders(formData, item.headers);
+
+            var request = $.ajax({
+                url: cfr2wcProduct.ajax_url,
+                type: 'POST',
+                data: formData,
+                processData: false,
+                contentType: false,
+                xhr: function() {
+                    var xhr = new window.XMLHttpRequest();
+                    xhr.upload.addEventListener('progress', function(e) {
+                        if (e.lengthComputable) {
+                            var percent = (e.loaded / e.total) * 100;
+                            self.updateUploadItem(item, null, percent);
+                        }
+                    }, false);
+                    return xhr;
+                },
+                success: function(response) {
+                    if (response.success) {
+                        self.onUploadSuccess(item, response.data);
+                    } else if (response.data && response.data.conflict) {
+                        // Someone uploaded the same file name since the check
+                        self.onUploadConflict(item, response.data.conflict);
+                    } else if (response.data && response.data.rate_limited) {
+                        self.onUploadRateLimited(item, response.data.message);
+                    } else {
+                        self.onUploadError(item, response.data.message);
+                    }
+                },
+                error: function(xhr, status) {
+                    // Aborted requests were already marked as cancelled
+                    if (status !== 'abort') {
+                        self.onUploadError(item);
+                    }
+                }
+            });
+
+            item.requests.push(request);
+        },
+
+        onUploadSuccess: function(item, data) {
+            if (item.status !== 'uploading') {
+                return;
+            }
+
+            if (item.checksum && !item.verified) {
+                this.verifyUpload(item, data);
+                return;
+            }
+
+            if (item.release) {
+                item.release.objectKey = data.object_key;
+                item.requests = [];
+                this.publishRelease(item);
+                return;
+            }
+
+            item.status = 'done';
+            item.requests = [];
+            this.updateUploadItem(item, cfr2wcProduct.strings.upload_success, 100);
+            this.assignUploadToRow(data, item.bucket);
+            this.updateUploadSummary();
+            this.processUploadQueue();
+        },
+
+        onUploadError: function(item, message) {
+            // Cancelled uploads already updated their own status
+            if (item.status !== 'uploading') {
+                return;
+            }
+
+            item.status = 'error';
+            this.abortRequests(item);
+
+            // Network gone: retry automatically once the browser is back online
+            if (navigator.onLine === false) {
+                item.resumeWhenOnline = true;
+                message = cfr2wcProduct.strings.offline;
+            }
+
+            this.updateUploadItem(item, message || cfr2wcProduct.strings.upload_error);
+            this.updateUploadSummary();
+            this.processUploadQueue();
+
+            if (item.release) {
+                this.onReleaseFinished(item);
+            }
+        },
+
+        onUploadRateLimited: function(item, message) {
+            var self = this;
+
+            // Files still waiting would hit the same limit, so they stop here with the same message and can be retried later
+            this.uploadQueue.forEach(function(queued) {
+                if (queued.status === 'queued') {
+                    queued.status = 'error';
+                    self.updateUploadItem(queued, message, 0);
+                }
+            });
+
+            this.onUploadError(item, message);
+        },
+
+        // ========== Object Key Template ==========
+
+        getKeyTemplateValues: function() {
+            var product = cfr2wcProduct.key_product || {};
+            var now = new Date();
+            var month = now.getMonth() + 1;
+
+            // What is entered in the product form wins over the saved product
+            return {
+                product_id: String(cfr2wcProduct.product_id || ''),
+                sku: $.trim($('#_sku').val() || '') || product.sku,
+                slug: $.trim($('#editable-post-name-full').text() || $('#post_name').val() || '') || product.slug,
+                yyyy: String(now.getFullYear()),
+                mm: (month < 10 ? '0' : '') + month
+            };
+        },
+
+        fillKeyTemplate: function(template, values) {
+            var self = this;
+
+            // Placeholders without a value stay in place, {uuid} is new for every use unless given
+            return template.replace(/\{([a-z_]+)\}/g, function(placeholder, name) {
+                if (name === 'uuid' && !(name in values)) {
+                    return self.generateUuid();
+                }
+
+                // A slash in a SKU would add a folder
+                var value = values[name] ? $.trim(String(values[name]).replace(/\//g, '-')) : '';
+
+                return value || placeholder;
+            });
+        },
+
+        generateUuid: function() {
+            if (window.crypto && window.crypto.randomUUID) {
+                return window.crypto.randomUUID();
+            }
+
+            return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
+                var r = Math.random() * 16 | 0;
+                return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+            });
+        },
+
+        applyKeyTemplate: function() {
+            if (cfr2wcProduct.key_template) {
+                this.uploadFolderPath = this.fillKeyTemplate(cfr2wcProduct.key_template.folder, this.getKeyTemplateValues());
+            }
+        },
+
+        getUploadName: function(fileName) {
+            if (!cfr2wcProduct.key_template) {
+                return fileName;
+            }
+
+            return this.fillKeyTemplate(cfr2wcProduct.key_template.name, $.extend(this.getKeyTemplateValues(), { filename: fileName }));
+        },
+
+        getUnfilledPlaceholders: function() {
+            var name = this.getUploadName('file');
+            var placeholders = (this.uploadFolderPath + '/' + name).match(/\{[^{}\/]+\}/g) || [];
+
+            return placeholders.filter(function(placeholder, index) {
+                return placeholders.indexOf(placeholder) === index;
+            });
+        },
+
+        updateKeyPreview: function() {
+            var template = cfr2wcProduct.key_template;
+            var name = template ? this.fillKeyTemplate(template.name, $.extend(this.getKeyTemplateValues(), { uuid: '', filename: '' })) : '{filename}';
+            var unfilled = this.getUnfilledPlaceholders();
+
+            $('#cfr2wc-key-preview').text((this.uploadFolderPath ? this.uploadFolderPath + '/' : '') + name);
+            $('#cfr2wc-key-warning').text(unfilled.length > 0 ? cfr2wcProduct.strings.key_unfilled.replace('%s', unfilled.join(', ')) : '').toggle(unfilled.length > 0);
+            $('#cfr2wc-drop-zone').toggleClass('is-disabled', unfilled.length > 0);
+        },
+
+        // ========== Upload Conflicts ==========
+
+        renderDefaultMetadata: function() {
+            var self = this;
+            var $rows = $('#cfr2wc-upload-metadata-rows');
+
+            $.each(cfr2wcProduct.default_metadata, function(key, value) {
+                $rows.append(self.renderMetadataRow(key, value));
+            });
+        },
+
+        renderMetadataRow: function(key, value) {
+            return $('<div class="cfr2wc-metadata-row"></div>')
+                .append($('<input type="text" class="cfr2wc-metadata-key code" autocomplete="off">').attr('placeholder', cfr2wcProduct.strings.meta_key).val(key))
+                .append($('<input type="text" class="cfr2wc-metadata-value" autocomplete="off">').attr('placeholder', cfr2wcProduct.strings.meta_value).val(value))
+                .append(
+                    $('<button type="button" class="button-link cfr2wc-metadata-remove"></button>')
+                        .attr('title', cfr2wcProduct.strings.meta_remove)
+                        .attr('aria-label', cfr2wcProduct.strings.meta_remove)
+                        .append('<span class="dashicons dashicons-no-alt"></span>')
+                );
+        },
+
+        getUploadHeaders: function(file) {
+            var metadata = {};
+
+            $('#cfr2wc-upload-metadata-rows .cfr2wc-metadata-row').each(function() {
+                var key = $.trim($(this).find('.cfr2wc-metadata-key').val());
+
+                if (key) {
+                    metadata[key] = $.trim($(this).find('.cfr2wc-metadata-value').val());
+                }
+            });
+
+            return {
+                content_type: $.trim($('#cfr2wc-upload-content-type').val()),
+                detected_type: file.type || '', // Used unless a content type is entered, the server falls back to the extension
+                disposition: $('#cfr2wc-upload-disposition').val(),
+                cache_control: $.trim($('#cfr2wc-upload-cache-control').val()),
+                metadata: metadata
+            };
+        },
+
+        appendUploadHeaders: function(formData, headers) {
+            if (!headers) {
+                return;
+            }
+
+            $.each(headers, function(name, value) {
+                if (name === 'metadata') {
+                    $.each(value, function(key, metaValue) {
+                        formData.append('headers[metadata][' + key + ']', metaValue);
+                    });
+                } else {
+                    formData.append('headers[' + name + ']', value);
+                }
+            });
+        },
+
+        checkUploadConflict: function(item) {
+            var self = this;
+
+            var request = $.post(cfr2wcProduct.ajax_url, {
+                action: 'cfr2wc_check_upload_conflict',
+                nonce: cfr2wcProduct.nonce,
+                bucket: item.bucket,
+                file_name: item.uploadName,
+                folder_path: item.folderPath
+            }).done(function(response) {
+                if (item.status !== 'uploading') {
+                    return;
+                }
+
+                if (!response.success) {
+                    self.onUploadError(item, response.data.message);
+                    return;
+                }
+
+                item.conflictChecked = true;
+
+                if (response.data.conflict) {
+                    self.onUploadConflict(item, response.data.conflict);
+                } else {
+                    self.uploadFile(item);
+                }
+            }).fail(function(xhr, status) {
+                if (status !== 'abort') {
+                    self.onUploadError(item);
+                }
+            });
+
+            item.requests.push(request);
+        },
+
+        onUploadConflict: function(item, conflict) {
+            if (item.status !== 'uploading') {
+                return;
+            }
+
+            // Published versions are never replaced
+            if (item.release) {
+                this.onUploadError(item, cfr2wcProduct.strings.release_exists);
+                return;
+            }
+
+            item.status = 'conflict';
+            item.requests = [];
+
+            if (this.conflictChoice) {
+                this.resolveConflict(item, this.conflictChoice);
+                return;
+            }
+
+            var $choices = $('<p class="cfr2wc-upload-conflict-choices"></p>');
+
+            // Replacing an object changes the file of every product that uses it
+            if (cfr2wcProduct.can_manage_objects) {
+                $choices.append($('<button type="button" class="button button-small cfr2wc-conflict-choice" data-choice="overwrite"></button>').text(cfr2wcProduct.strings.overwrite));
+            }
+
+            $choices.append($('<button type="button" class="button button-small cfr2wc-conflict-choice" data-choice="rename"></button>').text(cfr2wcProduct.strings.rename))
+                .append($('<button type="button" class="button button-small cfr2wc-conflict-choice" data-choice="skip"></button>').text(cfr2wcProduct.strings.skip));
+
+            if (this.uploadQueue.length > 1) {
+                $choices.append(
+                    $('<label></label>')
+                        .append('<input type="checkbox" class="cfr2wc-conflict-all">')
+                        .append(document.createTextNode(' ' + cfr2wcProduct.strings.apply_to_all))
+                );
+            }
+
+            item.$el.find('.cfr2wc-upload-conflict').remove();
+            item.$el.append($('<div class="cfr2wc-upload-conflict"></div>').append($choices));
+
+            this.updateUploadItem(item, cfr2wcProduct.strings.conflict.replace('%1$s', conflict.size).replace('%2$s', conflict.last_modified), 0);
+
+            // Other files keep uploading while this one waits for an answer
+            this.processUploadQueue();
+        },
+
+        chooseConflict: function(id, choice, applyToAll) {
+            var self = this;
+            var item = this.getUploadItem(id);
+
+            if (!item || item.status !== 'conflict') {
+                return;
+            }
+
+            if (!applyToAll) {
+                this.resolveConflict(item, choice);
+                return;
+            }
+
+            // Also answers files that are already waiting and those that conflict later in this batch
+            this.conflictChoice = choice;
+            this.uploadQueue.forEach(function(other) {
+                if (other.status === 'conflict') {
+                    self.resolveConflict(other, choice);
+                }
+            });
+        },
+
+        resolveConflict: function(item, choice) {
+            item.$el.find('.cfr2wc-upload-conflict').remove();
+
+            if (choice === 'skip') {
+                item.status = 'skipped';
+                this.updateUploadItem(item, cfr2wcProduct.strings.upload_skipped, 0);
+                this.updateUploadSummary();
+            } else {
+                item.conflict = choice;
+                item.status = 'queued';
+                this.updateUploadItem(item, cfr2wcProduct.strings.upload_queued, 0);
+            }
+
+            this.processUploadQueue();
+        },
+
+        // ========== Upload Checksums ==========
+
+        startChecksum: function(item, partSize) {
+            var self = this;
+            var deferred = $.Deferred();
+            var worker;
+
+            // Retries of the same file keep the hash that is running or already done
+            if (item.checksum && item.checksumPartSize === partSize) {
+                return;
+            }
+
+            this.stopChecksum(item);
+
+            // Without workers the upload goes through unverified
+            if (!window.Worker || !cfr2wcProduct.checksum_worker) {
+                return;
+            }
+
+            try {
+                worker = new Worker(cfr2wcProduct.checksum_worker);
+            } catch (e) {
+                return;
+            }
+
+            function finish() {
+                worker.terminate();
+                if (item.worker === worker) {
+                    item.worker = null;
+                }
+            }
+
+            worker.onmessage = function(e) {
+                if (e.data.type === 'progress') {
+                    item.hashed = e.data.loaded;
+                    if (item.waitingForChecksum) {
+                        self.updateUploadItem(item, self.getHashingMessage(item));
+                    }
+                    return;
+                }
+
+                finish();
+
+                if (e.data.type === 'done') {
+                    deferred.resolve(e.data);
+                } else {
+                    deferred.reject();
+                }
+            };
+
+            worker.onerror = function() {
+                finish();
+                deferred.reject();
+            };
+
+            // A failed hash is not reused by a retry
+            deferred.fail(function() {
+                if (item.checksum === deferred) {
+                    item.checksum = null;
+                }
+            });
+
+            item.worker = worker;
+            item.checksum = deferred;
+            item.checksumPartSize = partSize;
+            item.hashed = 0;
+            worker.postMessage({ file: item.file, partSize: partSize });
+        },
+
+        stopChecksum: function(item) {
+            if (item.worker) {
+                item.worker.terminate();
+                item.worker = null;
+                item.checksum = null;
+            }
+        },
+
+        getHashingMessage: function(item) {
+            var percent = item.file.size ? Math.floor((item.hashed / item.file.size) * 100) : 100;
+
+            return cfr2wcProduct.strings.hashing.replace('%d', percent);
+        },
+
+        verifyUpload: function(item, data) {
+            var self = this;
+            var checksum = item.checksum;
+
+            // Large files may still be hashing after the last byte was sent
+            item.waitingForChecksum = true;
+            this.updateUploadItem(item, checksum.state() === 'pending' ? this.getHashingMessage(item) : cfr2wcProduct.strings.verifying, 100);
+
+            checksum.done(function(result) {
+                item.waitingForChecksum = false;
+
+                if (item.status !== 'uploading') {
+                    return;
+                }
+
+                self.updateUploadItem(item, cfr2wcProduct.strings.verifying);
+
+                var request = $.post(cfr2wcProduct.ajax_url, {
+                    action: 'cfr2wc_verify_upload',
+                    nonce: cfr2wcProduct.nonce,
+                    bucket: item.bucket,
+                    object_key: data.object_key,
+                    sha256: result.sha256,
+                    etag: result.etag
+                }).done(function(response) {
+                    if (!response.success) {
+                        self.onUploadError(item, response.data.message);
+                        return;
+                    }
+
+                    // Rows using this object show the checksum from now on
+                    delete self.objectStatus[self.getStatusKey(item.bucket, data.object_key)];
+                    item.verified = true;
+                    self.onUploadSuccess(item, data);
+                }).fail(function(xhr, status) {
+                    if (status !== 'abort') {
+                        self.onUploadError(item);
+                    }
+                });
+
+                item.requests.push(request);
+            }).fail(function() {
+                // The browser could not hash the file, the upload itself succeeded
+                item.waitingForChecksum = false;
+                item.verified = true;
+                self.onUploadSuccess(item, data);
+            });
+        },
+
+        // ========== Direct Upload (browser to R2) ==========
+
+        uploadFileDirect: function(item) {
+            var self = this;
+
+            // Retrying after a network drop: keep the upload ID and only send the missing parts
+            if (item.direct && item.direct.mode === 'multipart') {
+                this.startChecksum(item, item.direct.part_size);
+                this.uploadParts(item);
+                return;
+            }
+
+            var data = {
+                action: 'cfr2wc_direct_upload_init',
+                nonce: cfr2wcProduct.nonce,
+                bucket: item.bucket,
+                file_name: item.uploadName,
+                file_size: item.file.size,
+                folder_path: item.folderPath,
+                conflict: item.conflict
+            };
+
+            if (item.headers) {
+                data.headers = item.headers;
+            }
+
+            var request = $.post(cfr2wcProduct.ajax_url, data).done(function(response) {
+                if (!response.success) {
+                    if (response.data && response.data.conflict) {
+                        self.onUploadConflict(item, response.data.conflict);
+                    } else if (response.data && response.data.rate_limited) {
+                        self.onUploadRateLimited(item, response.data.message);
+                    } else {
+                        self.onUploadError(item, response.data.message);
+                    }
+                    return;
+                }
+
+                if (item.status !== 'uploading') {
+                    return;
+                }
+
+                item.direct = response.data;
+                item.direct.parts = {};
+                item.direct.urls = {};
+                self.startChecksum(item, item.direct.mode === 'multipart' ? item.direct.part_size : 0);
+
+                if (item.direct.mode === 'multipart') {
+                    self.saveStoredUpload(item);
+                    self.uploadParts(item);
+                } else {
+                    self.uploadSingleDirect(item);
+                }
+            }).fail(function(xhr, status) {
+                if (status !== 'abort') {
+                    self.onUploadError(item);
+                }
+            });
+
+            item.requests.push(request);
+        },
+
+        putToR2: function(item, url, body, headers, onProgress) {
+            var deferred = $.Deferred();
+            var xhr = new XMLHttpRequest();
+
+            function release() {
+                var index = item.requests.indexOf(xhr);
+                if (index > -1) {
+                    item.requests.splice(index, 1);
+                }
+            }
+
+            xhr.open('PUT', url, true);
+
+            // Headers returned with the signed URL, they must be sent exactly as signed
+            $.each(headers || {}, function(name, value) {
+                xhr.setRequestHeader(name, value);
+            });
+
+            xhr.upload.addEventListener('progress', function(e) {
+                if (e.lengthComputable && onProgress) {
+                    onProgress(e.loaded);
+                }
+            }, false);
+
+            xhr.onload = function() {
+                release();
+                if (xhr.status >= 200 && xhr.status < 300) {
+                    deferred.resolve(xhr.getResponseHeader('ETag'));
+                } else {
+                    deferred.reject(xhr.status);
+                }
+            };
+
+            xhr.onerror = function() {
+                release();
+                deferred.reject(0);
+            };
+
+            xhr.onabort = function() {
+                release();
+                deferred.reject('abort');
+            };
+
+            item.requests.push(xhr);
+            xhr.send(body);
+
+            return deferred.promise();
+        },
+
+        uploadSingleDirect: function(item) {
+            var self = this;
+
+            this.putToR2(item, item.direct.url, item.file, item.direct.headers, function(loaded) {
+                self.updateUploadItem(item, null, (loaded / item.file.size) * 100);
+            }).done(function() {
+                self.completeDirectUpload(item);
+            }).fail(function(reason) {
+                if (reason !== 'abort') {
+                    self.onUploadError(item);
+                }
+            });
+        },
+
+        uploadParts: function(item) {
+            var self = this;
+            var direct = item.direct;
+            var limit = parseInt(cfr2wcProduct.part_concurrency, 10) || 1;
+            var queue = [];
+            var attempts = {};
+            var progress = {};
+            var active = 0;
+            var signing = false;
+            var failed = false;
+
+            for (var n = 1; n <= direct.part_count; n++) {
+                if (!direct.parts[n]) {
+                    queue.push(n);
+                }
+            }
+
+            function partSize(partNumber) {
+                var start = (partNumber - 1) * direct.part_size;
+                return Math.min(direct.part_size, item.file.size - start);
+            }
+
+            function reportProgress() {
+                var done = Object.keys(direct.parts).length;
+                var bytes = 0;
+
+                Object.keys(direct.parts).forEach(function(partNumber) {
+                    bytes += partSize(parseInt(partNumber, 10));
+                });
+                Object.keys(progress).forEach(function(partNumber) {
+                    bytes += progress[partNumber];
+                });
+
+                self.updateUploadItem(
+                    item,
+                    cfr2wcProduct.strings.upload_parts
+                        .replace('%1$d', Math.min(done + 1, direct.part_count))
+                        .replace('%2$d', direct.part_count),
+                    (bytes / item.file.size) * 100
+                );
+            }
+
+            function fail(message) {
+                failed = true;
+                self.onUploadError(item, message);
+            }
+
+            function signParts(partNumbers) {
+                signing = true;
+
+                var request = $.post(cfr2wcProduct.ajax_url, {
+                    action: 'cfr2wc_direct_upload_sign_parts',
+                    nonce: cfr2wcProduct.nonce,
+                    bucket: item.bucket,
+                    object_key: direct.object_key,
+                    upload_id: direct.upload_id,
+                    part_numbers: partNumbers
+                }).done(function(response) {
+                    signing = false;
+
+                    if (!response.success) {
+                        fail(response.data.message);
+                        return;
+                    }
+
+                    $.extend(direct.urls, response.data.urls);
+                    launch();
+                }).fail(function(xhr, status) {
+                    signing = false;
+                    if (status !== 'abort') {
+                        fail();
+                    }
+                });
+
+                item.requests.push(request);
+            }
+
+            function startPart(partNumber) {
+                var start = (partNumber - 1) * direct.part_size;
+                var blob = item.file.slice(start, start + partSize(partNumber));
+
+                active++;
+                progress[partNumber] = 0;
+
+                self.putToR2(item, direct.urls[partNumber], blob, null, function(loaded) {
+                    progress[partNumber] = loaded;
+                    reportProgress();
+                }).done(function(etag) {
+                    active--;
+                    delete progress[partNumber];
+
+                    if (!etag) {
+                        // The bucket CORS policy must expose ETag, without it the upload cannot be completed
+                        fail(cfr2wcProduct.strings.missing_etag);
+                        return;
+                    }
+
+                    direct.parts[partNumber] = etag;
+                    self.saveStoredUpload(item);
+                    reportProgress();
+                    launch();
+                }).fail(function(reason) {
+                    active--;
+                    delete progress[partNumber];
+
+                    if (reason === 'abort' || failed) {
+                        return;
+                    }
+
+                    // Re-sign and retry a part a few times before giving up on the file
+                    attempts[partNumber] = (attempts[partNumber] || 0) + 1;
+                    delete direct.urls[partNumber];
+
+                    if (attempts[partNumber] > 3) {
+                        fail();
+                        return;
+                    }
+
+                    queue.push(partNumber);
+                    setTimeout(launch, 1000 * attempts[partNumber]);
+                });
+            }
+
+            function launch() {
+                if (failed || item.status !== 'uploading') {
+                    return;
+                }
+
+                while (active < limit && queue.length > 0) {
+                    if (!direct.urls[queue[0]]) {
+                        if (!signing) {
+                            signParts(queue.slice(0, 20));
+                        }
+                        return;
+                    }
+
+                    startPart(queue.shift());
+                }
+
+                if (active === 0 && queue.length === 0) {
+                    self.completeDirectUpload(item);
+                }
+            }
+
+            reportProgress();
+            launch();
+        },
+
+        completeDirectUpload: function(item) {
+            var self = this;
+            var direct = item.direct;
+            var parts = [];
+
+            if (direct.mode === 'multipart') {
+                Object.keys(direct.parts).forEach(function(partNumber) {
+                    parts.push({ part_number: partNumber, etag: direct.parts[partNumber] });
+                });
+            }
+
+            this.updateUploadItem(item, cfr2wcProduct.strings.finalizing, 100);
+
+            var request = $.post(cfr2wcProduct.ajax_url, {
+                action: 'cfr2wc_direct_upload_complete',
+                nonce: cfr2wcProduct.nonce,
+                bucket: item.bucket,
+                object_key: direct.object_key,
+                upload_id: direct.upload_id || '',
+                parts: parts
+            }).done(function(response) {
+                if (response.success) {
+                    self.removeStoredUpload(direct.object_key);
+                    item.direct = null;
+                    self.onUploadSuccess(item, response.data);
+                } else {
+                    self.onUploadError(item, response.data.message);
+                }
+            }).fail(function(xhr, status) {
+                if (status !== 'abort') {
+                    self.onUploadError(item);
+                }
+            });
+
+            item.requests.push(request);
+        },
+
+        // ========== Resumable Uploads ==========
+
+        getStorageKey: function() {
+            return 'cfr2wc_uploads_' + cfr2wcProduct.product_id;
+        },
+
+        getStoredUploads: function() {
+            try {
+                return JSON.parse(window.localStorage.getItem(this.getStorageKey())) || [];
+            } catch (e) {
+                return [];
+            }
+        },
+
+        setStoredUploads: function(records) {
+            try {
+                if (records.length > 0) {
+                    window.localStorage.setItem(this.getStorageKey(), JSON.stringify(records));
+                } else {
+                    window.localStorage.removeItem(this.getStorageKey());
+                }
+            } catch (e) {
+                // Storage full or disabled: uploads still work, they just can't be resumed after a reload
+            }
+        },
+
+        getStoredUpload: function(objectKey) {
+            var records = this.getStoredUploads();
+
+            for (var i = 0; i < records.length; i++) {
+                if (records[i].object_key === objectKey) {
+                    return records[i];
+                }
+            }
+            return null;
+        },
+
+        saveStoredUpload: function(item) {
+            var direct = item.direct;
+            var records = this.getStoredUploads().filter(function(record) {
+                return record.object_key !== direct.object_key;
+            });
+
+            // Only what is needed to find the same file again and continue; part URLs expire anyway
+            records.push({
+                bucket: item.bucket,
+                object_key: direct.object_key,
+                upload_id: direct.upload_id,
+                file_name: direct.file_name,
+                original_name: item.file.name,
+                file_size: item.file.size,
+                file_last_modified: item.file.lastModified,
+                part_size: direct.part_size,
+                part_count: direct.part_count,
+                parts: direct.parts
+            });
+
+            this.setStoredUploads(records);
+        },
+
+        removeStoredUpload: function(objectKey) {
+            this.setStoredUploads(this.getStoredUploads().filter(function(record) {
+                return record.object_key !== objectKey;
+            }));
+
+            $('.cfr2wc-resume-notice').filter(function() {
+                return $(this).attr('data-object-key') === objectKey;
+            }).remove();
+        },
+
+        findDownloadsBody: function() {
+            var $tbody = $('#general_product_data .downloadable_files tbody');
+
+            if ($tbody.length === 0) {
+                $tbody = $('.downloadable_files tbody');
+            }
+
+            return $tbody.first();
+        },
+
+        showResumeNotices: function() {
+            var self = this;
+            var $anchor = this.findDownloadsBody().closest('.downloadable_files');
+
+            if ($anchor.length === 0) {
+                return;
+            }
+
+            this.getStoredUploads().forEach(function(record) {
+                // Skip uploads already running in this page
+                var running = self.uploadQueue.some(function(item) {
+                    return item.direct && item.direct.object_key === record.object_key;
+                });
+
+                if (running) {
+                    return;
+                }
+
+                var percent = Math.floor((Object.keys(record.parts).length / record.part_count) * 100);
+                var text = cfr2wcProduct.strings.resume_notice
+                    .replace('%1$s', record.file_name)
+                    .replace('%2$d', percent)
+                    .replace('%%', '%');
+
+                var $notice = $('<div class="notice notice-warning inline cfr2wc-resume-notice"></div>')
+                    .attr('data-object-key', record.object_key)
+                    .append(
+                        $('<p></p>')
+                            .append($('<span></span>').text(text))
+                            .append(' ')
+                            .append($('<button type="button" class="button button-small cfr2wc-resume-upload"></button>').text(cfr2wcProduct.strings.resume))
+                            .append(' ')
+                            .append($('<button type="button" class="button-link cfr2wc-discard-upload"></button>').text(cfr2wcProduct.strings.discard))
+                    );
+
+                $anchor.before($notice);
+            });
+        },
+
+        resumeStoredUpload: function(record, file) {
+            var self = this;
+            var bucket = record.bucket || cfr2wcProduct.default_bucket;
+
+            // The browser can't keep file handles across reloads, so make sure the same file was picked
+            if (file.name !== record.original_name || file.size !== record.file_size || file.lastModified !== record.file_last_modified) {
+                alert(cfr2wcProduct.strings.resume_wrong);
+                return;
+            }
+
+            this.resumeRecord = null;
+
+            $.post(cfr2wcProduct.ajax_url, {
+                action: 'cfr2wc_direct_upload_resume',
+                nonce: cfr2wcProduct.nonce,
+                bucket: bucket,
+                object_key: record.object_key,
+                upload_id: record.upload_id
+            }, function(response) {
+                if (!response.success) {
+                    alert(response.data.message || cfr2wcProduct.strings.upload_error);
+                    self.removeStoredUpload(record.object_key);
+                    return;
+                }
+
+                $('.cfr2wc-resume-notice').filter(function() {
+                    return $(this).attr('data-object-key') === record.object_key;
+                }).remove();
+
+                self.currentRow = null;
+                self.openUploadModal();
+
+                if (!self.uploadTargetRow) {
+                    self.uploadTargetRow = self.getResumeTargetRow();
+                }
+
+                // R2's list of stored parts is authoritative over what the browser remembered
+                var item = self.createUploadItem(file);
+                item.bucket = bucket;
+                item.direct = response.data;
+                item.direct.urls = {};
+
+                self.enqueueUpload(item);
+                self.processUploadQueue();
+            });
+        },
+
+        getResumeTargetRow: function() {
+            var $tbody = this.findDownloadsBody();
+            var $first = $tbody.children('tr').first();
+
+            if ($tbody.length === 0) {
+                return null;
+            }
+
+            if ($first.length === 0) {
+                $tbody.closest('.downloadable_files').find('a.insert').first().trigger('click');
+                return $tbody.children('tr').last();
+            }
+
+            return this.getNextEmptyRow($first, []);
+        },
+
+        resumeOfflineUploads: function() {
+            var self = this;
+
+            this.uploadQueue.forEach(function(item) {
+                if (item.status === 'error' && item.resumeWhenOnline) {
+                    self.retryUpload(item.id);
+                }
+            });
+        },
+
+        loadUnfinishedUploads: function() {
+            var self = this;
+            var $list = $('#cfr2wc-unfinished-uploads .cfr2wc-unfinished-list');
+
+            $list.text(cfr2wcProduct.strings.loading);
+
+            $.post(cfr2wcProduct.ajax_url, {
+                action: 'cfr2wc_list_multipart_uploads',
+                nonce: cfr2wcProduct.nonce,
+                bucket: self.currentBucket
+            }, function(response) {
+                $list.empty();
+
+                if (!response.success) {
+                    $list.text(response.data.message || cfr2wcProduct.strings.error);
+                    return;
+                }
+
+                if (response.data.uploads.length === 0) {
+                    $list.text(cfr2wcProduct.strings.no_unfinished);
+                    return;
+                }
+
+                response.data.uploads.forEach(function(upload) {
+                    var $row = $('<div class="cfr2wc-unfinished-item"></div>');
+
+                    $row.append($('<code></code>').text(upload.object_key));
+                    if (upload.initiated) {
+                        $row.append($('<span class="cfr2wc-unfinished-date"></span>').text(upload.initiated));
+                    }
+                    $row.append(
+                        $('<button type="button" class="button-link cfr2wc-abort-unfinished"></button>')
+                            .attr('data-object-key', upload.object_key)
+                            .attr('data-upload-id', upload.upload_id)
+                            .text(cfr2wcProduct.strings.abort)
+                    );
+
+                    $list.append($row);
+                });
+            });
+        },
+
+        abortMultipartUpload: function(objectKey, uploadId) {
+            var self = this;
+
+            $.post(cfr2wcProduct.ajax_url, {
+                action: 'cfr2wc_direct_upload_abort',
+                nonce: cfr2wcProduct.nonce,
+                bucket: self.currentBucket,
+                object_key: objectKey,
+                upload_id: uploadId
+            }, function(response) {
+                if (!response.success) {
+                    alert(response.data.message || cfr2wcProduct.strings.error);
+                    return;
+                }
+
+                self.removeStoredUpload(objectKey);
+                $('.cfr2wc-abort-unfinished').filter(function() {
+                    return $(this).attr('data-upload-id') === uploadId;
+                }).closest('.cfr2wc-unfinished-item').remove();
+            });
+        },
+
+        assignUploadToRow: function(data, bucket) {
+            if (!this.uploadTargetRow) {
+                return;
+            }
+
+            // First upload goes into the row the modal was opened from, the rest into empty or new rows
+            var $row = this.uploadUsedRows.length === 0 ?
+                this.uploadTargetRow :
+                this.getNextEmptyRow(this.uploadTargetRow, this.uploadUsedRows);
+
+            if ($row && $row.length) {
+                this.fillRow($row, data.object_key, data.file_name, bucket);
+                this.uploadUsedRows.push($row[0]);
+            }
+        },
+
+        onUploadQueueDrained: function() {
+            var self = this;
+
+            if (this.uploadQueue.length === 0) {
+                return;
+            }
+
+            var allDone = this.uploadQueue.every(function(item) {
+                return item.status === 'done' || item.status === 'skipped';
+            });
+
+            // Keep the modal open when something failed or was cancelled so it can be retried
+            if (allDone) {
+                setTimeout(function() {
+                    if (!self.isUploadQueueBusy()) {
+                        self.closeUploadModal();
+                        self.currentRow = null;
+                        self.uploadTargetRow = null;
+                    }
+                }, 1000);
+            }
+        },
+
+        deleteObject: function(file) {
+            var self = this;
+
+            if (!window.confirm(cfr2wcProduct.strings.confirm_delete.replace('%s', file.object_key))) {
+                return;
+            }
+
+            var $row = $('#cfr2wc-file-table tbody tr[data-object-key]').filter(function() {
+                return $(this).attr('data-object-key') === file.object_key;
+            }).addClass('is-busy');
+
+            $.post(cfr2wcProduct.ajax_url, {
+                action: 'cfr2wc_delete_object',
+                nonce: cfr2wcProduct.nonce,
+                bucket: self.currentBucket,
+                object_key: file.object_key
+            }, function(response) {
+                if (!response.success) {
+                    window.alert((response.data && response.data.message) || cfr2wcProduct.strings.error);
+                    return;
+                }
+
+                $row.remove();
+                self.fileTotal = Math.max(0, self.fileTotal - 1);
+                self.removeFromSelection(file.object_key);
+                self.updateFileTableStatus();
+                self.forgetObjectStatus(file.object_key);
+
+                // Refresh the counts next to the folders
+                self.loadFolderTree();
+            }).fail(function() {
+                window.alert(cfr2wcProduct.strings.error);
+            }).always(function() {
+                $row.removeClass('is-busy');
+            });
+        },
+
+        moveObject: function(file) {
+            var self = this;
+            var newKey = window.prompt(cfr2wcProduct.strings.move_prompt, file.object_key);
+
+            newKey = $.trim(newKey || '').replace(/^\/+/, '');
+
+            if (!newKey || newKey === file.object_key) {
+                return;
+            }
+
+            $.post(cfr2wcProduct.ajax_url, {
+                action: 'cfr2wc_move_object',
+                nonce: cfr2wcProduct.nonce,
+                bucket: self.currentBucket,
+                object_key: file.object_key,
+                new_key: newKey
+            }, function(response) {
+                if (!response.success) {
+                    window.alert((response.data && response.data.message) || cfr2wcProduct.strings.error);
+                    return;
+                }
+
+                if (self.isFileSelected(file.object_key)) {
+                    self.removeFromSelection(file.object_key);
+                }
+
+                self.forgetObjectStatus(file.object_key);
+
+                self.loadFolderTree();
+                self.loadFileTable(true);
+            }).fail(function() {
+                window.alert(cfr2wcProduct.strings.error);
+            });
+        },
+
+        createFolder: function() {
+            var self = this;
+            var name = $.trim(window.prompt(cfr2wcProduct.strings.folder_prompt) || '');
+
+            if (!name) {
+                return;
+            }
+
+            var $status = $('.cfr2wc-folder-panel-status');
+
+            $.post(cfr2wcProduct.ajax_url, {
+                action: 'cfr2wc_create_folder',
+                nonce: cfr2wcProduct.nonce,
+                bucket: self.currentBucket,
+                folder_path: this.currentFolderPath,
+                folder_name: name
+            }, function(response) {
+                if (!response.success) {
+                    $status.addClass('is-error').text((response.data && response.data.message) || cfr2wcProduct.strings.error).show();
+                    return;
+                }
+
+                $status.removeClass('is-error').text(response.data.message).show();
+                self.loadFolderTree();
+                self.navigateToFolder(response.data.folder_path, 'choose');
+            }).fail(function() {
+                $status.addClass('is-error').text(cfr2wcProduct.strings.error).show();
+            });
+        },
+
+        syncR2Files: function() {
+            var self = this;
+            var $status = $('.cfr2wc-folder-panel-status');
+
+            $('.cfr2wc-refresh-tree').prop('disabled', true);
+
+            $.post(cfr2wcProduct.ajax_url, {
+                action: 'cfr2wc_sync_r2_files',
+                nonce: cfr2wcProduct.nonce,
+                bucket: self.currentBucket
+            }, function(response) {
+                if (response.success) {
+                    $status.removeClass('is-error').hide();
+                    self.watchSync(response.data);
+                } else {
+                    $('.cfr2wc-refresh-tree').prop('disabled', false);
+                    $status.addClass('is-error').text(cfr2wcProduct.strings.sync_failed + ' ' + ((response.data && response.data.message) || cfr2wcProduct.strings.error)).show();
+                }
+            }).fail(function() {
+                $('.cfr2wc-refresh-tree').prop('disabled', false);
+                $status.addClass('is-error').text(cfr2wcProduct.strings.sync_failed + ' ' + cfr2wcProduct.strings.error).show();
+            });
+        },
+
+        watchSync: function(state) {
+            var self = this;
+            var bucket = this.currentBucket;
+
+            clearTimeout(this.syncTimer);
+
+            if (!state || state.status !== 'running') {
+                $('.cfr2wc-sync-indicator').hide();
+                $('.cfr2wc-refresh-tree').prop('disabled', false);
+                return;
+            }
+
+            // The total is the file count of the previous sync, the first sync of a bucket can only count up
+            var text = state.total > 0
+                ? cfr2wcProduct.strings.sync_progress.replace('%1$d', state.processed).replace('%2$d', state.total)
+                : cfr2wcProduct.strings.sync_count.replace('%d', state.processed);
+
+            $('.cfr2wc-sync-indicator').show().find('.cfr2wc-sync-text').text(text);
+            $('.cfr2wc-refresh-tree').prop('disabled', true);
+
+            this.syncTimer = setTimeout(function() {
+                self.pollSync(bucket, state);
+            }, 3000);
+        },
+
+        pollSync: function(bucket, lastState) {
+            var self = this;
+
+            $.post(cfr2wcProduct.ajax_url, {
+                action: 'cfr2wc_sync_status',
+                nonce: cfr2wcProduct.nonce,
+                bucket: bucket
+            }, function(response) {
+                // Switching buckets reloads the tree, which watches the sync of the new bucket
+                if (bucket !== self.currentBucket) {
+                    return;
+                }
+
+                if (response.success && response.data.status === 'running') {
+                    self.watchSync(response.data);
+                } else {
+                    self.finishSync(response.success ? response.data : { status: 'failed', message: response.data && response.data.message });
+                }
+            }).fail(function() {
+                // Keep polling, the sync itself runs on the server
+                if (bucket === self.currentBucket) {
+                    self.watchSync(lastState);
+                }
+            });
+        },
+
+        finishSync: function(state) {
+            var $status = $('.cfr2wc-folder-panel-status');
+
+            $('.cfr2wc-sync-indicator').hide();
+            $('.cfr2wc-refresh-tree').prop('disabled', false);
+
+            if (state.status !== 'complete') {
+                $status.addClass('is-error').text(cfr2wcProduct.strings.sync_failed + ' ' + (state.message || cfr2wcProduct.strings.error)).show();
+                return;
+            }
+
+            $status.removeClass('is-error').text(state.message).show();
+
+            // Reload folder tree instead of entire page
+            this.loadFolderTree();
+
+            // Clear file selector and reset selection
+            this.clearSelection();
+            this.loadFileTable(true);
+        },
+
+        // ========== Versioned Releases ==========
+
+        getRowProductId: function($row) {
+            // Variation rows belong to the variation, not the parent product
+            var $variationId = $row.closest('.woocommerce_variation').find('input[name^="variable_post_id"]');
+
+            return $variationId.length ? $variationId.val() : cfr2wcProduct.product_id;
+        },
+
+        getRowDownloadId: function($row) {
+            return $row.find('input[name*="file_hashes"]').val() || '';
+        },
+
+        openReleaseModal: function($row) {
+            this.release = {
+                row: $row,
+                productId: this.getRowProductId($row),
+                downloadId: this.getRowDownloadId($row),
+                bucket: this.getRowBucket($row),
+                baseFolder: null
+            };
+
+            $('#cfr2wc-release-version, #cfr2wc-release-note, #cfr2wc-release-file').val('');
+            $('#cfr2wc-release-history tbody').empty();
+            $('#cfr2wc-release-fields, #cfr2wc-release-publish').prop('disabled', true);
+            this.updateReleaseKey();
+
+            // Keep an upload that is still running visible, it belongs to this download or is about to finish
+            if (!this.releaseItem || this.releaseItem.status === 'done') {
+                $('#cfr2wc-release-upload').empty();
+            }
+
+            $('#cfr2wc-release-modal').fadeIn(200);
+
+            if (!this.getRowObjectKey($row)) {
+                this.setReleaseStatus(cfr2wcProduct.strings.not_r2, true);
+                return;
+            }
+
+            this.setReleaseStatus(cfr2wcProduct.strings.loading);
+            this.releaseRequest('cfr2wc_get_releases', {}, function() {
+                $('#cfr2wc-release-status').hide();
+                $('#cfr2wc-release-fields, #cfr2wc-release-publish').prop('disabled', false);
+                $('#cfr2wc-release-version').trigger('focus');
+            });
+        },
+
+        closeReleaseModal: function() {
+            $('#cfr2wc-release-modal').fadeOut(200);
+        },
+
+        setReleaseStatus: function(message, isError) {
+            $('#cfr2wc-release-status').toggleClass('is-error', !!isError).text(message).show();
+        },
+
+        releaseRequest: function(action, data, onSuccess) {
+            var self = this;
+            var release = this.release;
+
+            return $.post(cfr2wcProduct.ajax_url, $.extend({
+                action: action,
+                nonce: cfr2wcProduct.nonce,
+                product_id: release.productId,
+                download_id: release.downloadId
+            }, data), function(response) {
+                if (!response.success) {
+                    if (release === self.release) {
+                        self.setReleaseStatus((response.data && response.data.message) || cfr2wcProduct.strings.error, true);
+                    }
+                    return;
+                }
+
+                self.applyRelease(release, response.data);
+
+                if (onSuccess) {
+                    onSuccess(response.data);
+                }
+            }).fail(function() {
+                if (release === self.release) {
+                    self.setReleaseStatus(cfr2wcProduct.strings.error, true);
+                }
+            });
+        },
+
+        applyRelease: function(release, data) {
+            var $fileUrlInput = this.findFileUrlInput(release.row);
+
+            // The product was saved on the server; keep the form in step so the next Update doesn't undo it
+            if ($fileUrlInput.val() !== data.file) {
+                $fileUrlInput.val(data.file).trigger('change');
+            }
+
+            // The modal may show another download by now
+            if (this.release && this.release.row.is(release.row)) {
+                this.release.baseFolder = data.base_folder;
+                this.renderReleaseHistory(data.history);
+                this.updateReleaseKey();
+            }
+        },
+
+        renderReleaseHistory: function(history) {
+            var $tbody = $('#cfr2wc-release-history tbody').empty();
+
+            if (history.length === 0) {
+                $tbody.append($('<tr></tr>').append($('<td colspan="4"></td>').text(cfr2wcProduct.strings.no_history)));
+                return;
+            }
+
+            history.forEach(function(entry) {
+                var $version = $('<td></td>').text(entry.version || cfr2wcProduct.strings.unversioned).attr('title', entry.object_key);
+                var $action = $('<td class="cfr2wc-release-action"></td>');
+
+                if (entry.current) {
+                    $version.append(' ').append($('<span class="cfr2wc-release-live"></span>').text(cfr2wcProduct.strings.live));
+                } else {
+                    $action.append(
+                        $('<button type="button" class="button button-small cfr2wc-release-rollback"></button>')
+                            .attr('data-index', entry.index)
+                            .text(cfr2wcProduct.strings.rollback)
+                    );
+                }
+
+                $tbody.append(
+                    $('<tr></tr>')
+                        .toggleClass('is-current', entry.current)
+                        .append($version)
+                        .append($('<td></td>').text(entry.date + (entry.user ? ' (' + entry.user + ')' : '')))
+                        .append($('<td class="cfr2wc-release-note"></td>').text(entry.note))
+                        .append($action)
+                );
+            });
+        },
+
+        getReleaseFolder: function(version) {
+            var base = this.release ? this.release.baseFolder : '';
+
+            return base ? base + '/' + version : version;
+        },
+
+        updateReleaseKey: function() {
+            var version = $.trim($('#cfr2wc-release-version').val());
+            var file = $('#cfr2wc-release-file')[0].files[0];
+
+            $('#cfr2wc-release-key').text(
+                this.release && this.release.baseFolder !== null && version && file ?
+                    this.getReleaseFolder(version) + '/' + file.name :
+                    ''
+            );
+        },
+
+        startRelease: function() {
+            var version = $.trim($('#cfr2wc-release-version').val());
+            var file = $('#cfr2wc-release-file')[0].files[0];
+
+            if (!this.release || this.release.baseFolder === null) {
+                return;
+            }
+
+            // Same rule as CFR2WC_Releases::is_valid_version(), the version becomes a folder name
+            if (!/^[A-Za-z0-9](?:[A-Za-z0-9._-]{0,62}[A-Za-z0-9])?$/.test(version)) {
+                this.setReleaseStatus(cfr2wcProduct.strings.bad_version, true);
+                return;
+            }
+
+            if (!file) {
+                this.setReleaseStatus(cfr2wcProduct.strings.choose_file, true);
+                return;
+            }
+
+            if (this.releaseItem && (this.releaseItem.status === 'uploading' || this.releaseItem.status === 'queued')) {
+                return;
+            }
+
+            $('#cfr2wc-release-status').hide();
+            $('#cfr2wc-release-upload').empty();
+            $('#cfr2wc-release-fields, #cfr2wc-release-publish').prop('disabled', true);
+
+            var item = this.createUploadItem(file);
+            item.bucket = this.release.bucket;
+            item.folderPath = this.getReleaseFolder(version);
+            item.release = $.extend({}, this.release, {
+                version: version,
+                note: $('#cfr2wc-release-note').val(),
+                objectKey: ''
+            });
+
+            this.releaseItem = item;
+            this.renderUploadItem(item);
+            this.uploadFile(item);
+        },
+
+        publishRelease: function(item) {
+            var self = this;
+            var release = item.release;
+
+            this.updateUploadItem(item, cfr2wcProduct.strings.publishing, 100);
+
+            $.post(cfr2wcProduct.ajax_url, {
+                action: 'cfr2wc_publish_release',
+                nonce: cfr2wcProduct.nonce,
+                product_id: release.productId,
+                download_id: release.downloadId,
+                version: release.version,
+                note: release.note,
+                object_key: release.objectKey
+            }, function(response) {
+                if (!response.success) {
+                    self.onUploadError(item, response.data.message);
+                    return;
+                }
+
+                item.status = 'done';
+                self.updateUploadItem(item, cfr2wcProduct.strings.published.replace('%s', release.version), 100);
+                self.applyRelease(release, response.data);
+
+                $('#cfr2wc-release-version, #cfr2wc-release-note, #cfr2wc-release-file').val('');
+                self.updateReleaseKey();
+                self.onReleaseFinished(item);
+            }).fail(function() {
+                self.onUploadError(item);
+            });
+        },
+
+        onReleaseFinished: function(item) {
+            // The modal may show another download by now
+            if (this.release && this.release.row.is(item.release.row) && this.release.baseFolder !== null) {
+                $('#cfr2wc-release-fields, #cfr2wc-release-publish').prop('disabled', false);
+            }
+        },
+
+        rollbackRelease: function(index) {
+            var self = this;
+
+            $('#cfr2wc-release-history .cfr2wc-release-rollback').prop('disabled', true);
+
+            this.releaseRequest('cfr2wc_rollback_release', { index: index }, function(data) {
+                var live = data.history.filter(function(entry) {
+                    return entry.current;
+                })[0];
+
+                self.setReleaseStatus(cfr2wcProduct.strings.rolled_back.replace('%s', live && live.version ? live.version : cfr2wcProduct.strings.unversioned));
+            }).always(function() {
+                $('#cfr2wc-release-history .cfr2wc-release-rollback').prop('disabled', false);
+            });
+        },
+
+        // ========== Breadcrumb Navigation System ==========
+
         buildFolderMap: function(tree) {
             var map = {};
 
@@ -712,6 +3441,10 @@
                 });
             }
 
+            if (modalType === 'upload') {
+                this.updateKeyPreview();
+            }
+
             // Ensure input container exists and is at the end
             var $inputContainer = $breadcrumb.find('.cfr2wc-breadcrumb-input-container');
             if ($inputContainer.length === 0) {
@@ -727,7 +3460,8 @@
             if (modalType === 'choose') {
                 this.currentFolderPath = path;
                 this.renderBreadcrumb('choose');
-                this.initFileSelect2();
+                this.highlightFolder(path);
+                this.loadFileTable(true);
             } else {
                 this.uploadFolderPath = path;
                 this.renderBreadcrumb('upload');
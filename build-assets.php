@@ -29,6 +29,7 @@ echo "Building assets...\n";
 $jsFiles = [
     'admin' => $srcDir . '/js/admin.js',
     'product-r2-selector' => $srcDir . '/js/product-r2-selector.js',
+    'checksum-worker' => $srcDir . '/js/checksum-worker.js',
 ];
 
 foreach ($jsFiles as $name => $sourceFile) {
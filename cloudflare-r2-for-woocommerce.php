@@ -39,6 +39,8 @@ require_once CFR2WC_PLUGIN_DIR . 'includes/class-cfr2wc-encryption.php';
 require_once CFR2WC_PLUGIN_DIR . 'includes/class-cfr2wc-database.php';
 require_once CFR2WC_PLUGIN_DIR . 'includes/class-cfr2wc-file-cache.php';
 require_once CFR2WC_PLUGIN_DIR . 'includes/class-cfr2wc-file-cache-manager.php';
+require_once CFR2WC_PLUGIN_DIR . 'includes/class-cfr2wc-bucket-manager.php';
+require_once CFR2WC_PLUGIN_DIR . 'includes/class-cfr2wc-background-sync.php';
 require_once CFR2WC_PLUGIN_DIR . 'includes/class-cfr2wc-main.php';
 
 /**
@@ -103,6 +105,7 @@ register_activation_hook(__FILE__, 'cfr2wc_activate');
  * Deactivation hook
  */
 function cfr2wc_deactivate() {
-    // Cleanup if needed
+    // Stop background file cache syncs
+    CFR2WC_Background_Sync::unschedule_all();
 }
 register_deactivation_hook(__FILE__, 'cfr2wc_deactivate');
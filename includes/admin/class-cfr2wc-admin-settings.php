@@ -30,9 +30,16 @@ class CFR2WC_Admin_Settings {
 		add_action( 'woocommerce_update_options_cloudflare_r2', array( $this, 'update_settings' ) );
 		add_action( 'woocommerce_sections_cloudflare_r2', array( $this, 'render_sections' ) );
 		add_action( 'admin_enqueue_scripts', array( $this, 'enqueue_admin_assets' ) );
+		add_action( 'woocommerce_admin_field_cfr2wc_bucket_profiles', array( $this, 'render_bucket_profiles_field' ) );
+		add_filter( 'woocommerce_admin_settings_sanitize_option_' . CFR2WC_Bucket_Manager::OPTION_NAME, array( $this, 'sanitize_bucket_profiles' ), 10, 3 );
+		add_filter( 'woocommerce_admin_settings_sanitize_option_cfr2wc_object_key_template', array( $this, 'sanitize_key_template' ) );
+		add_filter( 'woocommerce_admin_settings_sanitize_option_cfr2wc_default_metadata', array( $this, 'sanitize_default_metadata' ) );
 
 		// AJAX handlers.
-		add_action( 'wp_ajax_cfr2wc_test_connection', array( $this, 'ajax_test_connection' ) );
+		add_action( 'wp_ajax_cfr2wc_run_diagnostic', array( $this, 'ajax_run_diagnostic' ) );
+		add_action( 'wp_ajax_cfr2wc_export_settings', array( $this, 'ajax_export_settings' ) );
+		add_action( 'wp_ajax_cfr2wc_preview_import', array( $this, 'ajax_preview_import' ) );
+		add_action( 'wp_ajax_cfr2wc_import_settings', array( $this, 'ajax_import_settings' ) );
 	}
 
 	/**
@@ -53,6 +60,8 @@ class CFR2WC_Admin_Settings {
 		return array(
 			''           => __( 'General', 'cfr2wc' ),
 			'connection' => __( 'Connection', 'cfr2wc' ),
+			'profiles'   => __( 'Bucket Profiles', 'cfr2wc' ),
+			'transfer'   => __( 'Import / Export', 'cfr2wc' ),
 		);
 	}
 
@@ -90,9 +99,35 @@ class CFR2WC_Admin_Settings {
 			return $this->get_connection_settings();
 		}
 
+		if ( 'profiles' === $this->current_section ) {
+			return $this->get_profile_settings();
+		}
+
+		// The import/export section has no fields of its own.
+		if ( 'transfer' === $this->current_section ) {
+			return array();
+		}
+
 		return $this->get_general_settings();
 	}
 
+	/**
+	 * Get the fields of all sections that can be exported, keyed by option name.
+	 */
+	private function get_transfer_fields(): array {
+		$fields = array();
+
+		foreach ( array_merge( $this->get_general_settings(), $this->get_connection_settings(), $this->get_profile_settings() ) as $field ) {
+			if ( in_array( $field['type'], array( 'title', 'sectionend' ), true ) ) {
+				continue;
+			}
+
+			$fields[ $field['id'] ] = $field;
+		}
+
+		return $fields;
+	}
+
 	/**
 	 * Get general settings
 	 */
@@ -147,6 +182,62 @@ class CFR2WC_Admin_Settings {
 				'placeholder' => 'cdn.yourdomain.com',
 				'class'       => 'cfr2wc-custom-domain-field',
 			),
+			array(
+				'title'   => __( 'Upload Mode', 'cfr2wc' ),
+				'type'    => 'select',
+				'desc'    => __( 'Direct uploads send files from the browser straight to R2 using pre-signed URLs, so they are not limited by PHP upload size. Your bucket needs a CORS policy that allows PUT from this site and exposes the ETag header.', 'cfr2wc' ),
+				'id'      => 'cfr2wc_upload_mode',
+				'default' => 'server',
+				'options' => array(
+					'server' => __( 'Through WordPress (limited by PHP upload size)', 'cfr2wc' ),
+					'direct' => __( 'Directly from the browser to R2', 'cfr2wc' ),
+				),
+			),
+			array(
+				'title'             => __( 'Object Key Template', 'cfr2wc' ),
+				'type'              => 'text',
+				'desc'              => __( 'Pre-fills the upload path in the product editor, e.g. products/{sku}/{version}/{filename}. Placeholders: {product_id}, {sku}, {slug}, {yyyy}, {mm}, {uuid} and {filename}, which must come last. Other placeholders, like {version}, are filled in by hand when uploading. Leave empty to upload into the folder picked in the upload window.', 'cfr2wc' ),
+				'id'                => 'cfr2wc_object_key_template',
+				'default'           => '',
+				'css'               => 'min-width:400px;',
+				'placeholder'       => 'products/{sku}/{version}/{filename}',
+				'custom_attributes' => array(
+					'data-cfr2wc-validate' => 'key_template',
+				),
+			),
+			array(
+				'title'   => __( 'Default Content-Disposition', 'cfr2wc' ),
+				'type'    => 'select',
+				'desc'    => __( 'Stored with uploaded files. Download links always name the file after the shortcode\'s filename attribute when it is set. Can be changed per upload in the Advanced section of the upload window.', 'cfr2wc' ),
+				'id'      => 'cfr2wc_default_disposition',
+				'default' => '',
+				'options' => array(
+					''           => __( 'None (browser decides)', 'cfr2wc' ),
+					'attachment' => __( 'Attachment (download with the file name)', 'cfr2wc' ),
+					'inline'     => __( 'Inline (show in the browser if possible)', 'cfr2wc' ),
+				),
+			),
+			array(
+				'title'       => __( 'Default Cache-Control', 'cfr2wc' ),
+				'type'        => 'text',
+				'desc'        => __( 'Cache-Control header stored with uploaded files, e.g. private, max-age=3600. Leave empty to send none.', 'cfr2wc' ),
+				'id'          => 'cfr2wc_default_cache_control',
+				'default'     => '',
+				'css'         => 'min-width:400px;',
+				'placeholder' => 'private, max-age=3600',
+			),
+			array(
+				'title'             => __( 'Default Metadata', 'cfr2wc' ),
+				'type'              => 'textarea',
+				'desc'              => __( 'Custom metadata (x-amz-meta-*) stored with uploaded files, one "key: value" pair per line. Keys may contain letters, numbers, dashes and underscores, values must be ASCII.', 'cfr2wc' ),
+				'id'                => 'cfr2wc_default_metadata',
+				'default'           => '',
+				'css'               => 'min-width:400px;height:80px;',
+				'placeholder'       => 'license: GPL-2.0',
+				'custom_attributes' => array(
+					'data-cfr2wc-validate' => 'metadata',
+				),
+			),
 			array(
 				'title'   => __( 'Enable Debug Mode', 'cfr2wc' ),
 				'type'    => 'checkbox',
@@ -221,7 +312,10 @@ class CFR2WC_Admin_Settings {
 				'id'                => 'cfr2wc_endpoint',
 				'css'               => 'min-width:400px;',
 				'placeholder'       => 'https://your-account-id.r2.cloudflarestorage.com',
-				'custom_attributes' => array( 'required' => 'required' ),
+				'custom_attributes' => array(
+					'required'             => 'required',
+					'data-cfr2wc-validate' => 'endpoint',
+				),
 			),
 			array(
 				'title'             => __( 'Access Key ID', 'cfr2wc' ),
@@ -229,7 +323,10 @@ class CFR2WC_Admin_Settings {
 				'desc'              => __( 'Your R2 API token access key', 'cfr2wc' ),
 				'id'                => 'cfr2wc_access_key_id',
 				'css'               => 'min-width:400px;',
-				'custom_attributes' => array( 'required' => 'required' ),
+				'custom_attributes' => array(
+					'required'             => 'required',
+					'data-cfr2wc-validate' => 'access_key',
+				),
 				'class'             => 'cfr2wc-credential-field',
 			),
 			array(
@@ -238,7 +335,10 @@ class CFR2WC_Admin_Settings {
 				'desc'              => __( 'Your R2 API token secret key', 'cfr2wc' ),
 				'id'                => 'cfr2wc_secret_access_key',
 				'css'               => 'min-width:400px;',
-				'custom_attributes' => array( 'required' => 'required' ),
+				'custom_attributes' => array(
+					'required'             => 'required',
+					'data-cfr2wc-validate' => 'secret_key',
+				),
 				'class'             => 'cfr2wc-credential-field',
 			),
 			array(
@@ -247,7 +347,10 @@ class CFR2WC_Admin_Settings {
 				'desc'              => __( 'The name of your R2 bucket', 'cfr2wc' ),
 				'id'                => 'cfr2wc_bucket_name',
 				'css'               => 'min-width:400px;',
-				'custom_attributes' => array( 'required' => 'required' ),
+				'custom_attributes' => array(
+					'required'             => 'required',
+					'data-cfr2wc-validate' => 'bucket',
+				),
 			),
 			array(
 				'type' => 'sectionend',
@@ -256,29 +359,322 @@ class CFR2WC_Admin_Settings {
 		);
 	}
 
+	/**
+	 * Get bucket profile settings.
+	 */
+	private function get_profile_settings(): array {
+		return array(
+			array(
+				'title' => __( 'Bucket Profiles', 'cfr2wc' ),
+				'type'  => 'title',
+				'desc'  => __( 'Connect additional buckets, e.g. a separate bucket per product line or region. The bucket from the Connection section is always the default. Downloads use another bucket through the bucket attribute of the shortcode, which the file picker adds for you.', 'cfr2wc' ),
+				'id'    => 'cfr2wc_profiles_section',
+			),
+			array(
+				'title' => __( 'Additional Buckets', 'cfr2wc' ),
+				'type'  => 'cfr2wc_bucket_profiles',
+				'desc'  => __( 'Credentials are encrypted using AES-256-GCM. Leave the key fields empty to keep the stored keys.', 'cfr2wc' ),
+				'id'    => CFR2WC_Bucket_Manager::OPTION_NAME,
+			),
+			array(
+				'type' => 'sectionend',
+				'id'   => 'cfr2wc_profiles_section',
+			),
+		);
+	}
+
+	/**
+	 * Render the bucket profiles table.
+	 *
+	 * @param array $value Field definition.
+	 */
+	public function render_bucket_profiles_field( array $value ): void {
+		?>
+		<tr valign="top">
+			<th scope="row" class="titledesc"><?php echo esc_html( $value['title'] ); ?></th>
+			<td class="forminp">
+				<table class="widefat striped cfr2wc-bucket-profiles">
+					<thead>
+						<tr>
+							<th><?php esc_html_e( 'Name', 'cfr2wc' ); ?></th>
+							<th><?php esc_html_e( 'R2 Endpoint', 'cfr2wc' ); ?></th>
+							<th><?php esc_html_e( 'Access Key ID', 'cfr2wc' ); ?></th>
+							<th><?php esc_html_e( 'Secret Access Key', 'cfr2wc' ); ?></th>
+							<th><?php esc_html_e( 'Bucket Name', 'cfr2wc' ); ?></th>
+							<th><?php esc_html_e( 'Custom Domain', 'cfr2wc' ); ?></th>
+							<th><span class="screen-reader-text"><?php esc_html_e( 'Actions', 'cfr2wc' ); ?></span></th>
+						</tr>
+					</thead>
+					<tbody>
+						<?php
+						foreach ( CFR2WC_Bucket_Manager::get_stored_profiles() as $index => $profile ) {
+							$this->render_bucket_profile_row( (string) $index, $profile );
+						}
+						?>
+					</tbody>
+				</table>
+				<template id="cfr2wc-bucket-profile-template">
+					<?php $this->render_bucket_profile_row( '__index__', array() ); ?>
+				</template>
+				<p>
+					<button type="button" class="button cfr2wc-add-bucket-profile"><?php esc_html_e( 'Add Bucket', 'cfr2wc' ); ?></button>
+				</p>
+				<p class="description"><?php echo esc_html( $value['desc'] ); ?></p>
+			</td>
+		</tr>
+		<?php
+	}
+
+	/**
+	 * Render one row of the bucket profiles table.
+	 *
+	 * @param string $index Row index, or a placeholder for the row template.
+	 * @param array  $profile Stored profile, empty for a new row.
+	 */
+	private function render_bucket_profile_row( string $index, array $profile ): void {
+		$name = CFR2WC_Bucket_Manager::OPTION_NAME . '[' . $index . ']';
+		?>
+		<tr>
+			<td>
+				<input type="text" name="<?php echo esc_attr( $name . '[name]' ); ?>" value="<?php echo esc_attr( $profile['name'] ?? '' ); ?>">
+				<?php if ( ! empty( $profile ) ) : ?>
+					<input type="hidden" name="<?php echo esc_attr( $name . '[existing]' ); ?>" value="<?php echo esc_attr( $index ); ?>">
+				<?php endif; ?>
+			</td>
+			<td><input type="url" name="<?php echo esc_attr( $name . '[endpoint]' ); ?>" data-cfr2wc-validate="endpoint" value="<?php echo esc_attr( $profile['endpoint'] ?? '' ); ?>" placeholder="https://your-account-id.r2.cloudflarestorage.com" required></td>
+			<td><input type="password" name="<?php echo esc_attr( $name . '[access_key_id]' ); ?>" data-cfr2wc-validate="access_key" autocomplete="off" placeholder="<?php echo empty( $profile['access_key_id'] ) ? '' : esc_attr__( '(unchanged)', 'cfr2wc' ); ?>"></td>
+			<td><input type="password" name="<?php echo esc_attr( $name . '[secret_access_key]' ); ?>" data-cfr2wc-validate="secret_key" autocomplete="new-password" placeholder="<?php echo empty( $profile['secret_access_key'] ) ? '' : esc_attr__( '(unchanged)', 'cfr2wc' ); ?>"></td>
+			<td><input type="text" name="<?php echo esc_attr( $name . '[bucket_name]' ); ?>" data-cfr2wc-validate="bucket" value="<?php echo esc_attr( $profile['bucket_name'] ?? '' ); ?>" maxlength="63" required></td>
+			<td><input type="url" name="<?php echo esc_attr( $name . '[custom_domain]' ); ?>" value="<?php echo esc_attr( $profile['custom_domain'] ?? '' ); ?>" placeholder="https://downloads.example.com"></td>
+			<td>
+				<button type="button" class="button-link cfr2wc-remove-bucket-profile" title="<?php esc_attr_e( 'Remove', 'cfr2wc' ); ?>">
+					<span class="dashicons dashicons-trash"></span>
+					<span class="screen-reader-text"><?php esc_html_e( 'Remove', 'cfr2wc' ); ?></span>
+				</button>
+			</td>
+		</tr>
+		<?php
+	}
+
+	/**
+	 * Sanitize the submitted bucket profiles.
+	 *
+	 * Keys left empty keep the stored value. Every bucket may only have one profile, and the default bucket has none.
+	 *
+	 * @param mixed $value Value cleaned by WooCommerce.
+	 * @param array $option Field definition.
+	 * @param mixed $raw_value Submitted value.
+	 * @return array Profiles with encrypted credentials.
+	 */
+	public function sanitize_bucket_profiles( $value, array $option, $raw_value ): array {
+		$stored   = CFR2WC_Bucket_Manager::get_stored_profiles();
+		$buckets  = array( (string) get_option( 'cfr2wc_bucket_name', '' ) );
+		$profiles = array();
+
+		foreach ( is_array( $raw_value ) ? $raw_value : array() as $row ) {
+			if ( ! is_array( $row ) ) {
+				continue;
+			}
+
+			$existing = isset( $row['existing'] ) ? ( $stored[ absint( $row['existing'] ) ] ?? array() ) : array();
+			$bucket   = strtolower( sanitize_text_field( $row['bucket_name'] ?? '' ) );
+
+			// Skip rows that were added but never filled in.
+			if ( '' === $bucket ) {
+				continue;
+			}
+
+			if ( ! preg_match( '/^[a-z0-9][a-z0-9-]{1,61}[a-z0-9]$/', $bucket ) ) {
+				/* translators: %s: bucket name. */
+				WC_Admin_Settings::add_error( sprintf( __( '"%s" is not a valid bucket name. The profile was not saved.', 'cfr2wc' ), $bucket ) );
+				continue;
+			}
+
+			if ( in_array( $bucket, $buckets, true ) ) {
+				/* translators: %s: bucket name. */
+				WC_Admin_Settings::add_error( sprintf( __( 'The bucket "%s" already has a profile. Only the first one was saved.', 'cfr2wc' ), $bucket ) );
+				continue;
+			}
+
+			$buckets[]  = $bucket;
+			$profiles[] = array(
+				'name'              => sanitize_text_field( $row['name'] ?? '' ),
+				'endpoint'          => esc_url_raw( $row['endpoint'] ?? '', array( 'https' ) ),
+				'access_key_id'     => $this->encrypt_profile_credential( (string) ( $row['access_key_id'] ?? '' ), $existing['access_key_id'] ?? '' ),
+				'secret_access_key' => $this->encrypt_profile_credential( (string) ( $row['secret_access_key'] ?? '' ), $existing['secret_access_key'] ?? '' ),
+				'bucket_name'       => $bucket,
+				'custom_domain'     => esc_url_raw( $row['custom_domain'] ?? '', array( 'http', 'https' ) ),
+			);
+		}
+
+		return $profiles;
+	}
+
+	/**
+	 * Sanitize the object key template.
+	 *
+	 * @param mixed $value Value cleaned by WooCommerce.
+	 * @return string Normalized template, or the stored template when the submitted one is invalid.
+	 */
+	public function sanitize_key_template( $value ): string {
+		try {
+			return CFR2WC_Key_Template::validate( (string) $value );
+		} catch ( InvalidArgumentException $e ) {
+			/* translators: %s: validation error. */
+			WC_Admin_Settings::add_error( sprintf( __( 'The object key template was not saved. %s', 'cfr2wc' ), $e->getMessage() ) );
+
+			return (string) get_option( 'cfr2wc_object_key_template', '' );
+		}
+	}
+
+	/**
+	 * Sanitize the default upload metadata.
+	 *
+	 * @param mixed $value Value cleaned by WooCommerce.
+	 * @return string One "key: value" pair per line, or the stored metadata when the submitted metadata is invalid.
+	 */
+	public function sanitize_default_metadata( $value ): string {
+		try {
+			return CFR2WC_Object_Headers::format_metadata( CFR2WC_Object_Headers::validate_metadata( CFR2WC_Object_Headers::parse_metadata( (string) $value ) ) );
+		} catch ( InvalidArgumentException $e ) {
+			/* translators: %s: validation error. */
+			WC_Admin_Settings::add_error( sprintf( __( 'The default metadata was not saved. %s', 'cfr2wc' ), $e->getMessage() ) );
+
+			return (string) get_option( 'cfr2wc_default_metadata', '' );
+		}
+	}
+
+	/**
+	 * Encrypt a submitted profile credential.
+	 *
+	 * @param string $value Submitted value.
+	 * @param string $existing Stored encrypted value.
+	 * @return string Encrypted value, or the stored value when nothing was submitted.
+	 */
+	private function encrypt_profile_credential( string $value, string $existing ): string {
+		$value = sanitize_text_field( $value );
+
+		if ( '' === $value ) {
+			return $existing;
+		}
+
+		try {
+			return CFR2WC_Encryption::encrypt( $value );
+		} catch ( Exception $e ) {
+			CFR2WC_Logger::error( 'Failed to encrypt bucket profile credential: ' . $e->getMessage() );
+			return $existing;
+		}
+	}
+
 	/**
 	 * Render settings page.
 	 */
 	public function render_settings_page(): void {
 		woocommerce_admin_fields( $this->get_settings() );
 
-		// Add Test Connection button only on Connection section.
+		// Add the diagnostics panel only on Connection section.
 		if ( 'connection' === $this->current_section ) {
 			?>
 			<table class="form-table">
 				<tr>
-					<th scope="row"><?php esc_html_e( 'Test Connection', 'cfr2wc' ); ?></th>
+					<th scope="row"><?php esc_html_e( 'Connection Diagnostics', 'cfr2wc' ); ?></th>
 					<td>
-						<p class="description"><?php esc_html_e( 'Test your R2 connection with the credentials entered above.', 'cfr2wc' ); ?></p>
-						<button type="button" id="cfr2wc-test-connection" class="button button-secondary">
-							<?php esc_html_e( 'Test Connection', 'cfr2wc' ); ?>
+						<p class="description"><?php esc_html_e( 'Check the connection step by step with the settings entered above. A small test object is uploaded to the bucket and deleted again.', 'cfr2wc' ); ?></p>
+						<button type="button" id="cfr2wc-run-diagnostics" class="button button-secondary">
+							<?php esc_html_e( 'Run Diagnostics', 'cfr2wc' ); ?>
 						</button>
-						<span class="cfr2wc-connection-status" style="display:none; margin-left: 10px;"></span>
+						<ol class="cfr2wc-diagnostics" id="cfr2wc-diagnostics" style="display:none;">
+							<?php foreach ( CFR2WC_Connection_Diagnostics::get_steps() as $step => $label ) : ?>
+								<li class="cfr2wc-diagnostic-step" data-step="<?php echo esc_attr( $step ); ?>">
+									<span class="dashicons cfr2wc-diagnostic-icon" aria-hidden="true"></span>
+									<strong class="cfr2wc-diagnostic-label"><?php echo esc_html( $label ); ?></strong>
+									<span class="cfr2wc-diagnostic-message"></span>
+									<span class="cfr2wc-diagnostic-fix"></span>
+								</li>
+							<?php endforeach; ?>
+						</ol>
 					</td>
 				</tr>
 			</table>
 			<?php
 		}
+
+		if ( 'transfer' === $this->current_section ) {
+			$this->render_transfer_panel();
+		}
+	}
+
+	/**
+	 * Render the import/export panel.
+	 */
+	private function render_transfer_panel(): void {
+		// Nothing to save here, imports are applied through AJAX.
+		$GLOBALS['hide_save_button'] = true;
+		?>
+		<h2><?php esc_html_e( 'Export Settings', 'cfr2wc' ); ?></h2>
+		<p><?php esc_html_e( 'Download the settings of all sections as a JSON file, e.g. to copy them from staging to production.', 'cfr2wc' ); ?></p>
+		<table class="form-table">
+			<tr>
+				<th scope="row"><?php esc_html_e( 'Credentials', 'cfr2wc' ); ?></th>
+				<td>
+					<fieldset>
+						<label>
+							<input type="radio" name="cfr2wc_export_secrets" value="omit" checked="checked" />
+							<?php esc_html_e( 'Leave out access keys', 'cfr2wc' ); ?>
+						</label>
+						<br />
+						<label>
+							<input type="radio" name="cfr2wc_export_secrets" value="encrypted" />
+							<?php esc_html_e( 'Include access keys, encrypted', 'cfr2wc' ); ?>
+						</label>
+						<p class="description">
+							<?php
+							printf(
+								/* translators: %s: wp-config.php */
+								esc_html__( 'Encrypted keys can only be imported on sites with the same security salts in %s. Keys defined as constants are never exported.', 'cfr2wc' ),
+								'<code>wp-config.php</code>'
+							);
+							?>
+						</p>
+					</fieldset>
+					<p>
+						<button type="button" id="cfr2wc-export-settings" class="button button-secondary">
+							<?php esc_html_e( 'Export Settings', 'cfr2wc' ); ?>
+						</button>
+					</p>
+				</td>
+			</tr>
+		</table>
+
+		<h2><?php esc_html_e( 'Import Settings', 'cfr2wc' ); ?></h2>
+		<p><?php esc_html_e( 'Choose an exported file to review the changes before they are applied. Settings missing from the file are left as they are.', 'cfr2wc' ); ?></p>
+		<table class="form-table">
+			<tr>
+				<th scope="row"><label for="cfr2wc-import-file"><?php esc_html_e( 'Settings File', 'cfr2wc' ); ?></label></th>
+				<td>
+					<input type="file" id="cfr2wc-import-file" accept=".json,application/json" />
+					<div id="cfr2wc-import-preview" class="cfr2wc-import-preview" style="display:none;">
+						<ul class="cfr2wc-import-messages"></ul>
+						<table class="widefat striped cfr2wc-import-changes">
+							<thead>
+								<tr>
+									<th><?php esc_html_e( 'Setting', 'cfr2wc' ); ?></th>
+									<th><?php esc_html_e( 'Current', 'cfr2wc' ); ?></th>
+									<th><?php esc_html_e( 'Imported', 'cfr2wc' ); ?></th>
+								</tr>
+							</thead>
+							<tbody></tbody>
+						</table>
+						<p>
+							<button type="button" id="cfr2wc-apply-import" class="button button-primary">
+								<?php esc_html_e( 'Apply Import', 'cfr2wc' ); ?>
+							</button>
+						</p>
+					</div>
+				</td>
+			</tr>
+		</table>
+		<?php
 	}
 
 	/**
@@ -319,8 +715,15 @@ class CFR2WC_Admin_Settings {
 			}
 		}
 
-		// Update old format settings for backward compatibility.
-		// Note: credentials in this array are still encrypted when read from options.
+		$this->save_legacy_settings();
+	}
+
+	/**
+	 * Update old format settings for backward compatibility.
+	 *
+	 * Note: credentials in this array are still encrypted when read from options.
+	 */
+	private function save_legacy_settings(): void {
 		update_option(
 			'cfr2wc_settings',
 			array(
@@ -333,6 +736,11 @@ class CFR2WC_Admin_Settings {
 				'check_permissions'         => get_option( 'cfr2wc_check_permissions', 'yes' ),
 				'use_generic_download_name' => get_option( 'cfr2wc_use_generic_download_name', 'no' ),
 				'url_expiration_hours'      => get_option( 'cfr2wc_url_expiration_hours', '24' ),
+				'upload_mode'               => get_option( 'cfr2wc_upload_mode', 'server' ),
+				'object_key_template'       => get_option( 'cfr2wc_object_key_template', '' ),
+				'default_disposition'       => get_option( 'cfr2wc_default_disposition', '' ),
+				'default_cache_control'     => get_option( 'cfr2wc_default_cache_control', '' ),
+				'default_metadata'          => get_option( 'cfr2wc_default_metadata', '' ),
 				'debug_mode'                => get_option( 'cfr2wc_debug_mode', 'no' ),
 				'debug_level'               => get_option( 'cfr2wc_debug_level', 'error' ),
 				'credential_storage_mode'   => get_option( 'cfr2wc_credential_storage_mode', 'database' ),
@@ -382,14 +790,44 @@ class CFR2WC_Admin_Settings {
 			array(
 				'ajax_url' => admin_url( 'admin-ajax.php' ),
 				'nonce'    => wp_create_nonce( 'cfr2wc_admin_nonce' ),
+				'strings'  => array(
+					'running'        => __( 'Running...', 'cfr2wc' ),
+					'skipped'        => __( 'Skipped because an earlier step failed.', 'cfr2wc' ),
+					'request_failed' => __( 'The diagnostics request failed. Reload the page and try again.', 'cfr2wc' ),
+					'fix'            => __( 'How to fix:', 'cfr2wc' ),
+					'endpoint_url'   => __( 'Use https://<account-id>.r2.cloudflarestorage.com, with .eu or .fedramp before .r2 for buckets in a jurisdiction.', 'cfr2wc' ),
+					'endpoint_http'  => __( 'R2 only accepts HTTPS. The endpoint must start with https://.', 'cfr2wc' ),
+					'endpoint_path'  => __( 'Remove everything after the host name. The bucket name has its own field.', 'cfr2wc' ),
+					/* translators: %s: bucket name. */
+					'endpoint_split' => __( 'Moved the bucket name "%s" from the endpoint to the Bucket Name field.', 'cfr2wc' ),
+					'account_id'     => __( 'Account IDs are 32 characters of 0-9 and a-f. Copy yours from the R2 overview page.', 'cfr2wc' ),
+					'access_key'     => __( 'R2 access key IDs are 32 characters of 0-9 and a-f.', 'cfr2wc' ),
+					'secret_key'     => __( 'R2 secret access keys are 64 characters of 0-9 and a-f.', 'cfr2wc' ),
+					'bucket'         => __( 'Bucket names are 3-63 characters of lowercase letters, numbers and hyphens, and start and end with a letter or number.', 'cfr2wc' ),
+					'build_endpoint' => __( 'Build from account ID', 'cfr2wc' ),
+					'account_label'  => __( 'Account ID', 'cfr2wc' ),
+					'jurisdiction'   => __( 'Jurisdiction', 'cfr2wc' ),
+					'global'         => __( 'Global', 'cfr2wc' ),
+					'eu'             => __( 'European Union (EU)', 'cfr2wc' ),
+					'fedramp'        => __( 'FedRAMP', 'cfr2wc' ),
+					'use_endpoint'   => __( 'Use this endpoint', 'cfr2wc' ),
+					'form_invalid'   => __( 'Please correct the highlighted fields before saving.', 'cfr2wc' ),
+					'export_failed'  => __( 'The settings could not be exported. Reload the page and try again.', 'cfr2wc' ),
+					'file_too_large' => __( 'This file is too large to be a settings export.', 'cfr2wc' ),
+					'file_invalid'   => __( 'The file does not contain valid JSON.', 'cfr2wc' ),
+					'reading'        => __( 'Checking the file...', 'cfr2wc' ),
+					'no_changes'     => __( 'The file matches the current settings. There is nothing to import.', 'cfr2wc' ),
+					'import_failed'  => __( 'The import request failed. Reload the page and try again.', 'cfr2wc' ),
+					'confirm_import' => __( 'Apply the imported settings? The current values shown above will be overwritten.', 'cfr2wc' ),
+				),
 			)
 		);
 	}
 
 	/**
-	 * AJAX: Test R2 connection.
+	 * AJAX: Run one connection diagnostics step.
 	 */
-	public function ajax_test_connection(): void {
+	public function ajax_run_diagnostic(): void {
 		check_ajax_referer( 'cfr2wc_admin_nonce', 'nonce' );
 
 		// phpcs:ignore WordPress.WP.Capabilities.Unknown
@@ -397,39 +835,128 @@ class CFR2WC_Admin_Settings {
 			wp_send_json_error( array( 'message' => __( 'Permission denied', 'cfr2wc' ) ) );
 		}
 
-		// Get credentials from POST.
-		$endpoint          = isset( $_POST['endpoint'] ) ? esc_url_raw( wp_unslash( $_POST['endpoint'] ), array( 'http', 'https' ) ) : '';
-		$access_key_id     = isset( $_POST['access_key_id'] ) ? sanitize_text_field( wp_unslash( $_POST['access_key_id'] ) ) : '';
-		$secret_access_key = isset( $_POST['secret_access_key'] ) ? sanitize_text_field( wp_unslash( $_POST['secret_access_key'] ) ) : '';
-		$bucket_name       = isset( $_POST['bucket_name'] ) ? sanitize_text_field( wp_unslash( $_POST['bucket_name'] ) ) : '';
+		$step = isset( $_POST['step'] ) ? sanitize_key( wp_unslash( $_POST['step'] ) ) : '';
 
-		// Validate required fields.
-		if ( empty( $endpoint ) || empty( $access_key_id ) || empty( $secret_access_key ) || empty( $bucket_name ) ) {
-			wp_send_json_error( array( 'message' => __( 'Please fill in all required fields', 'cfr2wc' ) ) );
+		if ( ! array_key_exists( $step, CFR2WC_Connection_Diagnostics::get_steps() ) ) {
+			wp_send_json_error( array( 'message' => __( 'Unknown diagnostic step.', 'cfr2wc' ) ) );
 		}
 
+		// Diagnose the values in the form, which may not be saved yet. Credentials are decrypted by the client if needed.
+		$settings = array(
+			'endpoint'                => isset( $_POST['endpoint'] ) ? trim( sanitize_text_field( wp_unslash( $_POST['endpoint'] ) ) ) : '',
+			'access_key_id'           => isset( $_POST['access_key_id'] ) ? sanitize_text_field( wp_unslash( $_POST['access_key_id'] ) ) : '',
+			'secret_access_key'       => isset( $_POST['secret_access_key'] ) ? sanitize_text_field( wp_unslash( $_POST['secret_access_key'] ) ) : '',
+			'bucket_name'             => isset( $_POST['bucket_name'] ) ? sanitize_text_field( wp_unslash( $_POST['bucket_name'] ) ) : '',
+			'custom_domain'           => get_option( 'cfr2wc_custom_domain', '' ),
+			'credential_storage_mode' => isset( $_POST['credential_storage_mode'] ) && 'constants' === sanitize_key( wp_unslash( $_POST['credential_storage_mode'] ) ) ? 'constants' : 'database',
+		);
+
 		try {
-			// Create temporary R2 client with provided credentials.
-			$settings = array(
-				'endpoint'          => $endpoint,
-				'access_key_id'     => $access_key_id,
-				'secret_access_key' => $secret_access_key,
-				'bucket_name'       => $bucket_name,
+			$diagnostics = new CFR2WC_Connection_Diagnostics( $settings );
+			wp_send_json_success( $diagnostics->run_step( $step ) );
+		} catch ( Exception $e ) {
+			wp_send_json_error(
+				array(
+					/* translators: %s: Error message from exception. */
+					'message' => sprintf( __( 'Connection error: %s', 'cfr2wc' ), $e->getMessage() ),
+				)
 			);
+		}
+	}
 
-			$r2_client = new CFR2WC_Client( $settings );
+	/**
+	 * AJAX: Export the settings as a JSON document.
+	 */
+	public function ajax_export_settings(): void {
+		check_ajax_referer( 'cfr2wc_admin_nonce', 'nonce' );
 
-			// Try to list objects (just check if bucket is accessible).
-			$result = $r2_client->list_objects( '', 1 );
+		// phpcs:ignore WordPress.WP.Capabilities.Unknown
+		if ( ! current_user_can( 'manage_woocommerce' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied', 'cfr2wc' ) ) );
+		}
 
-			if ( false !== $result ) {
-				wp_send_json_success( array( 'message' => __( 'Connection successful! Your credentials are valid.', 'cfr2wc' ) ) );
-			} else {
-				wp_send_json_error( array( 'message' => __( 'Connection failed. Please check your credentials.', 'cfr2wc' ) ) );
-			}
-		} catch ( Exception $e ) {
-			/* translators: %s: Error message from exception. */
-			wp_send_json_error( array( 'message' => sprintf( __( 'Connection error: %s', 'cfr2wc' ), $e->getMessage() ) ) );
+		$include_secrets = isset( $_POST['secrets'] ) && 'encrypted' === sanitize_key( wp_unslash( $_POST['secrets'] ) );
+		$transfer        = new CFR2WC_Settings_Transfer( $this->get_transfer_fields() );
+
+		CFR2WC_Logger::info( 'Settings exported', array( 'include_secrets' => $include_secrets ) );
+
+		wp_send_json_success(
+			array(
+				'document' => $transfer->export( $include_secrets ),
+				'filename' => 'cfr2wc-settings-' . sanitize_title( wp_parse_url( home_url(), PHP_URL_HOST ) ) . '-' . gmdate( 'Y-m-d' ) . '.json',
+			)
+		);
+	}
+
+	/**
+	 * AJAX: Validate an import and list the changes.
+	 */
+	public function ajax_preview_import(): void {
+		$transfer = new CFR2WC_Settings_Transfer( $this->get_transfer_fields() );
+		$result   = $this->validate_import( $transfer );
+
+		wp_send_json_success(
+			array(
+				'changes'  => $transfer->get_changes( $result['options'] ),
+				'warnings' => $result['warnings'],
+			)
+		);
+	}
+
+	/**
+	 * AJAX: Apply an import.
+	 */
+	public function ajax_import_settings(): void {
+		$transfer = new CFR2WC_Settings_Transfer( $this->get_transfer_fields() );
+		$result   = $this->validate_import( $transfer );
+		$changed  = $transfer->apply( $result['options'] );
+
+		$this->save_legacy_settings();
+
+		CFR2WC_Logger::info( 'Settings imported', array( 'changed' => $changed ) );
+
+		wp_send_json_success(
+			array(
+				/* translators: %d: number of settings. */
+				'message' => sprintf( _n( '%d setting was imported.', '%d settings were imported.', $changed, 'cfr2wc' ), $changed ),
+			)
+		);
+	}
+
+	/**
+	 * Check the import request and validate the posted document.
+	 *
+	 * Ends the request with an error when the document cannot be imported.
+	 *
+	 * @param CFR2WC_Settings_Transfer $transfer Settings transfer.
+	 * @return array Validation result.
+	 */
+	private function validate_import( CFR2WC_Settings_Transfer $transfer ): array {
+		check_ajax_referer( 'cfr2wc_admin_nonce', 'nonce' );
+
+		// phpcs:ignore WordPress.WP.Capabilities.Unknown
+		if ( ! current_user_can( 'manage_woocommerce' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied', 'cfr2wc' ) ) );
+		}
+
+		// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- JSON document, every value is validated against the settings fields.
+		$document = isset( $_POST['document'] ) ? json_decode( wp_unslash( $_POST['document'] ), true ) : null;
+
+		if ( null === $document ) {
+			wp_send_json_error( array( 'message' => __( 'The file does not contain valid JSON.', 'cfr2wc' ) ) );
 		}
+
+		$result = $transfer->validate( $document );
+
+		if ( $result['errors'] ) {
+			wp_send_json_error(
+				array(
+					'message' => __( 'The file cannot be imported:', 'cfr2wc' ),
+					'errors'  => $result['errors'],
+				)
+			);
+		}
+
+		return $result;
 	}
 }
@@ -0,0 +1,654 @@
+<?php
+/**
+ * Connection Diagnostics
+ *
+ * @package CloudflareR2WC
+ */
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use Aws\Exception\AwsException;
+
+/**
+ * CloudflareR2WC Connection Diagnostics Class
+ *
+ * Checks an R2 connection one step at a time so a failure points at its cause:
+ * endpoint format, credentials, bucket, listing, writing, presigning and the custom domain.
+ * Each step returns a status ('pass', 'warning', 'fail' or 'skip'), a message and a suggested fix.
+ */
+class CFR2WC_Connection_Diagnostics {
+	/**
+	 * Prefix for probe objects written by the diagnostics
+	 */
+	const PROBE_PREFIX = 'cfr2wc-diagnostics/';
+
+	/**
+	 * Largest clock difference with R2 that still signs valid requests, in seconds
+	 */
+	const MAX_CLOCK_SKEW = 300;
+
+	/**
+	 * R2 client, created on first use
+	 *
+	 * @var CFR2WC_Client|null
+	 */
+	private ?CFR2WC_Client $r2_client = null;
+
+	/**
+	 * Constructor
+	 *
+	 * @param array $settings Connection settings: endpoint, access_key_id, secret_access_key, bucket_name,
+	 *                        custom_domain and credential_storage_mode.
+	 */
+	public function __construct( private readonly array $settings ) {
+	}
+
+	/**
+	 * Get the diagnostic steps in the order they run
+	 *
+	 * @return array Step ID => label.
+	 */
+	public static function get_steps(): array {
+		return array(
+			'endpoint'      => __( 'Endpoint format', 'cfr2wc' ),
+			'auth'          => __( 'Authentication', 'cfr2wc' ),
+			'bucket'        => __( 'Bucket exists', 'cfr2wc' ),
+			'list'          => __( 'List objects', 'cfr2wc' ),
+			'write'         => __( 'Upload, read and delete a test object', 'cfr2wc' ),
+			'presign'       => __( 'Signed download links', 'cfr2wc' ),
+			'custom_domain' => __( 'Custom domain', 'cfr2wc' ),
+		);
+	}
+
+	/**
+	 * Run one diagnostic step
+	 *
+	 * @param string $step Step ID.
+	 * @return array Result with status, message and fix.
+	 */
+	public function run_step( string $step ): array {
+		if ( 'endpoint' === $step ) {
+			return $this->check_endpoint_dns();
+		}
+
+		if ( ! $this->get_r2_client()->get_client() instanceof \Aws\S3\S3Client ) {
+			return self::result(
+				'fail',
+				__( 'The R2 client could not be created.', 'cfr2wc' ),
+				__( 'Fill in the endpoint, access key ID and secret access key, or define the wp-config.php constants when using constants storage.', 'cfr2wc' )
+			);
+		}
+
+		switch ( $step ) {
+			case 'auth':
+				return $this->check_auth();
+			case 'bucket':
+				return $this->check_bucket();
+			case 'list':
+				return $this->check_list();
+			case 'write':
+				return $this->check_write();
+			case 'presign':
+				return $this->check_presign();
+			case 'custom_domain':
+				return $this->check_custom_domain();
+		}
+
+		return self::result( 'fail', __( 'Unknown diagnostic step.', 'cfr2wc' ) );
+	}
+
+	/**
+	 * Check the endpoint URL format
+	 *
+	 * R2 endpoints look like https://<32 hex account ID>.r2.cloudflarestorage.com, with .eu or .fedramp
+	 * before .r2 for buckets created in a jurisdiction.
+	 *
+	 * @param string $endpoint Endpoint URL.
+	 * @return array Result with status, message and fix, plus jurisdiction ('global', 'eu', 'fedramp' or '').
+	 */
+	public static function check_endpoint( string $endpoint ): array {
+		$endpoint = trim( $endpoint );
+
+		if ( '' === $endpoint ) {
+			return self::result(
+				'fail',
+				__( 'No endpoint is set.', 'cfr2wc' ),
+				__( 'Copy the S3 API endpoint from the bucket settings in the Cloudflare dashboard (R2 > your bucket > Settings).', 'cfr2wc' )
+			) + array( 'jurisdiction' => '' );
+		}
+
+		$parts = wp_parse_url( $endpoint );
+
+		if ( empty( $parts['scheme'] ) || empty( $parts['host'] ) ) {
+			return self::result(
+				'fail',
+				__( 'The endpoint is not a valid URL.', 'cfr2wc' ),
+				__( 'The endpoint must start with https://, e.g. https://<account-id>.r2.cloudflarestorage.com', 'cfr2wc' )
+			) + array( 'jurisdiction' => '' );
+		}
+
+		if ( 'https' !== strtolower( $parts['scheme'] ) ) {
+			return self::result(
+				'fail',
+				__( 'The endpoint does not use HTTPS.', 'cfr2wc' ),
+				__( 'R2 only accepts HTTPS connections. Change http:// to https://.', 'cfr2wc' )
+			) + array( 'jurisdiction' => '' );
+		}
+
+		if ( ! empty( $parts['path'] ) && '/' !== $parts['path'] ) {
+			return self::result(
+				'fail',
+				__( 'The endpoint contains a path.', 'cfr2wc' ),
+				__( 'Remove everything after the host name. The bucket name has its own field and must not be part of the endpoint.', 'cfr2wc' )
+			) + array( 'jurisdiction' => '' );
+		}
+
+		$host = strtolower( $parts['host'] );
+
+		if ( ! preg_match( '/^([^.]+)(?:\.(eu|fedramp))?\.r2\.cloudflarestorage\.com$/', $host, $matches ) ) {
+			return self::result(
+				'warning',
+				__( 'The endpoint is not a standard R2 endpoint.', 'cfr2wc' ),
+				__( 'This is fine for S3-compatible proxies, otherwise use https://<account-id>.r2.cloudflarestorage.com. Custom domains for public files belong in the Custom Domain setting, not here.', 'cfr2wc' )
+			) + array( 'jurisdiction' => '' );
+		}
+
+		if ( ! preg_match( '/^[a-f0-9]{32}$/', $matches[1] ) ) {
+			return self::result(
+				'fail',
+				__( 'The account ID in the endpoint is not valid.', 'cfr2wc' ),
+				__( 'Account IDs are 32 characters of 0-9 and a-f. Copy it from the R2 overview page in the Cloudflare dashboard.', 'cfr2wc' )
+			) + array( 'jurisdiction' => '' );
+		}
+
+		$jurisdiction = $matches[2] ?? '';
+
+		if ( 'eu' === $jurisdiction ) {
+			$message = __( 'EU jurisdiction endpoint. Only buckets created in the EU jurisdiction can be reached with it.', 'cfr2wc' );
+		} elseif ( 'fedramp' === $jurisdiction ) {
+			$message = __( 'FedRAMP jurisdiction endpoint. Only buckets created in the FedRAMP jurisdiction can be reached with it.', 'cfr2wc' );
+		} else {
+			$jurisdiction = 'global';
+			$message      = __( 'Global endpoint. Buckets created in the EU or FedRAMP jurisdiction need their own endpoint.', 'cfr2wc' );
+		}
+
+		return self::result( 'pass', $message ) + array( 'jurisdiction' => $jurisdiction );
+	}
+
+	/**
+	 * Check the endpoint format and that its host name resolves
+	 *
+	 * @return array Result.
+	 */
+	private function check_endpoint_dns(): array {
+		$result = self::check_endpoint( (string) ( $this->settings['endpoint'] ?? '' ) );
+		unset( $result['jurisdiction'] );
+
+		if ( 'fail' === $result['status'] ) {
+			return $result;
+		}
+
+		$host = (string) wp_parse_url( $this->settings['endpoint'], PHP_URL_HOST );
+
+		// gethostbyname() returns the host name unchanged when it cannot be resolved.
+		if ( gethostbyname( $host ) === $host ) {
+			return self::result(
+				'fail',
+				/* translators: %s: host name. */
+				sprintf( __( 'The host name %s could not be resolved.', 'cfr2wc' ), $host ),
+				__( 'Check the account ID for typos. If it is correct, the server cannot reach public DNS; ask your host to check outbound DNS and firewall rules.', 'cfr2wc' )
+			);
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Check the credentials are accepted
+	 *
+	 * Any error other than an authentication error means R2 accepted the signature.
+	 *
+	 * @return array Result.
+	 */
+	private function check_auth(): array {
+		try {
+			$result = $this->get_r2_client()->get_client()->listObjectsV2(
+				array(
+					'Bucket'  => $this->get_bucket(),
+					'MaxKeys' => 1,
+				)
+			);
+		} catch ( AwsException $e ) {
+			if ( in_array( $e->getAwsErrorCode(), array( 'NoSuchBucket', 'AccessDenied' ), true ) ) {
+				return self::result( 'pass', __( 'The credentials were accepted.', 'cfr2wc' ) );
+			}
+
+			return $this->describe_error( $e );
+		}
+
+		return $this->check_clock( $result['@metadata']['headers']['date'] ?? '' );
+	}
+
+	/**
+	 * Check the local clock against the Date header of an R2 response
+	 *
+	 * @param string $date Date header.
+	 * @return array Result.
+	 */
+	private function check_clock( string $date ): array {
+		$remote = strtotime( $date );
+
+		if ( $remote && abs( time() - $remote ) > self::MAX_CLOCK_SKEW ) {
+			return self::result(
+				'warning',
+				/* translators: %d: number of seconds. */
+				sprintf( __( 'The credentials were accepted, but the server clock is off by %d seconds.', 'cfr2wc' ), abs( time() - $remote ) ),
+				__( 'Requests are rejected once the clock is more than 15 minutes off. Ask your host to enable time synchronisation (NTP).', 'cfr2wc' )
+			);
+		}
+
+		return self::result( 'pass', __( 'The credentials were accepted.', 'cfr2wc' ) );
+	}
+
+	/**
+	 * Check the bucket exists and the token can use it
+	 *
+	 * @return array Result.
+	 */
+	private function check_bucket(): array {
+		if ( '' === $this->get_bucket() ) {
+			return self::result( 'fail', __( 'No bucket name is set.', 'cfr2wc' ), __( 'Enter the name of your R2 bucket.', 'cfr2wc' ) );
+		}
+
+		try {
+			$this->get_r2_client()->get_client()->headBucket( array( 'Bucket' => $this->get_bucket() ) );
+		} catch ( AwsException $e ) {
+			// HEAD responses have no body, so only the status code tells what went wrong.
+			if ( 404 === $e->getStatusCode() ) {
+				return self::result(
+					'fail',
+					/* translators: %s: bucket name. */
+					sprintf( __( 'The bucket "%s" does not exist for this account.', 'cfr2wc' ), $this->get_bucket() ),
+					__( 'Check the spelling; bucket names are lowercase. Buckets created in the EU jurisdiction are only found through the EU endpoint.', 'cfr2wc' )
+				);
+			}
+
+			if ( 403 === $e->getStatusCode() ) {
+				return self::result(
+					'fail',
+					__( 'The API token is not allowed to access this bucket.', 'cfr2wc' ),
+					__( 'Edit the API token under R2 > Manage API tokens and add this bucket, or apply the token to all buckets.', 'cfr2wc' )
+				);
+			}
+
+			return $this->describe_error( $e );
+		}
+
+		/* translators: %s: bucket name. */
+		return self::result( 'pass', sprintf( __( 'The bucket "%s" was found.', 'cfr2wc' ), $this->get_bucket() ) );
+	}
+
+	/**
+	 * Check objects can be listed
+	 *
+	 * @return array Result.
+	 */
+	private function check_list(): array {
+		try {
+			$result = $this->get_r2_client()->get_client()->listObjectsV2(
+				array(
+					'Bucket'  => $this->get_bucket(),
+					'MaxKeys' => 1000,
+				)
+			);
+		} catch ( AwsException $e ) {
+			return $this->describe_error( $e );
+		}
+
+		$count = count( $result['Contents'] ?? array() );
+
+		if ( 0 === $count ) {
+			return self::result( 'pass', __( 'Listing works. The bucket is empty.', 'cfr2wc' ) );
+		}
+
+		if ( ! empty( $result['IsTruncated'] ) ) {
+			/* translators: %d: number of objects. */
+			return self::result( 'pass', sprintf( __( 'Listing works. The bucket has more than %d objects.', 'cfr2wc' ), $count ) );
+		}
+
+		/* translators: %d: number of objects. */
+		return self::result( 'pass', sprintf( _n( 'Listing works. The bucket has %d object.', 'Listing works. The bucket has %d objects.', $count, 'cfr2wc' ), $count ) );
+	}
+
+	/**
+	 * Check a probe object can be uploaded, read back and deleted
+	 *
+	 * @return array Result.
+	 */
+	private function check_write(): array {
+		$client = $this->get_r2_client()->get_client();
+		$key    = $this->get_probe_key();
+		$body   = $this->get_probe_body();
+
+		try {
+			$client->putObject(
+				array(
+					'Bucket'      => $this->get_bucket(),
+					'Key'         => $key,
+					'Body'        => $body,
+					'ContentType' => 'text/plain',
+				)
+			);
+		} catch ( AwsException $e ) {
+			if ( 'AccessDenied' === $e->getAwsErrorCode() ) {
+				return self::result(
+					'fail',
+					__( 'Uploading is not allowed.', 'cfr2wc' ),
+					__( 'The API token is read-only. Give it the "Object Read & Write" permission so files can be uploaded from the product editor.', 'cfr2wc' )
+				);
+			}
+
+			return $this->describe_error( $e );
+		}
+
+		try {
+			$metadata = $client->headObject(
+				array(
+					'Bucket' => $this->get_bucket(),
+					'Key'    => $key,
+				)
+			);
+		} catch ( AwsException $e ) {
+			$this->delete_probe( $key );
+			return $this->describe_error( $e );
+		}
+
+		if ( (int) ( $metadata['ContentLength'] ?? 0 ) !== strlen( $body ) ) {
+			$this->delete_probe( $key );
+			return self::result(
+				'fail',
+				__( 'The test object was uploaded, but R2 reports a different size.', 'cfr2wc' ),
+				__( 'A proxy between WordPress and R2 may be changing requests. Check the endpoint.', 'cfr2wc' )
+			);
+		}
+
+		if ( ! $this->delete_probe( $key ) ) {
+			return self::result(
+				'warning',
+				__( 'Uploading and reading work, but the test object could not be deleted.', 'cfr2wc' ),
+				/* translators: %s: object key. */
+				sprintf( __( 'Give the API token permission to delete objects, then remove %s from the bucket.', 'cfr2wc' ), $key )
+			);
+		}
+
+		return self::result( 'pass', __( 'A test object was uploaded, read back and deleted.', 'cfr2wc' ) );
+	}
+
+	/**
+	 * Check a presigned link downloads a probe object
+	 *
+	 * @return array Result.
+	 */
+	private function check_presign(): array {
+		$key = $this->upload_probe();
+
+		if ( is_array( $key ) ) {
+			return $key;
+		}
+
+		$url = $this->get_r2_client()->get_presigned_url( $key, 300 );
+
+		if ( ! $url ) {
+			$this->delete_probe( $key );
+			return self::result(
+				'fail',
+				__( 'A signed link could not be generated.', 'cfr2wc' ),
+				__( 'Enable debug logging and check the log for the signing error.', 'cfr2wc' )
+			);
+		}
+
+		$response = wp_remote_get( $url, array( 'timeout' => 15 ) );
+		$this->delete_probe( $key );
+
+		if ( is_wp_error( $response ) ) {
+			return self::result(
+				'fail',
+				/* translators: %s: error message. */
+				sprintf( __( 'The signed link could not be opened: %s', 'cfr2wc' ), $response->get_error_message() ),
+				__( 'The server cannot reach R2 over HTTPS. Ask your host to check outbound connections.', 'cfr2wc' )
+			);
+		}
+
+		$code = (int) wp_remote_retrieve_response_code( $response );
+
+		if ( 403 === $code ) {
+			return self::result(
+				'fail',
+				__( 'R2 rejected the signed link.', 'cfr2wc' ),
+				__( 'Signed links are checked against the clock. Make sure the server time is correct (NTP), and that the endpoint matches the bucket jurisdiction.', 'cfr2wc' )
+			);
+		}
+
+		if ( 200 !== $code || wp_remote_retrieve_body( $response ) !== $this->get_probe_body() ) {
+			return self::result(
+				'fail',
+				/* translators: %d: HTTP status code. */
+				sprintf( __( 'The signed link returned HTTP %d instead of the test object.', 'cfr2wc' ), $code ),
+				__( 'Check the endpoint. A proxy or firewall may be rewriting requests to R2.', 'cfr2wc' )
+			);
+		}
+
+		return self::result( 'pass', __( 'A signed link downloaded the test object.', 'cfr2wc' ) );
+	}
+
+	/**
+	 * Check a probe object can be downloaded through the custom domain
+	 *
+	 * @return array Result.
+	 */
+	private function check_custom_domain(): array {
+		$domain = (string) ( $this->settings['custom_domain'] ?? '' );
+
+		if ( '' === $domain ) {
+			return self::result( 'skip', __( 'No custom domain is set. Public files use signed links instead.', 'cfr2wc' ) );
+		}
+
+		$key = $this->upload_probe();
+
+		if ( is_array( $key ) ) {
+			return $key;
+		}
+
+		$response = wp_remote_get( trailingslashit( $domain ) . $key, array( 'timeout' => 15 ) );
+		$this->delete_probe( $key );
+
+		if ( is_wp_error( $response ) ) {
+			return self::result(
+				'fail',
+				/* translators: %s: error message. */
+				sprintf( __( 'The custom domain could not be reached: %s', 'cfr2wc' ), $response->get_error_message() ),
+				__( 'Check the domain for typos and that its DNS record points to Cloudflare. New domains can take a few minutes to get a certificate.', 'cfr2wc' )
+			);
+		}
+
+		$code = (int) wp_remote_retrieve_response_code( $response );
+
+		if ( 200 === $code && wp_remote_retrieve_body( $response ) === $this->get_probe_body() ) {
+			return self::result( 'pass', __( 'The test object was downloaded through the custom domain.', 'cfr2wc' ) );
+		}
+
+		if ( 404 === $code ) {
+			return self::result(
+				'fail',
+				__( 'The custom domain answered, but not with objects from this bucket.', 'cfr2wc' ),
+				__( 'Connect the domain to this bucket under R2 > your bucket > Settings > Custom Domains.', 'cfr2wc' )
+			);
+		}
+
+		return self::result(
+			'fail',
+			/* translators: %d: HTTP status code. */
+			sprintf( __( 'The custom domain returned HTTP %d.', 'cfr2wc' ), $code ),
+			__( 'Check WAF, access and cache rules for the domain in the Cloudflare dashboard.', 'cfr2wc' )
+		);
+	}
+
+	/**
+	 * Translate an R2 error into a result with a suggested fix
+	 *
+	 * @param AwsException $e Exception.
+	 * @return array Result.
+	 */
+	private function describe_error( AwsException $e ): array {
+		CFR2WC_Logger::debug( 'Diagnostics request failed: ' . $e->getMessage() );
+
+		// No response at all: DNS, TLS or firewall.
+		if ( null === $e->getResponse() ) {
+			return self::result(
+				'fail',
+				__( 'R2 could not be reached.', 'cfr2wc' ),
+				__( 'Check the endpoint. If it is correct, ask your host whether outbound HTTPS connections are blocked.', 'cfr2wc' )
+			);
+		}
+
+		switch ( $e->getAwsErrorCode() ) {
+			case 'InvalidAccessKeyId':
+			case 'Unauthorized':
+			case 'InvalidArgument':
+				return self::result(
+					'fail',
+					__( 'R2 does not recognise the access key ID.', 'cfr2wc' ),
+					__( 'Copy the access key ID of an R2 API token again (R2 > Manage API tokens). Account API keys and global API keys do not work with R2.', 'cfr2wc' )
+				);
+			case 'SignatureDoesNotMatch':
+				return self::result(
+					'fail',
+					__( 'The secret access key does not match the access key ID.', 'cfr2wc' ),
+					__( 'The secret is only shown once when the token is created. Create a new API token if you no longer have it.', 'cfr2wc' )
+				);
+			case 'RequestTimeTooSkewed':
+				return self::result(
+					'fail',
+					__( 'The server clock differs too much from R2.', 'cfr2wc' ),
+					__( 'Ask your host to enable time synchronisation (NTP) on the server.', 'cfr2wc' )
+				);
+			case 'NoSuchBucket':
+				return self::result(
+					'fail',
+					/* translators: %s: bucket name. */
+					sprintf( __( 'The bucket "%s" does not exist for this account.', 'cfr2wc' ), $this->get_bucket() ),
+					__( 'Check the spelling; bucket names are lowercase. Buckets created in the EU jurisdiction are only found through the EU endpoint.', 'cfr2wc' )
+				);
+			case 'AccessDenied':
+				return self::result(
+					'fail',
+					__( 'The API token does not have the required permission.', 'cfr2wc' ),
+					__( 'Give the token the "Object Read & Write" permission for this bucket.', 'cfr2wc' )
+				);
+		}
+
+		return self::result(
+			'fail',
+			/* translators: %s: error message. */
+			sprintf( __( 'R2 returned an error: %s', 'cfr2wc' ), $e->getAwsErrorMessage() ? $e->getAwsErrorMessage() : $e->getMessage() ),
+			__( 'Enable debug logging and check the log for details.', 'cfr2wc' )
+		);
+	}
+
+	/**
+	 * Upload a probe object
+	 *
+	 * @return string|array Object key, or a failed result.
+	 */
+	private function upload_probe(): string|array {
+		$key = $this->get_probe_key();
+
+		try {
+			$this->get_r2_client()->get_client()->putObject(
+				array(
+					'Bucket'      => $this->get_bucket(),
+					'Key'         => $key,
+					'Body'        => $this->get_probe_body(),
+					'ContentType' => 'text/plain',
+				)
+			);
+		} catch ( AwsException $e ) {
+			return $this->describe_error( $e );
+		}
+
+		return $key;
+	}
+
+	/**
+	 * Delete a probe object
+	 *
+	 * @param string $key Object key.
+	 * @return bool True if deleted.
+	 */
+	private function delete_probe( string $key ): bool {
+		try {
+			$this->get_r2_client()->get_client()->deleteObject(
+				array(
+					'Bucket' => $this->get_bucket(),
+					'Key'    => $key,
+				)
+			);
+		} catch ( AwsException $e ) {
+			CFR2WC_Logger::warning( 'Failed to delete diagnostics probe: ' . $e->getMessage(), array( 'key' => $key ) );
+			return false;
+		}
+
+		return true;
+	}
+
+	/**
+	 * Get a unique key for a probe object
+	 */
+	private function get_probe_key(): string {
+		return self::PROBE_PREFIX . 'probe-' . wp_generate_password( 12, false ) . '.txt';
+	}
+
+	/**
+	 * Get the content of probe objects
+	 */
+	private function get_probe_body(): string {
+		return 'Cloudflare R2 for WooCommerce connection test. This object can be deleted.';
+	}
+
+	/**
+	 * Get the bucket name being diagnosed
+	 */
+	private function get_bucket(): string {
+		return (string) ( $this->settings['bucket_name'] ?? '' );
+	}
+
+	/**
+	 * Get the R2 client for the diagnosed settings
+	 */
+	private function get_r2_client(): CFR2WC_Client {
+		if ( null === $this->r2_client ) {
+			$this->r2_client = new CFR2WC_Client( $this->settings );
+		}
+
+		return $this->r2_client;
+	}
+
+	/**
+	 * Build a step result
+	 *
+	 * @param string $status Status: 'pass', 'warning', 'fail' or 'skip'.
+	 * @param string $message What was found.
+	 * @param string $fix Suggested fix.
+	 * @return array Result.
+	 */
+	private static function result( string $status, string $message, string $fix = '' ): array {
+		return array(
+			'status'  => $status,
+			'message' => $message,
+			'fix'     => $fix,
+		);
+	}
+}
@@ -0,0 +1,83 @@
+<?php
+/**
+ * Object Key Templates
+ *
+ * @package CloudflareR2WC
+ */
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * CloudflareR2WC Key Template Class
+ *
+ * Validates the object key template used by the upload modal, e.g. products/{sku}/{version}/{filename}.
+ * The picker fills in the placeholders from the product being edited. Other placeholders in the
+ * folder part, like {version}, are left for the uploader to replace.
+ */
+class CFR2WC_Key_Template {
+	/**
+	 * Placeholders filled in automatically
+	 */
+	const PLACEHOLDERS = array( 'product_id', 'sku', 'slug', 'yyyy', 'mm', 'uuid', 'filename' );
+
+	/**
+	 * Validate and normalize a key template
+	 *
+	 * @param string $template Template as entered.
+	 * @return string Template without duplicate, leading or trailing slashes. Empty when no template is set.
+	 * @throws InvalidArgumentException When the template can't produce valid object keys.
+	 */
+	public static function validate( string $template ): string {
+		$template = trim( (string) preg_replace( '#/+#', '/', trim( $template ) ), '/' );
+
+		if ( '' === $template ) {
+			return '';
+		}
+
+		$parts = self::split( $template );
+
+		if ( ! str_ends_with( $parts['name'], '{filename}' ) ) {
+			throw new InvalidArgumentException( __( 'The template must end with {filename}, e.g. products/{sku}/{filename}.', 'cfr2wc' ) );
+		}
+
+		preg_match_all( '/\{([^{}]*)\}/', $parts['name'], $matches );
+
+		// Only the folder can be edited in the upload modal, so the file name can't hold placeholders to fill in by hand.
+		foreach ( $matches[1] as $placeholder ) {
+			if ( ! in_array( $placeholder, self::PLACEHOLDERS, true ) ) {
+				/* translators: %s: placeholder, e.g. {version}. */
+				throw new InvalidArgumentException( sprintf( __( '%s can only be used in the folder part of the template.', 'cfr2wc' ), '{' . $placeholder . '}' ) );
+			}
+		}
+
+		foreach ( explode( '/', $parts['folder'] ) as $segment ) {
+			if ( '.' === trim( $segment ) || '..' === trim( $segment ) ) {
+				throw new InvalidArgumentException( __( 'Folders named "." or ".." are not allowed.', 'cfr2wc' ) );
+			}
+
+			if ( str_contains( $segment, '{filename}' ) ) {
+				throw new InvalidArgumentException( __( '{filename} can only be used after the last slash.', 'cfr2wc' ) );
+			}
+		}
+
+		return $template;
+	}
+
+	/**
+	 * Split a template into its folder and file name parts
+	 *
+	 * @param string $template Normalized template.
+	 * @return array Folder (empty for the bucket root) and name.
+	 */
+	public static function split( string $template ): array {
+		$slash = strrpos( $template, '/' );
+
+		return array(
+			'folder' => false === $slash ? '' : substr( $template, 0, $slash ),
+			'name'   => false === $slash ? $template : substr( $template, $slash + 1 ),
+		);
+	}
+}
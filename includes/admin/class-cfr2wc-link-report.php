@@ -0,0 +1,877 @@
+<?php
+/**
+ * R2 Link Report
+ *
+ * @package CloudflareR2WC
+ */
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * CloudflareR2WC Link Report Class
+ *
+ * Cross-references every product download that uses an R2 shortcode with the file cache,
+ * re-points downloads in bulk when objects move to a new prefix, and converts legacy amazon_s3 shortcodes.
+ */
+class CFR2WC_Link_Report {
+	/**
+	 * Admin page slug
+	 */
+	const PAGE_SLUG = 'cfr2wc-link-report';
+
+	/**
+	 * Maximum number of rows shown per report table
+	 */
+	const DISPLAY_LIMIT = 200;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param CFR2WC_Bucket_Manager $bucket_manager Bucket manager.
+	 */
+	public function __construct( private readonly CFR2WC_Bucket_Manager $bucket_manager ) {
+		add_action( 'admin_menu', array( $this, 'add_page' ), 60 );
+	}
+
+	/**
+	 * Register the report page under the WooCommerce menu.
+	 */
+	public function add_page(): void {
+		$hook = add_submenu_page(
+			'woocommerce',
+			__( 'R2 Link Report', 'cfr2wc' ),
+			__( 'R2 Link Report', 'cfr2wc' ),
+			'manage_woocommerce',
+			self::PAGE_SLUG,
+			array( $this, 'render_page' )
+		);
+
+		if ( $hook ) {
+			add_action( 'load-' . $hook, array( $this, 'handle_replace' ) );
+			add_action( 'load-' . $hook, array( $this, 'handle_convert' ) );
+			add_action( 'admin_print_styles-' . $hook, array( $this, 'enqueue_assets' ) );
+		}
+	}
+
+	/**
+	 * Enqueue admin styles for the report page.
+	 */
+	public function enqueue_assets(): void {
+		// Determine if we should load minified assets.
+		$suffix = ( defined( 'SCRIPT_DEBUG' ) && SCRIPT_DEBUG ) ? '' : '.min';
+
+		wp_enqueue_style(
+			'cfr2wc-admin',
+			CFR2WC_PLUGIN_URL . 'assets/css/admin' . $suffix . '.css',
+			array(),
+			CFR2WC_VERSION
+		);
+	}
+
+	/**
+	 * Collect every download that points at an R2 object.
+	 *
+	 * Variations are included; their downloads are stored on the variation, not the parent.
+	 *
+	 * @return array References with product_id, parent_id, product_name, download_id, download_name, file, legacy, bucket and object_key.
+	 */
+	private function get_references(): array {
+		$product_ids = wc_get_products(
+			array(
+				'type'         => array_merge( array_keys( wc_get_product_types() ), array( 'variation' ) ),
+				'downloadable' => true,
+				'status'       => array( 'publish', 'future', 'draft', 'pending', 'private' ),
+				'limit'        => -1,
+				'return'       => 'ids',
+			)
+		);
+
+		$references = array();
+
+		foreach ( $product_ids as $product_id ) {
+			$product = wc_get_product( $product_id );
+			if ( ! $product ) {
+				continue;
+			}
+
+			foreach ( $product->get_downloads() as $download_id => $download ) {
+				$object_key = CFR2WC_Shortcode::get_object_key( (string) $download->get_file() );
+				if ( '' === $object_key ) {
+					continue;
+				}
+
+				$references[] = array(
+					'product_id'    => $product->get_id(),
+					'parent_id'     => $product->get_parent_id(),
+					'product_name'  => $product->get_name(),
+					'download_id'   => (string) $download_id,
+					'download_name' => $download->get_name(),
+					'file'          => (string) $download->get_file(),
+					'legacy'        => CFR2WC_Shortcode::is_legacy( (string) $download->get_file() ),
+					'bucket'        => $this->bucket_manager->resolve_download_bucket( CFR2WC_Shortcode::get_bucket( (string) $download->get_file() ) ),
+					'object_key'    => $object_key,
+				);
+			}
+		}
+
+		return $references;
+	}
+
+	/**
+	 * Build the report.
+	 *
+	 * Each bucket is checked against its own file cache. Downloads naming a bucket without a profile are
+	 * checked against the default bucket, which they download from.
+	 *
+	 * @return array Report with references, missing, orphaned (bucket and object_key) and duplicates (bucket, object_key and references).
+	 */
+	private function build_report(): array {
+		$references  = $this->get_references();
+		$cached_keys = array();
+		$by_key      = array();
+
+		foreach ( array_keys( $this->bucket_manager->get_profiles() ) as $bucket ) {
+			$cache_manager          = $this->bucket_manager->get_cache_manager( (string) $bucket );
+			$cached_keys[ $bucket ] = $cache_manager ? array_flip( $cache_manager->get_all_object_keys() ) : array();
+		}
+
+		foreach ( $references as $reference ) {
+			$by_key[ $reference['bucket'] ][ $reference['object_key'] ][] = $reference;
+		}
+
+		$missing = array_values(
+			array_filter(
+				$references,
+				function ( array $reference ) use ( $cached_keys ): bool {
+					return ! isset( $cached_keys[ $reference['bucket'] ][ $reference['object_key'] ] );
+				}
+			)
+		);
+
+		$orphaned   = array();
+		$duplicates = array();
+
+		foreach ( $cached_keys as $bucket => $keys ) {
+			foreach ( array_keys( array_diff_key( $keys, $by_key[ $bucket ] ?? array() ) ) as $key ) {
+				if ( ! str_ends_with( (string) $key, '/' ) ) {
+					$orphaned[] = array(
+						'bucket'     => (string) $bucket,
+						'object_key' => (string) $key,
+					);
+				}
+			}
+		}
+
+		foreach ( $by_key as $bucket => $keys ) {
+			foreach ( $keys as $key => $key_references ) {
+				if ( count( $key_references ) > 1 ) {
+					$duplicates[] = array(
+						'bucket'     => (string) $bucket,
+						'object_key' => (string) $key,
+						'references' => $key_references,
+					);
+				}
+			}
+		}
+
+		return array(
+			'references' => $references,
+			'missing'    => $missing,
+			'orphaned'   => $orphaned,
+			'duplicates' => $duplicates,
+		);
+	}
+
+	/**
+	 * Find downloads whose object key starts with a prefix and work out their new keys.
+	 *
+	 * @param string $find Prefix to replace.
+	 * @param string $replace Replacement prefix.
+	 * @param string $bucket Bucket the downloads use.
+	 * @return array References with new_key and new_key_cached added.
+	 */
+	private function get_replacements( string $find, string $replace, string $bucket ): array {
+		$cache_manager = $this->bucket_manager->get_cache_manager( $bucket );
+
+		if ( '' === $find || ! $cache_manager ) {
+			return array();
+		}
+
+		$matches  = array();
+		$new_keys = array();
+
+		foreach ( $this->get_references() as $reference ) {
+			if ( $reference['bucket'] !== $bucket || ! str_starts_with( $reference['object_key'], $find ) ) {
+				continue;
+			}
+
+			$reference['new_key'] = $replace . substr( $reference['object_key'], strlen( $find ) );
+			$new_keys[]           = $reference['new_key'];
+			$matches[]            = $reference;
+		}
+
+		$cached = $cache_manager->get_files_by_keys( $new_keys );
+
+		foreach ( $matches as &$match ) {
+			$match['new_key_cached'] = isset( $cached[ $match['new_key'] ] );
+		}
+		unset( $match );
+
+		return $matches;
+	}
+
+	/**
+	 * Get the find/replace prefixes and bucket from the submitted form.
+	 *
+	 * @return array Find and replace prefixes, and the bucket.
+	 */
+	private function get_posted_prefixes(): array {
+		// phpcs:disable WordPress.Security.NonceVerification.Missing -- Checked by the callers.
+		$find    = isset( $_POST['cfr2wc_find'] ) ? ltrim( sanitize_text_field( wp_unslash( $_POST['cfr2wc_find'] ) ), '/' ) : '';
+		$replace = isset( $_POST['cfr2wc_replace'] ) ? ltrim( sanitize_text_field( wp_unslash( $_POST['cfr2wc_replace'] ) ), '/' ) : '';
+		$bucket  = isset( $_POST['cfr2wc_bucket'] ) ? sanitize_text_field( wp_unslash( $_POST['cfr2wc_bucket'] ) ) : '';
+		// phpcs:enable WordPress.Security.NonceVerification.Missing
+
+		return array( $find, $replace, $this->bucket_manager->resolve_bucket( $bucket ) );
+	}
+
+	/**
+	 * Apply a bulk find-and-replace, then redirect back to the report.
+	 */
+	public function handle_replace(): void {
+		if ( ! isset( $_POST['cfr2wc_apply_replace'] ) ) {
+			return;
+		}
+
+		check_admin_referer( 'cfr2wc_link_report' );
+
+		// phpcs:ignore WordPress.WP.Capabilities.Unknown
+		if ( ! current_user_can( 'manage_woocommerce' ) ) {
+			wp_die( esc_html__( 'Permission denied', 'cfr2wc' ), '', array( 'response' => 403 ) );
+		}
+
+		list( $find, $replace, $bucket ) = $this->get_posted_prefixes();
+
+		$by_product = array();
+		foreach ( $this->get_replacements( $find, $replace, $bucket ) as $match ) {
+			$by_product[ $match['product_id'] ][ $match['download_id'] ] = $match['new_key'];
+		}
+
+		$replaced = 0;
+
+		foreach ( $by_product as $product_id => $new_keys ) {
+			$product = wc_get_product( $product_id );
+			if ( ! $product ) {
+				continue;
+			}
+
+			// Keep the download IDs so existing customer download permissions still apply.
+			$downloads = $product->get_downloads();
+			foreach ( $new_keys as $download_id => $new_key ) {
+				if ( isset( $downloads[ $download_id ] ) ) {
+					$downloads[ $download_id ]->set_file( CFR2WC_Shortcode::replace_object( (string) $downloads[ $download_id ]->get_file(), $new_key ) );
+					++$replaced;
+				}
+			}
+
+			$product->set_downloads( $downloads );
+			$product->save();
+		}
+
+		CFR2WC_Logger::info(
+			'Bulk replaced R2 object prefixes',
+			array(
+				'bucket'    => $bucket,
+				'find'      => $find,
+				'replace'   => $replace,
+				'downloads' => $replaced,
+				'products'  => count( $by_product ),
+				'user_id'   => get_current_user_id(),
+			)
+		);
+
+		wp_safe_redirect(
+			add_query_arg(
+				array(
+					'page'     => self::PAGE_SLUG,
+					'replaced' => $replaced,
+				),
+				admin_url( 'admin.php' )
+			)
+		);
+		exit;
+	}
+
+	/**
+	 * Get the R2 bucket each bucket named in legacy shortcodes maps to.
+	 *
+	 * Buckets with a profile of the same name map to themselves, others to the default bucket,
+	 * unless the form picked another bucket.
+	 *
+	 * @param array $references Download references.
+	 * @return array R2 bucket names keyed by legacy bucket name, empty for shortcodes without a bucket attribute.
+	 */
+	private function get_bucket_map( array $references ): array {
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Checked by the callers.
+		$posted = isset( $_POST['cfr2wc_bucket_map'] ) && is_array( $_POST['cfr2wc_bucket_map'] ) ? map_deep( wp_unslash( $_POST['cfr2wc_bucket_map'] ), 'sanitize_text_field' ) : array();
+		$map    = array();
+
+		foreach ( $references as $reference ) {
+			if ( ! $reference['legacy'] ) {
+				continue;
+			}
+
+			$legacy = CFR2WC_Shortcode::get_bucket( $reference['file'] );
+			$bucket = (string) ( $posted[ md5( $legacy ) ] ?? ( $this->bucket_manager->has_bucket( $legacy ) ? $legacy : '' ) );
+
+			$map[ $legacy ] = $this->bucket_manager->has_bucket( $bucket ) ? $this->bucket_manager->resolve_bucket( $bucket ) : $this->bucket_manager->get_default_bucket();
+		}
+
+		ksort( $map );
+
+		return $map;
+	}
+
+	/**
+	 * Work out the cloudflare_r2 shortcodes for downloads that use legacy amazon_s3 shortcodes.
+	 *
+	 * Objects are looked up in the file cache of the bucket they map to.
+	 *
+	 * @param array $references Download references.
+	 * @param array $bucket_map R2 bucket names keyed by legacy bucket name.
+	 * @return array References with target_bucket, new_file and found added.
+	 */
+	private function get_conversions( array $references, array $bucket_map ): array {
+		$conversions    = array();
+		$keys_by_bucket = array();
+
+		foreach ( $references as $reference ) {
+			if ( ! $reference['legacy'] ) {
+				continue;
+			}
+
+			$bucket = $bucket_map[ CFR2WC_Shortcode::get_bucket( $reference['file'] ) ];
+
+			$reference['target_bucket'] = $bucket;
+			$reference['new_file']      = CFR2WC_Shortcode::convert_legacy( $reference['file'], $bucket === $this->bucket_manager->get_default_bucket() ? '' : $bucket );
+
+			$keys_by_bucket[ $bucket ][] = $reference['object_key'];
+			$conversions[]               = $reference;
+		}
+
+		$found = array();
+		foreach ( $keys_by_bucket as $bucket => $keys ) {
+			$cache_manager    = $this->bucket_manager->get_cache_manager( (string) $bucket );
+			$found[ $bucket ] = $cache_manager ? $cache_manager->get_files_by_keys( $keys ) : array();
+		}
+
+		foreach ( $conversions as &$conversion ) {
+			$conversion['found'] = isset( $found[ $conversion['target_bucket'] ][ $conversion['object_key'] ] );
+		}
+		unset( $conversion );
+
+		return $conversions;
+	}
+
+	/**
+	 * Convert legacy shortcodes, then redirect back to the report.
+	 *
+	 * Downloads whose object was not found are only converted when the form asks for it.
+	 */
+	public function handle_convert(): void {
+		if ( ! isset( $_POST['cfr2wc_apply_convert'] ) ) {
+			return;
+		}
+
+		check_admin_referer( 'cfr2wc_link_report' );
+
+		// phpcs:ignore WordPress.WP.Capabilities.Unknown
+		if ( ! current_user_can( 'manage_woocommerce' ) ) {
+			wp_die( esc_html__( 'Permission denied', 'cfr2wc' ), '', array( 'response' => 403 ) );
+		}
+
+		$references  = $this->get_references();
+		$convert_all = ! empty( $_POST['cfr2wc_convert_missing'] );
+		$by_product  = array();
+		$skipped     = 0;
+
+		foreach ( $this->get_conversions( $references, $this->get_bucket_map( $references ) ) as $conversion ) {
+			if ( ! $conversion['found'] && ! $convert_all ) {
+				++$skipped;
+				continue;
+			}
+
+			$by_product[ $conversion['product_id'] ][ $conversion['download_id'] ] = $conversion['new_file'];
+		}
+
+		$converted = 0;
+
+		foreach ( $by_product as $product_id => $new_files ) {
+			$product = wc_get_product( $product_id );
+			if ( ! $product ) {
+				continue;
+			}
+
+			// Keep the download IDs so existing customer download permissions still apply.
+			$downloads = $product->get_downloads();
+			foreach ( $new_files as $download_id => $new_file ) {
+				if ( isset( $downloads[ $download_id ] ) ) {
+					$downloads[ $download_id ]->set_file( $new_file );
+					++$converted;
+				}
+			}
+
+			$product->set_downloads( $downloads );
+			$product->save();
+		}
+
+		CFR2WC_Logger::info(
+			'Converted legacy amazon_s3 shortcodes',
+			array(
+				'downloads' => $converted,
+				'skipped'   => $skipped,
+				'products'  => count( $by_product ),
+				'user_id'   => get_current_user_id(),
+			)
+		);
+
+		wp_safe_redirect(
+			add_query_arg(
+				array(
+					'page'      => self::PAGE_SLUG,
+					'converted' => $converted,
+					'skipped'   => $skipped,
+				),
+				admin_url( 'admin.php' )
+			)
+		);
+		exit;
+	}
+
+	/**
+	 * Render the report page.
+	 */
+	public function render_page(): void {
+		$preview = null;
+		$buckets = $this->bucket_manager->get_bucket_choices();
+
+		list( $find, $replace, $bucket ) = $this->get_posted_prefixes();
+
+		if ( isset( $_POST['cfr2wc_preview_replace'] ) ) {
+			check_admin_referer( 'cfr2wc_link_report' );
+			$preview = $this->get_replacements( $find, $replace, $bucket );
+		}
+
+		$report      = $this->build_report();
+		$bucket_map  = $this->get_bucket_map( $report['references'] );
+		$conversions = null;
+
+		if ( isset( $_POST['cfr2wc_preview_convert'] ) ) {
+			check_admin_referer( 'cfr2wc_link_report' );
+			$conversions = $this->get_conversions( $report['references'], $bucket_map );
+		}
+
+		$legacy_count = count( array_filter( array_column( $report['references'], 'legacy' ) ) );
+		?>
+		<div class="wrap cfr2wc-link-report">
+			<h1><?php esc_html_e( 'R2 Link Report', 'cfr2wc' ); ?></h1>
+
+			<?php
+			// phpcs:ignore WordPress.Security.NonceVerification.Recommended
+			if ( isset( $_GET['replaced'] ) ) :
+				// phpcs:ignore WordPress.Security.NonceVerification.Recommended
+				$replaced = absint( $_GET['replaced'] );
+				?>
+				<div class="notice notice-success is-dismissible">
+					<p>
+						<?php
+						/* translators: %d: number of updated downloads. */
+						echo esc_html( sprintf( _n( 'Updated %d download.', 'Updated %d downloads.', $replaced, 'cfr2wc' ), $replaced ) );
+						?>
+					</p>
+				</div>
+			<?php endif; ?>
+
+			<?php
+			// phpcs:ignore WordPress.Security.NonceVerification.Recommended
+			if ( isset( $_GET['converted'] ) ) :
+				// phpcs:disable WordPress.Security.NonceVerification.Recommended
+				$converted = absint( $_GET['converted'] );
+				$skipped   = isset( $_GET['skipped'] ) ? absint( $_GET['skipped'] ) : 0;
+				// phpcs:enable WordPress.Security.NonceVerification.Recommended
+				?>
+				<div class="notice notice-success is-dismissible">
+					<p>
+						<?php
+						/* translators: %d: number of converted downloads. */
+						echo esc_html( sprintf( _n( 'Converted %d download to the cloudflare_r2 shortcode.', 'Converted %d downloads to the cloudflare_r2 shortcode.', $converted, 'cfr2wc' ), $converted ) );
+
+						if ( $skipped ) {
+							echo ' ';
+							/* translators: %d: number of downloads that were not converted. */
+							echo esc_html( sprintf( _n( '%d download was left unchanged because its object was not found.', '%d downloads were left unchanged because their objects were not found.', $skipped, 'cfr2wc' ), $skipped ) );
+						}
+						?>
+					</p>
+				</div>
+			<?php endif; ?>
+
+			<p class="description">
+				<?php
+				echo esc_html(
+					sprintf(
+						/* translators: %d: number of downloads using R2 shortcodes. */
+						__( 'Checked %d downloads that use R2 shortcodes against the file cache. Sync the file cache from the product file picker first if the bucket changed outside WordPress.', 'cfr2wc' ),
+						count( $report['references'] )
+					)
+				);
+				?>
+			</p>
+
+			<div class="cfr2wc-settings-section">
+				<h2><?php esc_html_e( 'Replace object prefix', 'cfr2wc' ); ?></h2>
+				<p class="description"><?php esc_html_e( 'Re-point downloads after moving objects in the bucket, e.g. from releases/v1/ to archive/v1/. Objects are not moved in R2.', 'cfr2wc' ); ?></p>
+
+				<form method="post">
+					<?php wp_nonce_field( 'cfr2wc_link_report' ); ?>
+					<p>
+						<?php if ( count( $buckets ) > 1 ) : ?>
+							<label>
+								<?php esc_html_e( 'Bucket', 'cfr2wc' ); ?>
+								<select name="cfr2wc_bucket">
+									<?php foreach ( $buckets as $bucket_name => $label ) : ?>
+										<option value="<?php echo esc_attr( $bucket_name ); ?>" <?php selected( $bucket, $bucket_name ); ?>><?php echo esc_html( $label ); ?></option>
+									<?php endforeach; ?>
+								</select>
+							</label>
+						<?php endif; ?>
+						<label>
+							<?php esc_html_e( 'Find', 'cfr2wc' ); ?>
+							<input type="text" name="cfr2wc_find" class="regular-text code" value="<?php echo esc_attr( $find ); ?>" placeholder="releases/v1/" required>
+						</label>
+						<label>
+							<?php esc_html_e( 'Replace with', 'cfr2wc' ); ?>
+							<input type="text" name="cfr2wc_replace" class="regular-text code" value="<?php echo esc_attr( $replace ); ?>" placeholder="archive/v1/">
+						</label>
+						<button type="submit" name="cfr2wc_preview_replace" class="button"><?php esc_html_e( 'Preview', 'cfr2wc' ); ?></button>
+					</p>
+
+					<?php if ( null !== $preview ) : ?>
+						<?php if ( empty( $preview ) ) : ?>
+							<p><?php esc_html_e( 'No downloads use objects with this prefix.', 'cfr2wc' ); ?></p>
+						<?php else : ?>
+							<table class="widefat striped">
+								<thead>
+									<tr>
+										<th><?php esc_html_e( 'Product', 'cfr2wc' ); ?></th>
+										<th><?php esc_html_e( 'Download', 'cfr2wc' ); ?></th>
+										<th><?php esc_html_e( 'Current object', 'cfr2wc' ); ?></th>
+										<th><?php esc_html_e( 'New object', 'cfr2wc' ); ?></th>
+									</tr>
+								</thead>
+								<tbody>
+									<?php foreach ( $preview as $match ) : ?>
+										<tr>
+											<td><?php $this->render_product_link( $match ); ?></td>
+											<td><?php echo esc_html( $match['download_name'] ); ?></td>
+											<td><?php $this->render_object( $match['bucket'], $match['object_key'] ); ?></td>
+											<td>
+												<code><?php echo esc_html( $match['new_key'] ); ?></code>
+												<?php if ( ! $match['new_key_cached'] ) : ?>
+													<span class="cfr2wc-link-missing"><?php esc_html_e( 'Not in file cache', 'cfr2wc' ); ?></span>
+												<?php endif; ?>
+											</td>
+										</tr>
+									<?php endforeach; ?>
+								</tbody>
+							</table>
+							<p>
+								<button type="submit" name="cfr2wc_apply_replace" class="button button-primary">
+									<?php
+									/* translators: %d: number of downloads to update. */
+									echo esc_html( sprintf( _n( 'Update %d download', 'Update %d downloads', count( $preview ), 'cfr2wc' ), count( $preview ) ) );
+									?>
+								</button>
+							</p>
+						<?php endif; ?>
+					<?php endif; ?>
+				</form>
+			</div>
+
+			<?php if ( $legacy_count ) : ?>
+				<div class="cfr2wc-settings-section">
+					<h2>
+						<?php
+						/* translators: %d: number of downloads. */
+						echo esc_html( sprintf( __( 'Legacy amazon_s3 shortcodes (%d)', 'cfr2wc' ), $legacy_count ) );
+						?>
+					</h2>
+					<p class="description"><?php esc_html_e( 'Convert downloads that still use the amazon_s3 shortcode to the cloudflare_r2 shortcode. Pick the R2 bucket that holds the objects of each S3 bucket named in the shortcodes, then preview the conversion.', 'cfr2wc' ); ?></p>
+
+					<form method="post">
+						<?php wp_nonce_field( 'cfr2wc_link_report' ); ?>
+						<table class="form-table">
+							<?php foreach ( $bucket_map as $legacy_bucket => $target_bucket ) : ?>
+								<tr>
+									<th scope="row">
+										<?php if ( '' === $legacy_bucket ) : ?>
+											<?php esc_html_e( 'No bucket attribute', 'cfr2wc' ); ?>
+										<?php else : ?>
+											<code><?php echo esc_html( $legacy_bucket ); ?></code>
+										<?php endif; ?>
+									</th>
+									<td>
+										<select name="cfr2wc_bucket_map[<?php echo esc_attr( md5( (string) $legacy_bucket ) ); ?>]">
+											<?php foreach ( $buckets as $bucket_name => $label ) : ?>
+												<option value="<?php echo esc_attr( $bucket_name ); ?>" <?php selected( $target_bucket, $bucket_name ); ?>><?php echo esc_html( $label ); ?></option>
+											<?php endforeach; ?>
+										</select>
+									</td>
+								</tr>
+							<?php endforeach; ?>
+						</table>
+						<p>
+							<button type="submit" name="cfr2wc_preview_convert" class="button"><?php esc_html_e( 'Preview', 'cfr2wc' ); ?></button>
+						</p>
+
+						<?php if ( null !== $conversions ) : ?>
+							<?php $not_found = count( array_filter( $conversions, fn( array $conversion ): bool => ! $conversion['found'] ) ); ?>
+							<table class="widefat striped">
+								<thead>
+									<tr>
+										<th><?php esc_html_e( 'Product', 'cfr2wc' ); ?></th>
+										<th><?php esc_html_e( 'Download', 'cfr2wc' ); ?></th>
+										<th><?php esc_html_e( 'Current shortcode', 'cfr2wc' ); ?></th>
+										<th><?php esc_html_e( 'New shortcode', 'cfr2wc' ); ?></th>
+									</tr>
+								</thead>
+								<tbody>
+									<?php foreach ( $conversions as $conversion ) : ?>
+										<tr>
+											<td><?php $this->render_product_link( $conversion ); ?></td>
+											<td><?php echo esc_html( $conversion['download_name'] ); ?></td>
+											<td><code><?php echo esc_html( $conversion['file'] ); ?></code></td>
+											<td>
+												<code><?php echo esc_html( $conversion['new_file'] ); ?></code>
+												<?php if ( ! $conversion['found'] ) : ?>
+													<span class="cfr2wc-link-missing">
+														<?php
+														/* translators: %s: bucket name. */
+														echo esc_html( sprintf( __( 'Not found in %s', 'cfr2wc' ), $conversion['target_bucket'] ) );
+														?>
+													</span>
+												<?php endif; ?>
+											</td>
+										</tr>
+									<?php endforeach; ?>
+								</tbody>
+							</table>
+							<?php if ( $not_found ) : ?>
+								<p>
+									<label>
+										<input type="checkbox" name="cfr2wc_convert_missing" value="1">
+										<?php
+										/* translators: %d: number of downloads. */
+										echo esc_html( sprintf( _n( 'Also convert the %d download whose object was not found', 'Also convert the %d downloads whose objects were not found', $not_found, 'cfr2wc' ), $not_found ) );
+										?>
+									</label>
+								</p>
+							<?php endif; ?>
+							<p>
+								<button type="submit" name="cfr2wc_apply_convert" class="button button-primary"><?php esc_html_e( 'Convert Shortcodes', 'cfr2wc' ); ?></button>
+							</p>
+						<?php endif; ?>
+					</form>
+				</div>
+			<?php endif; ?>
+
+			<div class="cfr2wc-settings-section">
+				<h2>
+					<?php
+					/* translators: %d: number of downloads. */
+					echo esc_html( sprintf( __( 'Missing objects (%d)', 'cfr2wc' ), count( $report['missing'] ) ) );
+					?>
+				</h2>
+				<p class="description"><?php esc_html_e( 'Downloads that point at objects which are not in the bucket. Customers get an error when they try to download these.', 'cfr2wc' ); ?></p>
+
+				<?php if ( empty( $report['missing'] ) ) : ?>
+					<p><?php esc_html_e( 'All downloads point at existing objects.', 'cfr2wc' ); ?></p>
+				<?php else : ?>
+					<table class="widefat striped">
+						<thead>
+							<tr>
+								<th><?php esc_html_e( 'Product', 'cfr2wc' ); ?></th>
+								<th><?php esc_html_e( 'Download', 'cfr2wc' ); ?></th>
+								<th><?php esc_html_e( 'Object', 'cfr2wc' ); ?></th>
+							</tr>
+						</thead>
+						<tbody>
+							<?php foreach ( array_slice( $report['missing'], 0, self::DISPLAY_LIMIT ) as $reference ) : ?>
+								<tr>
+									<td><?php $this->render_product_link( $reference ); ?></td>
+									<td><?php echo esc_html( $reference['download_name'] ); ?></td>
+									<td><?php $this->render_object( $reference['bucket'], $reference['object_key'] ); ?></td>
+								</tr>
+							<?php endforeach; ?>
+						</tbody>
+					</table>
+					<?php $this->render_truncation_note( count( $report['missing'] ) ); ?>
+				<?php endif; ?>
+			</div>
+
+			<div class="cfr2wc-settings-section">
+				<h2>
+					<?php
+					/* translators: %d: number of objects. */
+					echo esc_html( sprintf( __( 'Duplicate references (%d)', 'cfr2wc' ), count( $report['duplicates'] ) ) );
+					?>
+				</h2>
+				<p class="description"><?php esc_html_e( 'Objects used by more than one download. This is often intended, but check them before moving or deleting the object.', 'cfr2wc' ); ?></p>
+
+				<?php if ( empty( $report['duplicates'] ) ) : ?>
+					<p><?php esc_html_e( 'Every object is used by a single download.', 'cfr2wc' ); ?></p>
+				<?php else : ?>
+					<table class="widefat striped">
+						<thead>
+							<tr>
+								<th><?php esc_html_e( 'Object', 'cfr2wc' ); ?></th>
+								<th><?php esc_html_e( 'Used by', 'cfr2wc' ); ?></th>
+							</tr>
+						</thead>
+						<tbody>
+							<?php foreach ( array_slice( $report['duplicates'], 0, self::DISPLAY_LIMIT ) as $duplicate ) : ?>
+								<tr>
+									<td><?php $this->render_object( $duplicate['bucket'], $duplicate['object_key'] ); ?></td>
+									<td>
+										<ul class="cfr2wc-link-list">
+											<?php foreach ( $duplicate['references'] as $reference ) : ?>
+												<li><?php $this->render_product_link( $reference ); ?> &mdash; <?php echo esc_html( $reference['download_name'] ); ?></li>
+											<?php endforeach; ?>
+										</ul>
+									</td>
+								</tr>
+							<?php endforeach; ?>
+						</tbody>
+					</table>
+					<?php $this->render_truncation_note( count( $report['duplicates'] ) ); ?>
+				<?php endif; ?>
+			</div>
+
+			<div class="cfr2wc-settings-section">
+				<h2>
+					<?php
+					/* translators: %d: number of objects. */
+					echo esc_html( sprintf( __( 'Orphaned objects (%d)', 'cfr2wc' ), count( $report['orphaned'] ) ) );
+					?>
+				</h2>
+				<p class="description"><?php esc_html_e( 'Objects in the bucket that no product download uses.', 'cfr2wc' ); ?></p>
+
+				<?php if ( empty( $report['orphaned'] ) ) : ?>
+					<p><?php esc_html_e( 'Every object in the bucket is used by a download.', 'cfr2wc' ); ?></p>
+				<?php else : ?>
+					<?php $orphaned = $this->get_orphaned_files( array_slice( $report['orphaned'], 0, self::DISPLAY_LIMIT ) ); ?>
+					<table class="widefat striped">
+						<thead>
+							<tr>
+								<th><?php esc_html_e( 'Object', 'cfr2wc' ); ?></th>
+								<th><?php esc_html_e( 'Size', 'cfr2wc' ); ?></th>
+								<th><?php esc_html_e( 'Modified', 'cfr2wc' ); ?></th>
+							</tr>
+						</thead>
+						<tbody>
+							<?php foreach ( $orphaned as $file ) : ?>
+								<tr>
+									<td><?php $this->render_object( $file['bucket'], $file['object_key'] ); ?></td>
+									<td><?php echo esc_html( $file['file_size_formatted'] ); ?></td>
+									<td><?php echo esc_html( $file['last_modified_formatted'] ? $file['last_modified_formatted'] : '—' ); ?></td>
+								</tr>
+							<?php endforeach; ?>
+						</tbody>
+					</table>
+					<?php $this->render_truncation_note( count( $report['orphaned'] ) ); ?>
+				<?php endif; ?>
+			</div>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Load the cached file details for orphaned objects.
+	 *
+	 * @param array $orphaned Orphaned objects with bucket and object_key.
+	 * @return array File rows with bucket added.
+	 */
+	private function get_orphaned_files( array $orphaned ): array {
+		$keys_by_bucket = array();
+		foreach ( $orphaned as $object ) {
+			$keys_by_bucket[ $object['bucket'] ][] = $object['object_key'];
+		}
+
+		$files = array();
+		foreach ( $keys_by_bucket as $bucket => $keys ) {
+			$cache_manager = $this->bucket_manager->get_cache_manager( (string) $bucket );
+			if ( ! $cache_manager ) {
+				continue;
+			}
+
+			foreach ( $cache_manager->get_files_by_keys( $keys ) as $file ) {
+				$files[] = array_merge( $file, array( 'bucket' => (string) $bucket ) );
+			}
+		}
+
+		return $files;
+	}
+
+	/**
+	 * Render an object key, prefixed with its bucket when more than one bucket is configured.
+	 *
+	 * @param string $bucket Bucket name.
+	 * @param string $object_key Object key.
+	 */
+	private function render_object( string $bucket, string $object_key ): void {
+		if ( count( $this->bucket_manager->get_profiles() ) > 1 ) {
+			echo '<span class="cfr2wc-link-bucket">' . esc_html( $bucket ) . '</span> ';
+		}
+
+		echo '<code>' . esc_html( $object_key ) . '</code>';
+	}
+
+	/**
+	 * Render a link to the product edit screen for a reference.
+	 *
+	 * @param array $reference Download reference.
+	 */
+	private function render_product_link( array $reference ): void {
+		// Variations are edited on their parent product.
+		$edit_link = get_edit_post_link( $reference['parent_id'] ? $reference['parent_id'] : $reference['product_id'] );
+
+		if ( $edit_link ) {
+			echo '<a href="' . esc_url( $edit_link ) . '">' . esc_html( $reference['product_name'] ) . '</a>';
+		} else {
+			echo esc_html( $reference['product_name'] );
+		}
+	}
+
+	/**
+	 * Render a note when a report table only shows the first rows.
+	 *
+	 * @param int $total Total number of rows.
+	 */
+	private function render_truncation_note( int $total ): void {
+		if ( $total <= self::DISPLAY_LIMIT ) {
+			return;
+		}
+
+		echo '<p class="description">' . esc_html(
+			sprintf(
+				/* translators: %1$d: number of rows shown, %2$d: total number of rows. */
+				__( 'Showing the first %1$d of %2$d.', 'cfr2wc' ),
+				self::DISPLAY_LIMIT,
+				$total
+			)
+		) . '</p>';
+	}
+}
@@ -0,0 +1,806 @@
+<?php
+/**
+ * Download Migration
+ *
+ * @package CloudflareR2WC
+ */
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use Automattic\WooCommerce\Internal\ProductDownloads\ApprovedDirectories\Register as Download_Directories;
+
+/**
+ * CloudflareR2WC Migration Class
+ *
+ * Moves product downloads that use local files or Amazon S3 URLs to R2. The admin JS scans for
+ * downloads, then works through them in batches; every rewritten download is logged so it can be rolled back.
+ */
+class CFR2WC_Migration {
+	/**
+	 * Admin page slug
+	 */
+	const PAGE_SLUG = 'cfr2wc-migration';
+
+	/**
+	 * Option holding the current migration job
+	 */
+	const JOB_OPTION = 'cfr2wc_migration_job';
+
+	/**
+	 * Option holding the rollback log
+	 */
+	const LOG_OPTION = 'cfr2wc_migration_log';
+
+	/**
+	 * Transient that keeps two batches from running at the same time
+	 */
+	const LOCK_TRANSIENT = 'cfr2wc_migration_lock';
+
+	/**
+	 * Maximum number of downloads migrated per batch
+	 */
+	const BATCH_SIZE = 5;
+
+	/**
+	 * Seconds after which a batch stops starting new downloads
+	 */
+	const BATCH_TIME_LIMIT = 20;
+
+	/**
+	 * Number of log entries rolled back per request
+	 */
+	const ROLLBACK_BATCH_SIZE = 20;
+
+	/**
+	 * Maximum number of log entries shown on the page
+	 */
+	const DISPLAY_LIMIT = 200;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param CFR2WC_Bucket_Manager $bucket_manager Bucket manager.
+	 */
+	public function __construct( private readonly CFR2WC_Bucket_Manager $bucket_manager ) {
+		add_action( 'admin_menu', array( $this, 'add_page' ), 60 );
+
+		// AJAX handlers.
+		add_action( 'wp_ajax_cfr2wc_migration_scan', array( $this, 'ajax_scan' ) );
+		add_action( 'wp_ajax_cfr2wc_migration_batch', array( $this, 'ajax_batch' ) );
+		add_action( 'wp_ajax_cfr2wc_migration_discard', array( $this, 'ajax_discard' ) );
+		add_action( 'wp_ajax_cfr2wc_migration_rollback', array( $this, 'ajax_rollback' ) );
+	}
+
+	/**
+	 * Register the migration page under the WooCommerce menu.
+	 */
+	public function add_page(): void {
+		$hook = add_submenu_page(
+			'woocommerce',
+			__( 'Migrate Downloads to R2', 'cfr2wc' ),
+			__( 'R2 Migration', 'cfr2wc' ),
+			'manage_woocommerce',
+			self::PAGE_SLUG,
+			array( $this, 'render_page' )
+		);
+
+		if ( $hook ) {
+			add_action( 'admin_print_scripts-' . $hook, array( $this, 'enqueue_assets' ) );
+		}
+	}
+
+	/**
+	 * Enqueue admin assets for the migration page.
+	 */
+	public function enqueue_assets(): void {
+		// Determine if we should load minified assets.
+		$suffix = ( defined( 'SCRIPT_DEBUG' ) && SCRIPT_DEBUG ) ? '' : '.min';
+
+		wp_enqueue_style(
+			'cfr2wc-admin',
+			CFR2WC_PLUGIN_URL . 'assets/css/admin' . $suffix . '.css',
+			array(),
+			CFR2WC_VERSION
+		);
+
+		wp_enqueue_script(
+			'cfr2wc-admin',
+			CFR2WC_PLUGIN_URL . 'assets/js/admin' . $suffix . '.js',
+			array( 'jquery' ),
+			CFR2WC_VERSION,
+			true
+		);
+
+		$job = get_option( self::JOB_OPTION );
+
+		wp_localize_script(
+			'cfr2wc-admin',
+			'cfr2wcMigration',
+			array(
+				'ajax_url' => admin_url( 'admin-ajax.php' ),
+				'nonce'    => wp_create_nonce( 'cfr2wc_migration' ),
+				'job'      => is_array( $job ) ? $this->get_job_data( $job ) : null,
+				'strings'  => array(
+					'scanning'         => __( 'Looking for downloads...', 'cfr2wc' ),
+					/* translators: %1$d: processed downloads, %2$d: total downloads. */
+					'progress'         => __( '%1$d of %2$d downloads processed', 'cfr2wc' ),
+					/* translators: %1$d: migrated, %2$d: skipped, %3$d: failed. */
+					'counts'           => __( '%1$d migrated, %2$d skipped, %3$d failed', 'cfr2wc' ),
+					/* translators: %1$d: checked, %2$d: skipped, %3$d: failed. */
+					'dry_run_counts'   => __( 'Dry run: %1$d ready, %2$d skipped, %3$d failed', 'cfr2wc' ),
+					'start'            => __( 'Start Migration', 'cfr2wc' ),
+					'start_dry_run'    => __( 'Start Dry Run', 'cfr2wc' ),
+					'resume'           => __( 'Resume', 'cfr2wc' ),
+					'pausing'          => __( 'Pausing after this batch...', 'cfr2wc' ),
+					'paused'           => __( 'Paused. Resume to continue where the migration stopped.', 'cfr2wc' ),
+					'complete'         => __( 'Finished.', 'cfr2wc' ),
+					'nothing_found'    => __( 'No downloads use local files or Amazon S3 URLs.', 'cfr2wc' ),
+					'request_failed'   => __( 'The request failed. The migration was paused, resume it to try again.', 'cfr2wc' ),
+					'confirm_discard'  => __( 'Discard this migration? Downloads that were already migrated stay migrated and can still be rolled back.', 'cfr2wc' ),
+					'confirm_rollback' => __( 'Point all logged downloads back at their previous files? Objects uploaded to R2 are not deleted.', 'cfr2wc' ),
+					/* translators: %d: number of log entries left. */
+					'rolling_back'     => __( 'Rolling back, %d downloads left...', 'cfr2wc' ),
+					'rollback_failed'  => __( 'The rollback request failed. Run it again to roll back the remaining downloads.', 'cfr2wc' ),
+					'status'           => array(
+						'pending'  => __( 'Pending', 'cfr2wc' ),
+						'migrated' => __( 'Migrated', 'cfr2wc' ),
+						'ready'    => __( 'Ready', 'cfr2wc' ),
+						'skipped'  => __( 'Skipped', 'cfr2wc' ),
+						'failed'   => __( 'Failed', 'cfr2wc' ),
+					),
+				),
+			)
+		);
+	}
+
+	/**
+	 * Work out where a download file lives
+	 *
+	 * @param string $file Download file URL or path.
+	 * @return array|null Source with type (local or s3), path (file path or URL) and key (path to keep under the target prefix),
+	 *                    or null when the file can't be migrated.
+	 */
+	private function get_source( string $file ): ?array {
+		if ( '' === $file ) {
+			return null;
+		}
+
+		$s3 = self::parse_s3_url( $file );
+
+		if ( $s3 ) {
+			return array(
+				'type' => 's3',
+				'path' => $file,
+				'key'  => $s3['key'],
+			);
+		}
+
+		$uploads = wp_upload_dir( null, false );
+		$path    = '';
+
+		// Compare without the scheme, old downloads often use http:// on sites that moved to https://.
+		$url = preg_replace( '#^https?:#i', '', strtok( $file, '?' ) );
+
+		foreach ( array( $uploads['baseurl'] => $uploads['basedir'], site_url() => ABSPATH ) as $base_url => $base_dir ) {
+			$base_url = preg_replace( '#^https?:#i', '', untrailingslashit( $base_url ) ) . '/';
+
+			if ( str_starts_with( $url, $base_url ) ) {
+				$path = trailingslashit( $base_dir ) . rawurldecode( substr( $url, strlen( $base_url ) ) );
+				break;
+			}
+		}
+
+		// WooCommerce also accepts absolute paths.
+		if ( '' === $path && str_starts_with( $file, '/' ) ) {
+			$path = $file;
+		}
+
+		$real_path = '' !== $path ? realpath( $path ) : false;
+
+		if ( ! $real_path || ! is_file( $real_path ) ) {
+			return null;
+		}
+
+		// Only files inside the uploads folder or a download folder approved in WooCommerce, never e.g. wp-config.php.
+		$uploads_dir = realpath( $uploads['basedir'] );
+		$content_dir = realpath( WP_CONTENT_DIR );
+
+		if ( $uploads_dir && str_starts_with( $real_path, trailingslashit( $uploads_dir ) ) ) {
+			// The protected WooCommerce folder is an implementation detail, don't carry it into R2.
+			$key = preg_replace( '#^woocommerce_uploads/#', '', substr( $real_path, strlen( trailingslashit( $uploads_dir ) ) ) );
+		} elseif ( $this->is_approved_download_path( $real_path ) ) {
+			$key = $content_dir && str_starts_with( $real_path, trailingslashit( $content_dir ) ) ? substr( $real_path, strlen( trailingslashit( $content_dir ) ) ) : basename( $real_path );
+		} else {
+			return null;
+		}
+
+		return array(
+			'type' => 'local',
+			'path' => $real_path,
+			'key'  => $key,
+		);
+	}
+
+	/**
+	 * Check a local file against WooCommerce's approved download directories
+	 *
+	 * @param string $path Absolute file path.
+	 * @return bool False when WooCommerce doesn't enforce approved directories, every path would pass.
+	 */
+	private function is_approved_download_path( string $path ): bool {
+		if ( ! function_exists( 'wc_get_container' ) || ! class_exists( Download_Directories::class ) ) {
+			return false;
+		}
+
+		$directories = wc_get_container()->get( Download_Directories::class );
+
+		return Download_Directories::MODE_ENABLED === $directories->get_mode() && $directories->is_valid_path( $path );
+	}
+
+	/**
+	 * Parse an Amazon S3 URL
+	 *
+	 * Supports virtual-hosted style (bucket.s3.region.amazonaws.com/key) and path style (s3.region.amazonaws.com/bucket/key).
+	 *
+	 * @param string $url URL.
+	 * @return array|null Bucket and key, or null when the URL isn't an S3 URL.
+	 */
+	public static function parse_s3_url( string $url ): ?array {
+		$parts = wp_parse_url( $url );
+
+		if ( empty( $parts['host'] ) || empty( $parts['path'] ) || ! in_array( strtolower( $parts['scheme'] ?? '' ), array( 'http', 'https' ), true ) ) {
+			return null;
+		}
+
+		if ( ! preg_match( '/^(?:([a-z0-9.-]+)\.)?s3(?:[.-][a-z0-9-]+)?\.amazonaws\.com$/', strtolower( $parts['host'] ), $matches ) ) {
+			return null;
+		}
+
+		$path = ltrim( $parts['path'], '/' );
+
+		if ( ! empty( $matches[1] ) ) {
+			$bucket = $matches[1];
+		} else {
+			list( $bucket, $path ) = array_pad( explode( '/', $path, 2 ), 2, '' );
+		}
+
+		if ( '' === $bucket || '' === $path || str_ends_with( $path, '/' ) ) {
+			return null;
+		}
+
+		return array(
+			'bucket' => $bucket,
+			'key'    => rawurldecode( $path ),
+		);
+	}
+
+	/**
+	 * Find downloads that don't use R2 yet.
+	 *
+	 * Variations are included; their downloads are stored on the variation, not the parent.
+	 *
+	 * @param string $prefix Target prefix.
+	 * @return array Job items.
+	 */
+	private function scan( string $prefix ): array {
+		$product_ids = wc_get_products(
+			array(
+				'type'         => array_merge( array_keys( wc_get_product_types() ), array( 'variation' ) ),
+				'downloadable' => true,
+				'status'       => array( 'publish', 'future', 'draft', 'pending', 'private' ),
+				'limit'        => -1,
+				'return'       => 'ids',
+			)
+		);
+
+		$items = array();
+
+		foreach ( $product_ids as $product_id ) {
+			$product = wc_get_product( $product_id );
+			if ( ! $product ) {
+				continue;
+			}
+
+			foreach ( $product->get_downloads() as $download_id => $download ) {
+				$file = (string) $download->get_file();
+
+				if ( CFR2WC_Shortcode::has_shortcode( $file ) ) {
+					continue;
+				}
+
+				$source = $this->get_source( $file );
+
+				$items[] = array(
+					'product_id'    => $product->get_id(),
+					'parent_id'     => $product->get_parent_id(),
+					'product_name'  => $product->get_name(),
+					'download_id'   => (string) $download_id,
+					'download_name' => $download->get_name(),
+					'file'          => $file,
+					'source'        => $source ? $source['type'] : '',
+					'path'          => $source ? $source['path'] : '',
+					'target_key'    => $source ? $prefix . $source['key'] : '',
+					'status'        => $source ? 'pending' : 'skipped',
+					'message'       => $source ? '' : __( 'Not a local file or an Amazon S3 URL.', 'cfr2wc' ),
+				);
+			}
+		}
+
+		return $items;
+	}
+
+	/**
+	 * Migrate one download, or check that it could be migrated in a dry run.
+	 *
+	 * @param array $item Job item.
+	 * @param array $job Migration job.
+	 * @return array Item with status and message updated.
+	 */
+	private function migrate_item( array $item, array $job ): array {
+		$product   = wc_get_product( $item['product_id'] );
+		$downloads = $product ? $product->get_downloads() : array();
+
+		if ( ! isset( $downloads[ $item['download_id'] ] ) || (string) $downloads[ $item['download_id'] ]->get_file() !== $item['file'] ) {
+			return $this->set_status( $item, 'skipped', __( 'The download was changed after the scan.', 'cfr2wc' ) );
+		}
+
+		$client        = $this->bucket_manager->get_client( $job['bucket'] );
+		$cache_manager = $this->bucket_manager->get_cache_manager( $job['bucket'] );
+
+		if ( ! $client || ! $cache_manager ) {
+			/* translators: %s: bucket name. */
+			return $this->set_status( $item, 'failed', sprintf( __( 'No bucket profile is configured for "%s".', 'cfr2wc' ), $job['bucket'] ) );
+		}
+
+		$existing = $client->file_exists( $item['target_key'] ) ? $client->get_object_metadata( $item['target_key'] ) : false;
+
+		if ( $job['dry_run'] ) {
+			return $this->check_item( $item, $existing );
+		}
+
+		$path = $item['path'];
+
+		if ( 's3' === $item['source'] ) {
+			require_once ABSPATH . 'wp-admin/includes/file.php';
+
+			$path = download_url( $item['path'], 300 );
+
+			if ( is_wp_error( $path ) ) {
+				/* translators: %s: error message. */
+				return $this->set_status( $item, 'failed', sprintf( __( 'Could not download the file from S3: %s', 'cfr2wc' ), $path->get_error_message() ) );
+			}
+		} elseif ( ! is_readable( $path ) ) {
+			return $this->set_status( $item, 'failed', __( 'The local file is missing or not readable.', 'cfr2wc' ) );
+		}
+
+		$size = (int) filesize( $path );
+
+		try {
+			if ( $existing && (int) ( $existing['ContentLength'] ?? -1 ) !== $size ) {
+				/* translators: %s: object key. */
+				return $this->set_status( $item, 'failed', sprintf( __( 'A different file already exists at %s. Choose another target prefix.', 'cfr2wc' ), $item['target_key'] ) );
+			}
+
+			// Objects that are already there, e.g. from a run that was interrupted, are reused.
+			if ( ! $existing && false === $client->upload_file( $path, $item['target_key'] ) ) {
+				return $this->set_status( $item, 'failed', __( 'The upload to R2 failed. Check the log for details.', 'cfr2wc' ) );
+			}
+
+			$mime_type = wp_check_filetype( $item['target_key'] )['type'];
+			$cache_manager->cache_object( $item['target_key'], $size, $mime_type ? $mime_type : null );
+		} finally {
+			if ( 's3' === $item['source'] ) {
+				wp_delete_file( $path );
+			}
+		}
+
+		$new_file = CFR2WC_Shortcode::build(
+			$item['target_key'],
+			array( 'bucket' => $job['bucket'] === $this->bucket_manager->get_default_bucket() ? '' : $job['bucket'] )
+		);
+
+		// Keep the download ID so existing customer download permissions still apply.
+		$downloads[ $item['download_id'] ]->set_file( $new_file );
+		$product->set_downloads( $downloads );
+		$product->save();
+
+		$this->add_log_entry(
+			array(
+				'product_id'    => $item['product_id'],
+				'parent_id'     => $item['parent_id'],
+				'product_name'  => $item['product_name'],
+				'download_id'   => $item['download_id'],
+				'download_name' => $item['download_name'],
+				'old_file'      => $item['file'],
+				'new_file'      => $new_file,
+				'migrated_at'   => time(),
+			)
+		);
+
+		return $this->set_status( $item, 'migrated', $existing ? __( 'The object was already in R2, the download now uses it.', 'cfr2wc' ) : '' );
+	}
+
+	/**
+	 * Check a download in a dry run.
+	 *
+	 * @param array       $item Job item.
+	 * @param array|false $existing Metadata of an object already at the target key.
+	 * @return array Item with status and message updated.
+	 */
+	private function check_item( array $item, $existing ): array {
+		if ( 's3' === $item['source'] ) {
+			$response = wp_remote_head( $item['path'], array( 'timeout' => 15 ) );
+			$size     = (int) wp_remote_retrieve_header( $response, 'content-length' );
+
+			if ( is_wp_error( $response ) || 200 !== wp_remote_retrieve_response_code( $response ) ) {
+				return $this->set_status( $item, 'failed', __( 'The file cannot be downloaded from S3. Private objects need a presigned URL or public access.', 'cfr2wc' ) );
+			}
+		} elseif ( is_readable( $item['path'] ) ) {
+			$size = (int) filesize( $item['path'] );
+		} else {
+			return $this->set_status( $item, 'failed', __( 'The local file is missing or not readable.', 'cfr2wc' ) );
+		}
+
+		if ( $existing && (int) ( $existing['ContentLength'] ?? -1 ) !== $size ) {
+			/* translators: %s: object key. */
+			return $this->set_status( $item, 'failed', sprintf( __( 'A different file already exists at %s. Choose another target prefix.', 'cfr2wc' ), $item['target_key'] ) );
+		}
+
+		if ( $existing ) {
+			return $this->set_status( $item, 'ready', __( 'The object is already in R2 and would be reused.', 'cfr2wc' ) );
+		}
+
+		/* translators: %s: file size. */
+		return $this->set_status( $item, 'ready', sprintf( __( 'Would upload %s.', 'cfr2wc' ), size_format( $size ) ) );
+	}
+
+	/**
+	 * Set the status of a job item.
+	 *
+	 * @param array  $item Job item.
+	 * @param string $status New status.
+	 * @param string $message Message shown next to the status.
+	 */
+	private function set_status( array $item, string $status, string $message ): array {
+		$item['status']  = $status;
+		$item['message'] = $message;
+
+		return $item;
+	}
+
+	/**
+	 * Append an entry to the rollback log.
+	 *
+	 * @param array $entry Log entry.
+	 */
+	private function add_log_entry( array $entry ): void {
+		$log   = $this->get_log();
+		$log[] = $entry;
+
+		update_option( self::LOG_OPTION, $log, false );
+	}
+
+	/**
+	 * Get the rollback log, oldest first.
+	 */
+	private function get_log(): array {
+		$log = get_option( self::LOG_OPTION, array() );
+
+		return is_array( $log ) ? $log : array();
+	}
+
+	/**
+	 * Prepare a job for the admin JS.
+	 *
+	 * @param array $job Migration job.
+	 * @return array Job summary and items.
+	 */
+	private function get_job_data( array $job ): array {
+		$counts = array_fill_keys( array( 'pending', 'migrated', 'ready', 'skipped', 'failed' ), 0 );
+		$items  = array();
+
+		foreach ( $job['items'] as $item ) {
+			++$counts[ $item['status'] ];
+
+			$items[] = array(
+				'product_name'  => $item['product_name'],
+				'edit_link'     => (string) get_edit_post_link( $item['parent_id'] ? $item['parent_id'] : $item['product_id'], 'raw' ),
+				'download_name' => $item['download_name'],
+				'file'          => $item['file'],
+				'target_key'    => $item['target_key'],
+				'status'        => $item['status'],
+				'message'       => $item['message'],
+			);
+		}
+
+		return array(
+			'dry_run'  => $job['dry_run'],
+			'bucket'   => $job['bucket'],
+			'position' => $job['position'],
+			'total'    => count( $job['items'] ),
+			'counts'   => $counts,
+			'items'    => $items,
+		);
+	}
+
+	/**
+	 * Check the AJAX nonce and capability.
+	 */
+	private function check_request(): void {
+		check_ajax_referer( 'cfr2wc_migration', 'nonce' );
+
+		// phpcs:ignore WordPress.WP.Capabilities.Unknown
+		if ( ! current_user_can( 'manage_woocommerce' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied', 'cfr2wc' ) ) );
+		}
+	}
+
+	/**
+	 * AJAX: Scan for downloads and start a new job.
+	 */
+	public function ajax_scan(): void {
+		$this->check_request();
+
+		$prefix = isset( $_POST['prefix'] ) ? trim( sanitize_text_field( wp_unslash( $_POST['prefix'] ) ), '/ ' ) : '';
+		$bucket = isset( $_POST['bucket'] ) ? sanitize_text_field( wp_unslash( $_POST['bucket'] ) ) : '';
+		$bucket = $this->bucket_manager->resolve_bucket( $bucket );
+
+		if ( ! $this->bucket_manager->has_bucket( $bucket ) ) {
+			/* translators: %s: bucket name. */
+			wp_send_json_error( array( 'message' => sprintf( __( 'No bucket profile is configured for "%s".', 'cfr2wc' ), $bucket ) ) );
+		}
+
+		$job = array(
+			'bucket'     => $bucket,
+			'prefix'     => $prefix,
+			'dry_run'    => isset( $_POST['dry_run'] ) && 'true' === sanitize_key( wp_unslash( $_POST['dry_run'] ) ),
+			'position'   => 0,
+			'items'      => $this->scan( '' === $prefix ? '' : $prefix . '/' ),
+			'started_by' => get_current_user_id(),
+			'started_at' => time(),
+		);
+
+		update_option( self::JOB_OPTION, $job, false );
+
+		wp_send_json_success( $this->get_job_data( $job ) );
+	}
+
+	/**
+	 * AJAX: Process the next batch of the current job.
+	 */
+	public function ajax_batch(): void {
+		$this->check_request();
+
+		$job = get_option( self::JOB_OPTION );
+
+		if ( ! is_array( $job ) ) {
+			wp_send_json_error( array( 'message' => __( 'There is no migration to continue. Scan for downloads first.', 'cfr2wc' ) ) );
+		}
+
+		if ( get_transient( self::LOCK_TRANSIENT ) ) {
+			wp_send_json_error( array( 'message' => __( 'Another batch is still running, e.g. in another browser tab. Try again in a minute.', 'cfr2wc' ) ) );
+		}
+
+		set_transient( self::LOCK_TRANSIENT, get_current_user_id(), 5 * MINUTE_IN_SECONDS );
+
+		$started   = time();
+		$processed = 0;
+		$total     = count( $job['items'] );
+
+		while ( $job['position'] < $total && $processed < self::BATCH_SIZE && time() - $started < self::BATCH_TIME_LIMIT ) {
+			$item = $job['items'][ $job['position'] ];
+
+			if ( 'pending' === $item['status'] ) {
+				try {
+					$item = $this->migrate_item( $item, $job );
+				} catch ( Exception $e ) {
+					$item = $this->set_status( $item, 'failed', $e->getMessage() );
+				}
+
+				++$processed;
+			}
+
+			$job['items'][ $job['position'] ] = $item;
+			++$job['position'];
+
+			// Save after every download so a timeout never loses finished work.
+			update_option( self::JOB_OPTION, $job, false );
+		}
+
+		delete_transient( self::LOCK_TRANSIENT );
+
+		if ( $job['position'] >= $total ) {
+			CFR2WC_Logger::info(
+				$job['dry_run'] ? 'Download migration dry run finished' : 'Download migration finished',
+				array(
+					'bucket'  => $job['bucket'],
+					'counts'  => array_count_values( array_column( $job['items'], 'status' ) ),
+					'user_id' => get_current_user_id(),
+				)
+			);
+		}
+
+		wp_send_json_success( $this->get_job_data( $job ) );
+	}
+
+	/**
+	 * AJAX: Discard the current job.
+	 */
+	public function ajax_discard(): void {
+		$this->check_request();
+
+		delete_option( self::JOB_OPTION );
+
+		wp_send_json_success();
+	}
+
+	/**
+	 * AJAX: Roll back the most recent log entries.
+	 *
+	 * Downloads that were changed again after the migration are left alone.
+	 */
+	public function ajax_rollback(): void {
+		$this->check_request();
+
+		$log      = $this->get_log();
+		$entries  = array_splice( $log, -self::ROLLBACK_BATCH_SIZE );
+		$restored = 0;
+
+		foreach ( array_reverse( $entries ) as $entry ) {
+			$product   = wc_get_product( $entry['product_id'] );
+			$downloads = $product ? $product->get_downloads() : array();
+
+			if ( ! isset( $downloads[ $entry['download_id'] ] ) || (string) $downloads[ $entry['download_id'] ]->get_file() !== $entry['new_file'] ) {
+				continue;
+			}
+
+			$downloads[ $entry['download_id'] ]->set_file( $entry['old_file'] );
+			$product->set_downloads( $downloads );
+			$product->save();
+			++$restored;
+		}
+
+		update_option( self::LOG_OPTION, $log, false );
+
+		CFR2WC_Logger::info(
+			'Rolled back migrated downloads',
+			array(
+				'restored' => $restored,
+				'skipped'  => count( $entries ) - $restored,
+				'user_id'  => get_current_user_id(),
+			)
+		);
+
+		wp_send_json_success( array( 'remaining' => count( $log ) ) );
+	}
+
+	/**
+	 * Render the migration page.
+	 */
+	public function render_page(): void {
+		$buckets = $this->bucket_manager->get_bucket_choices();
+		$log     = $this->get_log();
+		?>
+		<div class="wrap cfr2wc-migration" id="cfr2wc-migration">
+			<h1><?php esc_html_e( 'Migrate Downloads to R2', 'cfr2wc' ); ?></h1>
+
+			<p class="description"><?php esc_html_e( 'Finds product downloads that use files in the WordPress uploads folder or Amazon S3 URLs, uploads the files to R2 and points the downloads at the new objects. Download IDs are kept, so customers keep access to what they bought. The original files are not deleted.', 'cfr2wc' ); ?></p>
+
+			<div class="cfr2wc-settings-section">
+				<h2><?php esc_html_e( 'Find downloads', 'cfr2wc' ); ?></h2>
+				<table class="form-table">
+					<?php if ( count( $buckets ) > 1 ) : ?>
+						<tr>
+							<th scope="row"><label for="cfr2wc-migration-bucket"><?php esc_html_e( 'Bucket', 'cfr2wc' ); ?></label></th>
+							<td>
+								<select id="cfr2wc-migration-bucket">
+									<?php foreach ( $buckets as $bucket_name => $label ) : ?>
+										<option value="<?php echo esc_attr( $bucket_name ); ?>"><?php echo esc_html( $label ); ?></option>
+									<?php endforeach; ?>
+								</select>
+							</td>
+						</tr>
+					<?php endif; ?>
+					<tr>
+						<th scope="row"><label for="cfr2wc-migration-prefix"><?php esc_html_e( 'Target prefix', 'cfr2wc' ); ?></label></th>
+						<td>
+							<input type="text" id="cfr2wc-migration-prefix" class="regular-text code" placeholder="migrated/">
+							<p class="description"><?php esc_html_e( 'Folder in the bucket for the migrated files. Local files keep their path below the uploads folder, S3 files keep their object key.', 'cfr2wc' ); ?></p>
+						</td>
+					</tr>
+					<tr>
+						<th scope="row"><?php esc_html_e( 'Dry run', 'cfr2wc' ); ?></th>
+						<td>
+							<label>
+								<input type="checkbox" id="cfr2wc-migration-dry-run" checked="checked">
+								<?php esc_html_e( 'Only check that each file can be migrated, without uploading files or changing products', 'cfr2wc' ); ?>
+							</label>
+						</td>
+					</tr>
+				</table>
+				<p>
+					<button type="button" id="cfr2wc-migration-scan" class="button button-secondary"><?php esc_html_e( 'Find Downloads', 'cfr2wc' ); ?></button>
+				</p>
+			</div>
+
+			<div class="cfr2wc-settings-section" id="cfr2wc-migration-job" style="display:none;">
+				<h2><?php esc_html_e( 'Progress', 'cfr2wc' ); ?></h2>
+				<div class="cfr2wc-migration-progress">
+					<progress max="100" value="0"></progress>
+					<span class="cfr2wc-migration-summary"></span>
+				</div>
+				<p class="cfr2wc-migration-notice"></p>
+				<p>
+					<button type="button" id="cfr2wc-migration-start" class="button button-primary"></button>
+					<button type="button" id="cfr2wc-migration-pause" class="button" style="display:none;"><?php esc_html_e( 'Pause', 'cfr2wc' ); ?></button>
+					<button type="button" id="cfr2wc-migration-discard" class="button-link button-link-delete"><?php esc_html_e( 'Discard', 'cfr2wc' ); ?></button>
+				</p>
+				<table class="widefat striped cfr2wc-migration-items">
+					<thead>
+						<tr>
+							<th><?php esc_html_e( 'Product', 'cfr2wc' ); ?></th>
+							<th><?php esc_html_e( 'Download', 'cfr2wc' ); ?></th>
+							<th><?php esc_html_e( 'Current file', 'cfr2wc' ); ?></th>
+							<th><?php esc_html_e( 'R2 object', 'cfr2wc' ); ?></th>
+							<th><?php esc_html_e( 'Status', 'cfr2wc' ); ?></th>
+						</tr>
+					</thead>
+					<tbody></tbody>
+				</table>
+			</div>
+
+			<div class="cfr2wc-settings-section">
+				<h2>
+					<?php
+					/* translators: %d: number of log entries. */
+					echo esc_html( sprintf( __( 'Rollback log (%d)', 'cfr2wc' ), count( $log ) ) );
+					?>
+				</h2>
+				<p class="description"><?php esc_html_e( 'Every migrated download is logged with its previous file. Rolling back points the downloads at their previous files again, newest first. Downloads edited since the migration are left alone. Objects uploaded to R2 are kept.', 'cfr2wc' ); ?></p>
+
+				<?php if ( empty( $log ) ) : ?>
+					<p><?php esc_html_e( 'No downloads have been migrated.', 'cfr2wc' ); ?></p>
+				<?php else : ?>
+					<table class="widefat striped">
+						<thead>
+							<tr>
+								<th><?php esc_html_e( 'Product', 'cfr2wc' ); ?></th>
+								<th><?php esc_html_e( 'Download', 'cfr2wc' ); ?></th>
+								<th><?php esc_html_e( 'Previous file', 'cfr2wc' ); ?></th>
+								<th><?php esc_html_e( 'New file', 'cfr2wc' ); ?></th>
+								<th><?php esc_html_e( 'Migrated', 'cfr2wc' ); ?></th>
+							</tr>
+						</thead>
+						<tbody>
+							<?php foreach ( array_slice( array_reverse( $log ), 0, self::DISPLAY_LIMIT ) as $entry ) : ?>
+								<tr>
+									<td><?php echo esc_html( $entry['product_name'] ); ?></td>
+									<td><?php echo esc_html( $entry['download_name'] ); ?></td>
+									<td><code><?php echo esc_html( $entry['old_file'] ); ?></code></td>
+									<td><code><?php echo esc_html( $entry['new_file'] ); ?></code></td>
+									<td><?php echo esc_html( wp_date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), $entry['migrated_at'] ) ); ?></td>
+								</tr>
+							<?php endforeach; ?>
+						</tbody>
+					</table>
+					<?php if ( count( $log ) > self::DISPLAY_LIMIT ) : ?>
+						<p class="description">
+							<?php
+							/* translators: %1$d: number of rows shown, %2$d: total number of rows. */
+							echo esc_html( sprintf( __( 'Showing the newest %1$d of %2$d.', 'cfr2wc' ), self::DISPLAY_LIMIT, count( $log ) ) );
+							?>
+						</p>
+					<?php endif; ?>
+					<p>
+						<button type="button" id="cfr2wc-migration-rollback" class="button"><?php esc_html_e( 'Roll Back All', 'cfr2wc' ); ?></button>
+						<span class="cfr2wc-migration-rollback-status"></span>
+					</p>
+				<?php endif; ?>
+			</div>
+		</div>
+		<?php
+	}
+}
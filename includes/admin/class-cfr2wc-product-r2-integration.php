@@ -18,13 +18,18 @@ if ( ! defined( 'ABSPATH' ) ) {
  * Integrates R2 file selector with WooCommerce product downloads
  */
 class CFR2WC_Product_R2_Integration {
+	/**
+	 * Uploads allowed per user and hour.
+	 */
+	const UPLOAD_LIMIT = 20;
+
 	/**
 	 * Constructor.
 	 *
-	 * @param CFR2WC_Client             $r2_client R2 client instance.
-	 * @param CFR2WC_File_Cache_Manager $file_cache_manager File cache manager.
+	 * @param CFR2WC_Bucket_Manager  $bucket_manager Bucket manager.
+	 * @param CFR2WC_Background_Sync $background_sync Background file cache sync.
 	 */
-	public function __construct( private readonly CFR2WC_Client $r2_client, private readonly CFR2WC_File_Cache_Manager $file_cache_manager ) {
+	public function __construct( private readonly CFR2WC_Bucket_Manager $bucket_manager, private readonly CFR2WC_Background_Sync $background_sync ) {
 		$this->init_hooks();
 	}
 
@@ -41,8 +46,28 @@ class CFR2WC_Product_R2_Integration {
 		// AJAX handlers.
 		add_action( 'wp_ajax_cfr2wc_get_folder_tree', array( $this, 'ajax_get_folder_tree' ) );
 		add_action( 'wp_ajax_cfr2wc_search_files', array( $this, 'ajax_search_files' ) );
+		add_action( 'wp_ajax_cfr2wc_get_folder_files', array( $this, 'ajax_get_folder_files' ) );
+		add_action( 'wp_ajax_cfr2wc_get_file_details', array( $this, 'ajax_get_file_details' ) );
+		add_action( 'wp_ajax_cfr2wc_check_upload_conflict', array( $this, 'ajax_check_upload_conflict' ) );
 		add_action( 'wp_ajax_cfr2wc_upload_to_r2', array( $this, 'ajax_upload_to_r2' ) );
+		add_action( 'wp_ajax_cfr2wc_direct_upload_init', array( $this, 'ajax_direct_upload_init' ) );
+		add_action( 'wp_ajax_cfr2wc_direct_upload_sign_parts', array( $this, 'ajax_direct_upload_sign_parts' ) );
+		add_action( 'wp_ajax_cfr2wc_direct_upload_complete', array( $this, 'ajax_direct_upload_complete' ) );
+		add_action( 'wp_ajax_cfr2wc_verify_upload', array( $this, 'ajax_verify_upload' ) );
+		add_action( 'wp_ajax_cfr2wc_direct_upload_abort', array( $this, 'ajax_direct_upload_abort' ) );
+		add_action( 'wp_ajax_cfr2wc_direct_upload_resume', array( $this, 'ajax_direct_upload_resume' ) );
+		add_action( 'wp_ajax_cfr2wc_list_multipart_uploads', array( $this, 'ajax_list_multipart_uploads' ) );
 		add_action( 'wp_ajax_cfr2wc_sync_r2_files', array( $this, 'ajax_sync_r2_files' ) );
+		add_action( 'wp_ajax_cfr2wc_sync_status', array( $this, 'ajax_sync_status' ) );
+		add_action( 'wp_ajax_cfr2wc_delete_object', array( $this, 'ajax_delete_object' ) );
+		add_action( 'wp_ajax_cfr2wc_move_object', array( $this, 'ajax_move_object' ) );
+		add_action( 'wp_ajax_cfr2wc_create_folder', array( $this, 'ajax_create_folder' ) );
+		add_action( 'wp_ajax_cfr2wc_validate_objects', array( $this, 'ajax_validate_objects' ) );
+
+		// Warn about downloads that point at missing objects.
+		add_action( 'woocommerce_admin_process_product_object', array( $this, 'check_product_downloads' ) );
+		add_action( 'woocommerce_admin_process_variation_object', array( $this, 'check_product_downloads' ) );
+		add_action( 'admin_notices', array( $this, 'render_missing_objects_notice' ) );
 	}
 
 	/**
@@ -52,6 +77,10 @@ class CFR2WC_Product_R2_Integration {
 	public function render_r2_buttons(): void {
 		// JavaScript will inject R2 buttons into each file row.
 		// Modal markup follows below.
+		$settings     = get_option( 'cfr2wc_settings', array() );
+		$buckets      = $this->bucket_manager->get_bucket_choices();
+		$key_template = $settings['object_key_template'] ?? '';
+		$defaults     = CFR2WC_Object_Headers::get_defaults();
 		?>
 
 		<!-- R2 File Selector Modal -->
@@ -59,53 +88,156 @@ class CFR2WC_Product_R2_Integration {
 			<div class="cfr2wc-modal-overlay"></div>
 			<div class="cfr2wc-modal-content">
 				<div class="cfr2wc-modal-header">
-					<h2><?php esc_html_e( 'Select File from R2', 'cfr2wc' ); ?></h2>
+					<h2><?php esc_html_e( 'Select Files from R2', 'cfr2wc' ); ?></h2>
 					<button type="button" class="cfr2wc-modal-close">
 						<span class="dashicons dashicons-no-alt"></span>
 					</button>
 				</div>
 				<div class="cfr2wc-modal-body">
-					<!-- Breadcrumb Navigation -->
-					<div class="cfr2wc-breadcrumb-section">
-						<label><?php esc_html_e( 'Navigate:', 'cfr2wc' ); ?></label>
-						<div class="cfr2wc-breadcrumb-wrapper">
-							<div class="cfr2wc-breadcrumb" id="cfr2wc-breadcrumb">
-								<span class="cfr2wc-breadcrumb-item cfr2wc-breadcrumb-root" data-path="">
-									<span class="dashicons dashicons-admin-home"></span>
-									<?php esc_html_e( 'Root', 'cfr2wc' ); ?>
-								</span>
-								<div class="cfr2wc-breadcrumb-input-container">
-									<input type="text" id="cfr2wc-breadcrumb-input" class="cfr2wc-breadcrumb-input" placeholder="<?php esc_attr_e( 'folder...', 'cfr2wc' ); ?>" autocomplete="off">
-									<div class="cfr2wc-autocomplete-dropdown" id="cfr2wc-autocomplete-dropdown" style="display: none;"></div>
+					<div class="cfr2wc-layout" id="cfr2wc-layout">
+						<!-- Folder Tree Sidebar -->
+						<div class="cfr2wc-folder-panel">
+							<div class="cfr2wc-folder-panel-header">
+								<span><?php esc_html_e( 'Folders', 'cfr2wc' ); ?></span>
+								<button type="button" class="button-link cfr2wc-refresh-tree" title="<?php esc_attr_e( 'Refresh from R2', 'cfr2wc' ); ?>">
+									<span class="dashicons dashicons-update"></span>
+									<span class="screen-reader-text"><?php esc_html_e( 'Refresh from R2', 'cfr2wc' ); ?></span>
+								</button>
+								<?php if ( $this->can_manage_objects() ) : ?>
+									<button type="button" class="button-link cfr2wc-create-folder" title="<?php esc_attr_e( 'New folder', 'cfr2wc' ); ?>">
+										<span class="dashicons dashicons-plus-alt2"></span>
+										<span class="screen-reader-text"><?php esc_html_e( 'New folder', 'cfr2wc' ); ?></span>
+									</button>
+								<?php endif; ?>
+							</div>
+							<div class="cfr2wc-folder-tree" id="cfr2wc-folder-tree" role="tree" aria-label="<?php esc_attr_e( 'Folders', 'cfr2wc' ); ?>">
+								<div class="cfr2wc-folder-item cfr2wc-folder-root" data-folder-path="" role="treeitem" aria-level="1" aria-selected="true">
+									<div class="cfr2wc-folder-label" tabindex="0">
+										<span class="cfr2wc-folder-toggle"></span>
+										<span class="dashicons dashicons-admin-home"></span>
+										<span class="cfr2wc-folder-name"><?php esc_html_e( 'Root', 'cfr2wc' ); ?></span>
+										<span class="cfr2wc-folder-count"></span>
+									</div>
 								</div>
 							</div>
+							<p class="cfr2wc-sync-indicator" style="display: none;" aria-live="polite">
+								<span class="dashicons dashicons-update"></span>
+								<span class="cfr2wc-sync-text"></span>
+							</p>
+							<p class="cfr2wc-folder-panel-status" style="display: none;"></p>
 						</div>
-					</div>
 
-					<!-- File Search/Select -->
-					<div class="cfr2wc-file-section">
-						<div class="cfr2wc-file-search">
-							<label><?php esc_html_e( 'Select File:', 'cfr2wc' ); ?></label>
-							<select id="cfr2wc-file-select" style="width: 100%;">
-								<option value=""><?php esc_html_e( 'Type to search files in current folder...', 'cfr2wc' ); ?></option>
-							</select>
-						</div>
-						<div class="cfr2wc-file-preview" id="cfr2wc-file-preview" style="display: none;">
-							<h4><?php esc_html_e( 'Selected File', 'cfr2wc' ); ?></h4>
-							<table class="cfr2wc-file-details">
-								<tr>
-									<th><?php esc_html_e( 'File Name:', 'cfr2wc' ); ?></th>
-									<td id="cfr2wc-preview-name"></td>
-								</tr>
-								<tr>
-									<th><?php esc_html_e( 'Size:', 'cfr2wc' ); ?></th>
-									<td id="cfr2wc-preview-size"></td>
-								</tr>
-								<tr>
-									<th><?php esc_html_e( 'Path:', 'cfr2wc' ); ?></th>
-									<td id="cfr2wc-preview-path"></td>
-								</tr>
-							</table>
+						<div class="cfr2wc-main-panel">
+							<?php if ( count( $buckets ) > 1 ) : ?>
+								<div class="cfr2wc-bucket-section">
+									<label for="cfr2wc-bucket-select"><?php esc_html_e( 'Bucket:', 'cfr2wc' ); ?></label>
+									<?php $this->render_bucket_select( 'cfr2wc-bucket-select', $buckets ); ?>
+								</div>
+							<?php endif; ?>
+
+							<!-- Breadcrumb Navigation -->
+							<div class="cfr2wc-breadcrumb-section">
+								<label><?php esc_html_e( 'Navigate:', 'cfr2wc' ); ?></label>
+								<div class="cfr2wc-breadcrumb-wrapper">
+									<button type="button" class="button cfr2wc-toggle-folder-panel" aria-controls="cfr2wc-folder-tree" aria-expanded="true" title="<?php esc_attr_e( 'Toggle folder tree', 'cfr2wc' ); ?>">
+										<span class="dashicons dashicons-networking"></span>
+										<span class="screen-reader-text"><?php esc_html_e( 'Toggle folder tree', 'cfr2wc' ); ?></span>
+									</button>
+									<div class="cfr2wc-breadcrumb" id="cfr2wc-breadcrumb">
+										<span class="cfr2wc-breadcrumb-item cfr2wc-breadcrumb-root" data-path="">
+											<span class="dashicons dashicons-admin-home"></span>
+											<?php esc_html_e( 'Root', 'cfr2wc' ); ?>
+										</span>
+										<div class="cfr2wc-breadcrumb-input-container">
+											<input type="text" id="cfr2wc-breadcrumb-input" class="cfr2wc-breadcrumb-input" placeholder="<?php esc_attr_e( 'folder...', 'cfr2wc' ); ?>" autocomplete="off">
+											<div class="cfr2wc-autocomplete-dropdown" id="cfr2wc-autocomplete-dropdown" style="display: none;"></div>
+										</div>
+									</div>
+								</div>
+							</div>
+
+							<!-- File Search/Select -->
+							<div class="cfr2wc-file-section">
+								<div class="cfr2wc-file-search">
+									<div class="cfr2wc-file-search-header">
+										<label for="cfr2wc-file-search-input"><?php esc_html_e( 'Select Files:', 'cfr2wc' ); ?></label>
+										<button type="button" class="button-link cfr2wc-select-all-files">
+											<?php esc_html_e( 'Select all in this folder', 'cfr2wc' ); ?>
+										</button>
+									</div>
+									<div class="cfr2wc-file-search-bar">
+										<input type="search" id="cfr2wc-file-search-input" class="cfr2wc-file-search-input" placeholder="<?php esc_attr_e( 'Type to search files in current folder...', 'cfr2wc' ); ?>" title="<?php esc_attr_e( 'Use * and ? as wildcards, ** to match any number of folders (e.g. releases/**/v2*).', 'cfr2wc' ); ?>" autocomplete="off">
+										<label class="cfr2wc-search-everywhere">
+											<input type="checkbox" id="cfr2wc-search-everywhere">
+											<?php esc_html_e( 'Search everywhere', 'cfr2wc' ); ?>
+										</label>
+									</div>
+									<div class="cfr2wc-file-table-wrapper" id="cfr2wc-file-table-wrapper">
+										<table class="widefat striped cfr2wc-file-table" id="cfr2wc-file-table" aria-multiselectable="true">
+											<thead>
+												<tr>
+													<th class="cfr2wc-col-check"><span class="screen-reader-text"><?php esc_html_e( 'Selected', 'cfr2wc' ); ?></span></th>
+													<th class="cfr2wc-sortable" data-sort="file_name" aria-sort="ascending">
+														<button type="button" class="button-link"><?php esc_html_e( 'Name', 'cfr2wc' ); ?><span class="cfr2wc-sort-indicator" aria-hidden="true"></span></button>
+													</th>
+													<th class="cfr2wc-sortable cfr2wc-col-size" data-sort="file_size" aria-sort="none">
+														<button type="button" class="button-link"><?php esc_html_e( 'Size', 'cfr2wc' ); ?><span class="cfr2wc-sort-indicator" aria-hidden="true"></span></button>
+													</th>
+													<th class="cfr2wc-sortable cfr2wc-col-modified" data-sort="last_modified" aria-sort="none">
+														<button type="button" class="button-link"><?php esc_html_e( 'Last Modified', 'cfr2wc' ); ?><span class="cfr2wc-sort-indicator" aria-hidden="true"></span></button>
+													</th>
+													<th class="cfr2wc-sortable cfr2wc-col-type" data-sort="mime_type" aria-sort="none">
+														<button type="button" class="button-link"><?php esc_html_e( 'Type', 'cfr2wc' ); ?><span class="cfr2wc-sort-indicator" aria-hidden="true"></span></button>
+													</th>
+													<th class="cfr2wc-col-actions"><span class="screen-reader-text"><?php esc_html_e( 'Actions', 'cfr2wc' ); ?></span></th>
+												</tr>
+											</thead>
+											<tbody></tbody>
+										</table>
+										<p class="cfr2wc-file-table-status" id="cfr2wc-file-table-status" style="display: none;"></p>
+									</div>
+									<p class="cfr2wc-selected-count" id="cfr2wc-selected-count" style="display: none;"></p>
+								</div>
+								<div class="cfr2wc-file-preview" id="cfr2wc-file-preview" style="display: none;">
+									<h4><?php esc_html_e( 'Selected File', 'cfr2wc' ); ?></h4>
+									<div class="cfr2wc-preview-media" id="cfr2wc-preview-media" style="display: none;"></div>
+									<table class="cfr2wc-file-details">
+										<tr>
+											<th><?php esc_html_e( 'File Name:', 'cfr2wc' ); ?></th>
+											<td id="cfr2wc-preview-name"></td>
+										</tr>
+										<tr>
+											<th><?php esc_html_e( 'Size:', 'cfr2wc' ); ?></th>
+											<td id="cfr2wc-preview-size"></td>
+										</tr>
+										<tr>
+											<th><?php esc_html_e( 'Path:', 'cfr2wc' ); ?></th>
+											<td id="cfr2wc-preview-path"></td>
+										</tr>
+										<tr>
+											<th><?php esc_html_e( 'Content Type:', 'cfr2wc' ); ?></th>
+											<td id="cfr2wc-preview-type"></td>
+										</tr>
+										<tr>
+											<th><?php esc_html_e( 'ETag:', 'cfr2wc' ); ?></th>
+											<td id="cfr2wc-preview-etag"></td>
+										</tr>
+										<tr>
+											<th><?php esc_html_e( 'SHA-256:', 'cfr2wc' ); ?></th>
+											<td id="cfr2wc-preview-sha256"></td>
+										</tr>
+										<tr>
+											<th><?php esc_html_e( 'Last Modified:', 'cfr2wc' ); ?></th>
+											<td id="cfr2wc-preview-modified"></td>
+										</tr>
+									</table>
+									<table class="cfr2wc-file-details cfr2wc-preview-metadata" id="cfr2wc-preview-metadata" style="display: none;">
+										<caption><?php esc_html_e( 'Checksums and Metadata', 'cfr2wc' ); ?></caption>
+										<tbody></tbody>
+									</table>
+									<p class="cfr2wc-preview-status" id="cfr2wc-preview-status" style="display: none;"></p>
+								</div>
+							</div>
 						</div>
 					</div>
 				</div>
@@ -125,13 +257,20 @@ class CFR2WC_Product_R2_Integration {
 			<div class="cfr2wc-modal-overlay"></div>
 			<div class="cfr2wc-modal-content cfr2wc-upload-modal-content">
 				<div class="cfr2wc-modal-header">
-					<h2><?php esc_html_e( 'Upload File to R2', 'cfr2wc' ); ?></h2>
+					<h2><?php esc_html_e( 'Upload Files to R2', 'cfr2wc' ); ?></h2>
 					<button type="button" class="cfr2wc-upload-modal-close">
 						<span class="dashicons dashicons-no-alt"></span>
 					</button>
 				</div>
 				<div class="cfr2wc-modal-body">
 					<div class="cfr2wc-upload-area">
+						<?php if ( count( $buckets ) > 1 ) : ?>
+							<div class="cfr2wc-bucket-section">
+								<label for="cfr2wc-upload-bucket-select"><?php esc_html_e( 'Bucket:', 'cfr2wc' ); ?></label>
+								<?php $this->render_bucket_select( 'cfr2wc-upload-bucket-select', $buckets ); ?>
+							</div>
+						<?php endif; ?>
+
 						<!-- Breadcrumb Navigation for Upload -->
 						<div class="cfr2wc-breadcrumb-section">
 							<label><?php esc_html_e( 'Upload to:', 'cfr2wc' ); ?></label>
@@ -147,26 +286,198 @@ class CFR2WC_Product_R2_Integration {
 									</div>
 								</div>
 							</div>
+							<p class="cfr2wc-key-preview">
+								<?php esc_html_e( 'Files are uploaded as', 'cfr2wc' ); ?>
+								<code id="cfr2wc-key-preview"></code>
+								<?php if ( '' !== $key_template ) : ?>
+									<button type="button" class="button-link" id="cfr2wc-key-template-reset"><?php esc_html_e( 'Reset to template', 'cfr2wc' ); ?></button>
+								<?php endif; ?>
+							</p>
+							<p class="cfr2wc-key-warning" id="cfr2wc-key-warning" style="display: none;"></p>
 						</div>
 
-						<input type="file" id="cfr2wc-file-input" style="display: none;">
+						<!-- Content headers and metadata stored with the uploaded files -->
+						<details class="cfr2wc-upload-advanced">
+							<summary><?php esc_html_e( 'Advanced', 'cfr2wc' ); ?></summary>
+							<p class="cfr2wc-upload-field">
+								<label for="cfr2wc-upload-content-type"><?php esc_html_e( 'Content-Type', 'cfr2wc' ); ?></label>
+								<input type="text" id="cfr2wc-upload-content-type" class="regular-text code" placeholder="<?php esc_attr_e( 'Detected from each file', 'cfr2wc' ); ?>" autocomplete="off">
+							</p>
+							<p class="cfr2wc-upload-field">
+								<label for="cfr2wc-upload-disposition"><?php esc_html_e( 'Content-Disposition', 'cfr2wc' ); ?></label>
+								<select id="cfr2wc-upload-disposition">
+									<option value="" <?php selected( $defaults['disposition'], '' ); ?>><?php esc_html_e( 'None (browser decides)', 'cfr2wc' ); ?></option>
+									<option value="attachment" <?php selected( $defaults['disposition'], 'attachment' ); ?>><?php esc_html_e( 'Attachment (download with the file name)', 'cfr2wc' ); ?></option>
+									<option value="inline" <?php selected( $defaults['disposition'], 'inline' ); ?>><?php esc_html_e( 'Inline (show in the browser if possible)', 'cfr2wc' ); ?></option>
+								</select>
+							</p>
+							<p class="cfr2wc-upload-field">
+								<label for="cfr2wc-upload-cache-control"><?php esc_html_e( 'Cache-Control', 'cfr2wc' ); ?></label>
+								<input type="text" id="cfr2wc-upload-cache-control" class="regular-text code" value="<?php echo esc_attr( $defaults['cache_control'] ); ?>" placeholder="private, max-age=3600" autocomplete="off">
+							</p>
+							<div class="cfr2wc-upload-field">
+								<span class="cfr2wc-upload-label"><?php esc_html_e( 'Metadata', 'cfr2wc' ); ?></span>
+								<div class="cfr2wc-upload-metadata">
+									<div id="cfr2wc-upload-metadata-rows"></div>
+									<button type="button" class="button button-small" id="cfr2wc-upload-metadata-add"><?php esc_html_e( 'Add metadata', 'cfr2wc' ); ?></button>
+								</div>
+							</div>
+							<p class="description"><?php esc_html_e( 'Applies to files added from now on. Metadata is stored as x-amz-meta-* headers.', 'cfr2wc' ); ?></p>
+						</details>
+
+						<input type="file" id="cfr2wc-file-input" multiple style="display: none;">
 						<div class="cfr2wc-drop-zone" id="cfr2wc-drop-zone">
 							<span class="dashicons dashicons-upload"></span>
-							<p><?php esc_html_e( 'Click to select file or drag and drop', 'cfr2wc' ); ?></p>
+							<p><?php esc_html_e( 'Click to select files or drag and drop', 'cfr2wc' ); ?></p>
 						</div>
-						<div class="cfr2wc-upload-progress" id="cfr2wc-upload-progress" style="display: none;">
-							<div class="cfr2wc-progress-bar">
-								<div class="cfr2wc-progress-fill"></div>
-							</div>
-							<p class="cfr2wc-upload-status"></p>
+
+						<!-- Upload Queue (one item per file) -->
+						<div class="cfr2wc-upload-queue" id="cfr2wc-upload-queue" style="display: none;">
+							<p class="cfr2wc-upload-summary"></p>
+							<div class="cfr2wc-upload-items"></div>
 						</div>
+
+						<!-- Unfinished multipart uploads stored in R2 (direct upload mode only) -->
+						<details class="cfr2wc-unfinished-uploads" id="cfr2wc-unfinished-uploads" style="display: none;">
+							<summary><?php esc_html_e( 'Unfinished uploads in R2', 'cfr2wc' ); ?></summary>
+							<div class="cfr2wc-unfinished-list"></div>
+						</details>
+						<input type="file" id="cfr2wc-resume-file-input" style="display: none;">
+					</div>
+				</div>
+			</div>
+		</div>
+
+		<!-- Shortcode Options Modal -->
+		<div id="cfr2wc-options-modal" class="cfr2wc-modal" style="display: none;">
+			<div class="cfr2wc-modal-overlay"></div>
+			<div class="cfr2wc-modal-content cfr2wc-options-modal-content">
+				<div class="cfr2wc-modal-header">
+					<h2><?php esc_html_e( 'R2 Download Options', 'cfr2wc' ); ?></h2>
+					<button type="button" class="cfr2wc-options-modal-close">
+						<span class="dashicons dashicons-no-alt"></span>
+					</button>
+				</div>
+				<form class="cfr2wc-options-form" id="cfr2wc-options-form" novalidate>
+					<div class="cfr2wc-modal-body">
+						<p class="cfr2wc-options-field">
+							<label for="cfr2wc-option-object"><?php esc_html_e( 'Object key', 'cfr2wc' ); ?></label>
+							<input type="text" id="cfr2wc-option-object" name="object" class="widefat code" required>
+						</p>
+						<p class="cfr2wc-options-field">
+							<label for="cfr2wc-option-filename"><?php esc_html_e( 'Download filename', 'cfr2wc' ); ?></label>
+							<input type="text" id="cfr2wc-option-filename" name="filename" class="widefat" maxlength="255">
+							<span class="description"><?php esc_html_e( 'Name shown to customers. Leave empty to use the object name.', 'cfr2wc' ); ?></span>
+						</p>
+						<p class="cfr2wc-options-field">
+							<label for="cfr2wc-option-expires"><?php esc_html_e( 'Link expiration (seconds)', 'cfr2wc' ); ?></label>
+							<input type="number" id="cfr2wc-option-expires" name="expires" class="small-text" min="1" max="604800" step="1">
+							<span class="description"><?php esc_html_e( 'Leave empty to use the store default. R2 allows at most 7 days (604800 seconds).', 'cfr2wc' ); ?></span>
+						</p>
+						<p class="cfr2wc-options-field">
+							<label for="cfr2wc-option-bucket"><?php esc_html_e( 'Bucket', 'cfr2wc' ); ?></label>
+							<?php $this->render_bucket_select( 'cfr2wc-option-bucket', $buckets, 'bucket' ); ?>
+							<span class="description"><?php esc_html_e( 'Bucket profiles are managed in the plugin settings.', 'cfr2wc' ); ?></span>
+						</p>
+						<p class="cfr2wc-options-field">
+							<label>
+								<input type="checkbox" id="cfr2wc-option-public" name="public" value="true">
+								<?php esc_html_e( 'Public file (serve from the custom domain instead of a signed link)', 'cfr2wc' ); ?>
+							</label>
+							<?php if ( empty( $settings['custom_domain'] ) ) : ?>
+								<span class="description"><?php esc_html_e( 'No custom domain is configured for the default bucket, so public files still get a signed link.', 'cfr2wc' ); ?></span>
+							<?php endif; ?>
+						</p>
+						<ul class="cfr2wc-options-errors" id="cfr2wc-options-errors" role="alert" style="display: none;"></ul>
+						<p class="cfr2wc-options-preview"><code id="cfr2wc-options-preview"></code></p>
+					</div>
+					<div class="cfr2wc-modal-footer">
+						<button type="button" class="button button-secondary cfr2wc-options-modal-close">
+							<?php esc_html_e( 'Cancel', 'cfr2wc' ); ?>
+						</button>
+						<button type="submit" class="button button-primary">
+							<?php esc_html_e( 'Apply', 'cfr2wc' ); ?>
+						</button>
 					</div>
+				</form>
+			</div>
+		</div>
+
+		<!-- Release Modal -->
+		<div id="cfr2wc-release-modal" class="cfr2wc-modal" style="display: none;">
+			<div class="cfr2wc-modal-overlay"></div>
+			<div class="cfr2wc-modal-content cfr2wc-release-modal-content">
+				<div class="cfr2wc-modal-header">
+					<h2><?php esc_html_e( 'Publish New Version', 'cfr2wc' ); ?></h2>
+					<button type="button" class="cfr2wc-release-modal-close">
+						<span class="dashicons dashicons-no-alt"></span>
+					</button>
 				</div>
+				<form class="cfr2wc-options-form" id="cfr2wc-release-form" novalidate>
+					<div class="cfr2wc-modal-body">
+						<p class="cfr2wc-release-status" id="cfr2wc-release-status" role="alert" style="display: none;"></p>
+						<fieldset class="cfr2wc-release-fields" id="cfr2wc-release-fields">
+							<p class="cfr2wc-options-field">
+								<label for="cfr2wc-release-version"><?php esc_html_e( 'Version', 'cfr2wc' ); ?></label>
+								<input type="text" id="cfr2wc-release-version" class="regular-text" maxlength="64" placeholder="1.4.0" required>
+							</p>
+							<p class="cfr2wc-options-field">
+								<label for="cfr2wc-release-file"><?php esc_html_e( 'File', 'cfr2wc' ); ?></label>
+								<input type="file" id="cfr2wc-release-file" required>
+							</p>
+							<p class="cfr2wc-options-field">
+								<label for="cfr2wc-release-note"><?php esc_html_e( 'Changelog note', 'cfr2wc' ); ?></label>
+								<textarea id="cfr2wc-release-note" class="widefat" rows="3"></textarea>
+							</p>
+							<p class="cfr2wc-options-preview"><code id="cfr2wc-release-key"></code></p>
+							<p class="description"><?php esc_html_e( 'The download keeps its ID, so customers who bought the product get the new version. The previous file stays in R2.', 'cfr2wc' ); ?></p>
+						</fieldset>
+						<div class="cfr2wc-upload-items" id="cfr2wc-release-upload"></div>
+
+						<h3><?php esc_html_e( 'Version history', 'cfr2wc' ); ?></h3>
+						<table class="widefat striped cfr2wc-release-history" id="cfr2wc-release-history">
+							<thead>
+								<tr>
+									<th><?php esc_html_e( 'Version', 'cfr2wc' ); ?></th>
+									<th><?php esc_html_e( 'Published', 'cfr2wc' ); ?></th>
+									<th><?php esc_html_e( 'Note', 'cfr2wc' ); ?></th>
+									<th><span class="screen-reader-text"><?php esc_html_e( 'Actions', 'cfr2wc' ); ?></span></th>
+								</tr>
+							</thead>
+							<tbody></tbody>
+						</table>
+					</div>
+					<div class="cfr2wc-modal-footer">
+						<button type="button" class="button button-secondary cfr2wc-release-modal-close">
+							<?php esc_html_e( 'Close', 'cfr2wc' ); ?>
+						</button>
+						<button type="submit" class="button button-primary" id="cfr2wc-release-publish">
+							<?php esc_html_e( 'Publish', 'cfr2wc' ); ?>
+						</button>
+					</div>
+				</form>
 			</div>
 		</div>
 		<?php
 	}
 
+	/**
+	 * Render a bucket dropdown.
+	 *
+	 * @param string $id Element ID.
+	 * @param array  $buckets Bucket name => label.
+	 * @param string $name Field name, empty for a field that is not submitted.
+	 */
+	private function render_bucket_select( string $id, array $buckets, string $name = '' ): void {
+		?>
+		<select id="<?php echo esc_attr( $id ); ?>" class="cfr2wc-bucket-select"<?php echo '' !== $name ? ' name="' . esc_attr( $name ) . '"' : ''; ?>>
+			<?php foreach ( $buckets as $bucket => $label ) : ?>
+				<option value="<?php echo esc_attr( $bucket ); ?>"><?php echo esc_html( $label ); ?></option>
+			<?php endforeach; ?>
+		</select>
+		<?php
+	}
+
 	/**
 	 * Enqueue admin assets.
 	 *
@@ -183,12 +494,6 @@ class CFR2WC_Product_R2_Integration {
 			return;
 		}
 
-		// Enqueue Select2 (if not already enqueued).
-		if ( ! wp_script_is( 'select2', 'enqueued' ) ) {
-			wp_enqueue_style( 'select2', 'https://cdn.jsdelivr.net/npm/select2@4.1.0-rc.0/dist/css/select2.min.css', array(), '4.1.0' );
-			wp_enqueue_script( 'select2', 'https://cdn.jsdelivr.net/npm/select2@4.1.0-rc.0/dist/js/select2.min.js', array( 'jquery' ), '4.1.0', true );
-		}
-
 		// Determine if we should load minified assets.
 		$suffix = ( defined( 'SCRIPT_DEBUG' ) && SCRIPT_DEBUG ) ? '' : '.min';
 
@@ -204,13 +509,15 @@ class CFR2WC_Product_R2_Integration {
 		wp_enqueue_script(
 			'cfr2wc-product-r2-selector',
 			CFR2WC_PLUGIN_URL . 'assets/js/product-r2-selector' . $suffix . '.js',
-			array( 'jquery', 'select2' ),
+			array( 'jquery' ),
 			CFR2WC_VERSION,
 			true
 		);
 
 		// Localize script.
-		$settings = get_option( 'cfr2wc_settings', array() );
+		$settings     = get_option( 'cfr2wc_settings', array() );
+		$product      = wc_get_product( get_the_ID() );
+		$key_template = $settings['object_key_template'] ?? '';
 
 		wp_localize_script(
 			'cfr2wc-product-r2-selector',
@@ -220,61 +527,176 @@ class CFR2WC_Product_R2_Integration {
 				'nonce'                     => wp_create_nonce( 'cfr2wc_product_nonce' ),
 				'product_id'                => get_the_ID(),
 				'use_generic_download_name' => isset( $settings['use_generic_download_name'] ) && 'yes' === $settings['use_generic_download_name'],
+				'upload_concurrency'        => max( 1, (int) apply_filters( 'cfr2wc_upload_concurrency', 2 ) ),
+				'upload_mode'               => $settings['upload_mode'] ?? 'server',
+				'part_concurrency'          => max( 1, (int) apply_filters( 'cfr2wc_multipart_concurrency', 3 ) ),
+				'checksum_worker'           => CFR2WC_PLUGIN_URL . 'assets/js/checksum-worker' . $suffix . '.js',
+				'key_template'              => '' !== $key_template ? CFR2WC_Key_Template::split( $key_template ) : null,
+				'default_metadata'          => (object) CFR2WC_Object_Headers::get_defaults()['metadata'],
+				// Saved values, the picker prefers what is currently entered in the product form.
+				'key_product'               => array(
+					'sku'  => $product ? $product->get_sku() : '',
+					'slug' => $product ? $product->get_slug() : '',
+				),
+				'can_manage_objects'        => $this->can_manage_objects(),
+				'default_expiration'        => ( isset( $settings['url_expiration_hours'] ) ? (int) $settings['url_expiration_hours'] : 24 ) * HOUR_IN_SECONDS,
+				'default_bucket'            => $this->bucket_manager->get_default_bucket(),
+				'buckets'                   => $this->bucket_manager->get_bucket_choices(),
 				'strings'                   => array(
 					'loading'        => __( 'Loading...', 'cfr2wc' ),
 					'error'          => __( 'Error', 'cfr2wc' ),
 					'no_results'     => __( 'No files found', 'cfr2wc' ),
+					'object_ok'      => __( 'Found in R2', 'cfr2wc' ),
+					'object_missing' => __( 'Missing in R2', 'cfr2wc' ),
+					'object_check'   => __( 'Checking R2...', 'cfr2wc' ),
+					'edit_options'   => __( 'Edit R2 options', 'cfr2wc' ),
+					'object_invalid' => __( 'Enter the object key of the file in R2.', 'cfr2wc' ),
+					'name_invalid'   => __( 'The download filename cannot contain double quotes or square brackets.', 'cfr2wc' ),
+					'expiry_invalid' => __( 'Link expiration must be a whole number of seconds between 1 and 604800 (7 days).', 'cfr2wc' ),
+					/* translators: %s: bucket name. */
+					'bucket_unknown' => __( '%s (not configured)', 'cfr2wc' ),
+					'action_move'    => __( 'Rename or move', 'cfr2wc' ),
+					'action_delete'  => __( 'Delete', 'cfr2wc' ),
+					/* translators: %s: object key. */
+					'confirm_delete' => __( 'Permanently delete %s from R2? Products that use this file will stop working.', 'cfr2wc' ),
+					'move_prompt'    => __( 'New path for this file. Missing folders are created automatically.', 'cfr2wc' ),
+					'folder_prompt'  => __( 'Name of the new folder:', 'cfr2wc' ),
+					'open_preview'   => __( 'Open preview', 'cfr2wc' ),
+					/* translators: %d: number of minutes. */
+					'preview_expiry' => __( 'Preview link expires in %d minutes.', 'cfr2wc' ),
+					'etag_multipart' => __( '(multipart upload, not an MD5 checksum)', 'cfr2wc' ),
+					'search_all'     => __( 'Search all folders, e.g. *.zip or releases/**/v2*', 'cfr2wc' ),
+					'search_folder'  => __( 'Type to search files in current folder...', 'cfr2wc' ),
+					'root_folder'    => __( 'Root', 'cfr2wc' ),
+					/* translators: %1$d: number of loaded files, %2$d: total number of files. */
+					'files_loaded'   => __( 'Showing %1$d of %2$d files', 'cfr2wc' ),
 					'select_file'    => __( 'Please select a file', 'cfr2wc' ),
+					/* translators: %d: number of selected files. */
+					'files_selected' => __( '%d files selected', 'cfr2wc' ),
+					'row_not_found'  => __( 'Could not find file row', 'cfr2wc' ),
 					'uploading'      => __( 'Uploading...', 'cfr2wc' ),
 					'upload_success' => __( 'File uploaded successfully', 'cfr2wc' ),
 					'upload_error'   => __( 'Upload failed', 'cfr2wc' ),
+					'upload_queued'  => __( 'Waiting...', 'cfr2wc' ),
+					'upload_cancel'  => __( 'Cancel', 'cfr2wc' ),
+					'upload_retry'   => __( 'Retry', 'cfr2wc' ),
+					'upload_aborted' => __( 'Cancelled', 'cfr2wc' ),
+					/* translators: %1$d: number of finished uploads, %2$d: total number of uploads. */
+					'upload_summary' => __( '%1$d of %2$d files uploaded', 'cfr2wc' ),
+					/* translators: %1$d: number of uploaded parts, %2$d: total number of parts. */
+					'upload_parts'   => __( 'Uploading part %1$d of %2$d...', 'cfr2wc' ),
+					'finalizing'     => __( 'Finalizing upload...', 'cfr2wc' ),
+					'meta_key'       => __( 'Key', 'cfr2wc' ),
+					'meta_value'     => __( 'Value', 'cfr2wc' ),
+					'meta_remove'    => __( 'Remove metadata', 'cfr2wc' ),
+					/* translators: %d: percentage of the file hashed. */
+					'hashing'        => __( 'Calculating checksum (%d%%)...', 'cfr2wc' ),
+					'verifying'      => __( 'Verifying checksum...', 'cfr2wc' ),
+					'sha256'         => __( 'SHA-256', 'cfr2wc' ),
+					'copy_checksum'  => __( 'Click to select the full SHA-256 checksum', 'cfr2wc' ),
+					'missing_etag'   => __( 'R2 did not return an ETag. Add "ETag" to ExposeHeaders in the bucket CORS policy.', 'cfr2wc' ),
+					'offline'        => __( 'Connection lost. The upload will resume when you are back online.', 'cfr2wc' ),
+					/* translators: %1$s: file name, %2$d: percentage already uploaded. */
+					'resume_notice'  => __( 'Unfinished upload: %1$s (%2$d%% uploaded).', 'cfr2wc' ),
+					'resume'         => __( 'Resume', 'cfr2wc' ),
+					'discard'        => __( 'Discard', 'cfr2wc' ),
+					'abort'          => __( 'Abort', 'cfr2wc' ),
+					/* translators: %s: file name. */
+					'resume_pick'    => __( 'Select "%s" again to resume the upload.', 'cfr2wc' ),
+					'resume_wrong'   => __( 'This is not the same file. Please select the file you were uploading.', 'cfr2wc' ),
+					'confirm_abort'  => __( 'Abort this upload and discard the uploaded parts?', 'cfr2wc' ),
+					'no_unfinished'  => __( 'No unfinished uploads.', 'cfr2wc' ),
+					'sync_failed'    => __( 'Sync failed:', 'cfr2wc' ),
+					/* translators: %s: comma-separated placeholders, e.g. {version}. */
+					'key_unfilled'   => __( 'Fill in %s before uploading, in the path above or in the product data.', 'cfr2wc' ),
+					/* translators: %1$s: file size, %2$s: date and time. */
+					'conflict'       => __( 'A file with this name already exists (%1$s, modified %2$s).', 'cfr2wc' ),
+					'overwrite'      => __( 'Overwrite', 'cfr2wc' ),
+					'rename'         => __( 'Rename', 'cfr2wc' ),
+					'skip'           => __( 'Skip', 'cfr2wc' ),
+					'apply_to_all'   => __( 'Apply to all', 'cfr2wc' ),
+					'upload_skipped' => __( 'Skipped', 'cfr2wc' ),
+					'new_version'    => __( 'Publish new version', 'cfr2wc' ),
+					'not_r2'         => __( 'Choose an R2 file for this download first.', 'cfr2wc' ),
+					'bad_version'    => __( 'Enter a version such as 1.4.0, using letters, numbers, dots, dashes and underscores.', 'cfr2wc' ),
+					'choose_file'    => __( 'Choose the file to publish.', 'cfr2wc' ),
+					'release_exists' => __( 'This version already exists in R2. Choose another version number.', 'cfr2wc' ),
+					'publishing'     => __( 'Publishing...', 'cfr2wc' ),
+					/* translators: %s: version. */
+					'published'      => __( 'Version %s is now live.', 'cfr2wc' ),
+					'rollback'       => __( 'Roll back', 'cfr2wc' ),
+					/* translators: %s: version. */
+					'rolled_back'    => __( 'Rolled back to %s.', 'cfr2wc' ),
+					'live'           => __( 'Live', 'cfr2wc' ),
+					'unversioned'    => __( 'Before versioning', 'cfr2wc' ),
+					'no_history'     => __( 'No versions published yet.', 'cfr2wc' ),
+					/* translators: %1$d: number of files synced, %2$d: estimated number of files. */
+					'sync_progress'  => __( 'Sync in progress (%1$d / %2$d)', 'cfr2wc' ),
+					/* translators: %d: number of files synced. */
+					'sync_count'     => __( 'Sync in progress (%d files so far)', 'cfr2wc' ),
 					'choose_r2'      => __( 'Choose', 'cfr2wc' ),
 					'upload_r2'      => __( 'Upload', 'cfr2wc' ),
 				),
 			)
 		);
+	}
 
-		// Auto-sync if cache is empty.
-		if ( $this->file_cache_manager->is_cache_empty() ) {
-			$this->file_cache_manager->sync_r2_files();
-		}
+	/**
+	 * Get the bucket an AJAX request works on.
+	 *
+	 * @return string Bucket name, empty for the default bucket.
+	 */
+	private function get_request_bucket(): string {
+		// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Nonce is checked by the AJAX handlers.
+		return isset( $_REQUEST['bucket'] ) ? sanitize_text_field( wp_unslash( $_REQUEST['bucket'] ) ) : '';
 	}
 
 	/**
-	 * Check rate limit for operations.
+	 * Get the R2 client for the requested bucket.
 	 *
-	 * @param string $operation Operation name (e.g., 'upload', 'sync').
-	 * @param int    $limit Maximum operations allowed.
-	 * @param int    $window Time window in seconds.
-	 * @return bool True if within limit, false otherwise.
+	 * Ends the request with an error when the bucket has no profile.
 	 */
-	private function check_rate_limit( string $operation, int $limit, int $window ): bool {
-		$user_id = get_current_user_id();
-		$key     = 'cfr2wc_rate_' . $operation . '_' . $user_id;
+	private function get_request_client(): CFR2WC_Client {
+		$client = $this->bucket_manager->get_client( $this->get_request_bucket() );
+
+		if ( ! $client ) {
+			wp_send_json_error( array( 'message' => __( 'Unknown bucket', 'cfr2wc' ) ) );
+		}
+
+		return $client;
+	}
 
-		$current = get_transient( $key );
+	/**
+	 * Get the file cache manager for the requested bucket.
+	 *
+	 * Ends the request with an error when the bucket has no profile.
+	 */
+	private function get_request_cache_manager(): CFR2WC_File_Cache_Manager {
+		$cache_manager = $this->bucket_manager->get_cache_manager( $this->get_request_bucket() );
 
-		if ( false === $current ) {
-			// First operation in this window.
-			set_transient( $key, 1, $window );
-			return true;
+		if ( ! $cache_manager ) {
+			wp_send_json_error( array( 'message' => __( 'Unknown bucket', 'cfr2wc' ) ) );
 		}
 
-		if ( $current >= $limit ) {
-			CFR2WC_Logger::warning(
-				'Rate limit exceeded',
+		return $cache_manager;
+	}
+
+	/**
+	 * Count an upload against the upload limit, or stop the request when the current user reached it.
+	 *
+	 * Uploads count when they start, because a presigned URL can be used without telling the server.
+	 * Uploads that fail or are aborted before anything reaches R2 give their count back.
+	 */
+	private function check_upload_rate_limit(): void {
+		if ( ! CFR2WC_Rate_Limit::hit( 'upload', self::UPLOAD_LIMIT, HOUR_IN_SECONDS ) ) {
+			wp_send_json_error(
 				array(
-					'operation' => $operation,
-					'user_id'   => $user_id,
-					'limit'     => $limit,
+					/* translators: %d: number of uploads per hour. */
+					'message'      => sprintf( __( 'You reached the limit of %d uploads per hour. Retry this file later.', 'cfr2wc' ), self::UPLOAD_LIMIT ),
+					'rate_limited' => true,
 				)
 			);
-			return false;
 		}
-
-		// Increment counter.
-		set_transient( $key, $current + 1, $window );
-		return true;
 	}
 
 	/**
@@ -351,6 +773,184 @@ class CFR2WC_Product_R2_Integration {
 		return $errors[ $error_code ] ?? __( 'Unknown upload error', 'cfr2wc' );
 	}
 
+	/**
+	 * Check whether objects exist, using the file cache first and R2 for cache misses.
+	 *
+	 * Objects found in R2 but not in the cache are added to it, so the next check is a cache hit.
+	 * Buckets without a profile are checked in the default bucket, which their downloads use.
+	 *
+	 * @param string[] $keys Object keys.
+	 * @param string   $bucket Bucket name from the shortcode, empty for the default bucket.
+	 * @return array Results keyed by object key, each with 'exists', 'file_size', 'file_size_formatted'
+	 *               and 'sha256' (empty when the upload wasn't verified).
+	 */
+	private function check_objects( array $keys, string $bucket = '' ): array {
+		$bucket        = $this->bucket_manager->resolve_download_bucket( $bucket );
+		$r2_client     = $this->bucket_manager->get_download_client( $bucket );
+		$cache_manager = $this->bucket_manager->get_cache_manager( $bucket );
+		$cached        = $cache_manager->get_files_by_keys( $keys );
+		$results       = array();
+
+		foreach ( $keys as $key ) {
+			if ( isset( $cached[ $key ] ) ) {
+				$results[ $key ] = array(
+					'exists'              => true,
+					'file_size'           => (int) $cached[ $key ]['file_size'],
+					'file_size_formatted' => $cached[ $key ]['file_size_formatted'],
+					'sha256'              => $cached[ $key ]['sha256'],
+				);
+				continue;
+			}
+
+			if ( ! $r2_client->file_exists( $key ) ) {
+				$results[ $key ] = array(
+					'exists'              => false,
+					'file_size'           => null,
+					'file_size_formatted' => '',
+					'sha256'              => '',
+				);
+				continue;
+			}
+
+			$metadata = $r2_client->get_object_metadata( $key );
+			$size     = (int) ( $metadata['ContentLength'] ?? 0 );
+			$sha256   = $this->get_metadata_checksum( $metadata );
+
+			$cache_manager->cache_object( $key, $size, $metadata['ContentType'] ?? null );
+
+			if ( '' !== $sha256 && ( $metadata['LastModified'] ?? null ) instanceof DateTimeInterface ) {
+				$cache_manager->set_checksum( $key, $sha256, trim( (string) ( $metadata['ETag'] ?? '' ), '"' ), $metadata['LastModified']->getTimestamp() );
+			}
+
+			$results[ $key ] = array(
+				'exists'              => true,
+				'file_size'           => $size,
+				'file_size_formatted' => size_format( $size, 2 ),
+				'sha256'              => $sha256,
+			);
+		}
+
+		return $results;
+	}
+
+	/**
+	 * Get the SHA-256 checksum stored in an object's metadata by a verified upload.
+	 *
+	 * @param array|false $metadata Object metadata from CFR2WC_Client::get_object_metadata().
+	 * @return string Hex SHA-256, or empty string when the object has none.
+	 */
+	private function get_metadata_checksum( array|false $metadata ): string {
+		$sha256 = strtolower( (string) ( $metadata['Metadata']['sha256'] ?? '' ) );
+
+		return 1 === preg_match( '/^[a-f0-9]{64}$/', $sha256 ) ? $sha256 : '';
+	}
+
+	/**
+	 * Check a product's downloads when it is saved and remember any missing objects.
+	 *
+	 * @param WC_Product $product Product or variation being saved.
+	 */
+	public function check_product_downloads( $product ): void {
+		$keys_by_bucket = array();
+
+		foreach ( $product->get_downloads() as $download ) {
+			$key = CFR2WC_Shortcode::get_object_key( (string) $download->get_file() );
+			if ( '' !== $key ) {
+				$keys_by_bucket[ CFR2WC_Shortcode::get_bucket( (string) $download->get_file() ) ][] = $key;
+			}
+		}
+
+		$missing = array();
+
+		foreach ( $keys_by_bucket as $bucket => $keys ) {
+			foreach ( $this->check_objects( array_unique( $keys ), (string) $bucket ) as $key => $result ) {
+				if ( ! $result['exists'] ) {
+					$missing[] = '' === $bucket ? $key : $bucket . ': ' . $key;
+				}
+			}
+		}
+
+		if ( empty( $missing ) ) {
+			return;
+		}
+
+		CFR2WC_Logger::warning(
+			'Product saved with missing R2 objects',
+			array(
+				'product_id' => $product->get_id(),
+				'objects'    => $missing,
+			)
+		);
+
+		// Variations are saved in their own request just before the parent, so merge with what they found.
+		$transient = 'cfr2wc_missing_objects_' . get_current_user_id();
+		$previous  = get_transient( $transient );
+		$missing   = array_values( array_unique( array_merge( is_array( $previous ) ? $previous : array(), $missing ) ) );
+
+		set_transient( $transient, $missing, MINUTE_IN_SECONDS * 5 );
+	}
+
+	/**
+	 * Show the missing objects found when the product was last saved.
+	 */
+	public function render_missing_objects_notice(): void {
+		$screen = get_current_screen();
+		if ( ! $screen || 'product' !== $screen->post_type ) {
+			return;
+		}
+
+		$transient = 'cfr2wc_missing_objects_' . get_current_user_id();
+		$missing   = get_transient( $transient );
+
+		if ( ! is_array( $missing ) || empty( $missing ) ) {
+			return;
+		}
+
+		delete_transient( $transient );
+		?>
+		<div class="notice notice-warning is-dismissible">
+			<p>
+				<?php
+				echo esc_html(
+					sprintf(
+						/* translators: %d: number of missing objects. */
+						_n(
+							'%d downloadable file points to an object that does not exist in R2. Customers will not be able to download it:',
+							'%d downloadable files point to objects that do not exist in R2. Customers will not be able to download them:',
+							count( $missing ),
+							'cfr2wc'
+						),
+						count( $missing )
+					)
+				);
+				?>
+			</p>
+			<ul>
+				<?php foreach ( $missing as $key ) : ?>
+					<li><code><?php echo esc_html( $key ); ?></code></li>
+				<?php endforeach; ?>
+			</ul>
+		</div>
+		<?php
+	}
+
+	/**
+	 * AJAX: Check that the objects used by download rows exist.
+	 */
+	public function ajax_validate_objects(): void {
+		check_ajax_referer( 'cfr2wc_product_nonce', 'nonce' );
+
+		// phpcs:ignore WordPress.WP.Capabilities.Unknown
+		if ( ! current_user_can( 'edit_products' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied', 'cfr2wc' ) ) );
+		}
+
+		$keys = isset( $_POST['object_keys'] ) ? array_map( 'sanitize_text_field', (array) wp_unslash( $_POST['object_keys'] ) ) : array(); // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+		$keys = array_slice( array_values( array_unique( array_filter( $keys ) ) ), 0, 100 );
+
+		wp_send_json_success( array( 'objects' => (object) $this->check_objects( $keys, $this->get_request_bucket() ) ) );
+	}
+
 	/**
 	 * AJAX: Get folder tree.
 	 */
@@ -362,13 +962,28 @@ class CFR2WC_Product_R2_Integration {
 			wp_send_json_error( array( 'message' => __( 'Permission denied', 'cfr2wc' ) ) );
 		}
 
-		$tree = $this->file_cache_manager->get_folder_tree();
+		$cache_manager = $this->get_request_cache_manager();
+
+		// Buckets are synced in the background the first time they are opened.
+		if ( $cache_manager->is_cache_empty() ) {
+			$sync = $this->background_sync->start( $cache_manager->get_bucket() );
+		} else {
+			$sync = $this->background_sync->get_status( $cache_manager->get_bucket() );
+		}
+
+		$tree = $cache_manager->get_folder_tree();
 
-		wp_send_json_success( array( 'tree' => $tree ) );
+		wp_send_json_success(
+			array(
+				'tree'   => $tree,
+				'counts' => (object) $cache_manager->get_folder_file_counts(),
+				'sync'   => $sync,
+			)
+		);
 	}
 
 	/**
-	 * AJAX: Search files (Select2 compatible).
+	 * AJAX: Search files for the file table.
 	 */
 	public function ajax_search_files(): void {
 		check_ajax_referer( 'cfr2wc_product_nonce', 'nonce' );
@@ -380,16 +995,47 @@ class CFR2WC_Product_R2_Integration {
 
 		$search      = isset( $_GET['search'] ) ? sanitize_text_field( wp_unslash( $_GET['search'] ) ) : '';
 		$folder_path = isset( $_GET['folder_path'] ) ? sanitize_text_field( wp_unslash( $_GET['folder_path'] ) ) : '';
+		$orderby     = isset( $_GET['orderby'] ) ? sanitize_key( wp_unslash( $_GET['orderby'] ) ) : 'file_name';
+		$order       = isset( $_GET['order'] ) ? sanitize_key( wp_unslash( $_GET['order'] ) ) : 'asc';
+		$cursor      = isset( $_GET['cursor'] ) ? sanitize_text_field( wp_unslash( $_GET['cursor'] ) ) : '';
+		$page        = isset( $_GET['page'] ) ? max( 1, absint( $_GET['page'] ) ) : 1;
+		$limit       = isset( $_GET['limit'] ) ? min( max( 1, absint( $_GET['limit'] ) ), 200 ) : 50;
+		$everywhere  = ! empty( $_GET['everywhere'] );
 
-		$files = $this->file_cache_manager->search_files( $search, $folder_path );
+		// Searching everywhere ignores the folder, results come back grouped by folder instead.
+		$folder_path = $everywhere ? null : trim( $folder_path, '/' );
 
-		wp_send_json_success( array( 'files' => $files ) );
+		// Ask for one extra row to know whether another page exists.
+		$files = $this->get_request_cache_manager()->search_files(
+			$search,
+			$folder_path,
+			$orderby,
+			$order,
+			$limit + 1,
+			( $page - 1 ) * $limit,
+			'' !== $cursor ? $cursor : null
+		);
+
+		$has_more = count( $files ) > $limit;
+		$files    = array_slice( $files, 0, $limit );
+
+		wp_send_json_success(
+			array(
+				'files'       => $files,
+				'total'       => $this->get_request_cache_manager()->count_files( $search, $folder_path ),
+				'page'        => $page,
+				'limit'       => $limit,
+				'has_more'    => $has_more,
+				'grouped'     => $everywhere,
+				'next_cursor' => $has_more ? $this->get_request_cache_manager()->get_next_cursor( end( $files ), $orderby, $everywhere ) : null,
+			)
+		);
 	}
 
 	/**
-	 * AJAX: Upload file to R2.
+	 * AJAX: Get all files in a folder (used by "Select all in this folder").
 	 */
-	public function ajax_upload_to_r2(): void {
+	public function ajax_get_folder_files(): void {
 		check_ajax_referer( 'cfr2wc_product_nonce', 'nonce' );
 
 		// phpcs:ignore WordPress.WP.Capabilities.Unknown
@@ -397,65 +1043,108 @@ class CFR2WC_Product_R2_Integration {
 			wp_send_json_error( array( 'message' => __( 'Permission denied', 'cfr2wc' ) ) );
 		}
 
-		// Rate limiting: 20 uploads per hour per user.
-		if ( ! $this->check_rate_limit( 'upload', 20, 3600 ) ) {
-			wp_send_json_error( array( 'message' => __( 'Too many uploads. Please wait before uploading more files.', 'cfr2wc' ) ) );
+		$folder_path = isset( $_GET['folder_path'] ) ? sanitize_text_field( wp_unslash( $_GET['folder_path'] ) ) : '';
+
+		$files = $this->get_request_cache_manager()->get_files_in_folder( trim( $folder_path, '/' ) );
+
+		wp_send_json_success( array( 'files' => $files ) );
+	}
+
+	/**
+	 * AJAX: Get object metadata and a preview link for the preview pane.
+	 */
+	public function ajax_get_file_details(): void {
+		check_ajax_referer( 'cfr2wc_product_nonce', 'nonce' );
+
+		// phpcs:ignore WordPress.WP.Capabilities.Unknown
+		if ( ! current_user_can( 'edit_products' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied', 'cfr2wc' ) ) );
 		}
 
-		if ( empty( $_FILES['file'] ) ) {
-			wp_send_json_error( array( 'message' => __( 'No file uploaded', 'cfr2wc' ) ) );
+		$object_key = isset( $_POST['object_key'] ) ? sanitize_text_field( wp_unslash( $_POST['object_key'] ) ) : '';
+
+		if ( '' === $object_key ) {
+			wp_send_json_error( array( 'message' => __( 'No file specified', 'cfr2wc' ) ) );
 		}
 
-		// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
-		$file = $_FILES['file'];
+		$metadata = $this->get_request_client()->get_object_metadata( $object_key );
 
-		// Validate file upload.
-		$validation = $this->validate_upload( $file );
-		if ( ! $validation['valid'] ) {
-			wp_send_json_error( array( 'message' => $validation['message'] ) );
+		if ( false === $metadata ) {
+			wp_send_json_error( array( 'message' => __( 'File not found in R2', 'cfr2wc' ) ) );
 		}
 
-		$folder_path = isset( $_POST['folder_path'] ) ? sanitize_text_field( wp_unslash( $_POST['folder_path'] ) ) : '';
-		// Remove leading/trailing slashes.
-		$folder_path = trim( $folder_path, '/' );
+		$content_type  = (string) ( $metadata['ContentType'] ?? '' );
+		$etag          = trim( (string) ( $metadata['ETag'] ?? '' ), '"' );
+		$last_modified = $metadata['LastModified'] ?? null;
+		$sha256        = $this->get_metadata_checksum( $metadata );
 
-		// Build object key.
-		$filename   = sanitize_file_name( $file['name'] );
-		$object_key = '' !== $folder_path && '0' !== $folder_path ? $folder_path . '/' . $filename : $filename;
+		// Objects too large to copy keep their checksum in the file cache only.
+		if ( '' === $sha256 ) {
+			$cached = $this->get_request_cache_manager()->get_files_by_keys( array( $object_key ) );
+			$sha256 = $cached[ $object_key ]['sha256'] ?? '';
+		}
 
-		// Upload to R2.
-		$result = $this->r2_client->upload_file( $file['tmp_name'], $object_key );
+		// Checksums are only present when the uploader sent one.
+		$checksums = array();
+		foreach ( array( 'ChecksumSHA256', 'ChecksumSHA1', 'ChecksumCRC32', 'ChecksumCRC32C' ) as $checksum ) {
+			if ( ! empty( $metadata[ $checksum ] ) ) {
+				$checksums[ substr( $checksum, 8 ) ] = $metadata[ $checksum ];
+			}
+		}
 
-		if ( ! $result ) {
-			wp_send_json_error( array( 'message' => __( 'Failed to upload to R2', 'cfr2wc' ) ) );
+		$preview_type = '';
+		if ( 'application/pdf' === $content_type ) {
+			$preview_type = 'pdf';
+		} elseif ( preg_match( '#^(image|audio|video)/#', $content_type, $matches ) ) {
+			$preview_type = $matches[1];
 		}
 
-		// Add to cache.
-		$this->file_cache_manager->sync_r2_files( true );
+		/**
+		 * Filter how long preview links stay valid.
+		 *
+		 * @param int $expiration Lifetime in seconds (default 300 = 5 minutes).
+		 */
+		$preview_expires = (int) apply_filters( 'cfr2wc_preview_url_expiration', 300 );
+		$preview_url     = '';
 
-		// Log file assignment to product (user will add it via JS).
-		CFR2WC_Logger::info(
-			'File uploaded and ready for product assignment',
-			array(
-				'object_key' => $object_key,
-				'filename'   => $filename,
-				'folder'     => $folder_path,
-			)
-		);
+		if ( '' !== $preview_type ) {
+			$preview_url = $this->get_request_client()->get_presigned_url(
+				$object_key,
+				$preview_expires,
+				array(
+					'ResponseContentDisposition' => 'inline',
+					'ResponseContentType'        => $content_type,
+				)
+			);
+		}
 
 		wp_send_json_success(
 			array(
-				'message'    => __( 'File uploaded successfully', 'cfr2wc' ),
-				'object_key' => $object_key,
-				'file_name'  => $filename,
+				'object_key'          => $object_key,
+				'content_type'        => $content_type,
+				'content_length'      => size_format( (int) ( $metadata['ContentLength'] ?? 0 ), 2 ),
+				'etag'                => $etag,
+				// Multipart uploads get an ETag of "<hash>-<parts>", which is not the file's MD5.
+				'etag_is_md5'         => 1 === preg_match( '/^[a-f0-9]{32}$/i', $etag ),
+				'checksums'           => (object) $checksums,
+				'sha256'              => $sha256,
+				'last_modified'       => $last_modified instanceof DateTimeInterface ? wp_date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), $last_modified->getTimestamp() ) : '',
+				'cache_control'       => (string) ( $metadata['CacheControl'] ?? '' ),
+				'content_disposition' => (string) ( $metadata['ContentDisposition'] ?? '' ),
+				'metadata'            => (object) ( $metadata['Metadata'] ?? array() ),
+				'preview_type'        => $preview_type,
+				'preview_url'         => $preview_url ? $preview_url : '',
+				'preview_expires'     => $preview_expires,
 			)
 		);
 	}
 
 	/**
-	 * AJAX: Sync R2 files.
+	 * AJAX: Check whether an upload would replace an existing object.
+	 *
+	 * Run before server uploads so the file isn't sent only to be turned away.
 	 */
-	public function ajax_sync_r2_files(): void {
+	public function ajax_check_upload_conflict(): void {
 		check_ajax_referer( 'cfr2wc_product_nonce', 'nonce' );
 
 		// phpcs:ignore WordPress.WP.Capabilities.Unknown
@@ -463,12 +1152,964 @@ class CFR2WC_Product_R2_Integration {
 			wp_send_json_error( array( 'message' => __( 'Permission denied', 'cfr2wc' ) ) );
 		}
 
-		$result = $this->file_cache_manager->sync_r2_files( true );
+		$file_name   = isset( $_POST['file_name'] ) ? sanitize_file_name( wp_unslash( $_POST['file_name'] ) ) : '';
+		$folder_path = isset( $_POST['folder_path'] ) ? trim( sanitize_text_field( wp_unslash( $_POST['folder_path'] ) ), '/' ) : '';
 
-		if ( $result['success'] ) {
-			wp_send_json_success( $result );
-		} else {
-			wp_send_json_error( $result );
+		if ( '' === $file_name ) {
+			wp_send_json_error( array( 'message' => __( 'No file uploaded', 'cfr2wc' ) ) );
+		}
+
+		$object_key = $this->build_object_key( $folder_path, $file_name );
+
+		wp_send_json_success(
+			array(
+				'object_key' => $object_key,
+				'conflict'   => $this->get_request_client()->file_exists( $object_key ) ? $this->get_upload_conflict( $object_key ) : null,
+			)
+		);
+	}
+
+	/**
+	 * Apply the conflict handling chosen for an upload to its object key.
+	 *
+	 * The conflict request field is empty (refuse to replace), "overwrite" or "rename". Ends the request
+	 * with the existing object's details when the key is taken and no handling was chosen.
+	 *
+	 * @param string $object_key Object key built from the folder and file name.
+	 * @return string Object key to upload to.
+	 */
+	private function resolve_upload_key( string $object_key ): string {
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce is checked by the AJAX handlers.
+		$conflict = isset( $_POST['conflict'] ) ? sanitize_key( wp_unslash( $_POST['conflict'] ) ) : '';
+
+		// Replacing an object changes the file of every product that uses it.
+		if ( 'overwrite' === $conflict && ! $this->can_manage_objects() ) {
+			wp_send_json_error( array( 'message' => __( 'You are not allowed to replace existing files.', 'cfr2wc' ) ) );
+		}
+
+		if ( 'overwrite' === $conflict || ! $this->get_request_client()->file_exists( $object_key ) ) {
+			return $object_key;
+		}
+
+		if ( 'rename' === $conflict ) {
+			$unique_key = $this->get_unique_object_key( $object_key );
+
+			if ( ! $unique_key ) {
+				wp_send_json_error( array( 'message' => __( 'Could not find a free file name. Please rename the file.', 'cfr2wc' ) ) );
+			}
+
+			return $unique_key;
 		}
+
+		wp_send_json_error(
+			array(
+				'message'  => __( 'A file with this name already exists.', 'cfr2wc' ),
+				'conflict' => $this->get_upload_conflict( $object_key ),
+			)
+		);
+	}
+
+	/**
+	 * Find a free object key by adding a numeric suffix to the file name.
+	 *
+	 * @param string $object_key Object key that is taken.
+	 * @return string|false Free object key ("setup-1.exe", "setup-2.exe", ...), or false after 100 attempts.
+	 */
+	private function get_unique_object_key( string $object_key ): string|false {
+		$folder_path = dirname( $object_key );
+		$folder_path = '.' === $folder_path ? '' : $folder_path;
+		$name        = pathinfo( $object_key, PATHINFO_FILENAME );
+		$extension   = pathinfo( $object_key, PATHINFO_EXTENSION );
+		$extension   = '' !== $extension ? '.' . $extension : '';
+
+		for ( $i = 1; $i <= 100; $i++ ) {
+			$candidate = $this->build_object_key( $folder_path, $name . '-' . $i . $extension );
+
+			if ( ! $this->get_request_client()->file_exists( $candidate ) ) {
+				return $candidate;
+			}
+		}
+
+		return false;
+	}
+
+	/**
+	 * Describe the existing object an upload would replace.
+	 *
+	 * @param string $object_key Object key.
+	 * @return array Object key, formatted size and last modified date.
+	 */
+	private function get_upload_conflict( string $object_key ): array {
+		$metadata      = $this->get_request_client()->get_object_metadata( $object_key );
+		$last_modified = $metadata['LastModified'] ?? null;
+
+		return array(
+			'object_key'    => $object_key,
+			'size'          => $metadata ? size_format( (int) ( $metadata['ContentLength'] ?? 0 ), 2 ) : '',
+			'last_modified' => $last_modified instanceof DateTimeInterface ? wp_date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), $last_modified->getTimestamp() ) : '',
+		);
+	}
+
+	/**
+	 * Get the content headers and metadata to store with an upload.
+	 *
+	 * Uses the Advanced section of the upload modal when it was sent, otherwise the defaults from the settings.
+	 * Ends the request with an error when a value can't be stored.
+	 *
+	 * @param string $object_key Object key the file is uploaded to.
+	 * @param string $file_type Content type detected from the file name.
+	 * @return array PutObject parameters: ContentType, ContentDisposition, CacheControl and Metadata, when set.
+	 */
+	private function get_upload_params( string $object_key, string $file_type ): array {
+		$headers = CFR2WC_Object_Headers::get_defaults();
+
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Checked by the calling AJAX handlers.
+		if ( isset( $_POST['headers'] ) && is_array( $_POST['headers'] ) ) {
+			// phpcs:ignore WordPress.Security.NonceVerification.Missing, WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Sanitized per field below.
+			$headers = wp_unslash( $_POST['headers'] );
+		}
+
+		$allowed_types = array_merge( array_values( get_allowed_mime_types() ), array( 'application/octet-stream' ) );
+		$content_type  = strtolower( sanitize_text_field( (string) ( $headers['content_type'] ?? '' ) ) );
+		$detected_type = strtolower( sanitize_text_field( (string) ( $headers['detected_type'] ?? '' ) ) );
+
+		if ( '' !== $content_type && ! in_array( $content_type, $allowed_types, true ) ) {
+			/* translators: %s: content type, e.g. text/html. */
+			wp_send_json_error( array( 'message' => sprintf( __( 'The content type %s is not allowed.', 'cfr2wc' ), $content_type ) ) );
+		}
+
+		if ( '' === $content_type ) {
+			// Browsers report some types under other names (e.g. application/x-zip-compressed), fall back to the extension.
+			$content_type = in_array( $detected_type, $allowed_types, true ) ? $detected_type : $file_type;
+		}
+
+		$params = '' !== $content_type ? array( 'ContentType' => $content_type ) : array();
+
+		if ( in_array( $headers['disposition'] ?? '', CFR2WC_Object_Headers::DISPOSITIONS, true ) ) {
+			$params['ContentDisposition'] = CFR2WC_Object_Headers::content_disposition( $headers['disposition'], basename( $object_key ) );
+		}
+
+		$cache_control = sanitize_text_field( (string) ( $headers['cache_control'] ?? '' ) );
+
+		if ( '' !== $cache_control ) {
+			$params['CacheControl'] = $cache_control;
+		}
+
+		try {
+			$metadata = CFR2WC_Object_Headers::validate_metadata( is_array( $headers['metadata'] ?? null ) ? $headers['metadata'] : array() );
+		} catch ( InvalidArgumentException $e ) {
+			wp_send_json_error( array( 'message' => $e->getMessage() ) );
+		}
+
+		if ( $metadata ) {
+			$params['Metadata'] = $metadata;
+		}
+
+		return $params;
+	}
+
+	/**
+	 * AJAX: Upload file to R2.
+	 */
+	public function ajax_upload_to_r2(): void {
+		check_ajax_referer( 'cfr2wc_product_nonce', 'nonce' );
+
+		// phpcs:ignore WordPress.WP.Capabilities.Unknown
+		if ( ! current_user_can( 'edit_products' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied', 'cfr2wc' ) ) );
+		}
+
+		if ( empty( $_FILES['file'] ) ) {
+			wp_send_json_error( array( 'message' => __( 'No file uploaded', 'cfr2wc' ) ) );
+		}
+
+		// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+		$file = $_FILES['file'];
+
+		// Validate file upload.
+		$validation = $this->validate_upload( $file );
+		if ( ! $validation['valid'] ) {
+			wp_send_json_error( array( 'message' => $validation['message'] ) );
+		}
+
+		$folder_path = isset( $_POST['folder_path'] ) ? sanitize_text_field( wp_unslash( $_POST['folder_path'] ) ) : '';
+		// Remove leading/trailing slashes.
+		$folder_path = trim( $folder_path, '/' );
+
+		// Build object key.
+		$filename   = sanitize_file_name( $file['name'] );
+		$object_key = $this->resolve_upload_key( $this->build_object_key( $folder_path, $filename ) );
+		$params     = $this->get_upload_params( $object_key, (string) wp_check_filetype( $filename )['type'] );
+
+		// Rate limiting: uploads per hour per user, shared by regular and direct uploads.
+		$this->check_upload_rate_limit();
+
+		// Upload to R2.
+		$result = $this->get_request_client()->upload_file( $file['tmp_name'], $object_key, $params );
+
+		if ( ! $result ) {
+			CFR2WC_Rate_Limit::release( 'upload', HOUR_IN_SECONDS );
+			wp_send_json_error( array( 'message' => __( 'Failed to upload to R2', 'cfr2wc' ) ) );
+		}
+
+		// Add to cache (a full sync per file would be too slow for batch uploads).
+		$this->get_request_cache_manager()->cache_object( $object_key, (int) $file['size'], $params['ContentType'] ?? null );
+		set_transient( $this->get_verify_transient( $object_key ), 1, DAY_IN_SECONDS );
+
+		// Log file assignment to product (user will add it via JS).
+		CFR2WC_Logger::info(
+			'File uploaded and ready for product assignment',
+			array(
+				'object_key' => $object_key,
+				'filename'   => $filename,
+				'folder'     => $folder_path,
+			)
+		);
+
+		wp_send_json_success(
+			array(
+				'message'    => __( 'File uploaded successfully', 'cfr2wc' ),
+				'object_key' => $object_key,
+				'file_name'  => $filename,
+			)
+		);
+	}
+
+	/**
+	 * Build an object key from a folder path and a sanitized file name.
+	 *
+	 * @param string $folder_path Folder path without leading/trailing slashes.
+	 * @param string $filename Sanitized file name.
+	 * @return string Object key.
+	 */
+	private function build_object_key( string $folder_path, string $filename ): string {
+		return '' !== $folder_path && '0' !== $folder_path ? $folder_path . '/' . $filename : $filename;
+	}
+
+	/**
+	 * Normalize a folder path from user input.
+	 *
+	 * Drops empty, "." and ".." segments so a path can't climb out of its folder.
+	 *
+	 * @param string $folder_path Folder path.
+	 * @return string Folder path without leading/trailing slashes.
+	 */
+	private function sanitize_folder_path( string $folder_path ): string {
+		$segments = array_filter(
+			array_map( 'trim', explode( '/', sanitize_text_field( $folder_path ) ) ),
+			function ( string $segment ): bool {
+				return '' !== $segment && '.' !== $segment && '..' !== $segment;
+			}
+		);
+
+		return implode( '/', $segments );
+	}
+
+	/**
+	 * Whether the current user may delete, move and create objects in R2.
+	 */
+	private function can_manage_objects(): bool {
+		/**
+		 * Filter the capability needed to delete, rename/move and create folders from the file picker.
+		 *
+		 * These actions affect every product that uses the bucket, not just the one being edited.
+		 *
+		 * @param string $capability Capability (default 'manage_woocommerce').
+		 */
+		$capability = apply_filters( 'cfr2wc_manage_objects_capability', 'manage_woocommerce' );
+
+		// phpcs:ignore WordPress.WP.Capabilities.Undetermined
+		return current_user_can( $capability );
+	}
+
+	/**
+	 * Get the part size used for browser multipart uploads.
+	 *
+	 * R2 requires equal-sized parts of at least 5 MB (except the last) and at most 10,000 parts.
+	 *
+	 * @param int $file_size File size in bytes.
+	 * @return int Part size in bytes.
+	 */
+	private function get_multipart_part_size( int $file_size ): int {
+		$part_size = max( 5 * 1024 * 1024, (int) apply_filters( 'cfr2wc_multipart_part_size', 16 * 1024 * 1024 ) );
+
+		return max( $part_size, (int) ceil( $file_size / 10000 ) );
+	}
+
+	/**
+	 * Get the transient key that tracks a pending direct upload.
+	 *
+	 * @param string $object_key Object key.
+	 * @return string Transient key.
+	 */
+	private function get_direct_upload_transient( string $object_key ): string {
+		return 'cfr2wc_direct_' . get_current_user_id() . '_' . md5( $this->get_request_bucket() . '/' . $object_key );
+	}
+
+	/**
+	 * Load a pending direct upload issued to the current user.
+	 *
+	 * Prevents clients from signing or completing uploads for keys they were not given.
+	 *
+	 * @param string $object_key Object key.
+	 * @param string $upload_id Multipart upload ID (empty for single PUT uploads).
+	 * @return array|false Pending upload data or false if unknown.
+	 */
+	private function get_pending_direct_upload( string $object_key, string $upload_id = '' ): array|false {
+		$pending = get_transient( $this->get_direct_upload_transient( $object_key ) );
+
+		if ( ! is_array( $pending ) || $pending['object_key'] !== $object_key || $pending['upload_id'] !== $upload_id ) {
+			return false;
+		}
+
+		return $pending;
+	}
+
+	/**
+	 * AJAX: Start a direct browser-to-R2 upload.
+	 *
+	 * Returns a pre-signed PUT URL for small files or a multipart upload ID for large ones.
+	 */
+	public function ajax_direct_upload_init(): void {
+		check_ajax_referer( 'cfr2wc_product_nonce', 'nonce' );
+
+		// phpcs:ignore WordPress.WP.Capabilities.Unknown
+		if ( ! current_user_can( 'edit_products' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied', 'cfr2wc' ) ) );
+		}
+
+		$file_name   = isset( $_POST['file_name'] ) ? sanitize_file_name( wp_unslash( $_POST['file_name'] ) ) : '';
+		$file_size   = isset( $_POST['file_size'] ) ? absint( $_POST['file_size'] ) : 0;
+		$folder_path = isset( $_POST['folder_path'] ) ? trim( sanitize_text_field( wp_unslash( $_POST['folder_path'] ) ), '/' ) : '';
+
+		if ( '' === $file_name || 0 === $file_size ) {
+			wp_send_json_error( array( 'message' => __( 'No file uploaded', 'cfr2wc' ) ) );
+		}
+
+		$file_type = wp_check_filetype( $file_name, get_allowed_mime_types() );
+
+		if ( ! $file_type['type'] ) {
+			CFR2WC_Logger::warning( 'File type not allowed', array( 'filename' => $file_name ) );
+			wp_send_json_error( array( 'message' => __( 'File type not allowed. Please upload a valid file.', 'cfr2wc' ) ) );
+		}
+
+		// Direct uploads bypass PHP, so only R2's own object size limit applies by default.
+		$max_size = apply_filters( 'cfr2wc_max_direct_upload_size', 5 * 1024 * 1024 * 1024 * 1024 );
+
+		if ( $file_size > $max_size ) {
+			wp_send_json_error(
+				array(
+					'message' => sprintf(
+						/* translators: %s: Maximum file size. */
+						__( 'File too large. Maximum size: %s', 'cfr2wc' ),
+						size_format( $max_size )
+					),
+				)
+			);
+		}
+
+		$object_key   = $this->resolve_upload_key( $this->build_object_key( $folder_path, $file_name ) );
+		$params       = $this->get_upload_params( $object_key, $file_type['type'] );
+		$content_type = $params['ContentType'] ?? $file_type['type'];
+		$part_size    = $this->get_multipart_part_size( $file_size );
+
+		// Rate limiting: shared with regular uploads.
+		$this->check_upload_rate_limit();
+
+		if ( $file_size <= $part_size ) {
+			$presigned = $this->get_request_client()->get_presigned_upload( $object_key, $params );
+
+			if ( ! $presigned ) {
+				CFR2WC_Rate_Limit::release( 'upload', HOUR_IN_SECONDS );
+				wp_send_json_error( array( 'message' => __( 'Failed to prepare upload', 'cfr2wc' ) ) );
+			}
+
+			$pending = array(
+				'object_key'   => $object_key,
+				'upload_id'    => '',
+				'file_name'    => $file_name,
+				'file_size'    => $file_size,
+				'content_type' => $content_type,
+			);
+			set_transient( $this->get_direct_upload_transient( $object_key ), $pending, DAY_IN_SECONDS );
+
+			wp_send_json_success(
+				array(
+					'mode'         => 'single',
+					'url'          => $presigned['url'],
+					'headers'      => (object) $presigned['headers'],
+					'object_key'   => $object_key,
+					'file_name'    => $file_name,
+					'content_type' => $content_type,
+				)
+			);
+		}
+
+		$upload_id = $this->get_request_client()->create_multipart_upload( $object_key, $params );
+
+		if ( ! $upload_id ) {
+			CFR2WC_Rate_Limit::release( 'upload', HOUR_IN_SECONDS );
+			wp_send_json_error( array( 'message' => __( 'Failed to prepare upload', 'cfr2wc' ) ) );
+		}
+
+		$pending = array(
+			'object_key'   => $object_key,
+			'upload_id'    => $upload_id,
+			'file_name'    => $file_name,
+			'file_size'    => $file_size,
+			'content_type' => $content_type,
+			'part_size'    => $part_size,
+			'part_count'   => (int) ceil( $file_size / $part_size ),
+		);
+		// R2 keeps unfinished multipart uploads for 7 days.
+		set_transient( $this->get_direct_upload_transient( $object_key ), $pending, WEEK_IN_SECONDS );
+
+		CFR2WC_Logger::info(
+			'Direct multipart upload started',
+			array(
+				'object_key' => $object_key,
+				'size'       => $file_size,
+				'parts'      => $pending['part_count'],
+			)
+		);
+
+		wp_send_json_success(
+			array(
+				'mode'         => 'multipart',
+				'upload_id'    => $upload_id,
+				'object_key'   => $object_key,
+				'file_name'    => $file_name,
+				'content_type' => $content_type,
+				'part_size'    => $part_size,
+				'part_count'   => $pending['part_count'],
+			)
+		);
+	}
+
+	/**
+	 * AJAX: Sign part upload URLs for a pending multipart upload.
+	 */
+	public function ajax_direct_upload_sign_parts(): void {
+		check_ajax_referer( 'cfr2wc_product_nonce', 'nonce' );
+
+		// phpcs:ignore WordPress.WP.Capabilities.Unknown
+		if ( ! current_user_can( 'edit_products' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied', 'cfr2wc' ) ) );
+		}
+
+		$object_key   = isset( $_POST['object_key'] ) ? sanitize_text_field( wp_unslash( $_POST['object_key'] ) ) : '';
+		$upload_id    = isset( $_POST['upload_id'] ) ? sanitize_text_field( wp_unslash( $_POST['upload_id'] ) ) : '';
+		$part_numbers = isset( $_POST['part_numbers'] ) ? array_map( 'absint', (array) wp_unslash( $_POST['part_numbers'] ) ) : array();
+
+		$pending = $this->get_pending_direct_upload( $object_key, $upload_id );
+
+		if ( ! $pending || '' === $upload_id ) {
+			wp_send_json_error( array( 'message' => __( 'Unknown or expired upload', 'cfr2wc' ) ) );
+		}
+
+		$urls = array();
+
+		foreach ( array_slice( array_unique( $part_numbers ), 0, 100 ) as $part_number ) {
+			if ( $part_number < 1 || $part_number > $pending['part_count'] ) {
+				continue;
+			}
+
+			$url = $this->get_request_client()->get_presigned_part_url( $object_key, $upload_id, $part_number );
+
+			if ( ! $url ) {
+				wp_send_json_error( array( 'message' => __( 'Failed to prepare upload', 'cfr2wc' ) ) );
+			}
+
+			$urls[ $part_number ] = $url;
+		}
+
+		wp_send_json_success( array( 'urls' => $urls ) );
+	}
+
+	/**
+	 * AJAX: Finish a direct upload and add the object to the file cache.
+	 */
+	public function ajax_direct_upload_complete(): void {
+		check_ajax_referer( 'cfr2wc_product_nonce', 'nonce' );
+
+		// phpcs:ignore WordPress.WP.Capabilities.Unknown
+		if ( ! current_user_can( 'edit_products' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied', 'cfr2wc' ) ) );
+		}
+
+		$object_key = isset( $_POST['object_key'] ) ? sanitize_text_field( wp_unslash( $_POST['object_key'] ) ) : '';
+		$upload_id  = isset( $_POST['upload_id'] ) ? sanitize_text_field( wp_unslash( $_POST['upload_id'] ) ) : '';
+
+		$pending = $this->get_pending_direct_upload( $object_key, $upload_id );
+
+		if ( ! $pending ) {
+			wp_send_json_error( array( 'message' => __( 'Unknown or expired upload', 'cfr2wc' ) ) );
+		}
+
+		if ( '' !== $upload_id ) {
+			$parts = array();
+
+			// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Sanitized per field below.
+			$posted_parts = isset( $_POST['parts'] ) ? (array) wp_unslash( $_POST['parts'] ) : array();
+
+			foreach ( $posted_parts as $part ) {
+				$parts[] = array(
+					'PartNumber' => absint( $part['part_number'] ?? 0 ),
+					'ETag'       => sanitize_text_field( $part['etag'] ?? '' ),
+				);
+			}
+
+			if ( count( $parts ) !== $pending['part_count'] ) {
+				wp_send_json_error( array( 'message' => __( 'Upload is incomplete', 'cfr2wc' ) ) );
+			}
+
+			if ( ! $this->get_request_client()->complete_multipart_upload( $object_key, $upload_id, $parts ) ) {
+				wp_send_json_error( array( 'message' => __( 'Failed to upload to R2', 'cfr2wc' ) ) );
+			}
+		}
+
+		// Confirm the object really landed in R2 before handing it to the product.
+		$metadata = $this->get_request_client()->get_object_metadata( $object_key );
+
+		if ( ! $metadata ) {
+			wp_send_json_error( array( 'message' => __( 'Failed to upload to R2', 'cfr2wc' ) ) );
+		}
+
+		delete_transient( $this->get_direct_upload_transient( $object_key ) );
+
+		$this->get_request_cache_manager()->cache_object( $object_key, (int) ( $metadata['ContentLength'] ?? $pending['file_size'] ), $pending['content_type'] );
+		set_transient( $this->get_verify_transient( $object_key ), 1, DAY_IN_SECONDS );
+
+		CFR2WC_Logger::info(
+			'Direct upload completed',
+			array(
+				'object_key' => $object_key,
+				'size'       => $metadata['ContentLength'] ?? $pending['file_size'],
+			)
+		);
+
+		wp_send_json_success(
+			array(
+				'message'    => __( 'File uploaded successfully', 'cfr2wc' ),
+				'object_key' => $object_key,
+				'file_name'  => $pending['file_name'],
+			)
+		);
+	}
+
+	/**
+	 * Get the transient key that marks an upload of the current user as waiting for verification.
+	 *
+	 * @param string $object_key Object key.
+	 * @return string Transient key.
+	 */
+	private function get_verify_transient( string $object_key ): string {
+		return 'cfr2wc_verify_' . get_current_user_id() . '_' . md5( $this->get_request_bucket() . '/' . $object_key );
+	}
+
+	/**
+	 * AJAX: Check an upload against the checksums the browser calculated while sending it.
+	 *
+	 * The file's MD5, or for multipart uploads the MD5 of the part MD5s, must equal the ETag R2
+	 * reports. An object that doesn't match is corrupted and deleted, so it can't reach customers.
+	 * A matching object gets its SHA-256 stored as object metadata and in the file cache.
+	 */
+	public function ajax_verify_upload(): void {
+		check_ajax_referer( 'cfr2wc_product_nonce', 'nonce' );
+
+		// phpcs:ignore WordPress.WP.Capabilities.Unknown
+		if ( ! current_user_can( 'edit_products' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied', 'cfr2wc' ) ) );
+		}
+
+		$object_key = isset( $_POST['object_key'] ) ? sanitize_text_field( wp_unslash( $_POST['object_key'] ) ) : '';
+		$sha256     = isset( $_POST['sha256'] ) ? strtolower( sanitize_text_field( wp_unslash( $_POST['sha256'] ) ) ) : '';
+		$etag       = isset( $_POST['etag'] ) ? strtolower( sanitize_text_field( wp_unslash( $_POST['etag'] ) ) ) : '';
+		$transient  = $this->get_verify_transient( $object_key );
+
+		// Only uploads of the current user can be verified, a failed check deletes the object.
+		if ( '' === $object_key || ! get_transient( $transient ) ) {
+			wp_send_json_error( array( 'message' => __( 'Unknown or expired upload', 'cfr2wc' ) ) );
+		}
+
+		if ( 1 !== preg_match( '/^[a-f0-9]{64}$/', $sha256 ) || 1 !== preg_match( '/^[a-f0-9]{32}(?:-\d+)?$/', $etag ) ) {
+			wp_send_json_error( array( 'message' => __( 'Invalid checksum', 'cfr2wc' ) ) );
+		}
+
+		$client        = $this->get_request_client();
+		$cache_manager = $this->get_request_cache_manager();
+		$metadata      = $client->get_object_metadata( $object_key );
+
+		if ( false === $metadata ) {
+			wp_send_json_error( array( 'message' => __( 'File not found in R2', 'cfr2wc' ) ) );
+		}
+
+		delete_transient( $transient );
+
+		$actual = strtolower( trim( (string) ( $metadata['ETag'] ?? '' ), '"' ) );
+
+		if ( ! hash_equals( $actual, $etag ) ) {
+			$client->delete_file( $object_key );
+			$cache_manager->remove_object( $object_key );
+
+			CFR2WC_Logger::error(
+				'Uploaded object does not match its checksum and was deleted',
+				array(
+					'object_key' => $object_key,
+					'expected'   => $etag,
+					'actual'     => $actual,
+				)
+			);
+
+			wp_send_json_error( array( 'message' => __( 'The file in R2 does not match the file you uploaded, it was corrupted on the way. It has been deleted, please upload it again.', 'cfr2wc' ) ) );
+		}
+
+		// The copy has its own ETag and modification time, the cache must hold those to keep the checksum.
+		$updated       = $client->update_metadata( $object_key, array( 'sha256' => $sha256 ) );
+		$last_modified = $updated ? $updated['LastModified'] : ( $metadata['LastModified'] ?? null );
+
+		$cache_manager->set_checksum(
+			$object_key,
+			$sha256,
+			$updated && '' !== $updated['ETag'] ? $updated['ETag'] : $actual,
+			$last_modified instanceof DateTimeInterface ? $last_modified->getTimestamp() : time()
+		);
+
+		CFR2WC_Logger::info(
+			'Upload verified',
+			array(
+				'object_key'      => $object_key,
+				'sha256'          => $sha256,
+				'metadata_stored' => false !== $updated,
+			)
+		);
+
+		wp_send_json_success(
+			array(
+				'object_key' => $object_key,
+				'sha256'     => $sha256,
+			)
+		);
+	}
+
+	/**
+	 * AJAX: Abort a pending direct upload.
+	 */
+	public function ajax_direct_upload_abort(): void {
+		check_ajax_referer( 'cfr2wc_product_nonce', 'nonce' );
+
+		// phpcs:ignore WordPress.WP.Capabilities.Unknown
+		if ( ! current_user_can( 'edit_products' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied', 'cfr2wc' ) ) );
+		}
+
+		$object_key = isset( $_POST['object_key'] ) ? sanitize_text_field( wp_unslash( $_POST['object_key'] ) ) : '';
+		$upload_id  = isset( $_POST['upload_id'] ) ? sanitize_text_field( wp_unslash( $_POST['upload_id'] ) ) : '';
+
+		$pending = $this->get_pending_direct_upload( $object_key, $upload_id );
+
+		// Uploads this user did not start (listed from R2) can only be aborted by store managers.
+		// phpcs:ignore WordPress.WP.Capabilities.Unknown
+		if ( ! $pending && ( '' === $upload_id || ! current_user_can( 'manage_woocommerce' ) ) ) {
+			wp_send_json_error( array( 'message' => __( 'Unknown or expired upload', 'cfr2wc' ) ) );
+		}
+
+		if ( '' !== $upload_id && ! $this->get_request_client()->abort_multipart_upload( $object_key, $upload_id ) ) {
+			wp_send_json_error( array( 'message' => __( 'Failed to abort upload', 'cfr2wc' ) ) );
+		}
+
+		delete_transient( $this->get_direct_upload_transient( $object_key ) );
+
+		// An aborted multipart upload can't be completed any more. A presigned PUT URL stays valid, so it keeps its count.
+		if ( $pending && '' !== $upload_id ) {
+			CFR2WC_Rate_Limit::release( 'upload', HOUR_IN_SECONDS );
+		}
+
+		wp_send_json_success();
+	}
+
+	/**
+	 * AJAX: Resume a pending multipart upload.
+	 *
+	 * Returns the parts R2 already holds so the browser only sends the missing ones.
+	 */
+	public function ajax_direct_upload_resume(): void {
+		check_ajax_referer( 'cfr2wc_product_nonce', 'nonce' );
+
+		// phpcs:ignore WordPress.WP.Capabilities.Unknown
+		if ( ! current_user_can( 'edit_products' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied', 'cfr2wc' ) ) );
+		}
+
+		$object_key = isset( $_POST['object_key'] ) ? sanitize_text_field( wp_unslash( $_POST['object_key'] ) ) : '';
+		$upload_id  = isset( $_POST['upload_id'] ) ? sanitize_text_field( wp_unslash( $_POST['upload_id'] ) ) : '';
+
+		$pending = $this->get_pending_direct_upload( $object_key, $upload_id );
+
+		if ( ! $pending || '' === $upload_id ) {
+			wp_send_json_error( array( 'message' => __( 'Unknown or expired upload', 'cfr2wc' ) ) );
+		}
+
+		$parts = $this->get_request_client()->list_parts( $object_key, $upload_id );
+
+		if ( false === $parts ) {
+			wp_send_json_error( array( 'message' => __( 'Unknown or expired upload', 'cfr2wc' ) ) );
+		}
+
+		$done = array();
+		foreach ( $parts as $part ) {
+			$done[ $part['PartNumber'] ] = $part['ETag'];
+		}
+
+		wp_send_json_success(
+			array(
+				'mode'         => 'multipart',
+				'upload_id'    => $upload_id,
+				'object_key'   => $object_key,
+				'file_name'    => $pending['file_name'],
+				'file_size'    => $pending['file_size'],
+				'content_type' => $pending['content_type'],
+				'part_size'    => $pending['part_size'],
+				'part_count'   => $pending['part_count'],
+				'parts'        => (object) $done,
+			)
+		);
+	}
+
+	/**
+	 * AJAX: List unfinished multipart uploads in the bucket.
+	 */
+	public function ajax_list_multipart_uploads(): void {
+		check_ajax_referer( 'cfr2wc_product_nonce', 'nonce' );
+
+		// phpcs:ignore WordPress.WP.Capabilities.Unknown
+		if ( ! current_user_can( 'edit_products' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied', 'cfr2wc' ) ) );
+		}
+
+		$uploads = $this->get_request_client()->list_multipart_uploads();
+
+		if ( false === $uploads ) {
+			wp_send_json_error( array( 'message' => __( 'Failed to list R2 objects', 'cfr2wc' ) ) );
+		}
+
+		wp_send_json_success(
+			array(
+				'uploads' => array_map(
+					fn( array $upload ): array => array(
+						'object_key' => $upload['Key'],
+						'upload_id'  => $upload['UploadId'],
+						'initiated'  => $upload['Initiated'],
+						'is_mine'    => false !== $this->get_pending_direct_upload( $upload['Key'], $upload['UploadId'] ),
+					),
+					$uploads
+				),
+			)
+		);
+	}
+
+	/**
+	 * AJAX: Delete an object from R2.
+	 */
+	public function ajax_delete_object(): void {
+		check_ajax_referer( 'cfr2wc_product_nonce', 'nonce' );
+
+		if ( ! $this->can_manage_objects() ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied', 'cfr2wc' ) ) );
+		}
+
+		$object_key = isset( $_POST['object_key'] ) ? sanitize_text_field( wp_unslash( $_POST['object_key'] ) ) : '';
+
+		if ( '' === $object_key || str_ends_with( $object_key, '/' ) ) {
+			wp_send_json_error( array( 'message' => __( 'No file specified', 'cfr2wc' ) ) );
+		}
+
+		if ( ! $this->get_request_client()->delete_file( $object_key ) ) {
+			wp_send_json_error( array( 'message' => __( 'Failed to delete file from R2', 'cfr2wc' ) ) );
+		}
+
+		$this->get_request_cache_manager()->remove_object( $object_key );
+
+		CFR2WC_Logger::info(
+			'Object deleted from file picker',
+			array(
+				'key'     => $object_key,
+				'user_id' => get_current_user_id(),
+			)
+		);
+
+		wp_send_json_success(
+			array(
+				'message'    => __( 'File deleted', 'cfr2wc' ),
+				'object_key' => $object_key,
+			)
+		);
+	}
+
+	/**
+	 * AJAX: Rename or move an object (copy, then delete the original).
+	 */
+	public function ajax_move_object(): void {
+		check_ajax_referer( 'cfr2wc_product_nonce', 'nonce' );
+
+		if ( ! $this->can_manage_objects() ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied', 'cfr2wc' ) ) );
+		}
+
+		$object_key = isset( $_POST['object_key'] ) ? sanitize_text_field( wp_unslash( $_POST['object_key'] ) ) : '';
+		$new_key    = isset( $_POST['new_key'] ) ? sanitize_text_field( wp_unslash( $_POST['new_key'] ) ) : '';
+
+		if ( '' === $object_key || '' === $new_key ) {
+			wp_send_json_error( array( 'message' => __( 'No file specified', 'cfr2wc' ) ) );
+		}
+
+		// Same rules as uploads for the new name.
+		$folder_path = $this->sanitize_folder_path( str_contains( $new_key, '/' ) ? dirname( $new_key ) : '' );
+		$file_name   = sanitize_file_name( basename( $new_key ) );
+		$file_type   = wp_check_filetype( $file_name, get_allowed_mime_types() );
+
+		if ( '' === $file_name || ! $file_type['type'] ) {
+			wp_send_json_error( array( 'message' => __( 'File type not allowed. Please upload a valid file.', 'cfr2wc' ) ) );
+		}
+
+		$new_key = $this->build_object_key( $folder_path, $file_name );
+
+		if ( $new_key === $object_key ) {
+			wp_send_json_error( array( 'message' => __( 'The new path is the same as the current one.', 'cfr2wc' ) ) );
+		}
+
+		if ( $this->get_request_client()->file_exists( $new_key ) ) {
+			wp_send_json_error(
+				array(
+					'message' => sprintf(
+						/* translators: %s: object key. */
+						__( 'A file already exists at %s', 'cfr2wc' ),
+						$new_key
+					),
+				)
+			);
+		}
+
+		if ( ! $this->get_request_client()->copy_object( $object_key, $new_key ) ) {
+			wp_send_json_error( array( 'message' => __( 'Failed to copy file in R2', 'cfr2wc' ) ) );
+		}
+
+		$metadata = $this->get_request_client()->get_object_metadata( $new_key );
+		$this->get_request_cache_manager()->cache_object(
+			$new_key,
+			(int) ( $metadata['ContentLength'] ?? 0 ),
+			$metadata['ContentType'] ?? $file_type['type']
+		);
+
+		if ( ! $this->get_request_client()->delete_file( $object_key ) ) {
+			wp_send_json_error(
+				array(
+					'message' => sprintf(
+						/* translators: %s: new object key. */
+						__( 'The file was copied to %s, but the original could not be deleted.', 'cfr2wc' ),
+						$new_key
+					),
+				)
+			);
+		}
+
+		$this->get_request_cache_manager()->remove_object( $object_key );
+
+		CFR2WC_Logger::info(
+			'Object moved from file picker',
+			array(
+				'from'    => $object_key,
+				'to'      => $new_key,
+				'user_id' => get_current_user_id(),
+			)
+		);
+
+		wp_send_json_success(
+			array(
+				'message'     => __( 'File moved', 'cfr2wc' ),
+				'object_key'  => $new_key,
+				'file_name'   => $file_name,
+				'folder_path' => $folder_path,
+			)
+		);
+	}
+
+	/**
+	 * AJAX: Create an empty folder.
+	 */
+	public function ajax_create_folder(): void {
+		check_ajax_referer( 'cfr2wc_product_nonce', 'nonce' );
+
+		if ( ! $this->can_manage_objects() ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied', 'cfr2wc' ) ) );
+		}
+
+		$parent_path = isset( $_POST['folder_path'] ) ? $this->sanitize_folder_path( wp_unslash( $_POST['folder_path'] ) ) : ''; // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+		$folder_name = isset( $_POST['folder_name'] ) ? sanitize_file_name( wp_unslash( $_POST['folder_name'] ) ) : '';
+
+		if ( '' === $folder_name ) {
+			wp_send_json_error( array( 'message' => __( 'Please enter a folder name', 'cfr2wc' ) ) );
+		}
+
+		$folder_path = $this->build_object_key( $parent_path, $folder_name );
+
+		if ( $this->get_request_client()->file_exists( $folder_path . '/' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Folder already exists', 'cfr2wc' ) ) );
+		}
+
+		if ( ! $this->get_request_client()->create_folder( $folder_path ) ) {
+			wp_send_json_error( array( 'message' => __( 'Failed to create folder', 'cfr2wc' ) ) );
+		}
+
+		$this->get_request_cache_manager()->add_folder_to_tree( $folder_path );
+
+		wp_send_json_success(
+			array(
+				'message'     => __( 'Folder created', 'cfr2wc' ),
+				'folder_path' => $folder_path,
+			)
+		);
+	}
+
+	/**
+	 * AJAX: Sync R2 files.
+	 */
+	public function ajax_sync_r2_files(): void {
+		check_ajax_referer( 'cfr2wc_product_nonce', 'nonce' );
+
+		// phpcs:ignore WordPress.WP.Capabilities.Unknown
+		if ( ! current_user_can( 'edit_products' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied', 'cfr2wc' ) ) );
+		}
+
+		$state = $this->background_sync->start( $this->get_request_cache_manager()->get_bucket() );
+
+		if ( 'failed' === $state['status'] ) {
+			wp_send_json_error( $state );
+		}
+
+		wp_send_json_success( $state );
+	}
+
+	/**
+	 * AJAX: Get the progress of a background sync.
+	 */
+	public function ajax_sync_status(): void {
+		check_ajax_referer( 'cfr2wc_product_nonce', 'nonce' );
+
+		// phpcs:ignore WordPress.WP.Capabilities.Unknown
+		if ( ! current_user_can( 'edit_products' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied', 'cfr2wc' ) ) );
+		}
+
+		$bucket = $this->get_request_cache_manager()->get_bucket();
+		$state  = $this->background_sync->get_status( $bucket );
+
+		// Starting a running sync only schedules it again when it stalled.
+		if ( 'running' === $state['status'] ) {
+			$state = $this->background_sync->start( $bucket );
+		}
+
+		wp_send_json_success( $state );
 	}
 }
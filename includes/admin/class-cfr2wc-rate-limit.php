@@ -0,0 +1,80 @@
+<?php
+/**
+ * Rate Limits
+ *
+ * @package CloudflareR2WC
+ */
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * CloudflareR2WC Rate Limit Class
+ *
+ * Counts operations per user in a transient that expires after the time window.
+ */
+class CFR2WC_Rate_Limit {
+	/**
+	 * Count an operation if the current user is within the limit
+	 *
+	 * @param string $operation Operation name (e.g., 'upload', 'sync').
+	 * @param int    $limit Maximum operations allowed.
+	 * @param int    $window Time window in seconds.
+	 * @return bool True if within limit, false otherwise.
+	 */
+	public static function hit( string $operation, int $limit, int $window ): bool {
+		$key     = self::get_key( $operation );
+		$current = get_transient( $key );
+
+		if ( false === $current ) {
+			// First operation in this window.
+			set_transient( $key, 1, $window );
+			return true;
+		}
+
+		if ( $current >= $limit ) {
+			CFR2WC_Logger::warning(
+				'Rate limit exceeded',
+				array(
+					'operation' => $operation,
+					'user_id'   => get_current_user_id(),
+					'limit'     => $limit,
+				)
+			);
+			return false;
+		}
+
+		// Increment counter.
+		set_transient( $key, $current + 1, $window );
+		return true;
+	}
+
+	/**
+	 * Give back an operation counted by hit()
+	 *
+	 * For operations that failed or were aborted before they had any effect.
+	 *
+	 * @param string $operation Operation name (e.g., 'upload', 'sync').
+	 * @param int    $window Time window in seconds.
+	 */
+	public static function release( string $operation, int $window ): void {
+		$key     = self::get_key( $operation );
+		$current = (int) get_transient( $key );
+
+		if ( $current > 0 ) {
+			set_transient( $key, $current - 1, $window );
+		}
+	}
+
+	/**
+	 * Get the transient key counting an operation for the current user
+	 *
+	 * @param string $operation Operation name.
+	 * @return string Transient key.
+	 */
+	private static function get_key( string $operation ): string {
+		return 'cfr2wc_rate_' . $operation . '_' . get_current_user_id();
+	}
+}
@@ -0,0 +1,294 @@
+<?php
+/**
+ * Versioned Releases
+ *
+ * @package CloudflareR2WC
+ */
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * CloudflareR2WC Releases Class
+ *
+ * Publishes new versions of a product download. The product editor uploads the new file under a
+ * versioned key (e.g. product/1.4.0/file.zip), then the download is pointed at it in one save.
+ * Download IDs are kept, so customers get the new version with their existing links. Earlier
+ * versions stay in R2 and in the product's release history, from where they can be rolled back.
+ */
+class CFR2WC_Releases {
+	/**
+	 * Product meta holding the release history, keyed by download ID
+	 */
+	const META_KEY = '_cfr2wc_releases';
+
+	/**
+	 * Maximum number of versions kept in the history of a download
+	 */
+	const HISTORY_LIMIT = 50;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param CFR2WC_Bucket_Manager $bucket_manager Bucket manager.
+	 */
+	public function __construct( private readonly CFR2WC_Bucket_Manager $bucket_manager ) {
+		add_action( 'wp_ajax_cfr2wc_get_releases', array( $this, 'ajax_get_releases' ) );
+		add_action( 'wp_ajax_cfr2wc_publish_release', array( $this, 'ajax_publish_release' ) );
+		add_action( 'wp_ajax_cfr2wc_rollback_release', array( $this, 'ajax_rollback_release' ) );
+	}
+
+	/**
+	 * Check if a version can be used as a folder name
+	 *
+	 * @param string $version Version, e.g. "1.4.0" or "v2-beta".
+	 */
+	public static function is_valid_version( string $version ): bool {
+		return 1 === preg_match( '/^[A-Za-z0-9](?:[A-Za-z0-9._-]{0,62}[A-Za-z0-9])?$/', $version );
+	}
+
+	/**
+	 * Get the folder that holds the version folders of a download
+	 *
+	 * Files that already sit in a version folder get their new versions next to it, other files
+	 * get a version folder inside their own folder.
+	 *
+	 * @param string $object_key Object key of the current file.
+	 * @param string $current_version Version of the current file, empty when unknown.
+	 * @return string Folder path without leading/trailing slashes, empty for the bucket root.
+	 */
+	public static function get_base_folder( string $object_key, string $current_version = '' ): string {
+		$folder = dirname( $object_key );
+
+		if ( '.' === $folder ) {
+			return '';
+		}
+
+		$last = basename( $folder );
+
+		if ( ( '' !== $current_version && $last === $current_version ) || 1 === preg_match( '/^v?\d+(?:\.\d+)+(?:[._-][A-Za-z0-9]+)*$/', $last ) ) {
+			$folder = dirname( $folder );
+		}
+
+		return '.' === $folder ? '' : $folder;
+	}
+
+	/**
+	 * Check the nonce and permission, and load the requested download.
+	 *
+	 * Ends the request with an error when the download can't be released.
+	 *
+	 * @return array Product, downloads and download ID.
+	 */
+	private function get_request_download(): array {
+		check_ajax_referer( 'cfr2wc_product_nonce', 'nonce' );
+
+		$product_id  = isset( $_POST['product_id'] ) ? absint( $_POST['product_id'] ) : 0;
+		$download_id = isset( $_POST['download_id'] ) ? sanitize_text_field( wp_unslash( $_POST['download_id'] ) ) : '';
+
+		// phpcs:ignore WordPress.WP.Capabilities.Unknown
+		if ( ! $product_id || ! current_user_can( 'edit_product', $product_id ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied', 'cfr2wc' ) ) );
+		}
+
+		$product   = wc_get_product( $product_id );
+		$downloads = $product ? $product->get_downloads() : array();
+
+		// Rows added since the last save have no download ID yet.
+		if ( '' === $download_id || ! isset( $downloads[ $download_id ] ) ) {
+			wp_send_json_error( array( 'message' => __( 'Save the product first. New versions can only be published for saved downloads.', 'cfr2wc' ) ) );
+		}
+
+		if ( '' === CFR2WC_Shortcode::get_object_key( (string) $downloads[ $download_id ]->get_file() ) ) {
+			wp_send_json_error( array( 'message' => __( 'This download does not use an R2 file.', 'cfr2wc' ) ) );
+		}
+
+		return array( $product, $downloads, $download_id );
+	}
+
+	/**
+	 * Get the release history of a download.
+	 *
+	 * @param WC_Product $product Product or variation.
+	 * @param string     $download_id Download ID.
+	 * @return array Entries with version, object_key, note, date and user_id, oldest first.
+	 */
+	private function get_history( $product, string $download_id ): array {
+		$releases = $product->get_meta( self::META_KEY );
+
+		return is_array( $releases ) && isset( $releases[ $download_id ] ) && is_array( $releases[ $download_id ] ) ? $releases[ $download_id ] : array();
+	}
+
+	/**
+	 * Save the release history of a download, keeping the newest HISTORY_LIMIT entries.
+	 *
+	 * @param WC_Product $product Product or variation.
+	 * @param string     $download_id Download ID.
+	 * @param array      $history Entries, oldest first.
+	 */
+	private function set_history( $product, string $download_id, array $history ): void {
+		$releases = $product->get_meta( self::META_KEY );
+		$releases = is_array( $releases ) ? $releases : array();
+
+		$releases[ $download_id ] = array_slice( $history, -self::HISTORY_LIMIT );
+
+		$product->update_meta_data( self::META_KEY, $releases );
+	}
+
+	/**
+	 * Build the response describing a download's releases.
+	 *
+	 * @param WC_Product $product Product or variation.
+	 * @param string     $download_id Download ID.
+	 * @param string     $file Current file of the download.
+	 * @return array File, base_folder, current_version and history (newest first).
+	 */
+	private function get_response( $product, string $download_id, string $file ): array {
+		$object_key      = CFR2WC_Shortcode::get_object_key( $file );
+		$history         = $this->get_history( $product, $download_id );
+		$current_version = '';
+		$entries         = array();
+
+		foreach ( $history as $index => $entry ) {
+			$user    = $entry['user_id'] ? get_userdata( $entry['user_id'] ) : false;
+			$current = $entry['object_key'] === $object_key;
+
+			if ( $current ) {
+				$current_version = $entry['version'];
+			}
+
+			$entries[] = array(
+				'index'      => $index,
+				'version'    => $entry['version'],
+				'object_key' => $entry['object_key'],
+				'note'       => $entry['note'],
+				'date'       => $entry['date'] ? wp_date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), $entry['date'] ) : '',
+				'user'       => $user ? $user->display_name : '',
+				'current'    => $current,
+			);
+		}
+
+		return array(
+			'file'            => $file,
+			'base_folder'     => self::get_base_folder( $object_key, $current_version ),
+			'current_version' => $current_version,
+			'history'         => array_reverse( $entries ),
+		);
+	}
+
+	/**
+	 * AJAX: Get the release history of a download.
+	 */
+	public function ajax_get_releases(): void {
+		list( $product, $downloads, $download_id ) = $this->get_request_download();
+
+		wp_send_json_success( $this->get_response( $product, $download_id, (string) $downloads[ $download_id ]->get_file() ) );
+	}
+
+	/**
+	 * AJAX: Point a download at a newly uploaded version.
+	 */
+	public function ajax_publish_release(): void {
+		list( $product, $downloads, $download_id ) = $this->get_request_download();
+
+		$version    = isset( $_POST['version'] ) ? sanitize_text_field( wp_unslash( $_POST['version'] ) ) : '';
+		$note       = isset( $_POST['note'] ) ? sanitize_textarea_field( wp_unslash( $_POST['note'] ) ) : '';
+		$object_key = isset( $_POST['object_key'] ) ? sanitize_text_field( wp_unslash( $_POST['object_key'] ) ) : '';
+		$file       = (string) $downloads[ $download_id ]->get_file();
+		$history    = $this->get_history( $product, $download_id );
+
+		if ( ! self::is_valid_version( $version ) ) {
+			wp_send_json_error( array( 'message' => __( 'Enter a version such as 1.4.0, using letters, numbers, dots, dashes and underscores.', 'cfr2wc' ) ) );
+		}
+
+		if ( in_array( $version, array_column( $history, 'version' ), true ) ) {
+			wp_send_json_error( array( 'message' => __( 'This version was already published for this download.', 'cfr2wc' ) ) );
+		}
+
+		$client = $this->bucket_manager->get_client( CFR2WC_Shortcode::get_bucket( $file ) );
+
+		if ( '' === $object_key || ! $client || ! $client->file_exists( $object_key ) ) {
+			wp_send_json_error( array( 'message' => __( 'The uploaded file was not found in R2.', 'cfr2wc' ) ) );
+		}
+
+		// Keep the file from before versioning started so it can be rolled back to.
+		if ( empty( $history ) ) {
+			$history[] = array(
+				'version'    => '',
+				'object_key' => CFR2WC_Shortcode::get_object_key( $file ),
+				'note'       => '',
+				'date'       => 0,
+				'user_id'    => 0,
+			);
+		}
+
+		$history[] = array(
+			'version'    => $version,
+			'object_key' => $object_key,
+			'note'       => $note,
+			'date'       => time(),
+			'user_id'    => get_current_user_id(),
+		);
+
+		$new_file = CFR2WC_Shortcode::replace_object( $file, $object_key );
+
+		$downloads[ $download_id ]->set_file( $new_file );
+		$product->set_downloads( $downloads );
+		$this->set_history( $product, $download_id, $history );
+		$product->save();
+
+		CFR2WC_Logger::info(
+			'Published new download version',
+			array(
+				'product_id'  => $product->get_id(),
+				'download_id' => $download_id,
+				'version'     => $version,
+				'object_key'  => $object_key,
+			)
+		);
+
+		wp_send_json_success( $this->get_response( $product, $download_id, $new_file ) );
+	}
+
+	/**
+	 * AJAX: Point a download back at an earlier version.
+	 */
+	public function ajax_rollback_release(): void {
+		list( $product, $downloads, $download_id ) = $this->get_request_download();
+
+		$index   = isset( $_POST['index'] ) ? absint( $_POST['index'] ) : -1;
+		$history = $this->get_history( $product, $download_id );
+
+		if ( ! isset( $history[ $index ] ) ) {
+			wp_send_json_error( array( 'message' => __( 'Unknown version', 'cfr2wc' ) ) );
+		}
+
+		$file   = (string) $downloads[ $download_id ]->get_file();
+		$client = $this->bucket_manager->get_client( CFR2WC_Shortcode::get_bucket( $file ) );
+
+		if ( ! $client || ! $client->file_exists( $history[ $index ]['object_key'] ) ) {
+			wp_send_json_error( array( 'message' => __( 'The file of this version no longer exists in R2.', 'cfr2wc' ) ) );
+		}
+
+		// Other attributes, like the download filename, may have changed since and are kept.
+		$new_file = CFR2WC_Shortcode::replace_object( $file, $history[ $index ]['object_key'] );
+
+		$downloads[ $download_id ]->set_file( $new_file );
+		$product->set_downloads( $downloads );
+		$product->save();
+
+		CFR2WC_Logger::info(
+			'Rolled back download version',
+			array(
+				'product_id'  => $product->get_id(),
+				'download_id' => $download_id,
+				'version'     => $history[ $index ]['version'],
+				'object_key'  => $history[ $index ]['object_key'],
+			)
+		);
+
+		wp_send_json_success( $this->get_response( $product, $download_id, $new_file ) );
+	}
+}
@@ -0,0 +1,446 @@
+<?php
+/**
+ * Settings Import/Export
+ *
+ * @package CloudflareR2WC
+ */
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * CloudflareR2WC Settings Transfer Class
+ *
+ * Exports the plugin options to a JSON document and validates documents for import.
+ * The settings field definitions double as the import schema.
+ */
+class CFR2WC_Settings_Transfer {
+	/**
+	 * Format marker of exported documents
+	 */
+	const FORMAT = 'cfr2wc-settings';
+
+	/**
+	 * Version of the document layout
+	 */
+	const SCHEMA_VERSION = 1;
+
+	/**
+	 * Options holding credentials
+	 */
+	const SECRET_OPTIONS = array( 'cfr2wc_access_key_id', 'cfr2wc_secret_access_key' );
+
+	/**
+	 * Bucket profile keys holding credentials
+	 */
+	const PROFILE_SECRETS = array( 'access_key_id', 'secret_access_key' );
+
+	/**
+	 * Bucket profile keys
+	 */
+	const PROFILE_KEYS = array( 'name', 'endpoint', 'access_key_id', 'secret_access_key', 'bucket_name', 'custom_domain' );
+
+	/**
+	 * Constructor
+	 *
+	 * @param array $fields Settings field definitions, keyed by option name.
+	 */
+	public function __construct( private readonly array $fields ) {}
+
+	/**
+	 * Export the options
+	 *
+	 * Credentials are only exported encrypted. They can be imported on sites with the same salts.
+	 *
+	 * @param bool $include_secrets Whether to include the encrypted credentials.
+	 * @return array Settings document.
+	 */
+	public function export( bool $include_secrets ): array {
+		$options = array();
+
+		foreach ( $this->fields as $id => $field ) {
+			$value = get_option( $id, $field['default'] ?? '' );
+
+			if ( in_array( $id, self::SECRET_OPTIONS, true ) ) {
+				if ( ! $include_secrets || ! is_string( $value ) || ! CFR2WC_Encryption::is_encrypted( $value ) ) {
+					continue;
+				}
+			} elseif ( CFR2WC_Bucket_Manager::OPTION_NAME === $id ) {
+				$value = $this->export_profiles( is_array( $value ) ? $value : array(), $include_secrets );
+			}
+
+			$options[ $id ] = $value;
+		}
+
+		return array(
+			'format'         => self::FORMAT,
+			'schema'         => self::SCHEMA_VERSION,
+			'plugin_version' => CFR2WC_VERSION,
+			'site_url'       => home_url(),
+			'exported_at'    => gmdate( 'c' ),
+			'secrets'        => $include_secrets ? 'encrypted' : 'omitted',
+			'options'        => $options,
+		);
+	}
+
+	/**
+	 * Prepare the bucket profiles for export
+	 *
+	 * @param array $profiles Stored profiles.
+	 * @param bool  $include_secrets Whether to include the encrypted credentials.
+	 */
+	private function export_profiles( array $profiles, bool $include_secrets ): array {
+		return array_map(
+			function ( $profile ) use ( $include_secrets ) {
+				$profile = array_intersect_key( (array) $profile, array_flip( self::PROFILE_KEYS ) );
+
+				if ( ! $include_secrets ) {
+					$profile = array_diff_key( $profile, array_flip( self::PROFILE_SECRETS ) );
+				}
+
+				return $profile;
+			},
+			array_values( $profiles )
+		);
+	}
+
+	/**
+	 * Validate a settings document
+	 *
+	 * Invalid values are errors and block the import. Values that cannot be used on this site,
+	 * e.g. credentials encrypted with other salts, are left out with a warning.
+	 *
+	 * @param mixed $document Decoded settings document.
+	 * @return array Validated options keyed by option name, errors and warnings.
+	 */
+	public function validate( $document ): array {
+		$result = array(
+			'options'  => array(),
+			'errors'   => array(),
+			'warnings' => array(),
+		);
+
+		if ( ! is_array( $document ) || self::FORMAT !== ( $document['format'] ?? '' ) || ! is_array( $document['options'] ?? null ) ) {
+			$result['errors'][] = __( 'This file is not a Cloudflare R2 settings export.', 'cfr2wc' );
+			return $result;
+		}
+
+		if ( ! is_int( $document['schema'] ?? null ) || $document['schema'] > self::SCHEMA_VERSION ) {
+			$result['errors'][] = __( 'This file was exported by a newer version of the plugin. Update the plugin on this site before importing it.', 'cfr2wc' );
+			return $result;
+		}
+
+		foreach ( $document['options'] as $id => $value ) {
+			$id = (string) $id;
+
+			if ( ! isset( $this->fields[ $id ] ) ) {
+				/* translators: %s: option name. */
+				$result['warnings'][] = sprintf( __( '"%s" is not a setting of this plugin version and was ignored.', 'cfr2wc' ), $id );
+				continue;
+			}
+
+			if ( in_array( $id, self::SECRET_OPTIONS, true ) ) {
+				if ( $this->can_decrypt( $value ) ) {
+					$result['options'][ $id ] = $value;
+				} else {
+					/* translators: %s: setting title. */
+					$result['warnings'][] = sprintf( __( '%s cannot be decrypted on this site, it was probably exported from a site with other security salts. The current value is kept.', 'cfr2wc' ), $this->get_label( $id ) );
+				}
+				continue;
+			}
+
+			try {
+				if ( CFR2WC_Bucket_Manager::OPTION_NAME === $id ) {
+					$result['options'][ $id ] = $this->validate_profiles( $value, $document['options']['cfr2wc_bucket_name'] ?? get_option( 'cfr2wc_bucket_name', '' ), $result['warnings'] );
+				} else {
+					$result['options'][ $id ] = $this->validate_value( $this->fields[ $id ], $value );
+				}
+			} catch ( InvalidArgumentException $e ) {
+				/* translators: %1$s: setting title, %2$s: validation error. */
+				$result['errors'][] = sprintf( __( '%1$s: %2$s', 'cfr2wc' ), $this->get_label( $id ), $e->getMessage() );
+			}
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Validate a single option value against its field definition
+	 *
+	 * @param array $field Field definition.
+	 * @param mixed $value Imported value.
+	 * @return string Clean value.
+	 * @throws InvalidArgumentException When the value does not fit the field.
+	 */
+	private function validate_value( array $field, $value ): string {
+		if ( ! is_scalar( $value ) ) {
+			throw new InvalidArgumentException( __( 'Expected a single value.', 'cfr2wc' ) );
+		}
+
+		$value = (string) $value;
+
+		switch ( $field['type'] ) {
+			case 'checkbox':
+				if ( ! in_array( $value, array( 'yes', 'no' ), true ) ) {
+					throw new InvalidArgumentException( __( 'Expected "yes" or "no".', 'cfr2wc' ) );
+				}
+				return $value;
+
+			case 'select':
+			case 'radio':
+				if ( ! array_key_exists( $value, $field['options'] ?? array() ) ) {
+					/* translators: %s: comma-separated list of allowed values. */
+					throw new InvalidArgumentException( sprintf( __( 'Expected one of: %s.', 'cfr2wc' ), implode( ', ', array_keys( $field['options'] ?? array() ) ) ) );
+				}
+				return $value;
+
+			case 'textarea':
+				$value = sanitize_textarea_field( $value );
+
+				if ( 'metadata' === ( $field['custom_attributes']['data-cfr2wc-validate'] ?? '' ) ) {
+					$value = CFR2WC_Object_Headers::format_metadata( CFR2WC_Object_Headers::validate_metadata( CFR2WC_Object_Headers::parse_metadata( $value ) ) );
+				}
+				return $value;
+
+			case 'number':
+				$min = $field['custom_attributes']['min'] ?? null;
+				$max = $field['custom_attributes']['max'] ?? null;
+
+				if ( ! ctype_digit( $value ) || ( null !== $min && (int) $value < (int) $min ) || ( null !== $max && (int) $value > (int) $max ) ) {
+					/* translators: %1$s: minimum, %2$s: maximum. */
+					throw new InvalidArgumentException( sprintf( __( 'Expected a whole number from %1$s to %2$s.', 'cfr2wc' ), $min ?? '0', $max ?? '∞' ) );
+				}
+				return $value;
+		}
+
+		$value = trim( sanitize_text_field( $value ) );
+
+		if ( '' === $value ) {
+			return $value;
+		}
+
+		switch ( $field['custom_attributes']['data-cfr2wc-validate'] ?? '' ) {
+			case 'endpoint':
+				$check = CFR2WC_Connection_Diagnostics::check_endpoint( $value );
+
+				if ( 'fail' === $check['status'] ) {
+					throw new InvalidArgumentException( $check['message'] );
+				}
+				break;
+
+			case 'bucket':
+				$this->validate_bucket( $value );
+				break;
+
+			case 'key_template':
+				$value = CFR2WC_Key_Template::validate( $value );
+				break;
+		}
+
+		return $value;
+	}
+
+	/**
+	 * Validate the bucket profiles
+	 *
+	 * Profiles exported without credentials keep the stored credentials of the profile with the same bucket.
+	 *
+	 * @param mixed $value Imported profiles.
+	 * @param mixed $default_bucket Bucket of the default connection after the import.
+	 * @param array $warnings Warnings, passed by reference.
+	 * @return array Clean profiles.
+	 * @throws InvalidArgumentException When the profiles are malformed.
+	 */
+	private function validate_profiles( $value, $default_bucket, array &$warnings ): array {
+		if ( ! is_array( $value ) || ! array_is_list( $value ) ) {
+			throw new InvalidArgumentException( __( 'Expected a list of profiles.', 'cfr2wc' ) );
+		}
+
+		$stored = array();
+
+		foreach ( CFR2WC_Bucket_Manager::get_stored_profiles() as $profile ) {
+			$stored[ $profile['bucket_name'] ?? '' ] = $profile;
+		}
+
+		$buckets  = array( (string) $default_bucket );
+		$profiles = array();
+
+		foreach ( $value as $row ) {
+			if ( ! is_array( $row ) || array_filter( $row, fn( $item ) => ! is_string( $item ) ) ) {
+				throw new InvalidArgumentException( __( 'Each profile must be an object of text values.', 'cfr2wc' ) );
+			}
+
+			$bucket = $this->validate_bucket( strtolower( trim( $row['bucket_name'] ?? '' ) ) );
+
+			if ( in_array( $bucket, $buckets, true ) ) {
+				/* translators: %s: bucket name. */
+				throw new InvalidArgumentException( sprintf( __( 'The bucket "%s" has more than one profile.', 'cfr2wc' ), $bucket ) );
+			}
+
+			$profile = array(
+				'name'          => sanitize_text_field( $row['name'] ?? '' ),
+				'endpoint'      => esc_url_raw( $row['endpoint'] ?? '', array( 'https' ) ),
+				'bucket_name'   => $bucket,
+				'custom_domain' => esc_url_raw( $row['custom_domain'] ?? '', array( 'http', 'https' ) ),
+			);
+
+			foreach ( self::PROFILE_SECRETS as $key ) {
+				if ( $this->can_decrypt( $row[ $key ] ?? null ) ) {
+					$profile[ $key ] = $row[ $key ];
+				} else {
+					$profile[ $key ] = $stored[ $bucket ][ $key ] ?? '';
+				}
+			}
+
+			if ( '' === $profile['access_key_id'] || '' === $profile['secret_access_key'] ) {
+				/* translators: %s: bucket name. */
+				$warnings[] = sprintf( __( 'The profile for "%s" has no usable credentials. Enter them in the Bucket Profiles section after the import.', 'cfr2wc' ), $bucket );
+			}
+
+			$buckets[]  = $bucket;
+			$profiles[] = array_merge( array_flip( self::PROFILE_KEYS ), $profile );
+		}
+
+		return $profiles;
+	}
+
+	/**
+	 * Validate a bucket name
+	 *
+	 * @param string $bucket Bucket name.
+	 * @return string Bucket name.
+	 * @throws InvalidArgumentException When the name is not a valid bucket name.
+	 */
+	private function validate_bucket( string $bucket ): string {
+		if ( ! preg_match( '/^[a-z0-9][a-z0-9-]{1,61}[a-z0-9]$/', $bucket ) ) {
+			/* translators: %s: bucket name. */
+			throw new InvalidArgumentException( sprintf( __( '"%s" is not a valid bucket name.', 'cfr2wc' ), $bucket ) );
+		}
+
+		return $bucket;
+	}
+
+	/**
+	 * Check if an imported credential can be decrypted on this site
+	 *
+	 * @param mixed $value Imported credential.
+	 */
+	private function can_decrypt( $value ): bool {
+		return is_string( $value )
+			&& CFR2WC_Encryption::is_encrypted( $value )
+			&& CFR2WC_Encryption::decrypt( $value ) !== $value;
+	}
+
+	/**
+	 * Get the options an import would change
+	 *
+	 * @param array $options Validated options.
+	 * @return array Changes with option, label, current and imported display values.
+	 */
+	public function get_changes( array $options ): array {
+		$changes = array();
+
+		foreach ( $options as $id => $value ) {
+			$current = get_option( $id, $this->fields[ $id ]['default'] ?? '' );
+
+			if ( $this->normalize( $current ) === $this->normalize( $value ) ) {
+				continue;
+			}
+
+			$changes[] = array(
+				'option'   => $id,
+				'label'    => $this->get_label( $id ),
+				'current'  => $this->format_value( $id, $current ),
+				'imported' => $this->format_value( $id, $value ),
+			);
+		}
+
+		return $changes;
+	}
+
+	/**
+	 * Apply validated options
+	 *
+	 * @param array $options Validated options.
+	 * @return int Number of changed options.
+	 */
+	public function apply( array $options ): int {
+		$changed = 0;
+
+		foreach ( $this->get_changes( $options ) as $change ) {
+			update_option( $change['option'], $options[ $change['option'] ] );
+			++$changed;
+		}
+
+		return $changed;
+	}
+
+	/**
+	 * Normalize a value for comparison
+	 *
+	 * Encrypted values differ on every encryption, so they are compared decrypted.
+	 *
+	 * @param mixed $value Option value.
+	 * @return mixed Comparable value.
+	 */
+	private function normalize( $value ) {
+		if ( is_array( $value ) ) {
+			return array_map( array( $this, 'normalize' ), $value );
+		}
+
+		$value = (string) $value;
+
+		return CFR2WC_Encryption::is_encrypted( $value ) ? CFR2WC_Encryption::decrypt( $value ) : $value;
+	}
+
+	/**
+	 * Format an option value for the import preview
+	 *
+	 * @param string $id Option name.
+	 * @param mixed  $value Option value.
+	 */
+	private function format_value( string $id, $value ): string {
+		if ( CFR2WC_Bucket_Manager::OPTION_NAME === $id ) {
+			$profiles = array_map(
+				/* translators: %1$s: profile name, %2$s: bucket name. */
+				fn( $profile ) => sprintf( __( '%1$s (%2$s)', 'cfr2wc' ), $profile['name'] ?? '', $profile['bucket_name'] ?? '' ),
+				is_array( $value ) ? $value : array()
+			);
+
+			return $profiles ? implode( ', ', $profiles ) : __( '(none)', 'cfr2wc' );
+		}
+
+		$value = (string) $value;
+
+		if ( '' === $value ) {
+			return __( '(empty)', 'cfr2wc' );
+		}
+
+		if ( in_array( $id, self::SECRET_OPTIONS, true ) ) {
+			return __( '(hidden)', 'cfr2wc' );
+		}
+
+		$field = $this->fields[ $id ];
+
+		if ( 'checkbox' === $field['type'] ) {
+			return 'yes' === $value ? __( 'Yes', 'cfr2wc' ) : __( 'No', 'cfr2wc' );
+		}
+
+		if ( isset( $field['options'][ $value ] ) ) {
+			return wp_strip_all_tags( $field['options'][ $value ] );
+		}
+
+		return $value;
+	}
+
+	/**
+	 * Get the title of an option
+	 *
+	 * @param string $id Option name.
+	 */
+	private function get_label( string $id ): string {
+		return wp_strip_all_tags( $this->fields[ $id ]['title'] ?? $id );
+	}
+}
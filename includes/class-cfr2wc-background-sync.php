@@ -0,0 +1,302 @@
+<?php
+/**
+ * Background File Cache Sync
+ *
+ * @package CloudflareR2WC
+ */
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * CloudflareR2WC Background Sync Class
+ *
+ * Syncs a bucket's file cache in batches run by Action Scheduler, or WP-Cron when Action Scheduler
+ * isn't loaded. The listing position is saved after every page, so a sync that is interrupted
+ * carries on where it stopped. The picker polls get_status() for progress.
+ */
+class CFR2WC_Background_Sync {
+	/**
+	 * Hook that runs one batch
+	 */
+	const HOOK = 'cfr2wc_sync_batch';
+
+	/**
+	 * Action Scheduler group
+	 */
+	const GROUP = 'cfr2wc';
+
+	/**
+	 * Prefix of the options holding the sync state, followed by the md5 of the bucket name
+	 */
+	const STATE_OPTION_PREFIX = 'cfr2wc_sync_';
+
+	/**
+	 * Prefix of the transients that keep two batches for the same bucket from running at once
+	 */
+	const LOCK_TRANSIENT_PREFIX = 'cfr2wc_sync_lock_';
+
+	/**
+	 * Maximum number of listing pages (1000 objects each) per batch
+	 */
+	const PAGES_PER_BATCH = 5;
+
+	/**
+	 * Seconds after which a batch stops listing new pages
+	 */
+	const BATCH_TIME_LIMIT = 20;
+
+	/**
+	 * Seconds without progress after which a running sync is scheduled again
+	 */
+	const STALE_AFTER = 5 * MINUTE_IN_SECONDS;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param CFR2WC_Bucket_Manager $bucket_manager Bucket manager.
+	 */
+	public function __construct( private readonly CFR2WC_Bucket_Manager $bucket_manager ) {
+		add_action( self::HOOK, array( $this, 'run_batch' ) );
+	}
+
+	/**
+	 * Start a sync of a bucket, unless one is already running.
+	 *
+	 * A running sync that made no progress for STALE_AFTER seconds is scheduled again; WP-Cron only
+	 * runs on page loads and a fatal error ends a batch without scheduling the next one.
+	 *
+	 * @param string $bucket Bucket name, empty for the default bucket.
+	 * @return array Sync state, see get_status().
+	 */
+	public function start( string $bucket ): array {
+		$bucket        = $this->bucket_manager->resolve_bucket( $bucket );
+		$cache_manager = $this->bucket_manager->get_cache_manager( $bucket );
+		$state         = $this->get_status( $bucket );
+
+		if ( ! $cache_manager ) {
+			$state['status']  = 'failed';
+			$state['message'] = __( 'Unknown bucket', 'cfr2wc' );
+
+			return $state;
+		}
+
+		if ( 'running' === $state['status'] ) {
+			if ( time() - $state['updated_at'] > self::STALE_AFTER ) {
+				$state['updated_at'] = time();
+				$this->save_state( $bucket, $state );
+				$this->schedule( $bucket );
+			}
+
+			return $state;
+		}
+
+		$state = array_merge(
+			$this->get_default_state( $bucket ),
+			array(
+				'status'     => 'running',
+				'started_at' => current_time( 'mysql' ),
+				// The previous cache size is the best guess for the number of objects.
+				'total'      => $cache_manager->count_cached(),
+				'updated_at' => time(),
+			)
+		);
+
+		$this->save_state( $bucket, $state );
+		$this->schedule( $bucket );
+
+		CFR2WC_Logger::info( 'Background sync started', array( 'bucket' => $bucket ) );
+
+		return $state;
+	}
+
+	/**
+	 * Get the sync state of a bucket.
+	 *
+	 * @param string $bucket Bucket name, empty for the default bucket.
+	 * @return array State with bucket, status (idle, running, complete or failed), processed, total (estimated),
+	 *               new, updated, unchanged, deleted, message and updated_at.
+	 */
+	public function get_status( string $bucket ): array {
+		$bucket = $this->bucket_manager->resolve_bucket( $bucket );
+		$state  = get_option( $this->get_state_option( $bucket ), array() );
+
+		return array_merge( $this->get_default_state( $bucket ), is_array( $state ) ? $state : array() );
+	}
+
+	/**
+	 * Sync the next pages of a bucket and schedule the batch after it.
+	 *
+	 * @param string $bucket Bucket name.
+	 */
+	public function run_batch( string $bucket ): void {
+		$state = $this->get_status( $bucket );
+
+		if ( 'running' !== $state['status'] ) {
+			return;
+		}
+
+		$lock = self::LOCK_TRANSIENT_PREFIX . md5( $bucket );
+
+		if ( get_transient( $lock ) ) {
+			return;
+		}
+
+		set_transient( $lock, time(), self::STALE_AFTER );
+
+		$cache_manager = $this->bucket_manager->get_cache_manager( $bucket );
+		$batch_started = time();
+
+		for ( $i = 0; $i < self::PAGES_PER_BATCH && time() - $batch_started < self::BATCH_TIME_LIMIT; $i++ ) {
+			$page = $cache_manager ? $cache_manager->sync_page( $state['token'] ) : false;
+
+			if ( false === $page ) {
+				$state['status']  = 'failed';
+				$state['message'] = __( 'Failed to list R2 objects', 'cfr2wc' );
+
+				CFR2WC_Logger::error(
+					'Background sync failed',
+					array(
+						'bucket'    => $bucket,
+						'processed' => $state['processed'],
+					)
+				);
+				break;
+			}
+
+			$state['token']      = $page['next_token'];
+			$state['processed'] += $page['listed'];
+			$state['new']       += $page['new'];
+			$state['updated']   += $page['updated'];
+			$state['unchanged'] += $page['unchanged'];
+			$state['folders']    = array_merge( $state['folders'], $page['folders'] );
+			$state['total']      = max( $state['total'], $state['processed'] );
+			$state['updated_at'] = time();
+
+			if ( ! $state['token'] ) {
+				$state = $this->finish( $cache_manager, $state );
+				break;
+			}
+
+			$this->save_state( $bucket, $state );
+		}
+
+		$this->save_state( $bucket, $state );
+		delete_transient( $lock );
+
+		if ( 'running' === $state['status'] ) {
+			$this->schedule( $bucket );
+		}
+	}
+
+	/**
+	 * Remove cached files the sync didn't see, rebuild the folder tree and mark it complete.
+	 *
+	 * @param CFR2WC_File_Cache_Manager $cache_manager File cache manager of the bucket.
+	 * @param array                     $state Sync state.
+	 * @return array Updated state.
+	 */
+	private function finish( CFR2WC_File_Cache_Manager $cache_manager, array $state ): array {
+		// An empty listing most likely means a wrong bucket, keep the cache rather than wiping it.
+		if ( $state['processed'] > 0 ) {
+			$state['deleted'] = $cache_manager->delete_stale( $state['started_at'] );
+			$cache_manager->rebuild_folder_tree( $state['folders'] );
+		} else {
+			$cache_manager->clear_folder_tree_cache();
+		}
+
+		// Only needed for the tree, keep the stored state small.
+		$state['folders'] = array();
+
+		$state['status']  = 'complete';
+		$state['total']   = $state['processed'];
+		$state['message'] = sprintf(
+			/* translators: %1$d: number of new files, %2$d: number of updated files, %3$d: number of deleted files. */
+			__( 'Synced %1$d new files, updated %2$d existing, deleted %3$d obsolete', 'cfr2wc' ),
+			$state['new'],
+			$state['updated'] + $state['unchanged'],
+			$state['deleted']
+		);
+
+		CFR2WC_Logger::info(
+			'Background sync complete',
+			array(
+				'bucket'    => $state['bucket'],
+				'processed' => $state['processed'],
+				'new'       => $state['new'],
+				'updated'   => $state['updated'],
+				'deleted'   => $state['deleted'],
+			)
+		);
+
+		return $state;
+	}
+
+	/**
+	 * Schedule the next batch of a bucket.
+	 *
+	 * @param string $bucket Bucket name.
+	 */
+	private function schedule( string $bucket ): void {
+		if ( function_exists( 'as_enqueue_async_action' ) ) {
+			as_enqueue_async_action( self::HOOK, array( $bucket ), self::GROUP );
+		} else {
+			wp_schedule_single_event( time(), self::HOOK, array( $bucket ) );
+		}
+	}
+
+	/**
+	 * Remove all scheduled batches.
+	 */
+	public static function unschedule_all(): void {
+		if ( function_exists( 'as_unschedule_all_actions' ) ) {
+			as_unschedule_all_actions( self::HOOK );
+		}
+
+		wp_unschedule_hook( self::HOOK );
+	}
+
+	/**
+	 * Get the state of a bucket that has never been synced in the background.
+	 *
+	 * @param string $bucket Bucket name.
+	 */
+	private function get_default_state( string $bucket ): array {
+		return array(
+			'bucket'     => $bucket,
+			'status'     => 'idle',
+			'started_at' => '',
+			'token'      => null,
+			'processed'  => 0,
+			'total'      => 0,
+			'new'        => 0,
+			'updated'    => 0,
+			'unchanged'  => 0,
+			'deleted'    => 0,
+			'folders'    => array(), // Folder placeholders seen so far, for the folder tree.
+			'message'    => '',
+			'updated_at' => 0,
+		);
+	}
+
+	/**
+	 * Save the sync state of a bucket.
+	 *
+	 * @param string $bucket Bucket name.
+	 * @param array  $state Sync state.
+	 */
+	private function save_state( string $bucket, array $state ): void {
+		update_option( $this->get_state_option( $bucket ), $state, false );
+	}
+
+	/**
+	 * Get the option name holding the sync state of a bucket.
+	 *
+	 * @param string $bucket Bucket name.
+	 */
+	private function get_state_option( string $bucket ): string {
+		return self::STATE_OPTION_PREFIX . md5( $bucket );
+	}
+}
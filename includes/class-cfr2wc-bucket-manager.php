@@ -0,0 +1,207 @@
+<?php
+/**
+ * Bucket Manager
+ *
+ * @package CloudflareR2WC
+ */
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * CloudflareR2WC Bucket Manager Class
+ *
+ * Resolves bucket names used in shortcodes and the file picker to connection profiles.
+ * The connection configured on the Connection settings section is the default profile;
+ * extra profiles are stored in the cfr2wc_bucket_profiles option.
+ */
+class CFR2WC_Bucket_Manager {
+	/**
+	 * Option holding the extra bucket profiles
+	 */
+	const OPTION_NAME = 'cfr2wc_bucket_profiles';
+
+	/**
+	 * R2 clients, keyed by bucket name
+	 *
+	 * @var CFR2WC_Client[]
+	 */
+	private array $clients = array();
+
+	/**
+	 * File cache managers, keyed by bucket name
+	 *
+	 * @var CFR2WC_File_Cache_Manager[]
+	 */
+	private array $cache_managers = array();
+
+	/**
+	 * Constructor
+	 *
+	 * @param array                     $settings Plugin settings.
+	 * @param CFR2WC_Client             $default_client R2 client for the default bucket.
+	 * @param CFR2WC_File_Cache_Manager $default_cache_manager File cache manager for the default bucket.
+	 */
+	public function __construct( private readonly array $settings, CFR2WC_Client $default_client, CFR2WC_File_Cache_Manager $default_cache_manager ) {
+		$this->clients[ $this->get_default_bucket() ]        = $default_client;
+		$this->cache_managers[ $this->get_default_bucket() ] = $default_cache_manager;
+	}
+
+	/**
+	 * Get the stored extra profiles
+	 *
+	 * Credentials are stored encrypted.
+	 *
+	 * @return array Profiles with name, endpoint, access_key_id, secret_access_key, bucket_name and custom_domain.
+	 */
+	public static function get_stored_profiles(): array {
+		$profiles = get_option( self::OPTION_NAME, array() );
+
+		return is_array( $profiles ) ? array_values( $profiles ) : array();
+	}
+
+	/**
+	 * Get the default bucket name
+	 */
+	public function get_default_bucket(): string {
+		return (string) ( $this->settings['bucket_name'] ?? '' );
+	}
+
+	/**
+	 * Get all profiles, default first
+	 *
+	 * @return array Client settings keyed by bucket name.
+	 */
+	public function get_profiles(): array {
+		$profiles = array(
+			$this->get_default_bucket() => array_merge(
+				$this->settings,
+				array( 'name' => __( 'Default', 'cfr2wc' ) )
+			),
+		);
+
+		foreach ( self::get_stored_profiles() as $profile ) {
+			$bucket = (string) ( $profile['bucket_name'] ?? '' );
+
+			// The default connection wins if a profile reuses its bucket.
+			if ( '' === $bucket || isset( $profiles[ $bucket ] ) ) {
+				continue;
+			}
+
+			// Extra profiles always keep their credentials encrypted in the database.
+			$profiles[ $bucket ] = array_merge( $profile, array( 'credential_storage_mode' => 'database' ) );
+		}
+
+		return $profiles;
+	}
+
+	/**
+	 * Get bucket choices for dropdowns
+	 *
+	 * @return array Bucket name => label.
+	 */
+	public function get_bucket_choices(): array {
+		$choices = array();
+
+		foreach ( $this->get_profiles() as $bucket => $profile ) {
+			/* translators: %1$s: profile name, %2$s: bucket name. */
+			$choices[ $bucket ] = sprintf( __( '%1$s (%2$s)', 'cfr2wc' ), $profile['name'] ?? $bucket, $bucket );
+		}
+
+		return $choices;
+	}
+
+	/**
+	 * Check if a bucket has a profile
+	 *
+	 * @param string $bucket Bucket name.
+	 */
+	public function has_bucket( string $bucket ): bool {
+		return isset( $this->get_profiles()[ $this->resolve_bucket( $bucket ) ] );
+	}
+
+	/**
+	 * Resolve an empty bucket name to the default bucket
+	 *
+	 * @param string $bucket Bucket name, empty for the default bucket.
+	 */
+	public function resolve_bucket( string $bucket ): string {
+		return '' === $bucket ? $this->get_default_bucket() : $bucket;
+	}
+
+	/**
+	 * Resolve the bucket a download shortcode downloads from
+	 *
+	 * Shortcodes from before bucket profiles, including legacy [amazon_s3] shortcodes, may name a
+	 * bucket that has no profile. Those always downloaded from the default bucket, so they still do.
+	 *
+	 * @param string $bucket Bucket name from the shortcode, empty for the default bucket.
+	 */
+	public function resolve_download_bucket( string $bucket ): string {
+		return $this->has_bucket( $bucket ) ? $this->resolve_bucket( $bucket ) : $this->get_default_bucket();
+	}
+
+	/**
+	 * Get the R2 client for a bucket
+	 *
+	 * @param string $bucket Bucket name, empty for the default bucket.
+	 * @return CFR2WC_Client|null Client, or null when the bucket has no profile.
+	 */
+	public function get_client( string $bucket = '' ): ?CFR2WC_Client {
+		$bucket = $this->resolve_bucket( $bucket );
+
+		if ( ! isset( $this->clients[ $bucket ] ) ) {
+			$profiles = $this->get_profiles();
+
+			if ( ! isset( $profiles[ $bucket ] ) ) {
+				return null;
+			}
+
+			$this->clients[ $bucket ] = new CFR2WC_Client( $profiles[ $bucket ] );
+		}
+
+		return $this->clients[ $bucket ];
+	}
+
+	/**
+	 * Get the R2 client for a download shortcode
+	 *
+	 * Buckets without a profile fall back to the default bucket, see resolve_download_bucket().
+	 *
+	 * @param string $bucket Bucket name from the shortcode, empty for the default bucket.
+	 */
+	public function get_download_client( string $bucket = '' ): CFR2WC_Client {
+		$client = $this->get_client( $bucket );
+
+		if ( ! $client ) {
+			CFR2WC_Logger::debug( 'No bucket profile for download, using the default bucket', array( 'bucket' => $bucket ) );
+			$client = $this->get_client();
+		}
+
+		return $client;
+	}
+
+	/**
+	 * Get the file cache manager for a bucket
+	 *
+	 * @param string $bucket Bucket name, empty for the default bucket.
+	 * @return CFR2WC_File_Cache_Manager|null Cache manager, or null when the bucket has no profile.
+	 */
+	public function get_cache_manager( string $bucket = '' ): ?CFR2WC_File_Cache_Manager {
+		$bucket = $this->resolve_bucket( $bucket );
+
+		if ( ! isset( $this->cache_managers[ $bucket ] ) ) {
+			$client = $this->get_client( $bucket );
+
+			if ( ! $client ) {
+				return null;
+			}
+
+			$this->cache_managers[ $bucket ] = new CFR2WC_File_Cache_Manager( $client );
+		}
+
+		return $this->cache_managers[ $bucket ];
+	}
+}
@@ -12,6 +12,7 @@ if ( ! defined( 'ABSPATH' ) ) {
 
 use Aws\S3\S3Client;
 use Aws\Exception\AwsException;
+use Aws\Exception\MultipartUploadException;
 
 /**
  * CloudflareR2WC Client Class
@@ -212,6 +213,118 @@ class CFR2WC_Client {
 		}
 	}
 
+	/**
+	 * Copy an object within the bucket
+	 *
+	 * Objects over 5 GB are copied in parts by the SDK.
+	 *
+	 * @param string $source_key Key of the object to copy.
+	 * @param string $destination_key Key of the copy.
+	 * @return bool Success status
+	 */
+	public function copy_object( string $source_key, string $destination_key ): bool {
+		CFR2WC_Logger::debug(
+			'Copying object in R2',
+			array(
+				'source'      => $source_key,
+				'destination' => $destination_key,
+			)
+		);
+
+		try {
+			$this->client->copy(
+				$this->settings['bucket_name'],
+				$source_key,
+				$this->settings['bucket_name'],
+				$destination_key
+			);
+
+			CFR2WC_Logger::info(
+				'Object copied successfully',
+				array(
+					'source'      => $source_key,
+					'destination' => $destination_key,
+				)
+			);
+			return true;
+		} catch ( AwsException | MultipartUploadException $e ) {
+			CFR2WC_Logger::error( 'Copy failed: ' . $e->getMessage() );
+			return false;
+		}
+	}
+
+	/**
+	 * Add user metadata to an object
+	 *
+	 * Objects can't be changed in place, so the object is copied onto itself with the new metadata,
+	 * keeping its content type and other headers. A single copy is limited to 5 GB, larger objects
+	 * are left unchanged.
+	 *
+	 * @param string $key Object key.
+	 * @param array  $metadata User metadata, merged into the existing metadata.
+	 * @return array|false ETag (without quotes) and LastModified of the updated object, or false on failure.
+	 */
+	public function update_metadata( string $key, array $metadata ): array|false {
+		$head = $this->get_object_metadata( $key );
+
+		if ( false === $head || (int) ( $head['ContentLength'] ?? 0 ) > 5 * 1024 * 1024 * 1024 ) {
+			return false;
+		}
+
+		$args = array(
+			'Bucket'            => $this->settings['bucket_name'],
+			'Key'               => $key,
+			'CopySource'        => $this->settings['bucket_name'] . '/' . str_replace( '%2F', '/', rawurlencode( $key ) ),
+			'MetadataDirective' => 'REPLACE',
+			'Metadata'          => array_merge( $head['Metadata'] ?? array(), $metadata ),
+		);
+
+		// REPLACE drops every header that isn't sent again.
+		foreach ( array( 'ContentType', 'CacheControl', 'ContentDisposition', 'ContentEncoding', 'ContentLanguage' ) as $header ) {
+			if ( ! empty( $head[ $header ] ) ) {
+				$args[ $header ] = $head[ $header ];
+			}
+		}
+
+		try {
+			$result = $this->client->copyObject( $args );
+
+			CFR2WC_Logger::debug( 'Object metadata updated', array( 'key' => $key ) );
+
+			return array(
+				'ETag'         => trim( (string) ( $result['CopyObjectResult']['ETag'] ?? '' ), '"' ),
+				'LastModified' => $result['CopyObjectResult']['LastModified'] ?? null,
+			);
+		} catch ( AwsException $e ) {
+			CFR2WC_Logger::error( 'Failed to update object metadata: ' . $e->getMessage() );
+			return false;
+		}
+	}
+
+	/**
+	 * Create an empty folder marker (zero-byte "folder/" object)
+	 *
+	 * @param string $folder_path Folder path without trailing slash.
+	 * @return bool Success status
+	 */
+	public function create_folder( string $folder_path ): bool {
+		try {
+			$this->client->putObject(
+				array(
+					'Bucket' => $this->settings['bucket_name'],
+					'Key'    => rtrim( $folder_path, '/' ) . '/',
+					'Body'   => '',
+				)
+			);
+
+			CFR2WC_Logger::info( 'Folder created successfully', array( 'folder' => $folder_path ) );
+			return true;
+		} catch ( AwsException $e ) {
+			CFR2WC_Logger::error( 'Failed to create folder: ' . $e->getMessage() );
+			return false;
+		}
+	}
+
 	/**
 	 * Check if file exists in R2
 	 *
@@ -287,9 +400,10 @@ class CFR2WC_Client {
 	 *
 	 * @param string $key Object key/path.
 	 * @param int    $expiration Expiration time in seconds (default 3600 = 1 hour).
+	 * @param array  $response_params Response header overrides (e.g. 'ResponseContentDisposition').
 	 * @return string|false Pre-signed URL or false on failure
 	 */
-	public function get_presigned_url( $key, $expiration = 3600 ): string|false {
+	public function get_presigned_url( $key, $expiration = 3600, array $response_params = array() ): string|false {
 		CFR2WC_Logger::debug(
 			'Generating presigned URL',
 			array(
@@ -301,9 +415,12 @@ class CFR2WC_Client {
 		try {
 			$cmd = $this->client->getCommand(
 				'GetObject',
-				array(
-					'Bucket' => $this->settings['bucket_name'],
-					'Key'    => $key,
+				array_merge(
+					$response_params,
+					array(
+						'Bucket' => $this->settings['bucket_name'],
+						'Key'    => $key,
+					)
 				)
 			);
 
@@ -317,6 +434,269 @@ class CFR2WC_Client {
 		}
 	}
 
+	/**
+	 * Get a pre-signed request for a direct (browser) PUT upload
+	 *
+	 * The browser must send the returned headers with the PUT unchanged: they are either part of
+	 * the signature or set the content headers stored with the object.
+	 *
+	 * @param string $key Object key/path.
+	 * @param array  $params Extra PutObject parameters: ContentType, ContentDisposition, CacheControl and Metadata.
+	 * @param int    $expiration Expiration time in seconds (default 3600 = 1 hour).
+	 * @return array|false URL and headers, or false on failure
+	 */
+	public function get_presigned_upload( string $key, array $params = array(), int $expiration = 3600 ): array|false {
+		try {
+			$cmd = $this->client->getCommand(
+				'PutObject',
+				array_merge(
+					$params,
+					array(
+						'Bucket' => $this->settings['bucket_name'],
+						'Key'    => $key,
+					)
+				)
+			);
+
+			$request = $this->client->createPresignedRequest( $cmd, "+{$expiration} seconds" );
+			$headers = array();
+
+			// Metadata usually ends up in the query string, anything left over has to be sent by the browser.
+			foreach ( $request->getHeaders() as $name => $values ) {
+				$lower = strtolower( $name );
+
+				if ( in_array( $lower, array( 'content-type', 'content-disposition', 'cache-control' ), true ) || str_starts_with( $lower, 'x-amz-meta-' ) ) {
+					$headers[ $name ] = implode( ', ', $values );
+				}
+			}
+
+			CFR2WC_Logger::debug( 'Presigned upload URL generated', array( 'key' => $key ) );
+
+			return array(
+				'url'     => (string) $request->getUri(),
+				'headers' => $headers,
+			);
+		} catch ( AwsException $e ) {
+			CFR2WC_Logger::error( 'Failed to generate pre-signed upload URL: ' . $e->getMessage() );
+			return false;
+		}
+	}
+
+	/**
+	 * Start a multipart upload
+	 *
+	 * @param string $key Object key/path.
+	 * @param array  $params Extra CreateMultipartUpload parameters: ContentType, ContentDisposition, CacheControl and Metadata.
+	 * @return string|false Upload ID or false on failure
+	 */
+	public function create_multipart_upload( string $key, array $params = array() ): string|false {
+		$params = array_merge(
+			$params,
+			array(
+				'Bucket' => $this->settings['bucket_name'],
+				'Key'    => $key,
+			)
+		);
+
+		try {
+			$result = $this->client->createMultipartUpload( $params );
+
+			CFR2WC_Logger::debug(
+				'Multipart upload created',
+				array(
+					'key'       => $key,
+					'upload_id' => $result['UploadId'],
+				)
+			);
+			return (string) $result['UploadId'];
+		} catch ( AwsException $e ) {
+			CFR2WC_Logger::error( 'Failed to create multipart upload: ' . $e->getMessage() );
+			return false;
+		}
+	}
+
+	/**
+	 * Get pre-signed URL for uploading one part of a multipart upload
+	 *
+	 * @param string $key Object key/path.
+	 * @param string $upload_id Multipart upload ID.
+	 * @param int    $part_number Part number (1-10000).
+	 * @param int    $expiration Expiration time in seconds (default 3600 = 1 hour).
+	 * @return string|false Pre-signed URL or false on failure
+	 */
+	public function get_presigned_part_url( string $key, string $upload_id, int $part_number, int $expiration = 3600 ): string|false {
+		try {
+			$cmd = $this->client->getCommand(
+				'UploadPart',
+				array(
+					'Bucket'     => $this->settings['bucket_name'],
+					'Key'        => $key,
+					'UploadId'   => $upload_id,
+					'PartNumber' => $part_number,
+				)
+			);
+
+			$request = $this->client->createPresignedRequest( $cmd, "+{$expiration} seconds" );
+
+			return (string) $request->getUri();
+		} catch ( AwsException $e ) {
+			CFR2WC_Logger::error( 'Failed to generate pre-signed part URL: ' . $e->getMessage() );
+			return false;
+		}
+	}
+
+	/**
+	 * Complete a multipart upload
+	 *
+	 * @param string $key Object key/path.
+	 * @param string $upload_id Multipart upload ID.
+	 * @param array  $parts List of parts, each with 'PartNumber' and 'ETag'.
+	 * @return bool Success status
+	 */
+	public function complete_multipart_upload( string $key, string $upload_id, array $parts ): bool {
+		usort(
+			$parts,
+			fn( array $a, array $b ): int => (int) $a['PartNumber'] <=> (int) $b['PartNumber']
+		);
+
+		try {
+			$this->client->completeMultipartUpload(
+				array(
+					'Bucket'          => $this->settings['bucket_name'],
+					'Key'             => $key,
+					'UploadId'        => $upload_id,
+					'MultipartUpload' => array( 'Parts' => $parts ),
+				)
+			);
+
+			CFR2WC_Logger::info(
+				'Multipart upload completed',
+				array(
+					'key'   => $key,
+					'parts' => count( $parts ),
+				)
+			);
+			return true;
+		} catch ( AwsException $e ) {
+			CFR2WC_Logger::error( 'Failed to complete multipart upload: ' . $e->getMessage() );
+			return false;
+		}
+	}
+
+	/**
+	 * Abort a multipart upload and discard its uploaded parts
+	 *
+	 * @param string $key Object key/path.
+	 * @param string $upload_id Multipart upload ID.
+	 * @return bool Success status
+	 */
+	public function abort_multipart_upload( string $key, string $upload_id ): bool {
+		try {
+			$this->client->abortMultipartUpload(
+				array(
+					'Bucket'   => $this->settings['bucket_name'],
+					'Key'      => $key,
+					'UploadId' => $upload_id,
+				)
+			);
+
+			CFR2WC_Logger::info( 'Multipart upload aborted', array( 'key' => $key ) );
+			return true;
+		} catch ( AwsException $e ) {
+			CFR2WC_Logger::error( 'Failed to abort multipart upload: ' . $e->getMessage() );
+			return false;
+		}
+	}
+
+	/**
+	 * List the parts already stored for a multipart upload
+	 *
+	 * @param string $key Object key/path.
+	 * @param string $upload_id Multipart upload ID.
+	 * @return array|false List of parts ('PartNumber', 'ETag', 'Size') or false on failure
+	 */
+	public function list_parts( string $key, string $upload_id ): array|false {
+		try {
+			$parts  = array();
+			$marker = null;
+
+			do {
+				$params = array(
+					'Bucket'   => $this->settings['bucket_name'],
+					'Key'      => $key,
+					'UploadId' => $upload_id,
+				);
+
+				if ( $marker ) {
+					$params['PartNumberMarker'] = $marker;
+				}
+
+				$result = $this->client->listParts( $params );
+
+				foreach ( $result['Parts'] ?? array() as $part ) {
+					$parts[] = array(
+						'PartNumber' => (int) $part['PartNumber'],
+						'ETag'       => $part['ETag'],
+						'Size'       => (int) $part['Size'],
+					);
+				}
+
+				$marker = $result['IsTruncated'] ? $result['NextPartNumberMarker'] : null;
+			} while ( $marker );
+
+			return $parts;
+		} catch ( AwsException $e ) {
+			CFR2WC_Logger::error( 'Failed to list multipart upload parts: ' . $e->getMessage() );
+			return false;
+		}
+	}
+
+	/**
+	 * List unfinished multipart uploads in the bucket
+	 *
+	 * @param string $prefix Prefix to filter by.
+	 * @return array|false List of uploads ('Key', 'UploadId', 'Initiated') or false on failure
+	 */
+	public function list_multipart_uploads( string $prefix = '' ): array|false {
+		try {
+			$uploads       = array();
+			$key_marker    = null;
+			$upload_marker = null;
+
+			do {
+				$params = array( 'Bucket' => $this->settings['bucket_name'] );
+
+				if ( '' !== $prefix ) {
+					$params['Prefix'] = $prefix;
+				}
+
+				if ( $key_marker ) {
+					$params['KeyMarker']      = $key_marker;
+					$params['UploadIdMarker'] = $upload_marker;
+				}
+
+				$result = $this->client->listMultipartUploads( $params );
+
+				foreach ( $result['Uploads'] ?? array() as $upload ) {
+					$uploads[] = array(
+						'Key'       => $upload['Key'],
+						'UploadId'  => $upload['UploadId'],
+						'Initiated' => isset( $upload['Initiated'] ) ? gmdate( 'Y-m-d H:i:s', strtotime( (string) $upload['Initiated'] ) ) : null,
+					);
+				}
+
+				$truncated     = ! empty( $result['IsTruncated'] );
+				$key_marker    = $truncated ? $result['NextKeyMarker'] : null;
+				$upload_marker = $truncated ? $result['NextUploadIdMarker'] : null;
+			} while ( $key_marker );
+
+			return $uploads;
+		} catch ( AwsException $e ) {
+			CFR2WC_Logger::error( 'Failed to list multipart uploads: ' . $e->getMessage() );
+			return false;
+		}
+	}
+
 	/**
 	 * List objects in bucket
 	 *
@@ -381,6 +761,43 @@ class CFR2WC_Client {
 		}
 	}
 
+	/**
+	 * List one page of objects in bucket
+	 *
+	 * R2 returns at most 1000 keys per request, pass the returned token back in to get the next page.
+	 *
+	 * @param string      $prefix Prefix to filter by.
+	 * @param int         $max_keys Maximum number of keys to return (1-1000).
+	 * @param string|null $continuation_token Token from the previous page.
+	 * @return array|false Array with 'objects' and 'next_token' (null on the last page) or false on failure
+	 */
+	public function list_objects_page( string $prefix = '', int $max_keys = 1000, ?string $continuation_token = null ): array|false {
+		try {
+			$params = array(
+				'Bucket'  => $this->settings['bucket_name'],
+				'MaxKeys' => min( max( 1, $max_keys ), 1000 ),
+			);
+
+			if ( '' !== $prefix && '0' !== $prefix ) {
+				$params['Prefix'] = $prefix;
+			}
+
+			if ( $continuation_token ) {
+				$params['ContinuationToken'] = $continuation_token;
+			}
+
+			$result = $this->client->listObjectsV2( $params );
+
+			return array(
+				'objects'    => $result['Contents'] ?? array(),
+				'next_token' => $result['IsTruncated'] ? $result['NextContinuationToken'] : null,
+			);
+		} catch ( AwsException $e ) {
+			CFR2WC_Logger::error( 'Failed to list objects: ' . $e->getMessage() );
+			return false;
+		}
+	}
+
 	/**
 	 * Get object metadata
 	 *
@@ -403,6 +820,20 @@ class CFR2WC_Client {
 		}
 	}
 
+	/**
+	 * Get the bucket this client works with
+	 */
+	public function get_bucket_name(): string {
+		return (string) ( $this->settings['bucket_name'] ?? '' );
+	}
+
+	/**
+	 * Get the custom domain configured for this bucket
+	 */
+	public function get_custom_domain(): string {
+		return (string) ( $this->settings['custom_domain'] ?? '' );
+	}
+
 	/**
 	 * Get S3 Client instance
 	 *
@@ -19,7 +19,7 @@ class CFR2WC_Database {
 	/**
 	 * Database version
 	 */
-	const DB_VERSION = '1.0.0';
+	const DB_VERSION = '1.3.0';
 
 	/**
 	 * Table name constants
@@ -49,15 +49,18 @@ class CFR2WC_Database {
 		// File cache table - stores R2 file listings.
 		$sql = "CREATE TABLE {$table} (
             id bigint(20) unsigned NOT NULL AUTO_INCREMENT,
+            bucket varchar(63) NOT NULL DEFAULT '',
             object_key varchar(500) NOT NULL,
             file_name varchar(255) NOT NULL,
             file_size bigint(20) unsigned DEFAULT 0,
             mime_type varchar(100) DEFAULT NULL,
             last_modified datetime DEFAULT NULL,
+            etag varchar(64) DEFAULT NULL,
+            sha256 char(64) DEFAULT NULL,
             folder_path varchar(500) DEFAULT NULL,
             cached_at datetime NOT NULL,
             PRIMARY KEY (id),
-            UNIQUE KEY object_key (object_key),
+            UNIQUE KEY bucket_object_key (bucket,object_key),
             KEY folder_path (folder_path),
             KEY file_name (file_name(191)),
             KEY last_modified (last_modified),
@@ -90,10 +93,53 @@ class CFR2WC_Database {
 		$current_version = get_option( 'cfr2wc_db_version' );
 
 		if ( self::DB_VERSION !== $current_version ) {
+			// dbDelta() can't change an existing index, so drop the old one first.
+			if ( $current_version && version_compare( $current_version, '1.1.0', '<' ) ) {
+				self::drop_object_key_index();
+			}
+
 			self::create_tables();
+
+			if ( $current_version && version_compare( $current_version, '1.1.0', '<' ) ) {
+				self::assign_default_bucket();
+			}
 		}
 	}
 
+	/**
+	 * Drop the pre-1.1.0 unique index on object_key alone.
+	 */
+	private static function drop_object_key_index(): void {
+		global $wpdb;
+
+		$table = self::get_table_name( self::TABLE_FILE_CACHE );
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$index = $wpdb->get_var( $wpdb->prepare( 'SHOW INDEX FROM %i WHERE Key_name = %s', $table, 'object_key' ) );
+
+		if ( $index ) {
+			// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.DirectDatabaseQuery.SchemaChange
+			$wpdb->query( $wpdb->prepare( 'ALTER TABLE %i DROP INDEX object_key', $table ) );
+		}
+	}
+
+	/**
+	 * Files cached before 1.1.0 all belong to the bucket configured at the time.
+	 */
+	private static function assign_default_bucket(): void {
+		global $wpdb;
+
+		$settings = get_option( 'cfr2wc_settings', array() );
+		$bucket   = $settings['bucket_name'] ?? '';
+
+		if ( '' === $bucket ) {
+			return;
+		}
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$wpdb->update( self::get_table_name( self::TABLE_FILE_CACHE ), array( 'bucket' => $bucket ), array( 'bucket' => '' ) );
+	}
+
 	/**
 	 * Get current database version
 	 *
@@ -19,9 +19,9 @@ class CFR2WC_Download_Handler {
 	/**
 	 * Constructor
 	 *
-	 * @param CFR2WC_Client $r2_client R2 client instance.
+	 * @param CFR2WC_Bucket_Manager $bucket_manager Bucket manager instance.
 	 */
-	public function __construct( private readonly CFR2WC_Client $r2_client ) {
+	public function __construct( private readonly CFR2WC_Bucket_Manager $bucket_manager ) {
 		$this->init_hooks();
 	}
 
@@ -175,7 +175,10 @@ class CFR2WC_Download_Handler {
 	 * @return string|false Pre-signed URL or false on failure.
 	 */
 	private function generate_presigned_url( array $atts, bool $is_public = false ): string|false {
-		if ( ! $this->r2_client->get_client() instanceof \Aws\S3\S3Client ) {
+		$bucket    = html_entity_decode( (string) ( $atts['bucket'] ?? '' ), ENT_QUOTES, 'UTF-8' );
+		$r2_client = $this->bucket_manager->get_download_client( $bucket );
+
+		if ( ! $r2_client->get_client() instanceof \Aws\S3\S3Client ) {
 			return false;
 		}
 
@@ -183,8 +186,8 @@ class CFR2WC_Download_Handler {
 		$settings = get_option( 'cfr2wc_settings', array() );
 
 		// For public files with custom domain.
-		if ( $is_public && ! empty( $settings['custom_domain'] ) ) {
-			$custom_domain = trailingslashit( $settings['custom_domain'] );
+		if ( $is_public && '' !== $r2_client->get_custom_domain() ) {
+			$custom_domain = trailingslashit( $r2_client->get_custom_domain() );
 			$object_key    = ltrim( (string) $atts['object'], '/' );
 			return 'https://' . $custom_domain . $object_key;
 		}
@@ -199,6 +202,6 @@ class CFR2WC_Download_Handler {
 		}
 
 		// Generate pre-signed URL.
-		return $this->r2_client->get_presigned_url( $atts['object'], $expiration_seconds );
+		return $r2_client->get_presigned_url( $atts['object'], $expiration_seconds, CFR2WC_Shortcode::get_response_params( $atts ) );
 	}
 }
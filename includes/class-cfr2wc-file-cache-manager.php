@@ -18,6 +18,26 @@ if ( ! defined( 'ABSPATH' ) ) {
  * Caches R2 file listings to reduce API costs
  */
 class CFR2WC_File_Cache_Manager {
+	/**
+	 * Columns files can be sorted by, mapped to their sort expression
+	 *
+	 * Nullable columns are coalesced so cursors can compare against a value.
+	 */
+	const SORTABLE_COLUMNS = array(
+		'file_name'     => 'file_name',
+		'file_size'     => 'file_size',
+		'last_modified' => "COALESCE(last_modified, '1000-01-01 00:00:00')",
+		'mime_type'     => "COALESCE(mime_type, '')",
+	);
+
+	/**
+	 * Values used for NULL columns in sort expressions
+	 */
+	const SORT_NULL_VALUES = array(
+		'last_modified' => '1000-01-01 00:00:00',
+		'mime_type'     => '',
+	);
+
 	/**
 	 * Cache lifetime in seconds (5 minutes).
 	 *
@@ -25,168 +45,425 @@ class CFR2WC_File_Cache_Manager {
 	 */
 	private int $cache_lifetime = 300;
 
+	/**
+	 * Bucket whose files this manager caches.
+	 *
+	 * @var string
+	 */
+	private string $bucket = '';
+
 	/**
 	 * Constructor.
 	 *
 	 * @param CFR2WC_Client $r2_client R2 client instance.
 	 */
 	public function __construct( private readonly CFR2WC_Client $r2_client ) {
+		$this->bucket = $r2_client->get_bucket_name();
 	}
 
 	/**
-	 * Sync R2 files to cache table.
+	 * Get the bucket whose files this manager caches.
+	 */
+	public function get_bucket(): string {
+		return $this->bucket;
+	}
+
+	/**
+	 * Sync one page of up to 1000 objects to the cache table.
+	 *
+	 * CFR2WC_Background_Sync calls this page by page and finishes with delete_stale().
+	 * Cached rows are loaded in one query. Objects whose size, LastModified and ETag are unchanged
+	 * only get their cached_at refreshed, in one query for the whole page.
 	 *
-	 * @param bool $force_refresh Force refresh even if cache is fresh.
-	 * @return array Sync results.
+	 * @param string|null $continuation_token Token from the previous page, null for the first page.
+	 * @return array|false Counts of listed, new, updated and unchanged objects, the folder placeholders on the page
+	 *                     and next_token (null on the last page), or false on failure.
 	 */
-	public function sync_r2_files( bool $force_refresh = false ): array {
+	public function sync_page( ?string $continuation_token = null ): array|false {
 		global $wpdb;
 
-		// Check if cache is still fresh.
-		if ( ! $force_refresh && ! $this->is_cache_expired() ) {
-			return array(
-				'success' => true,
-				'synced'  => 0,
-				'skipped' => 0,
-				'deleted' => 0,
-				'message' => __( 'Cache is still fresh, no sync needed', 'cfr2wc' ),
-			);
+		$page = $this->r2_client->list_objects_page( '', 1000, $continuation_token );
+
+		if ( false === $page ) {
+			return false;
 		}
 
-		// List all objects from R2.
-		$objects = $this->r2_client->list_objects( '', 10000, false );
+		$table   = CFR2WC_Database::get_table_name( CFR2WC_Database::TABLE_FILE_CACHE );
+		$now     = current_time( 'mysql' );
+		$objects = array();
+		$result  = array(
+			'listed'     => count( $page['objects'] ),
+			'new'        => 0,
+			'updated'    => 0,
+			'unchanged'  => 0,
+			'folders'    => array(),
+			'next_token' => $page['next_token'],
+		);
 
-		if ( false === $objects ) {
-			return array(
-				'success' => false,
-				'message' => __( 'Failed to list R2 objects', 'cfr2wc' ),
-			);
+		foreach ( $page['objects'] as $object ) {
+			// Folders (keys ending with /) aren't cached, the folder tree keeps them.
+			if ( str_ends_with( (string) $object['Key'], '/' ) ) {
+				$result['folders'][] = rtrim( (string) $object['Key'], '/' );
+			} else {
+				$objects[ (string) $object['Key'] ] = $object;
+			}
 		}
 
-		$table   = CFR2WC_Database::get_table_name( CFR2WC_Database::TABLE_FILE_CACHE );
-		$synced  = 0;
-		$skipped = 0;
+		if ( empty( $objects ) ) {
+			return $result;
+		}
 
-		// Track object keys from R2.
-		$r2_keys = array();
+		$placeholders = implode( ', ', array_fill( 0, count( $objects ), '%s' ) );
 
-		foreach ( $objects as $object ) {
-			$key       = $object['Key'];
-			$r2_keys[] = $key;
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$rows = $wpdb->get_results(
+			$wpdb->prepare(
+				// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.PreparedSQLPlaceholders.UnfinishedPrepare
+				"SELECT object_key, file_size, last_modified, etag, mime_type FROM {$table} WHERE bucket = %s AND object_key IN ({$placeholders})",
+				array_merge( array( $this->bucket ), array_keys( $objects ) )
+			),
+			OBJECT_K
+		);
 
-			// Skip folders (keys ending with /).
-			if ( str_ends_with( (string) $key, '/' ) ) {
-				continue;
-			}
+		$unchanged = array();
 
-			// Extract folder path.
-			$folder_path = dirname( (string) $key );
+		foreach ( $objects as $key => $object ) {
+			$folder_path = dirname( $key );
 			if ( '.' === $folder_path ) {
 				$folder_path = '';
 			}
 
-			// Check if exists in cache.
-			// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
-			$existing = $wpdb->get_var(
-				$wpdb->prepare(
-					// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
-					"SELECT id FROM {$table} WHERE object_key = %s",
-					$key
-				)
-			);
+			// Listings don't include the content type, so it comes from the extension.
+			$file_type = wp_check_filetype( $key );
 
 			$data = array(
+				'bucket'        => $this->bucket,
 				'object_key'    => $key,
-				'file_name'     => basename( (string) $key ),
-				'file_size'     => $object['Size'] ?? 0,
+				'file_name'     => basename( $key ),
+				'file_size'     => (int) ( $object['Size'] ?? 0 ),
 				'last_modified' => isset( $object['LastModified'] ) ? gmdate( 'Y-m-d H:i:s', strtotime( (string) $object['LastModified'] ) ) : null,
+				'etag'          => isset( $object['ETag'] ) ? trim( (string) $object['ETag'], '"' ) : null,
+				'mime_type'     => $file_type['type'] ? $file_type['type'] : null,
 				'folder_path'   => $folder_path,
-				'cached_at'     => current_time( 'mysql' ),
+				'cached_at'     => $now,
 			);
 
-			if ( $existing ) {
-				// Update existing.
-				// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
-				$wpdb->update( $table, $data, array( 'object_key' => $key ) );
-				++$skipped;
-			} else {
-				// Insert new.
+			$row = $rows[ $key ] ?? null;
+
+			if ( ! $row ) {
 				// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery
 				$wpdb->insert( $table, $data );
-				++$synced;
+				++$result['new'];
+			} elseif ( (int) $row->file_size === $data['file_size'] && $row->last_modified === $data['last_modified'] && $row->etag === $data['etag'] ) {
+				if ( null === $row->mime_type && null !== $data['mime_type'] ) {
+					// Cached before types were detected during syncs.
+					// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+					$wpdb->update(
+						$table,
+						array(
+							'mime_type' => $data['mime_type'],
+							'cached_at' => $now,
+						),
+						array(
+							'bucket'     => $this->bucket,
+							'object_key' => $key,
+						)
+					);
+					++$result['unchanged'];
+				} else {
+					$unchanged[] = $key;
+				}
+			} else {
+				// The content changed, so a checksum stored for it no longer applies.
+				$data['sha256'] = null;
+
+				// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+				$wpdb->update(
+					$table,
+					$data,
+					array(
+						'bucket'     => $this->bucket,
+						'object_key' => $key,
+					)
+				);
+				++$result['updated'];
 			}
 		}
 
-		// Delete cached files that no longer exist in R2.
-		$deleted = 0;
-		if ( array() !== $r2_keys ) {
-			$placeholders = implode( ',', array_fill( 0, count( $r2_keys ), '%s' ) );
+		if ( $unchanged ) {
+			$placeholders = implode( ', ', array_fill( 0, count( $unchanged ), '%s' ) );
+
 			// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
-			$deleted_rows = $wpdb->query(
+			$wpdb->query(
 				$wpdb->prepare(
 					// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.PreparedSQLPlaceholders.UnfinishedPrepare
-					"DELETE FROM {$table} WHERE object_key NOT IN ({$placeholders})",
-					...$r2_keys
+					"UPDATE {$table} SET cached_at = %s WHERE bucket = %s AND object_key IN ({$placeholders})",
+					array_merge( array( $now, $this->bucket ), $unchanged )
 				)
 			);
-			$deleted = false !== $deleted_rows ? $deleted_rows : 0;
+
+			$result['unchanged'] += count( $unchanged );
 		}
 
-		$message = sprintf(
-			/* translators: %1$d: number of new files, %2$d: number of updated files, %3$d: number of deleted files. */
-			__( 'Synced %1$d new files, updated %2$d existing, deleted %3$d obsolete', 'cfr2wc' ),
-			$synced,
-			$skipped,
-			$deleted
+		return $result;
+	}
+
+	/**
+	 * Delete cached files a sync didn't see, they no longer exist in R2.
+	 *
+	 * @param string $sync_started Time the sync started, in the format of current_time( 'mysql' ).
+	 * @return int Number of deleted rows.
+	 */
+	public function delete_stale( string $sync_started ): int {
+		global $wpdb;
+
+		$table = CFR2WC_Database::get_table_name( CFR2WC_Database::TABLE_FILE_CACHE );
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$deleted = $wpdb->query(
+			$wpdb->prepare(
+				// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+				"DELETE FROM {$table} WHERE bucket = %s AND cached_at < %s",
+				$this->bucket,
+				$sync_started
+			)
 		);
 
-		return array(
-			'success' => true,
-			'synced'  => $synced,
-			'skipped' => $skipped,
-			'deleted' => $deleted,
-			'total'   => count( $objects ),
-			'message' => $message,
+		// Folders may have been removed, the sync rebuilds the tree with rebuild_folder_tree().
+		$this->clear_folder_tree_cache();
+
+		return false !== $deleted ? (int) $deleted : 0;
+	}
+
+	/**
+	 * Count the cached files of this bucket.
+	 */
+	public function count_cached(): int {
+		global $wpdb;
+
+		$table = CFR2WC_Database::get_table_name( CFR2WC_Database::TABLE_FILE_CACHE );
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		return (int) $wpdb->get_var(
+			$wpdb->prepare(
+				// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+				"SELECT COUNT(*) FROM {$table} WHERE bucket = %s",
+				$this->bucket
+			)
+		);
+	}
+
+	/**
+	 * Add or refresh a single object in the cache table.
+	 *
+	 * Used after uploads so the picker sees the new file without a full bucket sync.
+	 *
+	 * @param string      $key Object key.
+	 * @param int         $size File size in bytes.
+	 * @param string|null $mime_type MIME type (optional).
+	 * @return bool Success.
+	 */
+	public function cache_object( string $key, int $size, ?string $mime_type = null ): bool {
+		global $wpdb;
+
+		$table = CFR2WC_Database::get_table_name( CFR2WC_Database::TABLE_FILE_CACHE );
+
+		$folder_path = dirname( $key );
+		if ( '.' === $folder_path ) {
+			$folder_path = '';
+		}
+
+		$data = array(
+			'bucket'        => $this->bucket,
+			'object_key'    => $key,
+			'file_name'     => basename( $key ),
+			'file_size'     => $size,
+			'mime_type'     => $mime_type,
+			'last_modified' => gmdate( 'Y-m-d H:i:s' ),
+			'folder_path'   => $folder_path,
+			'cached_at'     => current_time( 'mysql' ),
+		);
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery
+		$result = $wpdb->replace( $table, $data );
+
+		// The file may live in a folder the cached tree doesn't know yet.
+		$this->add_folder_to_tree( $folder_path );
+
+		return false !== $result;
+	}
+
+	/**
+	 * Store the SHA-256 checksum of a cached object.
+	 *
+	 * The ETag and modification time are stored with it, so the next sync sees the object as
+	 * unchanged and keeps the checksum.
+	 *
+	 * @param string $key Object key.
+	 * @param string $sha256 Hex SHA-256 of the object's content.
+	 * @param string $etag ETag of the object without quotes.
+	 * @param int    $last_modified Modification time of the object as a Unix timestamp.
+	 * @return bool Success.
+	 */
+	public function set_checksum( string $key, string $sha256, string $etag, int $last_modified ): bool {
+		global $wpdb;
+
+		$table = CFR2WC_Database::get_table_name( CFR2WC_Database::TABLE_FILE_CACHE );
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$result = $wpdb->update(
+			$table,
+			array(
+				'sha256'        => $sha256,
+				'etag'          => $etag,
+				'last_modified' => gmdate( 'Y-m-d H:i:s', $last_modified ),
+			),
+			array(
+				'bucket'     => $this->bucket,
+				'object_key' => $key,
+			)
+		);
+
+		return false !== $result;
+	}
+
+	/**
+	 * Remove a single object from the cache table.
+	 *
+	 * @param string $key Object key.
+	 * @return bool Success.
+	 */
+	public function remove_object( string $key ): bool {
+		global $wpdb;
+
+		$table = CFR2WC_Database::get_table_name( CFR2WC_Database::TABLE_FILE_CACHE );
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$result = $wpdb->delete(
+			$table,
+			array(
+				'bucket'     => $this->bucket,
+				'object_key' => $key,
+			)
+		);
+
+		return false !== $result;
+	}
+
+	/**
+	 * Get cached files for a list of object keys.
+	 *
+	 * @param string[] $keys Object keys.
+	 * @return array Formatted files keyed by object key. Keys that aren't cached are left out.
+	 */
+	public function get_files_by_keys( array $keys ): array {
+		global $wpdb;
+
+		$keys = array_values( array_unique( array_filter( array_map( 'strval', $keys ) ) ) );
+
+		if ( empty( $keys ) ) {
+			return array();
+		}
+
+		$table        = CFR2WC_Database::get_table_name( CFR2WC_Database::TABLE_FILE_CACHE );
+		$placeholders = implode( ', ', array_fill( 0, count( $keys ), '%s' ) );
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$results = $wpdb->get_results(
+			$wpdb->prepare(
+				// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.PreparedSQLPlaceholders.UnfinishedPrepare
+				"SELECT * FROM {$table} WHERE bucket = %s AND object_key IN ({$placeholders})",
+				array_merge( array( $this->bucket ), $keys )
+			)
+		);
+
+		$files = array();
+		foreach ( $results as $file ) {
+			$files[ $file->object_key ] = $this->format_file( $file );
+		}
+
+		return $files;
+	}
+
+	/**
+	 * Get every cached object key.
+	 *
+	 * @return string[] Object keys.
+	 */
+	public function get_all_object_keys(): array {
+		global $wpdb;
+
+		$table = CFR2WC_Database::get_table_name( CFR2WC_Database::TABLE_FILE_CACHE );
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		return $wpdb->get_col(
+			$wpdb->prepare(
+				// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+				"SELECT object_key FROM {$table} WHERE bucket = %s ORDER BY object_key ASC",
+				$this->bucket
+			)
 		);
 	}
 
 	/**
 	 * Get folder tree structure.
 	 *
+	 * The tree is rebuilt at the end of every background sync and updated as files and folders are added,
+	 * so it never lists the bucket itself.
+	 *
 	 * @return array Nested folder structure.
 	 */
 	public function get_folder_tree(): array {
-		// Check cache file first.
-		$cache_file     = $this->get_folder_tree_cache_file();
-		$cache_duration = 3600; // 1 hour cache.
+		$cache_file = $this->get_folder_tree_cache_file();
 
 		if ( file_exists( $cache_file ) ) {
-			$cache_age = time() - filemtime( $cache_file );
-			if ( $cache_age < $cache_duration ) {
-				// phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents
-				$cached_data = json_decode( file_get_contents( $cache_file ), true );
-				if ( null !== $cached_data ) {
-					return $cached_data;
-				}
+			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents
+			$cached_data = json_decode( (string) file_get_contents( $cache_file ), true );
+			if ( is_array( $cached_data ) ) {
+				return $cached_data;
 			}
 		}
 
-		// Get all folder paths from R2 (not just from file cache).
-		$folders = $this->get_all_r2_folders();
+		// Empty folders are left out until the next sync, only their placeholder objects know about them.
+		return $this->rebuild_folder_tree();
+	}
 
-		if ( array() === $folders ) {
-			return array();
-		}
+	/**
+	 * Rebuild the cached folder tree from the folders of the cached files.
+	 *
+	 * @param string[] $empty_folders Folders seen as placeholder objects ("folder/") by a sync, which have no cached files.
+	 * @return array Nested folder structure.
+	 */
+	public function rebuild_folder_tree( array $empty_folders = array() ): array {
+		$folders = array_unique( array_merge( $this->get_cached_folders(), $empty_folders ) );
+		sort( $folders );
 
-		// Build tree structure.
 		$tree = $this->build_folder_tree( $folders );
-
-		// Cache to file.
 		$this->cache_folder_tree( $tree );
 
 		return $tree;
 	}
 
+	/**
+	 * Get the folders holding cached files.
+	 *
+	 * @return string[] Folder paths, without the bucket root.
+	 */
+	private function get_cached_folders(): array {
+		global $wpdb;
+
+		$table = CFR2WC_Database::get_table_name( CFR2WC_Database::TABLE_FILE_CACHE );
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		return $wpdb->get_col(
+			$wpdb->prepare(
+				// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+				"SELECT DISTINCT folder_path FROM {$table} WHERE bucket = %s AND folder_path <> ''",
+				$this->bucket
+			)
+		);
+	}
+
 	/**
 	 * Get folder tree cache file path.
 	 */
@@ -201,110 +478,87 @@ class CFR2WC_File_Cache_Manager {
 			file_put_contents( $cache_dir . '/.htaccess', 'Deny from all' );
 		}
 
-		return $cache_dir . '/folder-tree.json';
+		return $cache_dir . '/folder-tree-' . md5( $this->bucket ) . '.json';
 	}
 
 	/**
-	 * Cache folder tree to JSON file.
-	 *
-	 * @param array $tree Folder tree.
+	 * Delete the cached folder tree.
 	 */
-	private function cache_folder_tree( array $tree ): void {
+	public function clear_folder_tree_cache(): void {
 		$cache_file = $this->get_folder_tree_cache_file();
-		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_file_put_contents, WordPress.WP.AlternativeFunctions.json_encode_json_encode
-		file_put_contents( $cache_file, json_encode( $tree, JSON_PRETTY_PRINT ) );
+
+		if ( file_exists( $cache_file ) ) {
+			wp_delete_file( $cache_file );
+		}
 	}
 
 	/**
-	 * Get all folders from R2.
+	 * Add a folder (and its parents) to the cached folder tree.
+	 *
+	 * Saves rebuilding the whole tree after uploads and new folders.
 	 *
-	 * @return array Folder paths.
+	 * @param string $folder_path Folder path.
 	 */
-	private function get_all_r2_folders(): array {
-		$client = $this->r2_client->get_client();
-
-		if ( ! $client instanceof \Aws\S3\S3Client ) {
-			return array();
+	public function add_folder_to_tree( string $folder_path ): void {
+		if ( '' === $folder_path ) {
+			return;
 		}
 
-		try {
-			$folders            = array();
-			$prefix             = '';
-			$continuation_token = null;
-
-			// Get bucket name from settings.
-			$settings    = get_option( 'cfr2wc_settings', array() );
-			$bucket_name = $settings['bucket_name'] ?? '';
-
-			if ( empty( $bucket_name ) ) {
-				return array();
+		// Empty folders have no cached files, so they must be added to the tree even when it was just rebuilt.
+		$tree    = $this->get_folder_tree();
+		$current = &$tree;
+		foreach ( explode( '/', $folder_path ) as $part ) {
+			if ( '' === $part ) {
+				continue;
 			}
 
-			// List all objects to extract folder paths.
-			do {
-				$params = array(
-					'Bucket'  => $bucket_name,
-					'Prefix'  => $prefix,
-					'MaxKeys' => 1000,
-				);
+			if ( ! isset( $current[ $part ] ) || ! is_array( $current[ $part ] ) ) {
+				$current[ $part ] = array();
+			}
 
-				if ( $continuation_token ) {
-					$params['ContinuationToken'] = $continuation_token;
-				}
+			$current = &$current[ $part ];
+		}
+		unset( $current );
 
-				$result = $client->listObjectsV2( $params );
-
-				// Extract folder paths from object keys.
-				if ( isset( $result['Contents'] ) ) {
-					foreach ( $result['Contents'] as $object ) {
-						$key = $object['Key'];
-
-						// Check if this is a folder object (ends with /).
-						if ( str_ends_with( (string) $key, '/' ) ) {
-							$folder_path = rtrim( (string) $key, '/' );
-							if ( $folder_path && ! in_array( $folder_path, $folders, true ) ) {
-								$folders[] = $folder_path;
-							}
-
-							// Also add all parent folders.
-							$parts = explode( '/', $folder_path );
-							$path  = '';
-							foreach ( $parts as $part ) {
-								$path .= ( '' !== $path && '0' !== $path ? '/' : '' ) . $part;
-								if ( ! in_array( $path, $folders, true ) ) {
-									$folders[] = $path;
-								}
-							}
-						} else {
-							// Extract all folder segments from file keys.
-							$parts = explode( '/', (string) $key );
-							array_pop( $parts ); // Remove filename.
-
-							if ( array() !== $parts ) {
-								// Build cumulative paths.
-								$path = '';
-								foreach ( $parts as $part ) {
-									$path .= ( '' !== $path && '0' !== $path ? '/' : '' ) . $part;
-									if ( ! in_array( $path, $folders, true ) ) {
-										$folders[] = $path;
-									}
-								}
-							}
-						}
-					}
-				}
+		$this->cache_folder_tree( $tree );
+	}
 
-				$continuation_token = $result['IsTruncated'] ? $result['NextContinuationToken'] : null;
+	/**
+	 * Get number of cached files directly inside each folder.
+	 *
+	 * @return array<string, int> Folder path => file count ('' is the bucket root).
+	 */
+	public function get_folder_file_counts(): array {
+		global $wpdb;
 
-			} while ( $continuation_token );
+		$table = CFR2WC_Database::get_table_name( CFR2WC_Database::TABLE_FILE_CACHE );
 
-			sort( $folders );
-			return $folders;
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$rows = $wpdb->get_results(
+			$wpdb->prepare(
+				// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+				"SELECT folder_path, COUNT(*) AS file_count FROM {$table} WHERE bucket = %s GROUP BY folder_path",
+				$this->bucket
+			)
+		);
 
-		} catch ( Exception $e ) {
-			CFR2WC_Logger::error( 'Error getting R2 folders: ' . $e->getMessage() );
-			return array();
+		$counts = array();
+		foreach ( $rows as $row ) {
+			$counts[ (string) $row->folder_path ] = (int) $row->file_count;
 		}
+
+		return $counts;
+	}
+
+	/**
+	 * Cache folder tree to JSON file.
+	 *
+	 * @param array $tree Folder tree.
+	 */
+	private function cache_folder_tree( array $tree ): void {
+		$cache_file = $this->get_folder_tree_cache_file();
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_file_put_contents, WordPress.WP.AlternativeFunctions.json_encode_json_encode
+		file_put_contents( $cache_file, json_encode( $tree, JSON_PRETTY_PRINT ) );
 	}
 
 	/**
@@ -340,61 +594,210 @@ class CFR2WC_File_Cache_Manager {
 	/**
 	 * Search files by name.
 	 *
-	 * @param string $search_term Search term.
-	 * @param string $folder_path Limit to specific folder.
+	 * Pass either an offset or a cursor from get_next_cursor(). Cursors stay fast on deep pages.
+	 * Without a folder the whole cache is searched and results are grouped by folder.
+	 *
+	 * @param string      $search_term Search term or glob pattern, see glob_to_regex().
+	 * @param string|null $folder_path Limit to specific folder ('' for the root, null for all folders).
+	 * @param string      $orderby Column to sort by (file_name, file_size, last_modified or mime_type).
+	 * @param string      $order Sort direction (ASC or DESC).
+	 * @param int         $limit Maximum number of files to return.
+	 * @param int         $offset Number of files to skip (ignored when a cursor is given).
+	 * @param string|null $cursor Cursor pointing after the last file of the previous page.
 	 * @return array File results.
 	 */
-	public function search_files( string $search_term, string $folder_path = '' ): array {
+	public function search_files( string $search_term, ?string $folder_path = null, string $orderby = 'file_name', string $order = 'ASC', int $limit = 50, int $offset = 0, ?string $cursor = null ): array {
 		global $wpdb;
 
 		$table = CFR2WC_Database::get_table_name( CFR2WC_Database::TABLE_FILE_CACHE );
 
-		$where  = array();
-		$params = array();
+		list( $where, $params ) = $this->build_search_where( $search_term, $folder_path );
 
-		// Search by filename.
-		if ( '' !== $search_term && '0' !== $search_term ) {
-			$where[]  = 'file_name LIKE %s';
-			$params[] = '%' . $wpdb->esc_like( $search_term ) . '%';
+		// Column and direction are whitelisted, they can't go through prepare().
+		if ( ! isset( self::SORTABLE_COLUMNS[ $orderby ] ) ) {
+			$orderby = 'file_name';
 		}
+		$sort_expression = self::SORTABLE_COLUMNS[ $orderby ];
+		$order           = 'DESC' === strtoupper( $order ) ? 'DESC' : 'ASC';
 
-		// Filter by folder.
-		if ( '' !== $folder_path && '0' !== $folder_path ) {
-			$where[]  = 'folder_path = %s';
-			$params[] = $folder_path;
+		$grouped = null === $folder_path;
+
+		$position = null !== $cursor ? $this->decode_cursor( $cursor ) : null;
+		if ( null !== $position && ( ! $grouped || null !== $position['folder'] ) ) {
+			$operator  = 'ASC' === $order ? '>' : '<';
+			$condition = "( {$sort_expression} {$operator} %s OR ( {$sort_expression} = %s AND id {$operator} %d ) )";
+			$values    = array( $position['value'], $position['value'], $position['id'] );
+
+			// Grouped results are ordered by folder first.
+			if ( $grouped ) {
+				$condition = "( folder_path > %s OR ( folder_path = %s AND {$condition} ) )";
+				$values    = array_merge( array( $position['folder'], $position['folder'] ), $values );
+			}
+
+			$where[] = $condition;
+			$params  = array_merge( $params, $values );
+			$offset  = 0;
 		}
 
-		$where_clause = array() === $where ? '' : 'WHERE ' . implode( ' AND ', $where );
+		$where_clause = 'WHERE ' . implode( ' AND ', $where );
+		$group_order  = $grouped ? 'folder_path ASC, ' : '';
 
+		$params[] = max( 1, $limit );
+		$params[] = max( 0, $offset );
+
+		// Sorting by id as well keeps pages stable when values are equal.
 		// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
-		$query = "SELECT * FROM {$table} {$where_clause} ORDER BY file_name ASC LIMIT 50";
+		$query = "SELECT * FROM {$table} {$where_clause} ORDER BY {$group_order}{$sort_expression} {$order}, id {$order} LIMIT %d OFFSET %d";
 
-		if ( array() !== $params ) {
-			// phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
-			$query = $wpdb->prepare( $query, ...$params );
-		}
+		// phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
+		$query = $wpdb->prepare( $query, ...$params );
 
 		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.PreparedSQL.NotPrepared
 		$results = $wpdb->get_results( $query );
 
-		// Format results.
-		return array_map(
-			function ( $file ): array {
-				return array(
-					'id'                  => $file->id,
-					'object_key'          => $file->object_key,
-					'file_name'           => $file->file_name,
-					'file_size'           => $file->file_size,
-					'file_size_formatted' => size_format( $file->file_size, 2 ),
-					'mime_type'           => $file->mime_type,
-					'folder_path'         => $file->folder_path,
-					'last_modified'       => $file->last_modified,
-				);
-			},
-			$results
+		return array_map( array( $this, 'format_file' ), $results );
+	}
+
+	/**
+	 * Count files matching a search.
+	 *
+	 * @param string      $search_term Search term or glob pattern.
+	 * @param string|null $folder_path Limit to specific folder ('' for the root, null for all folders).
+	 * @return int Number of matching files.
+	 */
+	public function count_files( string $search_term, ?string $folder_path = null ): int {
+		global $wpdb;
+
+		$table = CFR2WC_Database::get_table_name( CFR2WC_Database::TABLE_FILE_CACHE );
+
+		list( $where, $params ) = $this->build_search_where( $search_term, $folder_path );
+
+		$where_clause = 'WHERE ' . implode( ' AND ', $where );
+
+		// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.PreparedSQL.NotPrepared
+		$query = $wpdb->prepare( "SELECT COUNT(*) FROM {$table} {$where_clause}", ...$params );
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.PreparedSQL.NotPrepared
+		return (int) $wpdb->get_var( $query );
+	}
+
+	/**
+	 * Build a cursor pointing after the given file.
+	 *
+	 * @param array  $file File as returned by search_files().
+	 * @param string $orderby Column the results are sorted by.
+	 * @param bool   $grouped Whether the results are grouped by folder.
+	 * @return string Opaque cursor.
+	 */
+	public function get_next_cursor( array $file, string $orderby, bool $grouped = false ): string {
+		if ( ! isset( self::SORTABLE_COLUMNS[ $orderby ] ) ) {
+			$orderby = 'file_name';
+		}
+
+		$value    = $file[ $orderby ] ?? self::SORT_NULL_VALUES[ $orderby ] ?? '';
+		$position = array( (string) $value, (int) $file['id'] );
+
+		if ( $grouped ) {
+			$position[] = (string) $file['folder_path'];
+		}
+
+		// phpcs:ignore WordPress.PHP.DiscouragedPHPFunctions.obfuscation_base64_encode
+		return rtrim( strtr( base64_encode( (string) wp_json_encode( $position ) ), '+/', '-_' ), '=' );
+	}
+
+	/**
+	 * Decode a cursor built by get_next_cursor().
+	 *
+	 * @param string $cursor Cursor.
+	 * @return array|null Array with 'value', 'id' and 'folder' (null unless grouped), or null when the cursor is invalid.
+	 */
+	private function decode_cursor( string $cursor ): ?array {
+		// phpcs:ignore WordPress.PHP.DiscouragedPHPFunctions.obfuscation_base64_decode
+		$decoded = json_decode( (string) base64_decode( strtr( $cursor, '-_', '+/' ), true ), true );
+
+		if ( ! is_array( $decoded ) || ! array_is_list( $decoded ) || ! in_array( count( $decoded ), array( 2, 3 ), true ) ) {
+			return null;
+		}
+
+		if ( ! is_string( $decoded[0] ) || ! is_int( $decoded[1] ) || ( isset( $decoded[2] ) && ! is_string( $decoded[2] ) ) ) {
+			return null;
+		}
+
+		return array(
+			'value'  => $decoded[0],
+			'id'     => $decoded[1],
+			'folder' => $decoded[2] ?? null,
 		);
 	}
 
+	/**
+	 * Convert a glob pattern to an anchored regular expression for REGEXP.
+	 *
+	 * `*` and `?` stay within one folder, `**` crosses folders and `**` followed by a slash also matches no folder.
+	 *
+	 * @param string $pattern Glob pattern.
+	 * @return string Regular expression.
+	 */
+	private function glob_to_regex( string $pattern ): string {
+		$regex  = '';
+		$length = strlen( $pattern );
+
+		for ( $i = 0; $i < $length; $i++ ) {
+			$char = $pattern[ $i ];
+
+			if ( '*' === $char && '*' === ( $pattern[ $i + 1 ] ?? '' ) ) {
+				++$i;
+				if ( '/' === ( $pattern[ $i + 1 ] ?? '' ) ) {
+					++$i;
+					$regex .= '(.*/)?';
+				} else {
+					$regex .= '.*';
+				}
+			} elseif ( '*' === $char ) {
+				$regex .= '[^/]*';
+			} elseif ( '?' === $char ) {
+				$regex .= '[^/]';
+			} else {
+				$regex .= preg_quote( $char );
+			}
+		}
+
+		return '^' . $regex . '$';
+	}
+
+	/**
+	 * Build WHERE conditions shared by search_files() and count_files().
+	 *
+	 * @param string      $search_term Search term or glob pattern.
+	 * @param string|null $folder_path Limit to specific folder ('' for the root, null for all folders).
+	 * @return array Conditions and their prepare() parameters.
+	 */
+	private function build_search_where( string $search_term, ?string $folder_path ): array {
+		global $wpdb;
+
+		$where  = array( 'bucket = %s' );
+		$params = array( $this->bucket );
+
+		if ( false !== strpbrk( $search_term, '*?' ) ) {
+			// Patterns with a slash match the whole key, others just the file name.
+			$column   = str_contains( $search_term, '/' ) ? 'object_key' : 'file_name';
+			$where[]  = "{$column} REGEXP %s";
+			$params[] = $this->glob_to_regex( ltrim( $search_term, '/' ) );
+		} elseif ( '' !== $search_term && '0' !== $search_term ) {
+			// Search by filename.
+			$where[]  = 'file_name LIKE %s';
+			$params[] = '%' . $wpdb->esc_like( $search_term ) . '%';
+		}
+
+		// Filter by folder.
+		if ( null !== $folder_path ) {
+			$where[]  = 'folder_path = %s';
+			$params[] = $folder_path;
+		}
+
+		return array( $where, $params );
+	}
+
 	/**
 	 * Get files in specific folder.
 	 *
@@ -410,26 +813,41 @@ class CFR2WC_File_Cache_Manager {
 		$results = $wpdb->get_results(
 			$wpdb->prepare(
 				// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
-				"SELECT * FROM {$table} WHERE folder_path = %s ORDER BY file_name ASC",
+				"SELECT * FROM {$table} WHERE bucket = %s AND folder_path = %s ORDER BY file_name ASC",
+				$this->bucket,
 				$folder_path
 			)
 		);
 
-		// Format results.
-		return array_map(
-			function ( $file ): array {
-				return array(
-					'id'                  => $file->id,
-					'object_key'          => $file->object_key,
-					'file_name'           => $file->file_name,
-					'file_size'           => $file->file_size,
-					'file_size_formatted' => size_format( $file->file_size, 2 ),
-					'mime_type'           => $file->mime_type,
-					'folder_path'         => $file->folder_path,
-					'last_modified'       => $file->last_modified,
-				);
-			},
-			$results
+		return array_map( array( $this, 'format_file' ), $results );
+	}
+
+	/**
+	 * Format a file cache row for JSON responses.
+	 *
+	 * @param object $file File cache row.
+	 * @return array Formatted file.
+	 */
+	private function format_file( object $file ): array {
+		$mime_type = $file->mime_type;
+
+		// Files cached without a type get one from their extension.
+		if ( null === $mime_type ) {
+			$file_type = wp_check_filetype( $file->file_name );
+			$mime_type = $file_type['type'] ? $file_type['type'] : null;
+		}
+
+		return array(
+			'id'                      => $file->id,
+			'object_key'              => $file->object_key,
+			'file_name'               => $file->file_name,
+			'file_size'               => $file->file_size,
+			'file_size_formatted'     => size_format( $file->file_size, 2 ),
+			'mime_type'               => $mime_type,
+			'folder_path'             => $file->folder_path,
+			'last_modified'           => $file->last_modified,
+			'last_modified_formatted' => $file->last_modified ? get_date_from_gmt( $file->last_modified, get_option( 'date_format' ) . ' ' . get_option( 'time_format' ) ) : '',
+			'sha256'                  => $file->sha256 ?? '',
 		);
 	}
 
@@ -443,8 +861,14 @@ class CFR2WC_File_Cache_Manager {
 
 		$table = CFR2WC_Database::get_table_name( CFR2WC_Database::TABLE_FILE_CACHE );
 
-		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.PreparedSQL.InterpolatedNotPrepared
-		$latest_cache = $wpdb->get_var( "SELECT MAX(cached_at) FROM {$table}" );
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$latest_cache = $wpdb->get_var(
+			$wpdb->prepare(
+				// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+				"SELECT MAX(cached_at) FROM {$table} WHERE bucket = %s",
+				$this->bucket
+			)
+		);
 
 		if ( ! $latest_cache ) {
 			return true;
@@ -464,8 +888,14 @@ class CFR2WC_File_Cache_Manager {
 
 		$table = CFR2WC_Database::get_table_name( CFR2WC_Database::TABLE_FILE_CACHE );
 
-		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.PreparedSQL.InterpolatedNotPrepared
-		$count = $wpdb->get_var( "SELECT COUNT(*) FROM {$table}" );
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$count = $wpdb->get_var(
+			$wpdb->prepare(
+				// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+				"SELECT COUNT(*) FROM {$table} WHERE bucket = %s",
+				$this->bucket
+			)
+		);
 
 		return '0' === $count || 0 === $count;
 	}
@@ -486,7 +916,8 @@ class CFR2WC_File_Cache_Manager {
 		$deleted = $wpdb->query(
 			$wpdb->prepare(
 				// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
-				"DELETE FROM {$table} WHERE cached_at < %s",
+				"DELETE FROM {$table} WHERE bucket = %s AND cached_at < %s",
+				$this->bucket,
 				$cutoff
 			)
 		);
@@ -495,7 +926,7 @@ class CFR2WC_File_Cache_Manager {
 	}
 
 	/**
-	 * Clear all cache.
+	 * Clear all cached files of this bucket.
 	 *
 	 * @return bool Success.
 	 */
@@ -504,8 +935,10 @@ class CFR2WC_File_Cache_Manager {
 
 		$table = CFR2WC_Database::get_table_name( CFR2WC_Database::TABLE_FILE_CACHE );
 
-		// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
-		$result = $wpdb->query( "TRUNCATE TABLE {$table}" );
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$result = $wpdb->delete( $table, array( 'bucket' => $this->bucket ) );
+
+		$this->clear_folder_tree_cache();
 
 		return false !== $result;
 	}
@@ -35,6 +35,20 @@ class CFR2WC_Main {
 	 */
 	public ?CFR2WC_File_Cache_Manager $file_cache_manager = null;
 
+	/**
+	 * Bucket Manager.
+	 *
+	 * @var CFR2WC_Bucket_Manager|null
+	 */
+	public ?CFR2WC_Bucket_Manager $bucket_manager = null;
+
+	/**
+	 * Background Sync.
+	 *
+	 * @var CFR2WC_Background_Sync|null
+	 */
+	public ?CFR2WC_Background_Sync $background_sync = null;
+
 	/**
 	 * Settings.
 	 *
@@ -66,13 +80,21 @@ class CFR2WC_Main {
 	 */
 	private function includes(): void {
 		require_once CFR2WC_PLUGIN_DIR . 'includes/class-cfr2wc-client.php';
+		require_once CFR2WC_PLUGIN_DIR . 'includes/class-cfr2wc-object-headers.php';
 		require_once CFR2WC_PLUGIN_DIR . 'includes/class-cfr2wc-shortcode.php';
 		require_once CFR2WC_PLUGIN_DIR . 'includes/class-cfr2wc-download-handler.php';
 
 		// Admin classes.
 		if ( is_admin() ) {
+			require_once CFR2WC_PLUGIN_DIR . 'includes/admin/class-cfr2wc-key-template.php';
+			require_once CFR2WC_PLUGIN_DIR . 'includes/admin/class-cfr2wc-rate-limit.php';
 			require_once CFR2WC_PLUGIN_DIR . 'includes/admin/class-cfr2wc-admin-settings.php';
+			require_once CFR2WC_PLUGIN_DIR . 'includes/admin/class-cfr2wc-connection-diagnostics.php';
+			require_once CFR2WC_PLUGIN_DIR . 'includes/admin/class-cfr2wc-settings-transfer.php';
 			require_once CFR2WC_PLUGIN_DIR . 'includes/admin/class-cfr2wc-product-r2-integration.php';
+			require_once CFR2WC_PLUGIN_DIR . 'includes/admin/class-cfr2wc-releases.php';
+			require_once CFR2WC_PLUGIN_DIR . 'includes/admin/class-cfr2wc-link-report.php';
+			require_once CFR2WC_PLUGIN_DIR . 'includes/admin/class-cfr2wc-migration.php';
 		}
 	}
 
@@ -84,24 +106,29 @@ class CFR2WC_Main {
 		if ( $this->is_configured() ) {
 			$this->r2_client          = new CFR2WC_Client( $this->settings );
 			$this->file_cache_manager = new CFR2WC_File_Cache_Manager( $this->r2_client );
+			$this->bucket_manager     = new CFR2WC_Bucket_Manager( $this->settings, $this->r2_client, $this->file_cache_manager );
+			$this->background_sync    = new CFR2WC_Background_Sync( $this->bucket_manager );
 		}
 
 		// Initialize shortcode system (returns filename only, not URLs).
-		if ( $this->r2_client instanceof \CFR2WC_Client ) {
-			new CFR2WC_Shortcode( $this->r2_client, $this->settings );
+		if ( $this->bucket_manager instanceof \CFR2WC_Bucket_Manager ) {
+			new CFR2WC_Shortcode( $this->bucket_manager, $this->settings );
 		}
 
 		// Initialize download handler.
-		if ( $this->r2_client instanceof \CFR2WC_Client ) {
-			new CFR2WC_Download_Handler( $this->r2_client );
+		if ( $this->bucket_manager instanceof \CFR2WC_Bucket_Manager ) {
+			new CFR2WC_Download_Handler( $this->bucket_manager );
 		}
 
 		// Admin hooks.
 		if ( is_admin() ) {
 			new CFR2WC_Admin_Settings();
 
-			if ( $this->r2_client && $this->file_cache_manager ) {
-				new CFR2WC_Product_R2_Integration( $this->r2_client, $this->file_cache_manager );
+			if ( $this->bucket_manager ) {
+				new CFR2WC_Product_R2_Integration( $this->bucket_manager, $this->background_sync );
+				new CFR2WC_Releases( $this->bucket_manager );
+				new CFR2WC_Link_Report( $this->bucket_manager );
+				new CFR2WC_Migration( $this->bucket_manager );
 			}
 		}
 	}
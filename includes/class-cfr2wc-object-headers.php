@@ -0,0 +1,145 @@
+<?php
+/**
+ * Object Headers
+ *
+ * @package CloudflareR2WC
+ */
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * CloudflareR2WC Object Headers Class
+ *
+ * Builds the content headers and user metadata (x-amz-meta-*) stored with uploaded objects,
+ * and the Content-Disposition of presigned downloads.
+ */
+class CFR2WC_Object_Headers {
+	/**
+	 * Content-Disposition types that can be stored with an object
+	 */
+	const DISPOSITIONS = array( 'attachment', 'inline' );
+
+	/**
+	 * Maximum size of all metadata keys and values in bytes, as limited by S3
+	 */
+	const METADATA_LIMIT = 2048;
+
+	/**
+	 * Build a Content-Disposition header
+	 *
+	 * Non-ASCII file names are sent in filename* and replaced by underscores in the plain filename
+	 * for old clients.
+	 *
+	 * @param string $type Disposition type, attachment or inline.
+	 * @param string $filename File name offered to the browser.
+	 * @return string Header value.
+	 */
+	public static function content_disposition( string $type, string $filename ): string {
+		$fallback = str_replace( array( '"', '\\' ), '', (string) preg_replace( '/[^\x20-\x7E]/u', '_', $filename ) );
+
+		return sprintf( '%s; filename="%s"; filename*=UTF-8\'\'%s', $type, $fallback, rawurlencode( $filename ) );
+	}
+
+	/**
+	 * Parse metadata entered as one "key: value" pair per line
+	 *
+	 * @param string $text Metadata lines.
+	 * @return array Values keyed by metadata key. Lines without a colon are skipped.
+	 */
+	public static function parse_metadata( string $text ): array {
+		$metadata = array();
+
+		foreach ( preg_split( '/\R/', $text ) as $line ) {
+			$parts = explode( ':', $line, 2 );
+
+			if ( 2 === count( $parts ) && '' !== trim( $parts[0] ) ) {
+				$metadata[ trim( $parts[0] ) ] = trim( $parts[1] );
+			}
+		}
+
+		return $metadata;
+	}
+
+	/**
+	 * Format metadata as one "key: value" pair per line
+	 *
+	 * @param array $metadata Values keyed by metadata key.
+	 * @return string Metadata lines.
+	 */
+	public static function format_metadata( array $metadata ): string {
+		$lines = array();
+
+		foreach ( $metadata as $key => $value ) {
+			$lines[] = $key . ': ' . $value;
+		}
+
+		return implode( "\n", $lines );
+	}
+
+	/**
+	 * Validate user metadata
+	 *
+	 * Metadata is sent as HTTP headers, so keys are lowercased and values must be printable ASCII.
+	 *
+	 * @param array $metadata Values keyed by metadata key, without the x-amz-meta- prefix.
+	 * @return array Clean metadata. Entries with an empty key are left out.
+	 * @throws InvalidArgumentException When a key or value can't be stored.
+	 */
+	public static function validate_metadata( array $metadata ): array {
+		$clean = array();
+		$size  = 0;
+
+		foreach ( $metadata as $key => $value ) {
+			$key   = strtolower( trim( (string) $key ) );
+			$value = trim( (string) $value );
+
+			if ( '' === $key ) {
+				continue;
+			}
+
+			if ( 1 !== preg_match( '/^[a-z0-9][a-z0-9_-]*$/', $key ) ) {
+				/* translators: %s: metadata key. */
+				throw new InvalidArgumentException( sprintf( __( 'The metadata key "%s" may only contain letters, numbers, dashes and underscores.', 'cfr2wc' ), $key ) );
+			}
+
+			if ( 1 !== preg_match( '/^[\x20-\x7E]*$/', $value ) ) {
+				/* translators: %s: metadata key. */
+				throw new InvalidArgumentException( sprintf( __( 'The value of "%s" may only contain ASCII characters.', 'cfr2wc' ), $key ) );
+			}
+
+			$clean[ $key ] = $value;
+			$size         += strlen( $key ) + strlen( $value );
+		}
+
+		if ( $size > self::METADATA_LIMIT ) {
+			/* translators: %d: size limit in bytes. */
+			throw new InvalidArgumentException( sprintf( __( 'Metadata can be at most %d bytes in total.', 'cfr2wc' ), self::METADATA_LIMIT ) );
+		}
+
+		return $clean;
+	}
+
+	/**
+	 * Get the site-wide defaults for uploads
+	 *
+	 * @return array Disposition (empty for none), cache_control and metadata.
+	 */
+	public static function get_defaults(): array {
+		$settings = get_option( 'cfr2wc_settings', array() );
+
+		try {
+			$metadata = self::validate_metadata( self::parse_metadata( (string) ( $settings['default_metadata'] ?? '' ) ) );
+		} catch ( InvalidArgumentException $e ) {
+			$metadata = array();
+		}
+
+		return array(
+			'disposition'   => in_array( $settings['default_disposition'] ?? '', self::DISPOSITIONS, true ) ? $settings['default_disposition'] : '',
+			'cache_control' => (string) ( $settings['default_cache_control'] ?? '' ),
+			'metadata'      => $metadata,
+		);
+	}
+}
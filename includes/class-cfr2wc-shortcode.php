@@ -34,11 +34,11 @@ class CFR2WC_Shortcode {
 	private static array $url_cache = array();
 
 	/**
-	 * R2 Client
+	 * Bucket manager
 	 *
-	 * @var CFR2WC_Client
+	 * @var CFR2WC_Bucket_Manager
 	 */
-	private $r2_client;
+	private $bucket_manager;
 
 	/**
 	 * Settings
@@ -50,12 +50,12 @@ class CFR2WC_Shortcode {
 	/**
 	 * Constructor
 	 *
-	 * @param CFR2WC_Client $r2_client R2 client instance.
-	 * @param array         $settings Plugin settings.
+	 * @param CFR2WC_Bucket_Manager $bucket_manager Bucket manager instance.
+	 * @param array                 $settings Plugin settings.
 	 */
-	public function __construct( $r2_client, $settings ) {
-		$this->r2_client = $r2_client;
-		$this->settings  = $settings;
+	public function __construct( $bucket_manager, $settings ) {
+		$this->bucket_manager = $bucket_manager;
+		$this->settings       = $settings;
 		// Register both shortcodes.
 		add_shortcode( self::SHORTCODE_NAME, array( $this, 'handle_shortcode' ) );
 		add_shortcode( self::SHORTCODE_ALIAS, array( $this, 'handle_shortcode' ) );
@@ -65,7 +65,7 @@ class CFR2WC_Shortcode {
 	 * Handle shortcode
 	 *
 	 * Attributes:
-	 * - bucket: Bucket name (optional, defaults to configured bucket)
+	 * - bucket: Bucket name (optional, defaults to configured bucket; buckets without a profile use the configured bucket)
 	 * - region: Region (optional, defaults to 'auto')
 	 * - object: Object key/path (required)
 	 * - filename: Display filename (optional)
@@ -130,12 +130,14 @@ class CFR2WC_Shortcode {
 			return self::$url_cache[ $cache_key ];
 		}
 
+		$r2_client = $this->bucket_manager->get_download_client( (string) $atts['bucket'] );
+
 		// Check if this is a public file.
 		$is_public = isset( $atts['public'] ) && 'true' === $atts['public'];
 
 		// For public files with custom domain.
-		if ( $is_public && ! empty( $this->settings['custom_domain'] ) ) {
-			$custom_domain = trailingslashit( $this->settings['custom_domain'] );
+		if ( $is_public && '' !== $r2_client->get_custom_domain() ) {
+			$custom_domain = trailingslashit( $r2_client->get_custom_domain() );
 			$object_key    = ltrim( (string) $atts['object'], '/' );
 			$url           = 'https://' . $custom_domain . $object_key;
 		} else {
@@ -149,7 +151,7 @@ class CFR2WC_Shortcode {
 				$expiration_seconds = (int) $atts['expires'];
 			}
 
-			$url = $this->r2_client->get_presigned_url( $atts['object'], $expiration_seconds );
+			$url = $r2_client->get_presigned_url( $atts['object'], $expiration_seconds, self::get_response_params( $atts ) );
 		}
 
 		if ( ! $url ) {
@@ -162,6 +164,25 @@ class CFR2WC_Shortcode {
 		return $url;
 	}
 
+	/**
+	 * Get the response overrides for a presigned download
+	 *
+	 * The filename attribute replaces the Content-Disposition stored with the object, so the browser
+	 * saves the file under that name.
+	 *
+	 * @param array $atts Shortcode attributes.
+	 * @return array GetObject response parameters.
+	 */
+	public static function get_response_params( array $atts ): array {
+		$filename = trim( html_entity_decode( (string) ( $atts['filename'] ?? '' ), ENT_QUOTES, 'UTF-8' ) );
+
+		if ( '' === $filename ) {
+			return array();
+		}
+
+		return array( 'ResponseContentDisposition' => CFR2WC_Object_Headers::content_disposition( 'attachment', $filename ) );
+	}
+
 	/**
 	 * Generate error message
 	 *
@@ -203,6 +224,110 @@ class CFR2WC_Shortcode {
 		return $atts;
 	}
 
+	/**
+	 * Get the object key from a download file path
+	 *
+	 * @param string $file_path Download file path.
+	 * @return string Object key, or empty string when the path isn't an R2 shortcode.
+	 */
+	public static function get_object_key( string $file_path ): string {
+		if ( ! self::has_shortcode( $file_path ) ) {
+			return '';
+		}
+
+		$atts = self::parse_shortcode( $file_path );
+
+		if ( ! $atts || empty( $atts['object'] ) ) {
+			return '';
+		}
+
+		return html_entity_decode( (string) $atts['object'], ENT_QUOTES, 'UTF-8' );
+	}
+
+	/**
+	 * Get the bucket from a download file path
+	 *
+	 * @param string $file_path Download file path.
+	 * @return string Bucket name, or empty string for the default bucket.
+	 */
+	public static function get_bucket( string $file_path ): string {
+		$atts = self::parse_shortcode( $file_path );
+
+		return $atts && ! empty( $atts['bucket'] ) ? html_entity_decode( (string) $atts['bucket'], ENT_QUOTES, 'UTF-8' ) : '';
+	}
+
+	/**
+	 * Point a shortcode at a different object, keeping its other attributes
+	 *
+	 * @param string $shortcode Shortcode string.
+	 * @param string $object_key New object key.
+	 * @return string Updated shortcode, or the original string when it has no object attribute.
+	 */
+	public static function replace_object( string $shortcode, string $object_key ): string {
+		$pattern = '/(\[(?:' . self::SHORTCODE_NAME . '|' . self::SHORTCODE_ALIAS . ')\s[^\]]*?\bobject=")[^"]*(")/';
+
+		return (string) preg_replace_callback(
+			$pattern,
+			function ( array $matches ) use ( $object_key ): string {
+				return $matches[1] . str_replace( '"', '&quot;', $object_key ) . $matches[2];
+			},
+			$shortcode,
+			1
+		);
+	}
+
+	/**
+	 * Build a shortcode for an object
+	 *
+	 * @param string $object_key Object key.
+	 * @param array  $atts Other attributes, empty values are left out.
+	 * @return string Shortcode string.
+	 */
+	public static function build( string $object_key, array $atts = array() ): string {
+		$shortcode = '[' . self::SHORTCODE_NAME . ' object="' . str_replace( '"', '&quot;', $object_key ) . '"';
+
+		foreach ( $atts as $name => $value ) {
+			if ( '' !== (string) $value ) {
+				$shortcode .= ' ' . $name . '="' . str_replace( '"', '&quot;', (string) $value ) . '"';
+			}
+		}
+
+		return $shortcode . ']';
+	}
+
+	/**
+	 * Check if a download file path uses the legacy amazon_s3 shortcode
+	 *
+	 * @param string $file_path Download file path.
+	 */
+	public static function is_legacy( string $file_path ): bool {
+		return 1 === preg_match( '/\[' . self::SHORTCODE_ALIAS . '\s/', $file_path );
+	}
+
+	/**
+	 * Convert a legacy amazon_s3 shortcode to a cloudflare_r2 shortcode
+	 *
+	 * The region attribute is dropped, R2 buckets have a single region.
+	 *
+	 * @param string $shortcode Legacy shortcode string.
+	 * @param string $bucket R2 bucket name, empty for the default bucket.
+	 * @return string Converted shortcode, or the original string when it has no object attribute.
+	 */
+	public static function convert_legacy( string $shortcode, string $bucket ): string {
+		$atts = self::parse_shortcode( $shortcode );
+
+		if ( ! $atts || empty( $atts['object'] ) ) {
+			return $shortcode;
+		}
+
+		$object_key = html_entity_decode( (string) $atts['object'], ENT_QUOTES, 'UTF-8' );
+
+		unset( $atts['object'], $atts['bucket'], $atts['region'] );
+		$atts['bucket'] = $bucket;
+
+		return self::build( $object_key, $atts );
+	}
+
 	/**
 	 * Check if string contains R2 shortcode
 	 *
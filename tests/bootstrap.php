@@ -34,6 +34,12 @@ if (!function_exists('sanitize_text_field')) {
     }
 }
 
+if (!function_exists('sanitize_textarea_field')) {
+    function sanitize_textarea_field($str) {
+        return strip_tags($str);
+    }
+}
+
 if (!function_exists('get_option')) {
     function get_option($option, $default = false) {
         global $_test_options;
@@ -139,6 +145,33 @@ if (!function_exists('size_format')) {
     }
 }
 
+if (!function_exists('trailingslashit')) {
+    function trailingslashit($value) {
+        return rtrim($value, '/\\') . '/';
+    }
+}
+
+if (!function_exists('untrailingslashit')) {
+    function untrailingslashit($value) {
+        return rtrim($value, '/\\');
+    }
+}
+
+if (!function_exists('site_url')) {
+    function site_url($path = '') {
+        return 'https://example.com' . $path;
+    }
+}
+
+if (!function_exists('wp_upload_dir')) {
+    function wp_upload_dir($time = null, $create_dir = true) {
+        return [
+            'basedir' => WP_CONTENT_DIR . '/uploads',
+            'baseurl' => 'https://example.com/wp-content/uploads',
+        ];
+    }
+}
+
 // Initialize global test variables
 global $_test_options, $_test_transients;
 $_test_options = [];
@@ -151,6 +184,35 @@ if (!function_exists('wp_json_encode')) {
     }
 }
 
+if (!function_exists('wp_parse_url')) {
+    function wp_parse_url($url, $component = -1) {
+        return parse_url($url, $component);
+    }
+}
+
+if (!function_exists('wp_strip_all_tags')) {
+    function wp_strip_all_tags($text) {
+        return trim(strip_tags($text));
+    }
+}
+
+if (!function_exists('esc_url_raw')) {
+    function esc_url_raw($url, $protocols = null) {
+        return filter_var($url, FILTER_VALIDATE_URL) ? $url : '';
+    }
+}
+
 // Load plugin classes
 require_once dirname(__DIR__) . '/includes/class-cfr2wc-encryption.php';
 require_once dirname(__DIR__) . '/includes/class-cfr2wc-logger.php';
+require_once dirname(__DIR__) . '/includes/class-cfr2wc-file-cache-manager.php';
+require_once dirname(__DIR__) . '/includes/class-cfr2wc-object-headers.php';
+require_once dirname(__DIR__) . '/includes/class-cfr2wc-shortcode.php';
+require_once dirname(__DIR__) . '/includes/admin/class-cfr2wc-connection-diagnostics.php';
+require_once dirname(__DIR__) . '/includes/class-cfr2wc-client.php';
+require_once dirname(__DIR__) . '/includes/class-cfr2wc-bucket-manager.php';
+require_once dirname(__DIR__) . '/includes/admin/class-cfr2wc-key-template.php';
+require_once dirname(__DIR__) . '/includes/admin/class-cfr2wc-rate-limit.php';
+require_once dirname(__DIR__) . '/includes/admin/class-cfr2wc-settings-transfer.php';
+require_once dirname(__DIR__) . '/includes/admin/class-cfr2wc-migration.php';
+require_once dirname(__DIR__) . '/includes/admin/class-cfr2wc-releases.php';
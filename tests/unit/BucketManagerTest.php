@@ -0,0 +1,58 @@
+<?php
+/**
+ * Tests for bucket resolution in CFR2WC_Bucket_Manager
+ *
+ * @package CloudflareR2WC
+ */
+
+use PHPUnit\Framework\TestCase;
+
+class BucketManagerTest extends TestCase {
+
+    private CFR2WC_Client $default_client;
+
+    private CFR2WC_Bucket_Manager $manager;
+
+    protected function setUp(): void {
+        global $_test_options;
+        $_test_options = [];
+
+        $this->default_client = $this->createMock(CFR2WC_Client::class);
+        $this->manager = new CFR2WC_Bucket_Manager(
+            ['bucket_name' => 'products'],
+            $this->default_client,
+            $this->createMock(CFR2WC_File_Cache_Manager::class)
+        );
+    }
+
+    /**
+     * Test buckets without a profile have no client of their own
+     */
+    public function test_unknown_bucket_has_no_client(): void {
+        $this->assertSame($this->default_client, $this->manager->get_client(''));
+        $this->assertSame($this->default_client, $this->manager->get_client('products'));
+        $this->assertNull($this->manager->get_client('old-s3-bucket'));
+    }
+
+    /**
+     * Test downloads from buckets without a profile, e.g. legacy [amazon_s3] shortcodes, use the default bucket
+     */
+    public function test_download_client_falls_back_to_default_bucket(): void {
+        $file = '[amazon_s3 bucket="old-s3-bucket" object="docs/manual.pdf"]';
+
+        $this->assertSame($this->default_client, $this->manager->get_download_client(CFR2WC_Shortcode::get_bucket($file)));
+        $this->assertSame($this->default_client, $this->manager->get_download_client(''));
+    }
+
+    /**
+     * Test download lookups map buckets without a profile to the default bucket and keep profiled buckets
+     */
+    public function test_resolve_download_bucket(): void {
+        global $_test_options;
+        $_test_options['cfr2wc_bucket_profiles'] = [['name' => 'Archive', 'bucket_name' => 'archive']];
+
+        $this->assertSame('products', $this->manager->resolve_download_bucket(''));
+        $this->assertSame('products', $this->manager->resolve_download_bucket('old-s3-bucket'));
+        $this->assertSame('archive', $this->manager->resolve_download_bucket('archive'));
+    }
+}
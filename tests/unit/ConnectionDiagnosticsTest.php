@@ -0,0 +1,56 @@
+<?php
+/**
+ * Tests for the endpoint check in CFR2WC_Connection_Diagnostics
+ *
+ * @package CloudflareR2WC
+ */
+
+use PHPUnit\Framework\TestCase;
+
+class ConnectionDiagnosticsTest extends TestCase {
+
+    private const ACCOUNT_ID = '0123456789abcdef0123456789abcdef';
+
+    /**
+     * Test global and jurisdiction endpoints are recognised
+     */
+    public function test_jurisdictions(): void {
+        $global = CFR2WC_Connection_Diagnostics::check_endpoint('https://' . self::ACCOUNT_ID . '.r2.cloudflarestorage.com');
+        $this->assertSame('pass', $global['status']);
+        $this->assertSame('global', $global['jurisdiction']);
+
+        $eu = CFR2WC_Connection_Diagnostics::check_endpoint('https://' . self::ACCOUNT_ID . '.eu.r2.cloudflarestorage.com/');
+        $this->assertSame('pass', $eu['status']);
+        $this->assertSame('eu', $eu['jurisdiction']);
+    }
+
+    /**
+     * Test malformed endpoints fail with a suggested fix
+     */
+    public function test_invalid_endpoints(): void {
+        $endpoints = [
+            '',
+            self::ACCOUNT_ID . '.r2.cloudflarestorage.com',
+            'http://' . self::ACCOUNT_ID . '.r2.cloudflarestorage.com',
+            'https://' . self::ACCOUNT_ID . '.r2.cloudflarestorage.com/my-bucket',
+            'https://my-account.r2.cloudflarestorage.com',
+        ];
+
+        foreach ($endpoints as $endpoint) {
+            $result = CFR2WC_Connection_Diagnostics::check_endpoint($endpoint);
+
+            $this->assertSame('fail', $result['status'], $endpoint);
+            $this->assertNotEmpty($result['fix'], $endpoint);
+        }
+    }
+
+    /**
+     * Test other hosts only warn, S3-compatible proxies are allowed
+     */
+    public function test_non_r2_host_warns(): void {
+        $result = CFR2WC_Connection_Diagnostics::check_endpoint('https://s3.example.com');
+
+        $this->assertSame('warning', $result['status']);
+        $this->assertSame('', $result['jurisdiction']);
+    }
+}
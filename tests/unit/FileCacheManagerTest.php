@@ -0,0 +1,159 @@
+<?php
+/**
+ * Tests for file search helpers in CFR2WC_File_Cache_Manager
+ *
+ * @package CloudflareR2WC
+ */
+
+use PHPUnit\Framework\TestCase;
+
+class FileCacheManagerTest extends TestCase {
+
+    private CFR2WC_File_Cache_Manager $manager;
+
+    protected function setUp(): void {
+        parent::setUp();
+
+        // Search helpers don't touch the R2 client, skip the constructor
+        $this->manager = (new ReflectionClass(CFR2WC_File_Cache_Manager::class))->newInstanceWithoutConstructor();
+    }
+
+    /**
+     * Test cursor round trip for the default sort column
+     */
+    public function test_cursor_round_trip(): void {
+        $cursor = $this->manager->get_next_cursor(['id' => '42', 'file_name' => 'build-v2.3.10.zip'], 'file_name');
+
+        $this->assertEquals(['value' => 'build-v2.3.10.zip', 'id' => 42, 'folder' => null], $this->decode($cursor));
+
+        // Grouped cursors keep the folder, including the bucket root
+        $cursor = $this->manager->get_next_cursor(['id' => '42', 'file_name' => 'build-v2.3.10.zip', 'folder_path' => 'builds/2.3'], 'file_name', true);
+        $this->assertEquals(['value' => 'build-v2.3.10.zip', 'id' => 42, 'folder' => 'builds/2.3'], $this->decode($cursor));
+
+        $cursor = $this->manager->get_next_cursor(['id' => '42', 'file_name' => 'build-v2.3.10.zip', 'folder_path' => ''], 'file_name', true);
+        $this->assertSame('', $this->decode($cursor)['folder']);
+    }
+
+    /**
+     * Test cursors are URL safe
+     */
+    public function test_cursor_is_url_safe(): void {
+        $cursor = $this->manager->get_next_cursor(['id' => 7, 'file_name' => str_repeat('?>~', 20)], 'file_name');
+
+        $this->assertMatchesRegularExpression('/^[A-Za-z0-9_-]+$/', $cursor);
+    }
+
+    /**
+     * Test NULL columns use the same value as the SQL sort expression
+     */
+    public function test_cursor_null_values(): void {
+        $cursor = $this->manager->get_next_cursor(['id' => 3, 'last_modified' => null], 'last_modified');
+        $this->assertEquals('1000-01-01 00:00:00', $this->decode($cursor)['value']);
+
+        $cursor = $this->manager->get_next_cursor(['id' => 3, 'mime_type' => null], 'mime_type');
+        $this->assertSame('', $this->decode($cursor)['value']);
+    }
+
+    /**
+     * Test unknown sort columns fall back to file name
+     */
+    public function test_cursor_unknown_column(): void {
+        $cursor = $this->manager->get_next_cursor(['id' => 1, 'file_name' => 'a.zip', 'object_key' => 'x/a.zip'], 'object_key');
+
+        $this->assertEquals('a.zip', $this->decode($cursor)['value']);
+    }
+
+    /**
+     * Test grouped cursors carry the folder
+     */
+    public function test_grouped_cursor(): void {
+        $file = ['id' => 9, 'file_name' => 'manual.pdf', 'folder_path' => 'docs/v2'];
+
+        $this->assertEquals(
+            ['value' => 'manual.pdf', 'id' => 9, 'folder' => 'docs/v2'],
+            $this->decode($this->manager->get_next_cursor($file, 'file_name', true))
+        );
+        $this->assertNull($this->decode($this->manager->get_next_cursor($file, 'file_name'))['folder']);
+    }
+
+    /**
+     * Test glob patterns are converted to anchored regular expressions
+     */
+    public function test_glob_to_regex(): void {
+        $this->assertEquals('^[^/]*\\.zip$', $this->glob('*.zip'));
+        $this->assertEquals('^releases/(.*/)?v2[^/]*$', $this->glob('releases/**/v2*'));
+        $this->assertEquals('^file[^/]\\.txt$', $this->glob('file?.txt'));
+        $this->assertEquals('^builds/.*$', $this->glob('builds/**'));
+    }
+
+    /**
+     * Test converted globs match the expected keys
+     */
+    public function test_glob_matching(): void {
+        $regex = '#' . $this->glob('releases/**/v2*') . '#';
+
+        $this->assertMatchesRegularExpression($regex, 'releases/v2.3.1.zip');
+        $this->assertMatchesRegularExpression($regex, 'releases/2024/q1/v2.3.10.zip');
+        $this->assertDoesNotMatchRegularExpression($regex, 'old/releases/v2.zip');
+        $this->assertDoesNotMatchRegularExpression($regex, 'releases/v1.zip');
+
+        $regex = '#' . $this->glob('*.zip') . '#';
+
+        $this->assertMatchesRegularExpression($regex, 'plugin.zip');
+        $this->assertDoesNotMatchRegularExpression($regex, 'plugin.zip.sig');
+        $this->assertDoesNotMatchRegularExpression($regex, 'pluginXzip');
+    }
+
+    /**
+     * Test invalid cursors are rejected
+     */
+    public function test_invalid_cursor(): void {
+        $this->assertNull($this->decode('not a cursor'));
+        $this->assertNull($this->decode(rtrim(strtr(base64_encode('["a","1"]'), '+/', '-_'), '=')));
+        $this->assertNull($this->decode(rtrim(strtr(base64_encode('{"value":"a"}'), '+/', '-_'), '=')));
+    }
+
+    /**
+     * Test files cached without a type get one from their extension
+     */
+    public function test_format_file_detects_missing_type(): void {
+        $method = new ReflectionMethod(CFR2WC_File_Cache_Manager::class, 'format_file');
+        $file = (object) [
+            'id' => 5,
+            'object_key' => 'docs/manual.pdf',
+            'file_name' => 'manual.pdf',
+            'file_size' => 1024,
+            'mime_type' => null,
+            'folder_path' => 'docs',
+            'last_modified' => null,
+            'sha256' => null,
+        ];
+
+        $this->assertSame('application/pdf', $method->invoke($this->manager, $file)['mime_type']);
+
+        $file->mime_type = 'application/x-pdf';
+        $this->assertSame('application/x-pdf', $method->invoke($this->manager, $file)['mime_type']);
+
+        $file->file_name = 'README';
+        $file->mime_type = null;
+        $this->assertNull($method->invoke($this->manager, $file)['mime_type']);
+    }
+
+    /**
+     * Call the private glob_to_regex() method
+     */
+    private function glob(string $pattern): string {
+        $method = new ReflectionMethod(CFR2WC_File_Cache_Manager::class, 'glob_to_regex');
+
+        return $method->invoke($this->manager, $pattern);
+    }
+
+    /**
+     * Call the private decode_cursor() method
+     */
+    private function decode(string $cursor): ?array {
+        $method = new ReflectionMethod(CFR2WC_File_Cache_Manager::class, 'decode_cursor');
+
+        return $method->invoke($this->manager, $cursor);
+    }
+}
@@ -0,0 +1,57 @@
+<?php
+/**
+ * Tests for CFR2WC_Key_Template
+ *
+ * @package CloudflareR2WC
+ */
+
+use PHPUnit\Framework\TestCase;
+
+class KeyTemplateTest extends TestCase {
+
+    /**
+     * Test templates are normalized
+     */
+    public function test_validate_normalizes_slashes(): void {
+        $this->assertSame('products/{sku}/{version}/{filename}', CFR2WC_Key_Template::validate(' /products//{sku}/{version}/{filename}/ '));
+        $this->assertSame('{filename}', CFR2WC_Key_Template::validate('{filename}'));
+        $this->assertSame('', CFR2WC_Key_Template::validate('  '));
+    }
+
+    /**
+     * Test templates that can't produce usable keys are rejected
+     */
+    public function test_validate_rejects_invalid_templates(): void {
+        $invalid = [
+            'products/{sku}',
+            'products/{filename}-{sku}',
+            '{filename}/file.zip',
+            'products/../{filename}',
+            'products/{version}-{filename}',
+        ];
+
+        foreach ($invalid as $template) {
+            try {
+                CFR2WC_Key_Template::validate($template);
+                $this->fail('Expected an exception for ' . $template);
+            } catch (InvalidArgumentException $e) {
+                $this->assertNotEmpty($e->getMessage());
+            }
+        }
+    }
+
+    /**
+     * Test known placeholders may prefix the file name
+     */
+    public function test_validate_accepts_placeholders_in_name(): void {
+        $this->assertSame('{yyyy}/{mm}/{uuid}-{filename}', CFR2WC_Key_Template::validate('{yyyy}/{mm}/{uuid}-{filename}'));
+    }
+
+    /**
+     * Test templates split at the last slash
+     */
+    public function test_split(): void {
+        $this->assertSame(['folder' => 'products/{sku}', 'name' => '{filename}'], CFR2WC_Key_Template::split('products/{sku}/{filename}'));
+        $this->assertSame(['folder' => '', 'name' => '{sku}-{filename}'], CFR2WC_Key_Template::split('{sku}-{filename}'));
+    }
+}
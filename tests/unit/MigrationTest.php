@@ -0,0 +1,107 @@
+<?php
+/**
+ * Tests for the S3 URL parsing in CFR2WC_Migration
+ *
+ * @package CloudflareR2WC
+ */
+
+use PHPUnit\Framework\TestCase;
+
+class MigrationTest extends TestCase {
+
+    private string $uploads;
+
+    protected function setUp(): void {
+        $this->uploads = WP_CONTENT_DIR . '/uploads';
+
+        @mkdir($this->uploads . '/woocommerce_uploads/2024', 0777, true);
+        @mkdir(WP_CONTENT_DIR . '/plugins', 0777, true);
+        file_put_contents($this->uploads . '/woocommerce_uploads/2024/app.zip', 'zip');
+        file_put_contents(ABSPATH . 'wp-config.php', '<?php');
+        file_put_contents(WP_CONTENT_DIR . '/plugins/secrets.php', '<?php');
+    }
+
+    protected function tearDown(): void {
+        @unlink($this->uploads . '/woocommerce_uploads/2024/app.zip');
+        @unlink(ABSPATH . 'wp-config.php');
+        @unlink(WP_CONTENT_DIR . '/plugins/secrets.php');
+    }
+
+    /**
+     * Test virtual-hosted and path style URLs resolve to bucket and key
+     */
+    public function test_parse_s3_url(): void {
+        $expected = ['bucket' => 'my-bucket', 'key' => 'releases/app 1.0.zip'];
+
+        $urls = [
+            'https://my-bucket.s3.amazonaws.com/releases/app%201.0.zip',
+            'https://my-bucket.s3.eu-west-1.amazonaws.com/releases/app%201.0.zip',
+            'https://my-bucket.s3-eu-west-1.amazonaws.com/releases/app%201.0.zip',
+            'https://s3.amazonaws.com/my-bucket/releases/app%201.0.zip',
+            'http://s3.us-east-2.amazonaws.com/my-bucket/releases/app%201.0.zip?versionId=1',
+        ];
+
+        foreach ($urls as $url) {
+            $this->assertSame($expected, CFR2WC_Migration::parse_s3_url($url), $url);
+        }
+    }
+
+    /**
+     * Test other URLs and bucket-only URLs are not treated as S3 files
+     */
+    public function test_parse_s3_url_rejects_other_urls(): void {
+        $urls = [
+            'https://example.com/wp-content/uploads/woocommerce_uploads/app.zip',
+            'https://my-bucket.s3.amazonaws.com/',
+            'https://s3.amazonaws.com/my-bucket',
+            'https://s3.amazonaws.com.example.com/my-bucket/app.zip',
+            '/var/www/html/wp-content/uploads/app.zip',
+        ];
+
+        foreach ($urls as $url) {
+            $this->assertNull(CFR2WC_Migration::parse_s3_url($url), $url);
+        }
+    }
+
+    /**
+     * Test local files in the uploads folder are found by URL and path
+     */
+    public function test_get_source_uploads(): void {
+        $expected = [
+            'type' => 'local',
+            'path' => realpath($this->uploads . '/woocommerce_uploads/2024/app.zip'),
+            'key' => '2024/app.zip',
+        ];
+
+        $this->assertSame($expected, $this->source('http://example.com/wp-content/uploads/woocommerce_uploads/2024/app.zip'));
+        $this->assertSame($expected, $this->source($this->uploads . '/woocommerce_uploads/2024/app.zip'));
+    }
+
+    /**
+     * Test files outside the uploads folder are never migrated
+     */
+    public function test_get_source_rejects_other_paths(): void {
+        $files = [
+            'https://example.com/wp-config.php',
+            ABSPATH . 'wp-config.php',
+            $this->uploads . '/../../wp-config.php',
+            'https://example.com/wp-content/uploads/../plugins/secrets.php',
+            WP_CONTENT_DIR . '/plugins/secrets.php',
+            '/etc/passwd',
+            $this->uploads . '/woocommerce_uploads/2024/missing.zip',
+        ];
+
+        foreach ($files as $file) {
+            $this->assertNull($this->source($file), $file);
+        }
+    }
+
+    /**
+     * Call the private get_source() method
+     */
+    private function source(string $file): ?array {
+        $method = new ReflectionMethod(CFR2WC_Migration::class, 'get_source');
+
+        return $method->invoke((new ReflectionClass(CFR2WC_Migration::class))->newInstanceWithoutConstructor(), $file);
+    }
+}
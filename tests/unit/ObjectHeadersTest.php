@@ -0,0 +1,69 @@
+<?php
+/**
+ * Tests for CFR2WC_Object_Headers
+ *
+ * @package CloudflareR2WC
+ */
+
+use PHPUnit\Framework\TestCase;
+
+class ObjectHeadersTest extends TestCase {
+
+    /**
+     * Test Content-Disposition keeps the file name intact for modern and old clients
+     */
+    public function test_content_disposition(): void {
+        $this->assertSame(
+            'attachment; filename="guide.pdf"; filename*=UTF-8\'\'guide.pdf',
+            CFR2WC_Object_Headers::content_disposition('attachment', 'guide.pdf')
+        );
+        $this->assertSame(
+            'inline; filename="r_sum_ v2.pdf"; filename*=UTF-8\'\'r%C3%A9sum%C3%A9%20v2.pdf',
+            CFR2WC_Object_Headers::content_disposition('inline', 'résumé v2.pdf')
+        );
+        $this->assertSame(
+            'attachment; filename="ab.zip"; filename*=UTF-8\'\'a%22b.zip',
+            CFR2WC_Object_Headers::content_disposition('attachment', 'a"b.zip')
+        );
+    }
+
+    /**
+     * Test metadata lines are parsed and formatted back
+     */
+    public function test_parse_and_format_metadata(): void {
+        $metadata = CFR2WC_Object_Headers::parse_metadata("license: GPL-2.0\r\n\nnot a pair\nurl: https://example.com/docs\n");
+
+        $this->assertSame(['license' => 'GPL-2.0', 'url' => 'https://example.com/docs'], $metadata);
+        $this->assertSame("license: GPL-2.0\nurl: https://example.com/docs", CFR2WC_Object_Headers::format_metadata($metadata));
+    }
+
+    /**
+     * Test metadata keys are lowercased and empty keys skipped
+     */
+    public function test_validate_metadata(): void {
+        $this->assertSame(
+            ['product-line' => 'Pro', 'build_id' => ''],
+            CFR2WC_Object_Headers::validate_metadata(['Product-Line' => ' Pro ', 'build_id' => '', '' => 'ignored'])
+        );
+    }
+
+    /**
+     * Test metadata that can't be sent as headers is rejected
+     */
+    public function test_validate_metadata_rejects_invalid(): void {
+        $invalid = [
+            ['has space' => 'x'],
+            ['key' => 'naïve'],
+            ['key' => str_repeat('x', CFR2WC_Object_Headers::METADATA_LIMIT)],
+        ];
+
+        foreach ($invalid as $metadata) {
+            try {
+                CFR2WC_Object_Headers::validate_metadata($metadata);
+                $this->fail('Expected an exception for ' . json_encode($metadata));
+            } catch (InvalidArgumentException $e) {
+                $this->assertNotEmpty($e->getMessage());
+            }
+        }
+    }
+}
@@ -0,0 +1,53 @@
+<?php
+/**
+ * Tests for CFR2WC_Rate_Limit
+ *
+ * @package CloudflareR2WC
+ */
+
+use PHPUnit\Framework\TestCase;
+
+class RateLimitTest extends TestCase {
+
+    protected function setUp(): void {
+        parent::setUp();
+
+        global $_test_transients;
+        $_test_transients = [];
+    }
+
+    /**
+     * Test every operation counts as soon as it starts, up to the limit
+     */
+    public function test_hit_counts_up_to_limit(): void {
+        for ($i = 0; $i < 3; $i++) {
+            $this->assertTrue(CFR2WC_Rate_Limit::hit('upload', 3, 3600));
+        }
+
+        $this->assertFalse(CFR2WC_Rate_Limit::hit('upload', 3, 3600));
+        $this->assertTrue(CFR2WC_Rate_Limit::hit('sync', 3, 3600));
+    }
+
+    /**
+     * Test failed or aborted operations give their count back
+     */
+    public function test_release_gives_count_back(): void {
+        CFR2WC_Rate_Limit::hit('upload', 2, 3600);
+        CFR2WC_Rate_Limit::hit('upload', 2, 3600);
+        CFR2WC_Rate_Limit::release('upload', 3600);
+
+        $this->assertTrue(CFR2WC_Rate_Limit::hit('upload', 2, 3600));
+        $this->assertFalse(CFR2WC_Rate_Limit::hit('upload', 2, 3600));
+    }
+
+    /**
+     * Test releasing more than was counted doesn't raise the limit
+     */
+    public function test_release_stops_at_zero(): void {
+        CFR2WC_Rate_Limit::release('upload', 3600);
+        CFR2WC_Rate_Limit::release('upload', 3600);
+
+        $this->assertTrue(CFR2WC_Rate_Limit::hit('upload', 1, 3600));
+        $this->assertFalse(CFR2WC_Rate_Limit::hit('upload', 1, 3600));
+    }
+}
@@ -0,0 +1,43 @@
+<?php
+/**
+ * Tests for the version folder helpers in CFR2WC_Releases
+ *
+ * @package CloudflareR2WC
+ */
+
+use PHPUnit\Framework\TestCase;
+
+class ReleasesTest extends TestCase {
+
+    /**
+     * Test versions must be usable as a single folder name
+     */
+    public function test_is_valid_version(): void {
+        foreach (['1.4.0', 'v2', '2024-06', 'v2.0.0-beta_1', '7'] as $version) {
+            $this->assertTrue(CFR2WC_Releases::is_valid_version($version), $version);
+        }
+
+        foreach (['', '.', '..', '1.4.0/', '../1.0', '-1.0', '1.0.', '1 0', str_repeat('1', 65)] as $version) {
+            $this->assertFalse(CFR2WC_Releases::is_valid_version($version), $version);
+        }
+    }
+
+    /**
+     * Test new versions go next to an existing version folder
+     */
+    public function test_base_folder_of_versioned_file(): void {
+        $this->assertSame('product', CFR2WC_Releases::get_base_folder('product/1.3.0/file.zip'));
+        $this->assertSame('product', CFR2WC_Releases::get_base_folder('product/v1.3/file.zip'));
+        $this->assertSame('', CFR2WC_Releases::get_base_folder('1.3.0/file.zip'));
+        $this->assertSame('apps/tool', CFR2WC_Releases::get_base_folder('apps/tool/summer/file.zip', 'summer'));
+    }
+
+    /**
+     * Test files outside a version folder get version folders inside their own folder
+     */
+    public function test_base_folder_of_unversioned_file(): void {
+        $this->assertSame('product', CFR2WC_Releases::get_base_folder('product/file.zip'));
+        $this->assertSame('', CFR2WC_Releases::get_base_folder('file.zip'));
+        $this->assertSame('apps/tool/summer', CFR2WC_Releases::get_base_folder('apps/tool/summer/file.zip'));
+    }
+}
@@ -0,0 +1,151 @@
+<?php
+/**
+ * Tests for the import validation in CFR2WC_Settings_Transfer
+ *
+ * @package CloudflareR2WC
+ */
+
+use PHPUnit\Framework\TestCase;
+
+class SettingsTransferTest extends TestCase {
+
+    private CFR2WC_Settings_Transfer $transfer;
+
+    protected function setUp(): void {
+        global $_test_options;
+        $_test_options = [];
+
+        $this->transfer = new CFR2WC_Settings_Transfer([
+            'cfr2wc_check_permissions' => [
+                'title' => 'Check Permissions',
+                'type' => 'checkbox',
+                'default' => 'yes',
+            ],
+            'cfr2wc_url_expiration_hours' => [
+                'title' => 'URL Expiration',
+                'type' => 'number',
+                'default' => '24',
+                'custom_attributes' => ['min' => '1', 'max' => '720'],
+            ],
+            'cfr2wc_upload_mode' => [
+                'title' => 'Upload Mode',
+                'type' => 'select',
+                'default' => 'server',
+                'options' => ['server' => 'Server', 'direct' => 'Direct'],
+            ],
+            'cfr2wc_bucket_name' => [
+                'title' => 'Bucket Name',
+                'type' => 'text',
+                'custom_attributes' => ['data-cfr2wc-validate' => 'bucket'],
+            ],
+            'cfr2wc_object_key_template' => [
+                'title' => 'Object Key Template',
+                'type' => 'text',
+                'custom_attributes' => ['data-cfr2wc-validate' => 'key_template'],
+            ],
+            'cfr2wc_default_metadata' => [
+                'title' => 'Default Metadata',
+                'type' => 'textarea',
+                'custom_attributes' => ['data-cfr2wc-validate' => 'metadata'],
+            ],
+            'cfr2wc_secret_access_key' => [
+                'title' => 'Secret Access Key',
+                'type' => 'password',
+            ],
+            'cfr2wc_bucket_profiles' => [
+                'title' => 'Additional Buckets',
+                'type' => 'cfr2wc_bucket_profiles',
+            ],
+        ]);
+    }
+
+    private function document(array $options): array {
+        return [
+            'format' => CFR2WC_Settings_Transfer::FORMAT,
+            'schema' => CFR2WC_Settings_Transfer::SCHEMA_VERSION,
+            'options' => $options,
+        ];
+    }
+
+    /**
+     * Test documents that are not settings exports are rejected
+     */
+    public function test_rejects_other_documents(): void {
+        $this->assertNotEmpty($this->transfer->validate(['options' => []])['errors']);
+        $this->assertNotEmpty($this->transfer->validate('not a document')['errors']);
+
+        $newer = $this->document([]);
+        $newer['schema'] = CFR2WC_Settings_Transfer::SCHEMA_VERSION + 1;
+        $this->assertNotEmpty($this->transfer->validate($newer)['errors']);
+    }
+
+    /**
+     * Test valid values pass and unknown options only warn
+     */
+    public function test_valid_options(): void {
+        $result = $this->transfer->validate($this->document([
+            'cfr2wc_check_permissions' => 'no',
+            'cfr2wc_url_expiration_hours' => 48,
+            'cfr2wc_upload_mode' => 'direct',
+            'cfr2wc_bucket_name' => 'my-bucket',
+            'cfr2wc_object_key_template' => '/products/{sku}/{version}/{filename}',
+            'cfr2wc_default_metadata' => "License:  GPL-2.0\r\nurl: https://example.com",
+            'cfr2wc_removed_option' => 'yes',
+        ]));
+
+        $this->assertSame([], $result['errors']);
+        $this->assertCount(1, $result['warnings']);
+        $this->assertSame([
+            'cfr2wc_check_permissions' => 'no',
+            'cfr2wc_url_expiration_hours' => '48',
+            'cfr2wc_upload_mode' => 'direct',
+            'cfr2wc_bucket_name' => 'my-bucket',
+            'cfr2wc_object_key_template' => 'products/{sku}/{version}/{filename}',
+            'cfr2wc_default_metadata' => "license: GPL-2.0\nurl: https://example.com",
+        ], $result['options']);
+    }
+
+    /**
+     * Test values outside the field definition are errors
+     */
+    public function test_invalid_options(): void {
+        $result = $this->transfer->validate($this->document([
+            'cfr2wc_check_permissions' => true,
+            'cfr2wc_url_expiration_hours' => '1000',
+            'cfr2wc_upload_mode' => 'ftp',
+            'cfr2wc_bucket_name' => 'My_Bucket',
+            'cfr2wc_object_key_template' => 'products/{sku}',
+            'cfr2wc_default_metadata' => 'build id: 42',
+        ]));
+
+        $this->assertCount(6, $result['errors']);
+    }
+
+    /**
+     * Test credentials that cannot be decrypted are left out
+     */
+    public function test_undecryptable_secret_is_skipped(): void {
+        $encrypted = CFR2WC_Encryption::encrypt('secret');
+
+        $result = $this->transfer->validate($this->document(['cfr2wc_secret_access_key' => $encrypted]));
+        $this->assertSame($encrypted, $result['options']['cfr2wc_secret_access_key']);
+
+        $result = $this->transfer->validate($this->document(['cfr2wc_secret_access_key' => 'plain-text']));
+        $this->assertArrayNotHasKey('cfr2wc_secret_access_key', $result['options']);
+        $this->assertCount(1, $result['warnings']);
+    }
+
+    /**
+     * Test profiles may not reuse the default bucket
+     */
+    public function test_profiles_need_unique_buckets(): void {
+        $result = $this->transfer->validate($this->document([
+            'cfr2wc_bucket_name' => 'downloads',
+            'cfr2wc_bucket_profiles' => [
+                ['name' => 'Archive', 'bucket_name' => 'downloads'],
+            ],
+        ]));
+
+        $this->assertCount(1, $result['errors']);
+    }
+}
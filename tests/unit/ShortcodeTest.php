@@ -0,0 +1,105 @@
+<?php
+/**
+ * Tests for shortcode parsing helpers in CFR2WC_Shortcode
+ *
+ * @package CloudflareR2WC
+ */
+
+use PHPUnit\Framework\TestCase;
+
+class ShortcodeTest extends TestCase {
+
+    /**
+     * Test replacing the object keeps the other attributes
+     */
+    public function test_replace_object_keeps_attributes(): void {
+        $shortcode = '[cloudflare_r2 filename="Manual.pdf" object="releases/v1/manual.pdf" expires="600"]';
+
+        $this->assertSame(
+            '[cloudflare_r2 filename="Manual.pdf" object="archive/v1/manual.pdf" expires="600"]',
+            CFR2WC_Shortcode::replace_object($shortcode, 'archive/v1/manual.pdf')
+        );
+    }
+
+    /**
+     * Test the legacy alias is supported
+     */
+    public function test_replace_object_in_alias(): void {
+        $this->assertSame(
+            '[amazon_s3 object="archive/app.zip"]',
+            CFR2WC_Shortcode::replace_object('[amazon_s3 object="releases/app.zip"]', 'archive/app.zip')
+        );
+    }
+
+    /**
+     * Test strings without a shortcode are returned unchanged
+     */
+    public function test_replace_object_without_shortcode(): void {
+        $url = 'https://example.com/object="file.zip"';
+
+        $this->assertSame($url, CFR2WC_Shortcode::replace_object($url, 'other.zip'));
+    }
+
+    /**
+     * Test the replaced shortcode parses back to the new key
+     */
+    public function test_replace_object_round_trip(): void {
+        $shortcode = CFR2WC_Shortcode::replace_object('[cloudflare_r2 object="a.zip"]', 'folder/b.zip');
+
+        $this->assertSame(['object' => 'folder/b.zip'], CFR2WC_Shortcode::parse_shortcode($shortcode));
+    }
+
+    /**
+     * Test the bucket attribute is read, and missing buckets mean the default bucket
+     */
+    public function test_get_bucket(): void {
+        $this->assertSame('eu-assets', CFR2WC_Shortcode::get_bucket('[cloudflare_r2 object="a.zip" bucket="eu-assets"]'));
+        $this->assertSame('', CFR2WC_Shortcode::get_bucket('[cloudflare_r2 object="a.zip"]'));
+        $this->assertSame('', CFR2WC_Shortcode::get_bucket('https://example.com/a.zip'));
+    }
+
+    /**
+     * Test built shortcodes leave out empty attributes and parse back
+     */
+    public function test_build(): void {
+        $shortcode = CFR2WC_Shortcode::build('releases/app.zip', ['bucket' => '', 'filename' => 'App.zip']);
+
+        $this->assertSame('[cloudflare_r2 object="releases/app.zip" filename="App.zip"]', $shortcode);
+        $this->assertSame(['object' => 'releases/app.zip', 'filename' => 'App.zip'], CFR2WC_Shortcode::parse_shortcode($shortcode));
+    }
+
+    /**
+     * Test legacy shortcodes are detected
+     */
+    public function test_is_legacy(): void {
+        $this->assertTrue(CFR2WC_Shortcode::is_legacy('[amazon_s3 object="a.zip"]'));
+        $this->assertFalse(CFR2WC_Shortcode::is_legacy('[cloudflare_r2 object="a.zip"]'));
+    }
+
+    /**
+     * Test converting keeps the other attributes and maps the bucket
+     */
+    public function test_convert_legacy(): void {
+        $legacy = '[amazon_s3 bucket="old-s3-bucket" region="us-east-1" object="docs/manual.pdf" filename="Manual.pdf"]';
+
+        $this->assertSame(
+            '[cloudflare_r2 object="docs/manual.pdf" filename="Manual.pdf"]',
+            CFR2WC_Shortcode::convert_legacy($legacy, '')
+        );
+        $this->assertSame(
+            '[cloudflare_r2 object="docs/manual.pdf" filename="Manual.pdf" bucket="eu-assets"]',
+            CFR2WC_Shortcode::convert_legacy($legacy, 'eu-assets')
+        );
+    }
+
+    /**
+     * Test the filename attribute overrides the stored Content-Disposition
+     */
+    public function test_get_response_params(): void {
+        $this->assertSame(
+            ['ResponseContentDisposition' => 'attachment; filename="Manual & Guide.pdf"; filename*=UTF-8\'\'Manual%20%26%20Guide.pdf'],
+            CFR2WC_Shortcode::get_response_params(['object' => 'docs/manual.pdf', 'filename' => 'Manual &amp; Guide.pdf'])
+        );
+        $this->assertSame([], CFR2WC_Shortcode::get_response_params(['object' => 'docs/manual.pdf', 'filename' => '']));
+    }
+}